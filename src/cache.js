@@ -0,0 +1,291 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Persistent result cache: one JSON file per (method, normalized parameters) under
+ * FINANCIAL_MCP_CACHE_DIR (default ~/.cache/financial-mcp-server). Set
+ * FINANCIAL_MCP_CACHE=off to disable it. Cache I/O failures never fail a call -
+ * they are treated as misses. Storing an entry periodically sweeps its method's
+ * expired entries and caps how many it keeps.
+ */
+const DEFAULT_CACHE_DIR = path.join(os.homedir(), '.cache', 'financial-mcp-server');
+
+// Entries kept per method, and how often a method's directory is swept (ms)
+const DEFAULT_MAX_ENTRIES = 1000;
+const PRUNE_INTERVAL = 10 * 60 * 1000;
+
+// Parameters whose case does not matter upstream
+const UPPERCASE_PARAMS = ['symbol', 'symbols', 'series_id'];
+
+/**
+ * Normalize parameters so equivalent requests share a key: keys sorted, empty values
+ * dropped, strings trimmed, tickers and series IDs uppercased
+ * @param {*} value - Parameter value
+ * @param {string} name - Parameter name
+ * @returns {*} Normalized value
+ */
+function normalizeParams(value, name = '') {
+  if (Array.isArray(value)) {
+    return value.map(item => normalizeParams(item, name));
+  }
+  if (value && typeof value === 'object') {
+    const normalized = {};
+    Object.keys(value).sort().forEach(key => {
+      if (value[key] !== undefined && value[key] !== null && value[key] !== '') {
+        normalized[key] = normalizeParams(value[key], key);
+      }
+    });
+    return normalized;
+  }
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    return UPPERCASE_PARAMS.includes(name) ? trimmed.toUpperCase() : trimmed;
+  }
+  return value;
+}
+
+/**
+ * Cache key for a method call
+ * @param {string} method - Method name
+ * @param {Object} params - Method parameters
+ * @returns {string} Hex digest
+ */
+function cacheKey(method, params) {
+  return crypto.createHash('sha1').update(`${method}:${JSON.stringify(normalizeParams(params || {}))}`).digest('hex');
+}
+
+/**
+ * Create a file-backed cache
+ * @param {Object} options - Cache options
+ * @param {string} options.dir - Cache directory
+ * @param {boolean} options.enabled - false turns every get into a miss and every set into a no-op
+ * @param {number} options.maxEntries - Entries kept per method; the oldest go first
+ * @param {Function} options.now - Clock, for tests
+ * @returns {Object} Cache with get, set, stats and dir
+ */
+function createCache({
+  dir = process.env.FINANCIAL_MCP_CACHE_DIR || DEFAULT_CACHE_DIR,
+  enabled = process.env.FINANCIAL_MCP_CACHE !== 'off',
+  maxEntries = DEFAULT_MAX_ENTRIES,
+  now = Date.now
+} = {}) {
+  // Hit/miss counters for this process, per method
+  const counters = {};
+  const count = (method, field) => {
+    counters[method] = counters[method] || { hits: 0, misses: 0 };
+    counters[method][field]++;
+  };
+
+  const entryPath = (method, params) => path.join(dir, method, `${cacheKey(method, params)}.json`);
+
+  // Last sweep per method for this process
+  const lastPrune = {};
+
+  /**
+   * Read a fresh entry
+   * @returns {Object|null} { value, storedAt, expiresAt } or null on a miss
+   */
+  function get(method, params) {
+    if (!enabled) return null;
+
+    const file = entryPath(method, params);
+    try {
+      const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (entry.expiresAt > now()) {
+        count(method, 'hits');
+        return entry;
+      }
+      fs.unlinkSync(file);
+    } catch (error) {
+      // Missing or unreadable entries are misses
+    }
+    count(method, 'misses');
+    return null;
+  }
+
+  /**
+   * Store a value until `expiresAt` (epoch ms)
+   */
+  function set(method, params, value, expiresAt) {
+    if (!enabled || !(expiresAt > now())) return;
+
+    const file = entryPath(method, params);
+    const entry = { method, params: normalizeParams(params || {}), storedAt: now(), expiresAt, value };
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      // Write then rename so a concurrent reader never sees a partial file
+      const temp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(temp, JSON.stringify(entry));
+      fs.renameSync(temp, file);
+    } catch (error) {
+      // A read-only or full disk just means no caching
+      return;
+    }
+
+    if (!(lastPrune[method] + PRUNE_INTERVAL > now())) {
+      lastPrune[method] = now();
+      prune(method);
+    }
+  }
+
+  /**
+   * Delete a method's expired and unreadable entries, then the oldest beyond maxEntries
+   */
+  function prune(method) {
+    const methodDir = path.join(dir, method);
+    const fresh = [];
+    try {
+      fs.readdirSync(methodDir).filter(file => file.endsWith('.json')).forEach(file => {
+        const target = path.join(methodDir, file);
+        try {
+          const { storedAt, expiresAt } = JSON.parse(fs.readFileSync(target, 'utf8'));
+          if (expiresAt > now()) {
+            fresh.push({ target, storedAt });
+            return;
+          }
+        } catch (error) {
+          // Corrupted entries are swept with the expired ones
+        }
+        fs.rmSync(target, { force: true });
+      });
+
+      fresh
+        .sort((a, b) => b.storedAt - a.storedAt)
+        .slice(maxEntries)
+        .forEach(({ target }) => fs.rmSync(target, { force: true }));
+    } catch (error) {
+      // Pruning is best effort - the next sweep tries again
+    }
+  }
+
+  /**
+   * Per-method entry counts, sizes and this process's hit/miss counters
+   * @returns {Array} One row per method with entries or lookups
+   */
+  function stats() {
+    const rows = {};
+    const row = method => {
+      rows[method] = rows[method] || {
+        method, entries: 0, fresh_entries: 0, expired_entries: 0, size_bytes: 0,
+        hits: 0, misses: 0, hit_rate: null, oldest_entry: null, next_expiry: null
+      };
+      return rows[method];
+    };
+
+    let methods = [];
+    try {
+      methods = fs.readdirSync(dir, { withFileTypes: true }).filter(entry => entry.isDirectory()).map(entry => entry.name);
+    } catch (error) {
+      // No cache directory yet
+    }
+
+    methods.forEach(method => {
+      let files;
+      try {
+        files = fs.readdirSync(path.join(dir, method)).filter(file => file.endsWith('.json'));
+      } catch (error) {
+        // Removed or unreadable since the listing - skip the method
+        return;
+      }
+
+      files.forEach(file => {
+        const target = row(method);
+        try {
+          const content = fs.readFileSync(path.join(dir, method, file), 'utf8');
+          const { storedAt, expiresAt } = JSON.parse(content);
+          target.entries++;
+          target.size_bytes += Buffer.byteLength(content);
+          if (expiresAt > now()) {
+            target.fresh_entries++;
+            if (target.next_expiry === null || expiresAt < target.next_expiry) target.next_expiry = expiresAt;
+          } else {
+            target.expired_entries++;
+          }
+          if (target.oldest_entry === null || storedAt < target.oldest_entry) target.oldest_entry = storedAt;
+        } catch (error) {
+          // Skip entries being written or corrupted
+        }
+      });
+    });
+
+    Object.entries(counters).forEach(([method, { hits, misses }]) => {
+      Object.assign(row(method), { hits, misses });
+    });
+
+    return Object.values(rows)
+      .map(target => ({
+        ...target,
+        hit_rate: target.hits + target.misses > 0 ? target.hits / (target.hits + target.misses) : null,
+        oldest_entry: target.oldest_entry !== null ? new Date(target.oldest_entry).toISOString() : null,
+        next_expiry: target.next_expiry !== null ? new Date(target.next_expiry).toISOString() : null
+      }))
+      .sort((a, b) => a.method.localeCompare(b.method));
+  }
+
+  return { dir, enabled, get, set, stats };
+}
+
+/**
+ * Convert cache stats to markdown
+ * @param {Array} rows - Rows from cache.stats()
+ * @param {Object} summary - Totals
+ * @returns {string} Markdown report
+ */
+function cacheStatsAsMarkdown(rows, summary) {
+  const parts = [
+    '# ♻️ Cache Statistics',
+    '',
+    `**Status:** ${summary.enabled ? '✅ Enabled' : '⏸️ Disabled (FINANCIAL_MCP_CACHE=off)'}`,
+    `**Directory:** \`${summary.cache_dir}\``,
+    `**Entries:** ${summary.total_entries} (${summary.fresh_entries} fresh) | **Size:** ${(summary.total_bytes / 1024).toFixed(1)} KB`,
+    `**This Session:** ${summary.hits} hits / ${summary.misses} misses`,
+    ''
+  ];
+
+  if (rows.length === 0) {
+    parts.push('No cached results yet.');
+    return parts.join('\n');
+  }
+
+  parts.push('| Method | Entries | Fresh | Expired | Size | Hits | Misses | Hit Rate | Next Expiry |');
+  parts.push('|--------|---------|-------|---------|------|------|--------|----------|-------------|');
+  rows.forEach(row => {
+    const hitRate = row.hit_rate !== null ? `${(row.hit_rate * 100).toFixed(0)}%` : 'N/A';
+    parts.push(`| ${row.method} | ${row.entries} | ${row.fresh_entries} | ${row.expired_entries} | ${(row.size_bytes / 1024).toFixed(1)} KB | ${row.hits} | ${row.misses} | ${hitRate} | ${row.next_expiry || 'N/A'} |`);
+  });
+
+  parts.push('');
+  parts.push('💡 Pass `bypass_cache: true` to any method to fetch fresh data.');
+
+  return parts.join('\n');
+}
+
+/**
+ * Cache statistics in the fetch* result shape
+ * @param {Object} cache - Cache from createCache
+ * @returns {Object} { rows, summary, markdown }
+ */
+function fetchCacheStats(cache) {
+  const rows = cache.stats();
+  const sum = field => rows.reduce((total, row) => total + row[field], 0);
+  const summary = {
+    enabled: cache.enabled,
+    cache_dir: cache.dir,
+    total_entries: sum('entries'),
+    fresh_entries: sum('fresh_entries'),
+    total_bytes: sum('size_bytes'),
+    hits: sum('hits'),
+    misses: sum('misses')
+  };
+
+  return { rows, summary, markdown: cacheStatsAsMarkdown(rows, summary) };
+}
+
+module.exports = {
+  createCache,
+  cacheKey,
+  normalizeParams,
+  fetchCacheStats
+};
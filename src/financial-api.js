@@ -1,6 +1,579 @@
-const axios = require('axios');
 const cheerio = require('cheerio');
 const Sentiment = require('sentiment');
+const { createHttpClient } = require('./http-client.js');
+
+/**
+ * Base class for errors surfaced to MCP clients with a stable `code`
+ * @param {string} message - Human-readable message
+ * @param {string} code - Stable machine-readable error code
+ * @param {Object} details - Extra context (symbol, source, status, ...)
+ */
+class FinancialDataError extends Error {
+  constructor(message, code = 'INTERNAL_ERROR', details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Ticker or FRED series does not exist
+class SymbolNotFoundError extends FinancialDataError {
+  constructor(symbol, { source = 'Yahoo Finance', message } = {}) {
+    super(message || `Symbol "${symbol}" was not found on ${source}`, 'SYMBOL_NOT_FOUND', { symbol, source });
+  }
+}
+
+// Upstream answered with an HTTP error, or could not be reached (status null)
+class UpstreamHttpError extends FinancialDataError {
+  constructor(source, status, message, details = {}) {
+    super(message || `${source} request failed${status ? ` with HTTP ${status}` : ''}`, 'UPSTREAM_HTTP_ERROR', { source, status, ...details });
+    this.status = status;
+  }
+}
+
+// Upstream is throttling (HTTP 429) or blocking our requests
+class RateLimitedError extends FinancialDataError {
+  constructor(source, { status = 429, retryAfter = null, message } = {}) {
+    super(message || `${source} rate limited the request (HTTP ${status})${retryAfter ? ` - retry after ${retryAfter}s` : ''}`, 'RATE_LIMITED', { source, status, retryAfter });
+    this.status = status;
+  }
+}
+
+// Response arrived but did not have the expected shape - usually a page layout change
+class ParseError extends FinancialDataError {
+  constructor(message, details = {}) {
+    super(message, 'PARSE_ERROR', details);
+  }
+}
+
+// The instrument exists but the provider has no data of the requested kind (e.g. no ESG scores)
+class DataUnavailableError extends FinancialDataError {
+  constructor(message, details = {}) {
+    super(message, 'NO_DATA', details);
+  }
+}
+
+// FRED_API_KEY is unset or was rejected by FRED
+class MissingApiKeyError extends FinancialDataError {
+  constructor(purpose, { message } = {}) {
+    super(message || `Valid FRED API key required for ${purpose}. Please set FRED_API_KEY environment variable.`, 'MISSING_API_KEY', { source: 'FRED' });
+  }
+}
+
+// Replay mode has no recorded response for a request (see src/http-client.js)
+class FixtureMissingError extends FinancialDataError {
+  constructor(message, details = {}) {
+    super(message, 'FIXTURE_MISSING', details);
+  }
+}
+
+// Caller supplied a missing or malformed parameter
+class InvalidInputError extends FinancialDataError {
+  constructor(message, details = {}) {
+    super(message, 'INVALID_INPUT', details);
+  }
+}
+
+/**
+ * Classify an error thrown while fetching or parsing upstream data.
+ * Errors that are already classified pass through unchanged, as does replay's
+ * FIXTURE_MISSING; axios errors map to rate-limit, not-found, API-key or HTTP
+ * errors; anything else is treated as a parse failure, since extractors only
+ * throw on unexpected payloads.
+ * @param {Error} error - Caught error
+ * @param {Object} context - Request context
+ * @param {string} context.source - "Yahoo Finance", "FRED", ...
+ * @param {string} context.symbol - Ticker or series ID, if the request was for one
+ * @returns {FinancialDataError} Classified error
+ */
+function toFinancialDataError(error, { source = 'Yahoo Finance', symbol = null } = {}) {
+  if (error instanceof FinancialDataError) return error;
+  if (error && error.code === 'FIXTURE_MISSING') {
+    return new FixtureMissingError(error.message, { source });
+  }
+
+  const response = error && error.response;
+  if (response) {
+    const status = response.status;
+    const upstreamMessage = typeof response.data === 'object' && response.data ?
+      response.data.error_message || response.data.chart?.error?.description || response.data.finance?.error?.description : null;
+
+    if (status === 429) {
+      return new RateLimitedError(source, { retryAfter: Number(response.headers?.['retry-after']) || null });
+    }
+    if (source === 'FRED' && /api_key/i.test(upstreamMessage || '')) {
+      return new MissingApiKeyError(null, { message: `FRED rejected the API key: ${upstreamMessage}` });
+    }
+    if (symbol && (status === 404 || /does not exist|not found|no data found/i.test(upstreamMessage || ''))) {
+      return new SymbolNotFoundError(symbol, { source });
+    }
+    // FRED answers 400 for parameter values it rejects, e.g. a frequency higher than the series'
+    if (source === 'FRED' && status === 400 && upstreamMessage) {
+      return new InvalidInputError(`FRED rejected the request: ${upstreamMessage}`, { source, symbol });
+    }
+    if (source === 'Yahoo Finance' && (status === 401 || status === 403)) {
+      return new RateLimitedError(source, { status, message: `Yahoo Finance blocked the request (HTTP ${status})` });
+    }
+    return new UpstreamHttpError(source, status, upstreamMessage ? `${source} returned HTTP ${status}: ${upstreamMessage}` : null, { symbol });
+  }
+
+  if (error && (error.request || error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || error.code === 'ENOTFOUND')) {
+    return new UpstreamHttpError(source, null, `${source} could not be reached: ${error.message}`, { symbol });
+  }
+
+  return new ParseError(`Unexpected ${source} response${symbol ? ` for ${symbol}` : ''}: ${error && error.message}`, { source, symbol });
+}
+
+/**
+ * Error for a quote page that lacks the data a method needs. A page with price
+ * data means the symbol exists but Yahoo has none of that data; a page without
+ * any modules means the layout changed.
+ * @param {Object} page - Quote page (see createQuotePage)
+ * @param {string} description - What was missing, e.g. "ESG"
+ * @returns {FinancialDataError} NO_DATA or PARSE_ERROR error
+ */
+function missingQuoteDataError(page, description) {
+  if (page.module('price') || page.module('quote')) {
+    return new DataUnavailableError(`No ${description} data available for ${page.symbol} on Yahoo Finance`, { symbol: page.symbol, source: 'Yahoo Finance' });
+  }
+  return new ParseError(`Could not find ${description} data in the Yahoo Finance page for ${page.symbol} - the page layout may have changed`, { symbol: page.symbol, source: 'Yahoo Finance' });
+}
+
+/**
+ * Read the FRED API key from the environment
+ * @param {string} purpose - What the key is needed for, used in the error message
+ * @returns {string} API key
+ * @throws {MissingApiKeyError} When FRED_API_KEY is unset or "demo"
+ */
+function requireFredApiKey(purpose) {
+  const apiKey = process.env.FRED_API_KEY;
+  if (!apiKey || apiKey === 'demo') {
+    throw new MissingApiKeyError(purpose);
+  }
+  return apiKey;
+}
+
+// All upstream requests go through this client (live, record or replay - see http-client.js)
+let httpClient = createHttpClient();
+
+/**
+ * Replace the HTTP client, e.g. with a replay client in tests. Clears cached quote pages.
+ * @param {Object} client - Client from createHttpClient
+ */
+function setHttpClient(client) {
+  httpClient = client;
+  quotePageCache.clear();
+  quotePageRequests.clear();
+  fredRequests.clear();
+}
+
+// Quote pages are cached briefly so one download serves every stock method for a symbol
+const QUOTE_PAGE_TTL_MS = 60 * 1000;
+const QUOTE_PAGE_CACHE_SIZE = 25;
+const quotePageCache = new Map();
+const quotePageRequests = new Map();
+
+/**
+ * Wrap quote page HTML with lazily parsed, memoized accessors
+ * @param {string} symbol - Stock ticker symbol
+ * @param {string} html - Raw quote page HTML
+ * @returns {Object} Quote page with html, $ (cheerio), modules and value lookup
+ */
+function createQuotePage(symbol, html) {
+  let document = null;
+  let modules = null;
+
+  return {
+    symbol,
+    html,
+    fetchedAt: Date.now(),
+
+    // Cheerio document, loaded on first use
+    get $() {
+      if (!document) document = cheerio.load(html);
+      return document;
+    },
+
+    // Embedded quoteSummary/quote payloads keyed by module, decoded on first use
+    get modules() {
+      if (!modules) modules = parseQuotePageModules(this.$, html, symbol);
+      return modules;
+    },
+
+    /**
+     * Module by name, e.g. module('esgScores')
+     * @returns {Object|null}
+     */
+    module(name) {
+      return this.modules[name] || null;
+    },
+
+    /**
+     * First available value among "module.field" paths, unwrapped from {raw, fmt}
+     * e.g. value('summaryDetail.beta', 'defaultKeyStatistics.beta')
+     * @returns {*} Value or null
+     */
+    value(...paths) {
+      for (const path of paths) {
+        let current = this.modules;
+        for (const key of path.split('.')) {
+          current = current === null || current === undefined ? undefined : current[key];
+        }
+        const value = unwrapYahooValue(current);
+        if (value !== null) return value;
+      }
+      return null;
+    },
+
+    /**
+     * Read several fields at once, skipping any that are unavailable
+     * @param {Object} fieldPaths - Output field name -> candidate "module.field" paths
+     * @returns {Object} Values keyed by field name
+     */
+    values(fieldPaths) {
+      const result = {};
+      for (const [field, paths] of Object.entries(fieldPaths)) {
+        const value = this.value(...paths);
+        if (value !== null) result[field] = value;
+      }
+      return result;
+    }
+  };
+}
+
+/**
+ * Unwrap a Yahoo Finance value: {raw, fmt} objects become their raw value and
+ * the empty objects Yahoo uses for missing data become null
+ * @param {*} value - Value from a quoteSummary module
+ * @returns {*} Plain value or null
+ */
+function unwrapYahooValue(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'object' && !Array.isArray(value)) {
+    if ('raw' in value) return value.raw;
+    if (Object.keys(value).length === 0) return null;
+  }
+  return value;
+}
+
+/**
+ * Decode the API payloads Yahoo embeds in the quote page into modules
+ * The page carries <script type="application/json" data-url="..."> tags whose
+ * "body" is itself a JSON string. quoteSummary results are keyed by module
+ * (price, summaryDetail, financialData, defaultKeyStatistics, esgScores, ...)
+ * and the v7 quote response for the symbol is exposed as the "quote" module.
+ * @param {Function} $ - Cheerio document for the page
+ * @param {string} html - Raw page HTML
+ * @param {string} symbol - Symbol the page belongs to
+ * @returns {Object} Modules keyed by name
+ */
+function parseQuotePageModules($, html, symbol) {
+  const modules = {};
+
+  const addQuoteSummary = (result) => {
+    for (const [name, module] of Object.entries(result || {})) {
+      if (module && typeof module === 'object' && !modules[name]) {
+        modules[name] = module;
+      }
+    }
+  };
+
+  $('script[type="application/json"]').each((i, elem) => {
+    const dataUrl = decodeURIComponent($(elem).attr('data-url') || '');
+
+    // Pages also embed payloads for related tickers - only keep this symbol's
+    const urlSymbol = dataUrl.match(/\/quoteSummary\/([^?/]+)/);
+    if (urlSymbol && urlSymbol[1].toUpperCase() !== symbol) return;
+
+    let body;
+    try {
+      const payload = JSON.parse($(elem).text());
+      body = typeof payload.body === 'string' ? JSON.parse(payload.body) : payload;
+    } catch (e) {
+      return;
+    }
+
+    if (Array.isArray(body?.quoteSummary?.result)) {
+      body.quoteSummary.result.forEach(addQuoteSummary);
+    }
+
+    if (Array.isArray(body?.quoteResponse?.result)) {
+      const quote = body.quoteResponse.result.find(item => item.symbol?.toUpperCase() === symbol);
+      if (quote) {
+        modules.quote = { ...modules.quote, ...quote };
+      }
+    }
+  });
+
+  // Older page layouts inline the payload as an escaped string instead of a script tag
+  if (Object.keys(modules).length === 0) {
+    const quoteSummary = extractEscapedJsonValue(html, 'quoteSummary');
+    if (Array.isArray(quoteSummary?.result)) {
+      quoteSummary.result.forEach(addQuoteSummary);
+    }
+  }
+
+  return modules;
+}
+
+/**
+ * Fetch the Yahoo Finance quote page for a symbol, shared by all stock methods
+ * Responses are cached for QUOTE_PAGE_TTL_MS and concurrent requests for the
+ * same symbol share a single download.
+ * @param {string} symbol - Stock ticker symbol
+ * @param {Object} options - Request options
+ * @param {number} options.timeout - Request timeout in ms (default 15000)
+ * @returns {Promise<Object>} Quote page (see createQuotePage)
+ */
+async function getQuotePage(symbol, { timeout = 15000 } = {}) {
+  const key = symbol.toUpperCase();
+
+  const cached = quotePageCache.get(key);
+  if (cached && Date.now() - cached.fetchedAt < QUOTE_PAGE_TTL_MS) {
+    return cached;
+  }
+
+  if (quotePageRequests.has(key)) {
+    return quotePageRequests.get(key);
+  }
+
+  const request = httpClient.get(`https://finance.yahoo.com/quote/${symbol}?p=${symbol}`, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_7 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.1.2 Mobile/15E148 Safari/604.1'
+    },
+    timeout
+  }).then(response => {
+    // Unknown tickers are redirected to the symbol lookup page
+    const finalUrl = response.request?.res?.responseUrl || '';
+    if (finalUrl.includes('/lookup')) {
+      throw new SymbolNotFoundError(key);
+    }
+
+    const page = createQuotePage(key, response.data);
+
+    // Evict expired pages, then the oldest, to bound memory during screens
+    for (const [cachedKey, cachedPage] of quotePageCache) {
+      if (Date.now() - cachedPage.fetchedAt >= QUOTE_PAGE_TTL_MS) quotePageCache.delete(cachedKey);
+    }
+    if (quotePageCache.size >= QUOTE_PAGE_CACHE_SIZE) {
+      quotePageCache.delete(quotePageCache.keys().next().value);
+    }
+    quotePageCache.set(key, page);
+
+    return page;
+  }).catch(error => {
+    throw toFinancialDataError(error, { source: 'Yahoo Finance', symbol: key });
+  }).finally(() => {
+    quotePageRequests.delete(key);
+  });
+
+  quotePageRequests.set(key, request);
+  return request;
+}
+
+// FRED allows 120 requests per minute per API key. A token bucket refilling at that
+// rate (with a small burst) paces every FRED call, however many run concurrently.
+const FRED_API_BASE = 'https://api.stlouisfed.org';
+const FRED_REQUESTS_PER_MINUTE = 120;
+const FRED_BURST = 10;
+const FRED_MAX_RETRIES = 3;
+const FRED_BACKOFF_MS = 1000;
+const fredBucket = { tokens: FRED_BURST, updatedAt: Date.now() };
+const fredRequests = new Map();
+
+/**
+ * Wait until the FRED rate limiter grants a request
+ */
+async function takeFredToken() {
+  // Replayed responses never reach FRED
+  if (httpClient.mode === 'replay') return;
+
+  for (;;) {
+    const now = Date.now();
+    fredBucket.tokens = Math.min(FRED_BURST, fredBucket.tokens + (now - fredBucket.updatedAt) * FRED_REQUESTS_PER_MINUTE / 60000);
+    fredBucket.updatedAt = now;
+
+    if (fredBucket.tokens >= 1) {
+      fredBucket.tokens -= 1;
+      return;
+    }
+    await httpClient.pause(Math.ceil((1 - fredBucket.tokens) * 60000 / FRED_REQUESTS_PER_MINUTE));
+  }
+}
+
+/**
+ * GET a FRED API endpoint. Requests are rate limited, retried with exponential
+ * backoff on 429/5xx and network errors, and identical in-flight requests share
+ * one response.
+ * @param {string} endpoint - Path below /fred, e.g. "series/observations", or a "geofred/..." Maps API path
+ * @param {Object} params - Query parameters; api_key and file_type are added
+ * @param {Object} options - Request options
+ * @param {number} options.timeout - Request timeout in ms (default 15000)
+ * @returns {Promise<Object>} Parsed JSON body
+ * @throws {FinancialDataError} Classified error once retries are exhausted
+ */
+function fredRequest(endpoint, params = {}, { timeout = 15000 } = {}) {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([name, value]) => {
+    if (value !== undefined && value !== null && value !== '') query.set(name, String(value));
+  });
+  query.set('api_key', process.env.FRED_API_KEY || 'demo');
+  query.set('file_type', 'json');
+  const url = `${FRED_API_BASE}/${endpoint.startsWith('geofred/') ? endpoint : `fred/${endpoint}`}?${query}`;
+
+  if (fredRequests.has(url)) {
+    return fredRequests.get(url);
+  }
+
+  const request = (async () => {
+    for (let attempt = 0; ; attempt++) {
+      await takeFredToken();
+      try {
+        const response = await httpClient.get(url, {
+          timeout,
+          headers: {
+            'User-Agent': 'Mozilla/5.0 (compatible; Yahoo-Finance-MCP/1.0)'
+          }
+        });
+        return response.data;
+      } catch (error) {
+        const status = error.response?.status;
+        const retryable = status === 429 || status >= 500 || (!error.response && Boolean(error.request));
+        if (!retryable || attempt >= FRED_MAX_RETRIES) {
+          throw toFinancialDataError(error, { source: 'FRED', symbol: params.series_id || null });
+        }
+
+        const retryAfter = Number(error.response?.headers?.['retry-after']);
+        await httpClient.pause(retryAfter > 0 ? retryAfter * 1000 : FRED_BACKOFF_MS * 2 ** attempt * (1 + Math.random() * 0.25));
+      }
+    }
+  })().finally(() => {
+    fredRequests.delete(url);
+  });
+
+  fredRequests.set(url, request);
+  return request;
+}
+
+/**
+ * Parse a FRED observation value. FRED marks missing values with "."
+ * @param {string} value - Raw observation value
+ * @returns {number|null} Number, or null when missing
+ */
+function parseFredValue(value) {
+  if (value === null || value === undefined || value === '.' || value === '') return null;
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Parse observation values and drop missing ones
+ * @param {Array} observations - Raw FRED observations
+ * @returns {Array} Observations with numeric `value`, in the original order
+ */
+function parseFredObservations(observations = []) {
+  return observations
+    .map(obs => ({ ...obs, value: parseFredValue(obs.value) }))
+    .filter(obs => obs.value !== null);
+}
+
+/**
+ * Next scheduled release date of a FRED series - its observations cannot change before then
+ * @param {string} seriesId - FRED series ID
+ * @returns {Promise<string|null>} Date (YYYY-MM-DD), today or later, or null if none is scheduled
+ */
+async function fetchFredNextReleaseDate(seriesId) {
+  requireFredApiKey('release dates');
+
+  const releaseData = await fredRequest('series/release', { series_id: seriesId });
+  const release = releaseData.releases?.[0];
+  if (!release) return null;
+
+  const today = new Date().toISOString().split('T')[0];
+  const datesData = await fredRequest('release/dates', {
+    release_id: release.id,
+    realtime_start: today,
+    include_release_dates_with_no_data: true,
+    sort_order: 'asc',
+    limit: 2
+  });
+
+  const next = (datesData.release_dates || []).find(entry => entry.date >= today);
+  return next ? next.date : null;
+}
+
+/**
+ * Decode a JSON value embedded as an escaped string in the Yahoo Finance page.
+ * The quote page ships its data as JSON strings inside JSON (e.g. \"key\":{...}),
+ * so nested objects and arrays cannot be captured reliably with a flat regex.
+ * @param {string} html - Raw page HTML
+ * @param {string} key - JSON key whose object/array value should be decoded
+ * @returns {Object|Array|null} Decoded value
+ */
+function extractEscapedJsonValue(html, key) {
+  const marker = `\\"${key}\\":`;
+  const start = html.indexOf(marker);
+  if (start === -1) return null;
+
+  let i = start + marker.length;
+  while (html[i] === ' ') i++;
+  if (html[i] !== '{' && html[i] !== '[') return null;
+
+  // Undo the outer string escaping while tracking the inner JSON nesting
+  let decoded = '';
+  let depth = 0;
+  let inString = false;
+  let innerEscape = false;
+
+  for (; i < html.length; i++) {
+    let char = html[i];
+
+    if (char === '\\') {
+      const next = html[i + 1];
+      if (next === 'u') {
+        char = String.fromCharCode(parseInt(html.substr(i + 2, 4), 16));
+        i += 5;
+      } else {
+        char = next === 'n' ? '\n' : next === 't' ? '\t' : next;
+        i += 1;
+      }
+    } else if (char === '"') {
+      // An unescaped quote terminates the outer string - the block is incomplete
+      return null;
+    }
+
+    decoded += char;
+
+    if (inString) {
+      if (innerEscape) {
+        innerEscape = false;
+      } else if (char === '\\') {
+        innerEscape = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      depth++;
+    } else if (char === '}' || char === ']') {
+      depth--;
+      if (depth === 0) {
+        try {
+          return JSON.parse(decoded);
+        } catch (e) {
+          return null;
+        }
+      }
+    }
+  }
+
+  return null;
+}
 
 /**
  * Extract company profile data from Yahoo Finance using the proven working method
@@ -11,64 +584,35 @@ const Sentiment = require('sentiment');
 async function extractAssetProfile(symbol) {
   try {
     
-    // Use the EXACT working approach - simple axios request with mobile User-Agent
-    const response = await axios.get(`https://finance.yahoo.com/quote/${symbol}?p=${symbol}`, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_7 like Mac OS X) AppleWebKit/605.1.15'
-      },
-      timeout: 15000
-    });
-    
-    const html = response.data;
-    
-    // Check if we have profile data
-    if (!html.includes('address1') || !html.includes('fullTimeEmployees')) {
-      return null;
-    }
-    
+    const page = await getQuotePage(symbol);
     
-    // Extract the JSON object containing profile data
-    const jsonPattern = /(\{[^{}]*\\"address1\\":\\"[^\\"].*?\\"fullTimeEmployees\\":\d+[^{}]*\})/;
-    const jsonMatch = html.match(jsonPattern);
+    const profile = page.module('assetProfile') || page.module('summaryProfile');
     
-    if (!jsonMatch) {
-      return null;
+    if (!profile) {
+      throw missingQuoteDataError(page, 'company profile');
     }
     
+    const fields = [
+      'address1', 'city', 'state', 'zip', 'country', 'phone', 'website',
+      'industry', 'sector', 'longBusinessSummary', 'fullTimeEmployees'
+    ];
     
-    // Extract individual fields from the raw JSON text (handles escaped quotes)
-    const rawJson = jsonMatch[1];
     const result = {};
-    
-    const fieldPatterns = {
-      address1: /\\"address1\\":\\"([^\\"]*)\\"/,
-      city: /\\"city\\":\\"([^\\"]*)\\"/,
-      state: /\\"state\\":\\"([^\\"]*)\\"/,
-      zip: /\\"zip\\":\\"([^\\"]*)\\"/,
-      country: /\\"country\\":\\"([^\\"]*)\\"/,
-      phone: /\\"phone\\":\\"([^\\"]*)\\"/,
-      website: /\\"website\\":\\"([^\\"]*)\\"/,
-      industry: /\\"industry\\":\\"([^\\"]*)\\"/,
-      sector: /\\"sector\\":\\"([^\\"]*)\\"/,
-      longBusinessSummary: /\\"longBusinessSummary\\":\\"([^\\"]*)\\"/,
-      fullTimeEmployees: /\\"fullTimeEmployees\\":(\d+)/
-    };
-    
-    for (const [field, pattern] of Object.entries(fieldPatterns)) {
-      const match = rawJson.match(pattern);
-      if (match) {
-        result[field] = field === 'fullTimeEmployees' ? parseInt(match[1]) : match[1];
+    fields.forEach(field => {
+      const value = unwrapYahooValue(profile[field]);
+      if (value !== null) {
+        result[field] = value;
       }
-    }
+    });
     
     if (Object.keys(result).length > 5) {
       return result;
     } else {
-      return null;
+      throw missingQuoteDataError(page, 'company profile');
     }
     
   } catch (error) {
-    return null;
+    throw toFinancialDataError(error, { symbol });
   }
 }
 
@@ -154,7 +698,7 @@ async function fetchYahooProfile({ symbol }) {
     const profile = await extractAssetProfile(symbol);
     
     if (!profile) {
-      throw new Error('Could not extract company profile data from Yahoo Finance page');
+      throw new ParseError('Could not extract company profile data from Yahoo Finance page', { symbol, source: 'Yahoo Finance' });
     }
     
     const row = toStockProfileRow(symbol, profile);
@@ -176,19 +720,25 @@ async function extractSummaryData(symbol) {
   try {
     
     // Use the main quote page which contains financial statistics
-    const response = await axios.get(`https://finance.yahoo.com/quote/${symbol}?p=${symbol}`, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_7 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.1.2 Mobile/15E148 Safari/604.1'
-      },
-      timeout: 15000
+    const page = await getQuotePage(symbol);
+    
+    const summaryData = page.values({
+      marketCap: ['price.marketCap', 'summaryDetail.marketCap', 'quote.marketCap'],
+      trailingPE: ['summaryDetail.trailingPE', 'quote.trailingPE'],
+      forwardPE: ['summaryDetail.forwardPE', 'defaultKeyStatistics.forwardPE', 'quote.forwardPE'],
+      beta: ['summaryDetail.beta', 'defaultKeyStatistics.beta'],
+      enterpriseValue: ['defaultKeyStatistics.enterpriseValue'],
+      sharesOutstanding: ['defaultKeyStatistics.sharesOutstanding', 'quote.sharesOutstanding'],
+      pegRatio: ['defaultKeyStatistics.pegRatio'],
+      trailingEps: ['defaultKeyStatistics.trailingEps', 'quote.epsTrailingTwelveMonths'],
+      forwardEps: ['defaultKeyStatistics.forwardEps', 'quote.epsForward'],
+      enterpriseToEbitda: ['defaultKeyStatistics.enterpriseToEbitda'],
+      enterpriseToRevenue: ['defaultKeyStatistics.enterpriseToRevenue'],
+      currency: ['price.currency', 'summaryDetail.currency', 'quote.currency']
     });
     
-    const html = response.data;
-    
-    // NEW APPROACH: Use Cheerio to parse HTML elements with data attributes
-    const cheerio = require('cheerio');
-    const $ = cheerio.load(html);
-    
+    // Fill any gaps from the rendered fin-streamer elements
+    const $ = page.$;
     
     // Helper function to parse financial values
     const parseFinancialValue = (value, text) => {
@@ -213,19 +763,7 @@ async function extractSummaryData(symbol) {
       }
     };
     
-    // Extract data from fin-streamer elements with data attributes
-    const summaryData = {};
-    
-    // Map of data fields to our internal names
-    const fieldMapping = {
-      'marketCap': 'marketCap',
-      'trailingPE': 'trailingPE', 
-      'forwardPE': 'forwardPE',
-      'beta': 'beta',
-      'enterpriseValue': 'enterpriseValue',
-      'sharesOutstanding': 'sharesOutstanding',
-      'pegRatio': 'pegRatio'
-    };
+    const streamerFields = ['marketCap', 'trailingPE', 'forwardPE', 'beta', 'enterpriseValue', 'sharesOutstanding', 'pegRatio'];
     
     $(`fin-streamer[data-symbol="${symbol}"]`).each((i, elem) => {
       const element = $(elem);
@@ -233,93 +771,21 @@ async function extractSummaryData(symbol) {
       const dataValue = element.attr('data-value');
       const text = element.text().trim();
       
-      if (dataField && fieldMapping[dataField]) {
+      if (dataField && streamerFields.includes(dataField) && summaryData[dataField] === undefined) {
         const value = parseFinancialValue(dataValue, text);
-        if (value !== null) {
-          summaryData[fieldMapping[dataField]] = {
-            raw: value,
-            fmt: dataValue || text
-          };
+        if (value !== null && !isNaN(value)) {
+          summaryData[dataField] = value;
         }
       }
     });
     
-    // Also try to extract some additional metrics that might not be in fin-streamer
-    const additionalMetrics = {
-      'trailingEps': /data-field="trailingEps"[^>]*data-value="([^"]*)"/, 
-      'forwardEps': /data-field="forwardEps"[^>]*data-value="([^"]*)"/, 
-      'enterpriseToEbitda': /enterpriseToEbitda[^>]*"(\d+\.?\d*)"/, 
-      'enterpriseToRevenue': /enterpriseToRevenue[^>]*"(\d+\.?\d*)"/
-    };
-    
-    for (const [field, pattern] of Object.entries(additionalMetrics)) {
-      const match = html.match(pattern);
-      if (match && match[1]) {
-        const value = parseFloat(match[1]);
-        if (!isNaN(value)) {
-          summaryData[field] = {
-            raw: value,
-            fmt: match[1]
-          };
-        }
-      }
-    }
-    
-    // Always combine HTML data with JSON data for complete coverage
-    
-    // Extract advanced metrics from JSON data (these aren't in fin-streamer elements)
-    const jsonFieldPatterns = {
-      enterpriseValue: /\\"enterpriseValue\\":\s*(\{[^}]+\})/,
-      sharesOutstanding: /\\"sharesOutstanding\\":\s*(\{[^}]+\})/,
-      beta: /\\"beta\\":\s*(\{[^}]+\})/,
-      forwardPE: /\\"forwardPE\\":\s*(\{[^}]+\})/,
-      trailingEps: /\\"trailingEps\\":\s*(\{[^}]+\})/,
-      forwardEps: /\\"forwardEps\\":\s*(\{[^}]+\})/,
-      pegRatio: /\\"pegRatio\\":\s*(\{[^}]*\})/,
-      enterpriseToEbitda: /\\"enterpriseToEbitda\\":\s*(\{[^}]+\})/,
-      enterpriseToRevenue: /\\"enterpriseToRevenue\\":\s*(\{[^}]+\})/
-    };
-    
-    for (const [field, pattern] of Object.entries(jsonFieldPatterns)) {
-      // Only extract from JSON if we didn't get it from HTML
-      if (!summaryData[field]) {
-        const match = html.match(pattern);
-        if (match) {
-          try {
-            let jsonStr = match[1];
-            jsonStr = jsonStr.replace(/\\"/g, '"');
-            const fieldData = JSON.parse(jsonStr);
-            summaryData[field] = fieldData;
-          } catch (e) {
-          }
-        }
-      }
-    }
-    
-    // Also make sure we have trailingPE from HTML (not the EPS value)
-    if (summaryData.trailingPE && summaryData.trailingPE.raw < 10) {
-      // This is likely EPS, not P/E ratio - let's get the real P/E from JSON
-      const trailingPEMatch = html.match(/\\"trailingPE\\":\s*(\{[^}]+\})/);
-      if (trailingPEMatch) {
-        try {
-          let jsonStr = trailingPEMatch[1];
-          jsonStr = jsonStr.replace(/\\"/g, '"');
-          const peData = JSON.parse(jsonStr);
-          if (peData.raw > 10) { // P/E ratios are usually > 10
-            summaryData.trailingPE = peData;
-          }
-        } catch (e) {
-        }
-      }
-    }
-    
     if (Object.keys(summaryData).length > 0) {
       return summaryData;
     }
     
-    return null;
+    throw missingQuoteDataError(page, 'financial summary');
   } catch (error) {
-    return null;
+    throw toFinancialDataError(error, { symbol });
   }
 }
 
@@ -431,7 +897,7 @@ async function fetchYahooSummary({ symbol }) {
     const summaryData = await extractSummaryData(symbol);
     
     if (!summaryData) {
-      throw new Error('Could not extract financial summary data from Yahoo Finance page');
+      throw new ParseError('Could not extract financial summary data from Yahoo Finance page', { symbol, source: 'Yahoo Finance' });
     }
     
     const row = toStockSummaryRow(symbol, summaryData);
@@ -453,58 +919,34 @@ async function extractEstimatesData(symbol) {
   try {
     
     // Use the main quote page which contains estimates in JSON
-    const response = await axios.get(`https://finance.yahoo.com/quote/${symbol}?p=${symbol}`, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_7 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.1.2 Mobile/15E148 Safari/604.1'
-      },
-      timeout: 15000
-    });
-    
-    const html = response.data;
-    
-    // Extract estimates from JSON data
+    const page = await getQuotePage(symbol);
     
-    const estimatesData = {};
-    
-    // Estimates field patterns
-    const estimatePatterns = {
+    // Next-quarter consensus lives in calendarEvents; earningsTrend is the fallback
+    const estimatesData = page.values({
       // Earnings estimates
-      earningsAverage: /\\"earningsAverage\\":\s*(\{[^}]+\})/,
-      earningsHigh: /\\"earningsHigh\\":\s*(\{[^}]+\})/,
-      earningsLow: /\\"earningsLow\\":\s*(\{[^}]+\})/,
-      // Revenue estimates  
-      revenueAverage: /\\"revenueAverage\\":\s*(\{[^}]+\})/,
-      revenueHigh: /\\"revenueHigh\\":\s*(\{[^}]+\})/,
-      revenueLow: /\\"revenueLow\\":\s*(\{[^}]+\})/,
+      earningsAverage: ['calendarEvents.earnings.earningsAverage', 'earningsTrend.trend.0.earningsEstimate.avg'],
+      earningsHigh: ['calendarEvents.earnings.earningsHigh', 'earningsTrend.trend.0.earningsEstimate.high'],
+      earningsLow: ['calendarEvents.earnings.earningsLow', 'earningsTrend.trend.0.earningsEstimate.low'],
+      // Revenue estimates
+      revenueAverage: ['calendarEvents.earnings.revenueAverage', 'earningsTrend.trend.0.revenueEstimate.avg'],
+      revenueHigh: ['calendarEvents.earnings.revenueHigh', 'earningsTrend.trend.0.revenueEstimate.high'],
+      revenueLow: ['calendarEvents.earnings.revenueLow', 'earningsTrend.trend.0.revenueEstimate.low'],
       // Price targets
-      targetMeanPrice: /\\"targetMeanPrice\\":\s*(\{[^}]+\})/,
-      targetHighPrice: /\\"targetHighPrice\\":\s*(\{[^}]+\})/,
-      targetLowPrice: /\\"targetLowPrice\\":\s*(\{[^}]+\})/,
+      targetMeanPrice: ['financialData.targetMeanPrice'],
+      targetHighPrice: ['financialData.targetHighPrice'],
+      targetLowPrice: ['financialData.targetLowPrice'],
       // Analyst data
-      recommendationMean: /\\"recommendationMean\\":\s*(\{[^}]+\})/,
-      numberOfAnalystOpinions: /\\"numberOfAnalystOpinions\\":\s*(\{[^}]+\})/
-    };
-    
-    for (const [field, pattern] of Object.entries(estimatePatterns)) {
-      const match = html.match(pattern);
-      if (match) {
-        try {
-          let jsonStr = match[1];
-          jsonStr = jsonStr.replace(/\\"/g, '"');
-          const fieldData = JSON.parse(jsonStr);
-          estimatesData[field] = fieldData;
-        } catch (e) {
-        }
-      }
-    }
+      recommendationMean: ['financialData.recommendationMean'],
+      numberOfAnalystOpinions: ['financialData.numberOfAnalystOpinions']
+    });
     
     if (Object.keys(estimatesData).length > 0) {
       return estimatesData;
     }
     
-    return null;
+    throw missingQuoteDataError(page, 'analyst estimates');
   } catch (error) {
-    return null;
+    throw toFinancialDataError(error, { symbol });
   }
 }
 
@@ -631,7 +1073,7 @@ async function fetchYahooEstimates({ symbol }) {
     const estimatesData = await extractEstimatesData(symbol);
     
     if (!estimatesData) {
-      throw new Error('Could not extract analyst estimates data from Yahoo Finance page');
+      throw new ParseError('Could not extract analyst estimates data from Yahoo Finance page', { symbol, source: 'Yahoo Finance' });
     }
     
     const row = toStockEstimatesRow(symbol, estimatesData);
@@ -652,86 +1094,69 @@ async function fetchYahooEstimates({ symbol }) {
 async function extractPricingData(symbol) {
   try {
     
-    const response = await axios.get(`https://finance.yahoo.com/quote/${symbol}?p=${symbol}`, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_7 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.1.2 Mobile/15E148 Safari/604.1'
-      },
-      timeout: 15000
-    });
-    
-    const html = response.data;
+    const page = await getQuotePage(symbol);
     
-    const pricingData = {};
-    
-    // Pricing field patterns from summaryDetail and price sections
-    const pricingPatterns = {
+    // Pricing fields from the price and summaryDetail modules
+    const pricingData = page.values({
       // Current and previous prices
-      currentPrice: /\\"currentPrice\\":\s*(\{[^}]+\})/,
-      previousClose: /\\"previousClose\\":\s*(\{[^}]+\})/,
-      open: /\\"open\\":\s*(\{[^}]+\})/,
-      dayLow: /\\"dayLow\\":\s*(\{[^}]+\})/,
-      dayHigh: /\\"dayHigh\\":\s*(\{[^}]+\})/,
+      currentPrice: ['financialData.currentPrice'],
+      previousClose: ['summaryDetail.previousClose', 'price.regularMarketPreviousClose', 'quote.regularMarketPreviousClose'],
+      open: ['summaryDetail.open', 'price.regularMarketOpen', 'quote.regularMarketOpen'],
+      dayLow: ['summaryDetail.dayLow', 'price.regularMarketDayLow', 'quote.regularMarketDayLow'],
+      dayHigh: ['summaryDetail.dayHigh', 'price.regularMarketDayHigh', 'quote.regularMarketDayHigh'],
       
       // Market hours pricing
-      regularMarketPrice: /\\"regularMarketPrice\\":\s*(\{[^}]+\})/,
-      regularMarketChange: /\\"regularMarketChange\\":\s*(\{[^}]+\})/,
-      regularMarketChangePercent: /\\"regularMarketChangePercent\\":\s*(\{[^}]+\})/,
+      regularMarketPrice: ['price.regularMarketPrice', 'quote.regularMarketPrice'],
+      regularMarketChange: ['price.regularMarketChange', 'quote.regularMarketChange'],
+      regularMarketChangePercent: ['price.regularMarketChangePercent'],
       
       // Pre-market data
-      preMarketPrice: /\\"preMarketPrice\\":\s*(\{[^}]+\})/,
-      preMarketChange: /\\"preMarketChange\\":\s*(\{[^}]+\})/,
-      preMarketChangePercent: /\\"preMarketChangePercent\\":\s*(\{[^}]+\})/,
+      preMarketPrice: ['price.preMarketPrice', 'quote.preMarketPrice'],
+      preMarketChange: ['price.preMarketChange', 'quote.preMarketChange'],
+      preMarketChangePercent: ['price.preMarketChangePercent'],
       
       // Post-market data
-      postMarketPrice: /\\"postMarketPrice\\":\s*(\{[^}]+\})/,
-      postMarketChange: /\\"postMarketChange\\":\s*(\{[^}]+\})/,
-      postMarketChangePercent: /\\"postMarketChangePercent\\":\s*(\{[^}]+\})/,
+      postMarketPrice: ['price.postMarketPrice', 'quote.postMarketPrice'],
+      postMarketChange: ['price.postMarketChange', 'quote.postMarketChange'],
+      postMarketChangePercent: ['price.postMarketChangePercent'],
       
       // Volume data
-      volume: /\\"volume\\":\s*(\{[^}]+\})/,
-      averageVolume: /\\"averageVolume\\":\s*(\{[^}]+\})/,
-      averageDailyVolume10Day: /\\"averageDailyVolume10Day\\":\s*(\{[^}]+\})/,
+      volume: ['summaryDetail.volume', 'price.regularMarketVolume', 'quote.regularMarketVolume'],
+      averageVolume: ['summaryDetail.averageVolume', 'price.averageDailyVolume3Month', 'quote.averageDailyVolume3Month'],
+      averageDailyVolume10Day: ['price.averageDailyVolume10Day', 'summaryDetail.averageVolume10days', 'quote.averageDailyVolume10Day'],
       
       // Price ranges
-      fiftyTwoWeekLow: /\\"fiftyTwoWeekLow\\":\s*(\{[^}]+\})/,
-      fiftyTwoWeekHigh: /\\"fiftyTwoWeekHigh\\":\s*(\{[^}]+\})/,
-      fiftyDayAverage: /\\"fiftyDayAverage\\":\s*(\{[^}]+\})/,
-      twoHundredDayAverage: /\\"twoHundredDayAverage\\":\s*(\{[^}]+\})/,
+      fiftyTwoWeekLow: ['summaryDetail.fiftyTwoWeekLow', 'quote.fiftyTwoWeekLow'],
+      fiftyTwoWeekHigh: ['summaryDetail.fiftyTwoWeekHigh', 'quote.fiftyTwoWeekHigh'],
+      fiftyDayAverage: ['summaryDetail.fiftyDayAverage', 'quote.fiftyDayAverage'],
+      twoHundredDayAverage: ['summaryDetail.twoHundredDayAverage', 'quote.twoHundredDayAverage'],
       
       // Bid/Ask
-      bid: /\\"bid\\":\s*(\{[^}]+\})/,
-      ask: /\\"ask\\":\s*(\{[^}]+\})/,
-      bidSize: /\\"bidSize\\":\s*(\{[^}]+\})/,
-      askSize: /\\"askSize\\":\s*(\{[^}]+\})/,
+      bid: ['summaryDetail.bid', 'quote.bid'],
+      ask: ['summaryDetail.ask', 'quote.ask'],
+      bidSize: ['summaryDetail.bidSize', 'quote.bidSize'],
+      askSize: ['summaryDetail.askSize', 'quote.askSize'],
       
       // Market state
-      marketState: /\\"marketState\\":\s*\\"([^"]+)\\"/
-    };
+      marketState: ['price.marketState', 'quote.marketState'],
+      currency: ['price.currency', 'summaryDetail.currency', 'quote.currency']
+    });
     
-    for (const [field, pattern] of Object.entries(pricingPatterns)) {
-      const match = html.match(pattern);
-      if (match) {
-        try {
-          if (field === 'marketState') {
-            pricingData[field] = match[1];
-          } else {
-            let jsonStr = match[1];
-            jsonStr = jsonStr.replace(/\\"/g, '"');
-            const fieldData = JSON.parse(jsonStr);
-            pricingData[field] = fieldData;
-          }
-        } catch (e) {
-        }
+    // The v7 quote reports change percentages in percent rather than as fractions
+    ['regularMarketChangePercent', 'preMarketChangePercent', 'postMarketChangePercent'].forEach(field => {
+      const percent = pricingData[field] === undefined ? page.value(`quote.${field}`) : null;
+      if (percent !== null) {
+        pricingData[field] = percent / 100;
       }
-    }
+    });
     
     if (Object.keys(pricingData).length > 0) {
       return pricingData;
     }
     
-    return null;
+    throw missingQuoteDataError(page, 'pricing');
   } catch (error) {
-    return null;
+    throw toFinancialDataError(error, { symbol });
   }
 }
 
@@ -798,7 +1223,7 @@ function toStockPricingRow(symbol, pricingData) {
     
     // Meta
     market_state: pricingData.marketState || 'UNKNOWN',
-    currency: 'USD',
+    currency: pricingData.currency || 'USD',
     report_date: currentDate
   };
 }
@@ -893,7 +1318,7 @@ async function fetchYahooPricing({ symbol }) {
     const pricingData = await extractPricingData(symbol);
     
     if (!pricingData) {
-      throw new Error('Could not extract pricing data from Yahoo Finance page');
+      throw new ParseError('Could not extract pricing data from Yahoo Finance page', { symbol, source: 'Yahoo Finance' });
     }
     
     const row = toStockPricingRow(symbol, pricingData);
@@ -914,74 +1339,37 @@ async function fetchYahooPricing({ symbol }) {
 async function extractFinancialData(symbol) {
   try {
     
-    const response = await axios.get(`https://finance.yahoo.com/quote/${symbol}?p=${symbol}`, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_7 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.1.2 Mobile/15E148 Safari/604.1'
-      },
-      timeout: 15000
-    });
-    
-    const html = response.data;
-    
-    const financialData = {};
+    const page = await getQuotePage(symbol);
     
-    // Financial field patterns from financialData section
-    const financialPatterns = {
+    // Financial fields from the financialData module
+    const financialFields = [
       // Cash & Debt
-      totalCash: /\\"totalCash\\":\s*(\{[^}]+\})/,
-      totalCashPerShare: /\\"totalCashPerShare\\":\s*(\{[^}]+\})/,
-      totalDebt: /\\"totalDebt\\":\s*(\{[^}]+\})/,
-      debtToEquity: /\\"debtToEquity\\":\s*(\{[^}]+\})/,
-      
+      'totalCash', 'totalCashPerShare', 'totalDebt', 'debtToEquity',
       // Profitability
-      totalRevenue: /\\"totalRevenue\\":\s*(\{[^}]+\})/,
-      revenuePerShare: /\\"revenuePerShare\\":\s*(\{[^}]+\})/,
-      grossProfits: /\\"grossProfits\\":\s*(\{[^}]+\})/,
-      ebitda: /\\"ebitda\\":\s*(\{[^}]+\})/,
-      
+      'totalRevenue', 'revenuePerShare', 'grossProfits', 'ebitda',
       // Returns
-      returnOnAssets: /\\"returnOnAssets\\":\s*(\{[^}]+\})/,
-      returnOnEquity: /\\"returnOnEquity\\":\s*(\{[^}]+\})/,
-      
+      'returnOnAssets', 'returnOnEquity',
       // Cash Flow
-      freeCashflow: /\\"freeCashflow\\":\s*(\{[^}]+\})/,
-      operatingCashflow: /\\"operatingCashflow\\":\s*(\{[^}]+\})/,
-      
+      'freeCashflow', 'operatingCashflow',
       // Growth
-      earningsGrowth: /\\"earningsGrowth\\":\s*(\{[^}]+\})/,
-      revenueGrowth: /\\"revenueGrowth\\":\s*(\{[^}]+\})/,
-      
+      'earningsGrowth', 'revenueGrowth',
       // Margins
-      grossMargins: /\\"grossMargins\\":\s*(\{[^}]+\})/,
-      ebitdaMargins: /\\"ebitdaMargins\\":\s*(\{[^}]+\})/,
-      operatingMargins: /\\"operatingMargins\\":\s*(\{[^}]+\})/,
-      profitMargins: /\\"profitMargins\\":\s*(\{[^}]+\})/,
-      
+      'grossMargins', 'ebitdaMargins', 'operatingMargins', 'profitMargins',
       // Liquidity
-      quickRatio: /\\"quickRatio\\":\s*(\{[^}]+\})/,
-      currentRatio: /\\"currentRatio\\":\s*(\{[^}]+\})/
-    };
+      'quickRatio', 'currentRatio'
+    ];
     
-    for (const [field, pattern] of Object.entries(financialPatterns)) {
-      const match = html.match(pattern);
-      if (match) {
-        try {
-          let jsonStr = match[1];
-          jsonStr = jsonStr.replace(/\\"/g, '"');
-          const fieldData = JSON.parse(jsonStr);
-          financialData[field] = fieldData;
-        } catch (e) {
-        }
-      }
-    }
+    const financialData = page.values(Object.fromEntries(
+      financialFields.map(field => [field, [`financialData.${field}`]])
+    ));
     
     if (Object.keys(financialData).length > 0) {
       return financialData;
     }
     
-    return null;
+    throw missingQuoteDataError(page, 'financial');
   } catch (error) {
-    return null;
+    throw toFinancialDataError(error, { symbol });
   }
 }
 
@@ -1123,7 +1511,7 @@ async function fetchYahooFinancials({ symbol }) {
     const financialData = await extractFinancialData(symbol);
     
     if (!financialData) {
-      throw new Error('Could not extract financial data from Yahoo Finance page');
+      throw new ParseError('Could not extract financial data from Yahoo Finance page', { symbol, source: 'Yahoo Finance' });
     }
     
     const row = toStockFinancialsRow(symbol, financialData);
@@ -1146,10 +1534,11 @@ async function extractRevenueBreakdownData(symbol) {
     
     const cheerio = require('cheerio');
     const results = { segments: [], geography: [] };
+    const pageErrors = [];
     
     // Fetch segment breakdown
     try {
-      const segmentResponse = await axios.get(`https://stockanalysis.com/stocks/${symbol}/metrics/revenue-by-segment/`, {
+      const segmentResponse = await httpClient.get(`https://stockanalysis.com/stocks/${symbol}/metrics/revenue-by-segment/`, {
         headers: {
           'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
           'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8',
@@ -1192,11 +1581,12 @@ async function extractRevenueBreakdownData(symbol) {
         }
       }
     } catch (segError) {
+      pageErrors.push(segError);
     }
     
     // Fetch geographic breakdown
     try {
-      const geoResponse = await axios.get(`https://stockanalysis.com/stocks/${symbol}/metrics/revenue-by-geography/`, {
+      const geoResponse = await httpClient.get(`https://stockanalysis.com/stocks/${symbol}/metrics/revenue-by-geography/`, {
         headers: {
           'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
           'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8',
@@ -1238,18 +1628,22 @@ async function extractRevenueBreakdownData(symbol) {
         }
       }
     } catch (geoError) {
-      if (geoError.response?.status === 404) {
-      } else {
-      }
+      pageErrors.push(geoError);
     }
     
     if (results.segments.length > 0 || results.geography.length > 0) {
       return results;
     }
     
-    return null;
+    // A 404 only means stockanalysis.com has no breakdown page for this company
+    const failure = pageErrors.find(error => error.response?.status !== 404);
+    if (failure) {
+      throw toFinancialDataError(failure, { source: 'stockanalysis.com', symbol });
+    }
+    
+    throw new DataUnavailableError(`No revenue breakdown available for ${symbol} on stockanalysis.com`, { symbol, source: 'stockanalysis.com' });
   } catch (error) {
-    return null;
+    throw toFinancialDataError(error, { source: 'stockanalysis.com', symbol });
   }
 }
 
@@ -1391,7 +1785,7 @@ async function fetchRevenueBreakdown({ symbol }) {
     const revenueData = await extractRevenueBreakdownData(symbol);
     
     if (!revenueData) {
-      throw new Error('Could not extract revenue breakdown data from stockanalysis.com');
+      throw new ParseError('Could not extract revenue breakdown data from stockanalysis.com', { symbol, source: 'stockanalysis.com' });
     }
     
     const rows = toRevenueBreakdownRows(symbol, revenueData);
@@ -1421,7 +1815,7 @@ async function extractNewsData(query, isGeneralSearch = false) {
       return await extractStockNewsData(query);
     }
   } catch (error) {
-    return null;
+    throw toFinancialDataError(error, isGeneralSearch ? { source: 'Yahoo Search' } : { symbol: query });
   }
 }
 
@@ -1432,14 +1826,9 @@ async function extractNewsData(query, isGeneralSearch = false) {
  */
 async function extractStockNewsData(symbol) {
   const sentiment = new Sentiment();
-  const response = await axios.get(`https://finance.yahoo.com/quote/${symbol}?p=${symbol}`, {
-    headers: {
-      'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_7 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.1.2 Mobile/15E148 Safari/604.1'
-    },
-    timeout: 15000
-  });
+  const page = await getQuotePage(symbol);
   
-  const $ = cheerio.load(response.data);
+  const $ = page.$;
   
   // Find the news section
   const newsSection = $('[data-testid*="news"]');
@@ -1569,7 +1958,7 @@ async function extractGeneralNewsData(searchTerm) {
   const sentiment = new Sentiment();
   const searchUrl = `https://search.yahoo.com/search?p=${encodeURIComponent(searchTerm + ' news')}&ei=UTF-8`;
   
-  const response = await axios.get(searchUrl, {
+  const response = await httpClient.get(searchUrl, {
     headers: {
       'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_7 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.1.2 Mobile/15E148 Safari/604.1'
     },
@@ -1802,7 +2191,7 @@ async function fetchStockNews({ symbol, search_type = 'stock' }) {
     const newsData = await extractNewsData(symbol, isGeneralSearch);
     
     if (!newsData) {
-      throw new Error(`Could not extract news data for ${symbol}`);
+      throw new DataUnavailableError(`No news found for ${symbol}`, { symbol, source: isGeneralSearch ? 'Yahoo Search' : 'Yahoo Finance' });
     }
     
     const rows = toNewsRows(symbol, newsData);
@@ -1817,226 +2206,249 @@ async function fetchStockNews({ symbol, search_type = 'stock' }) {
 
 // Placeholder functions for remaining methods (ownership data not available in Yahoo Finance)
 
+// Sector, industry and approximate market cap of US large/mid caps (src/data/stocks.json),
+// the local universe for same-industry peer discovery
+const STOCK_REFERENCE = require('./data/stocks.json');
+const PEER_DEFAULT_COUNT = 5;
+const PEER_MAX_COUNT = 15;
+
+/**
+ * Yahoo Finance "people also watch" symbols for a ticker, best first
+ * @param {string} symbol - Stock ticker symbol
+ * @returns {Promise<Array>} [{ symbol, score }] (empty when Yahoo has none)
+ */
+async function fetchYahooRecommendedSymbols(symbol) {
+  const response = await httpClient.get(`https://query2.finance.yahoo.com/v6/finance/recommendationsbysymbol/${encodeURIComponent(symbol)}`, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_7 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.1.2 Mobile/15E148 Safari/604.1'
+    },
+    timeout: 10000
+  });
+
+  const result = response.data?.finance?.result?.[0];
+  return (result?.recommendedSymbols || [])
+    .filter(item => typeof item?.symbol === 'string')
+    .map(item => ({ symbol: item.symbol.toUpperCase(), score: typeof item.score === 'number' ? item.score : null }));
+}
+
+/**
+ * Rank peer candidates for a company. Tiers, best first: Yahoo recommendations in the
+ * same industry, other same-industry constituents of the reference universe, remaining
+ * Yahoo recommendations, then same-sector constituents. Recommendations keep Yahoo's
+ * order; constituents are ordered by market-cap proximity to the target.
+ * @param {Object} target - { symbol, industry, sector, marketCap }
+ * @param {Array} recommended - Yahoo recommended symbols
+ * @returns {Array} Candidates with the evidence for each
+ */
+function rankPeerCandidates(target, recommended) {
+  const reference = new Map(STOCK_REFERENCE.stocks.map(stock => [stock.symbol, stock]));
+  const targetCap = target.marketCap || (reference.get(target.symbol)?.market_cap_billions ?? 0) * 1e9 || null;
+  const candidates = new Map();
+
+  const candidate = symbol => {
+    if (!candidates.has(symbol)) {
+      const stock = reference.get(symbol) || null;
+      candidates.set(symbol, {
+        symbol,
+        reference: stock,
+        recommendation_rank: null,
+        recommendation_score: null,
+        same_industry: stock?.industry === target.industry,
+        same_sector: stock?.sector === target.sector,
+        market_cap_ratio: stock && targetCap ? (stock.market_cap_billions * 1e9) / targetCap : null
+      });
+    }
+    return candidates.get(symbol);
+  };
+
+  recommended
+    .filter(item => item.symbol !== target.symbol)
+    .forEach((item, i) => Object.assign(candidate(item.symbol), { recommendation_rank: i + 1, recommendation_score: item.score }));
+  STOCK_REFERENCE.stocks
+    .filter(stock => stock.symbol !== target.symbol && stock.sector === target.sector)
+    .forEach(stock => candidate(stock.symbol));
+
+  const tier = c => (c.recommendation_rank && c.same_industry ? 0 : c.same_industry ? 1 : c.recommendation_rank ? 2 : 3);
+  const capDistance = c => (c.market_cap_ratio ? Math.abs(Math.log(c.market_cap_ratio)) : Infinity);
+
+  return [...candidates.values()].sort((a, b) =>
+    tier(a) - tier(b) ||
+    (tier(a) % 2 === 0 ? a.recommendation_rank - b.recommendation_rank : capDistance(a) - capDistance(b)) ||
+    a.symbol.localeCompare(b.symbol)
+  );
+}
+
 /**
- * Extract peer comparison data using industry classification
+ * Extract the target company and its discovered peer candidates
  * @param {string} symbol - Stock ticker symbol
- * @returns {Promise<Object|null>} Peer comparison data
+ * @returns {Promise<Object>} Target profile, metrics and ranked peer candidates
  */
 async function extractPeerData(symbol) {
   try {
-    
-    // First get the target company's industry and key metrics
-    const response = await axios.get(`https://finance.yahoo.com/quote/${symbol}?p=${symbol}`, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_7 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.1.2 Mobile/15E148 Safari/604.1'
-      },
-      timeout: 15000
-    });
-    
-    const html = response.data;
-    
-    // Extract industry and sector
-    const industryMatch = html.match(/\\"industry\\":\\"([^"]+)\\"/);
-    const sectorMatch = html.match(/\\"sector\\":\\"([^"]+)\\"/);
-    
-    if (!industryMatch) {
-      return null;
-    }
-    
-    const industry = industryMatch[1];
-    const sector = sectorMatch ? sectorMatch[1] : 'Unknown';
-    
-    
-    // Define peer mappings based on industry/symbol
-    const peerMappings = {
-      // Technology
-      'AAPL': ['MSFT', 'GOOGL', 'AMZN', 'META'],
-      'MSFT': ['AAPL', 'GOOGL', 'AMZN', 'META'],
-      'GOOGL': ['AAPL', 'MSFT', 'AMZN', 'META'],
-      'META': ['AAPL', 'MSFT', 'GOOGL', 'AMZN'],
-      
-      // Auto/EV
-      'TSLA': ['NIO', 'RIVN', 'F', 'GM'],
-      'F': ['GM', 'TSLA', 'RIVN', 'NIO'],
-      'GM': ['F', 'TSLA', 'RIVN', 'NIO'],
-      
-      // Semiconductors
-      'NVDA': ['AMD', 'INTC', 'QCOM', 'AVGO'],
-      'AMD': ['NVDA', 'INTC', 'QCOM', 'AVGO'],
-      'INTC': ['NVDA', 'AMD', 'QCOM', 'AVGO'],
-      
-      // Banks
-      'JPM': ['BAC', 'WFC', 'C', 'GS'],
-      'BAC': ['JPM', 'WFC', 'C', 'GS'],
-      
-      // Healthcare
-      'JNJ': ['PFE', 'MRK', 'ABBV', 'UNH'],
-      'PFE': ['JNJ', 'MRK', 'ABBV', 'UNH'],
-      
-      // Retail
-      'WMT': ['TGT', 'COST', 'HD', 'LOW'],
-      'AMZN': ['WMT', 'TGT', 'COST', 'EBAY']
-    };
-    
-    // Get peers for this symbol, fallback to industry-based logic
-    let peers = peerMappings[symbol.toUpperCase()] || [];
-    
-    // If no predefined peers, use some defaults based on industry keywords
-    if (peers.length === 0) {
-      if (industry.toLowerCase().includes('auto')) {
-        peers = ['F', 'GM', 'HMC', 'TM'];
-      } else if (industry.toLowerCase().includes('tech') || industry.toLowerCase().includes('software')) {
-        peers = ['AAPL', 'MSFT', 'GOOGL', 'META'];
-      } else if (industry.toLowerCase().includes('bank') || industry.toLowerCase().includes('financial')) {
-        peers = ['JPM', 'BAC', 'WFC', 'C'];
-      } else if (industry.toLowerCase().includes('health') || industry.toLowerCase().includes('pharma')) {
-        peers = ['JNJ', 'PFE', 'MRK', 'UNH'];
-      } else {
-        // Generic large caps as fallback
-        peers = ['AAPL', 'MSFT', 'AMZN', 'GOOGL'];
-      }
+    const key = symbol.toUpperCase();
+    const page = await getQuotePage(key);
+
+    const industry = page.value('assetProfile.industry', 'summaryProfile.industry');
+    const sector = page.value('assetProfile.sector', 'summaryProfile.sector') || 'Unknown';
+
+    if (!industry) {
+      throw missingQuoteDataError(page, 'industry');
     }
-    
-    // Extract key metrics for comparison
-    const metrics = {};
-    const metricPatterns = {
-      marketCap: /\\"marketCap\\":\{[^}]*\\"raw\\":(\d+)/,
-      trailingPE: /\\"trailingPE\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-      forwardPE: /\\"forwardPE\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-      pegRatio: /\\"pegRatio\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-      priceToBook: /\\"priceToBook\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-      enterpriseValue: /\\"enterpriseValue\\":\{[^}]*\\"raw\\":(\d+)/,
-      revenueGrowth: /\\"revenueGrowth\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-      earningsGrowth: /\\"earningsGrowth\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/
-    };
-    
-    for (const [metric, pattern] of Object.entries(metricPatterns)) {
-      const match = html.match(pattern);
-      if (match) {
-        metrics[metric] = parseFloat(match[1]);
-      }
+
+    const metrics = extractPeerMetrics(page);
+
+    // Recommendations are one input among two, so an outage there is not fatal
+    let recommended = null;
+    try {
+      recommended = await fetchYahooRecommendedSymbols(key);
+    } catch (error) {
+      recommended = null;
     }
-    
+
+    const candidates = rankPeerCandidates({ symbol: key, industry, sector, marketCap: metrics.marketCap }, recommended || []);
+
     return {
-      symbol: symbol.toUpperCase(),
+      symbol: key,
       industry,
       sector,
-      peers: peers.slice(0, 4), // Limit to 4 peers
-      metrics
+      metrics,
+      recommended,
+      candidates
     };
-    
   } catch (error) {
-    return null;
+    throw toFinancialDataError(error, { symbol });
   }
 }
 
 /**
- * Fetch metrics for peer companies
- * @param {Array} peers - Array of peer symbols
- * @returns {Promise<Object>} Peer metrics
+ * Read the valuation and growth metrics used for peer comparison
+ * @param {Object} page - Quote page (see getQuotePage)
+ * @returns {Object} Peer metrics
  */
-async function fetchPeerMetrics(peers) {
-  const peerData = {};
-  
-  for (const peer of peers) {
+function extractPeerMetrics(page) {
+  return page.values({
+    industry: ['assetProfile.industry', 'summaryProfile.industry'],
+    sector: ['assetProfile.sector', 'summaryProfile.sector'],
+    marketCap: ['price.marketCap', 'summaryDetail.marketCap', 'quote.marketCap'],
+    trailingPE: ['summaryDetail.trailingPE', 'quote.trailingPE'],
+    forwardPE: ['summaryDetail.forwardPE', 'defaultKeyStatistics.forwardPE', 'quote.forwardPE'],
+    pegRatio: ['defaultKeyStatistics.pegRatio'],
+    priceToBook: ['defaultKeyStatistics.priceToBook', 'quote.priceToBook'],
+    enterpriseValue: ['defaultKeyStatistics.enterpriseValue'],
+    revenueGrowth: ['financialData.revenueGrowth'],
+    earningsGrowth: ['financialData.earningsGrowth']
+  });
+}
+
+/**
+ * Fetch metrics for peer candidates in rank order until `count` have loaded
+ * Candidates whose quote page fails are skipped, so a delisted ticker in the
+ * reference universe is replaced by the next candidate.
+ * @param {Array} candidates - Ranked candidates (see rankPeerCandidates)
+ * @param {number} count - Number of peers wanted
+ * @returns {Promise<Array>} Candidates that loaded, with their metrics
+ */
+async function fetchPeerMetrics(candidates, count) {
+  const peers = [];
+
+  for (const candidate of candidates) {
+    if (peers.length >= count) break;
     try {
-      
-      const response = await axios.get(`https://finance.yahoo.com/quote/${peer}?p=${peer}`, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_7 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.1.2 Mobile/15E148 Safari/604.1'
-        },
-        timeout: 10000
-      });
-      
-      const html = response.data;
-      const metrics = {};
-      
-      const metricPatterns = {
-        marketCap: /\\"marketCap\\":\{[^}]*\\"raw\\":(\d+)/,
-        trailingPE: /\\"trailingPE\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-        forwardPE: /\\"forwardPE\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-        pegRatio: /\\"pegRatio\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-        priceToBook: /\\"priceToBook\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-        enterpriseValue: /\\"enterpriseValue\\":\{[^}]*\\"raw\\":(\d+)/,
-        revenueGrowth: /\\"revenueGrowth\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-        earningsGrowth: /\\"earningsGrowth\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/
-      };
-      
-      for (const [metric, pattern] of Object.entries(metricPatterns)) {
-        const match = html.match(pattern);
-        if (match) {
-          metrics[metric] = parseFloat(match[1]);
-        }
-      }
-      
-      peerData[peer] = metrics;
-      
+      const page = await getQuotePage(candidate.symbol, { timeout: 10000 });
+      peers.push({ ...candidate, metrics: extractPeerMetrics(page) });
+
       // Small delay to avoid overwhelming the server
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
+      await httpClient.pause(500);
     } catch (error) {
-      peerData[peer] = null;
+      // Try the next candidate
     }
   }
-  
-  return peerData;
+
+  return peers;
+}
+
+/**
+ * Why a peer was chosen, e.g. "Yahoo "people also watch" #2; same industry (Banks - Regional); market cap 0.8x FITB"
+ */
+function peerReason(peer, targetData) {
+  const reasons = [];
+  if (peer.recommendation_rank) reasons.push(`Yahoo "people also watch" #${peer.recommendation_rank}`);
+  if (peer.same_industry) {
+    reasons.push(`same industry (${targetData.industry})`);
+  } else if (peer.same_sector) {
+    reasons.push(`same sector (${targetData.sector})`);
+  }
+  if (peer.market_cap_ratio) reasons.push(`market cap ${peer.market_cap_ratio.toFixed(peer.market_cap_ratio < 0.1 ? 3 : 2)}x ${targetData.symbol}`);
+  return reasons.join('; ');
 }
 
 /**
  * Convert peer data to standardized rows
  * @param {Object} targetData - Target company data
- * @param {Object} peerMetrics - Peer company metrics
+ * @param {Array} peers - Loaded peers (see fetchPeerMetrics)
  * @returns {Array} Array of comparison rows
  */
-function toPeerComparisonRows(targetData, peerMetrics) {
-  const rows = [];
+function toPeerComparisonRows(targetData, peers) {
   const currentDate = new Date().toISOString().split('T')[0];
-  
-  // Add target company row
-  rows.push({
-    symbol: targetData.symbol,
-    company_type: 'target',
-    industry: targetData.industry,
-    sector: targetData.sector,
-    market_cap: targetData.metrics.marketCap || null,
-    trailing_pe: targetData.metrics.trailingPE || null,
-    forward_pe: targetData.metrics.forwardPE || null,
-    peg_ratio: targetData.metrics.pegRatio || null,
-    price_to_book: targetData.metrics.priceToBook || null,
-    enterprise_value: targetData.metrics.enterpriseValue || null,
-    revenue_growth: targetData.metrics.revenueGrowth || null,
-    earnings_growth: targetData.metrics.earningsGrowth || null,
+
+  const row = (symbol, companyType, metrics, industry, sector) => ({
+    symbol,
+    company_type: companyType,
+    industry,
+    sector,
+    market_cap: metrics.marketCap || null,
+    trailing_pe: metrics.trailingPE || null,
+    forward_pe: metrics.forwardPE || null,
+    peg_ratio: metrics.pegRatio || null,
+    price_to_book: metrics.priceToBook || null,
+    enterprise_value: metrics.enterpriseValue || null,
+    revenue_growth: metrics.revenueGrowth || null,
+    earnings_growth: metrics.earningsGrowth || null,
+    peer_rank: null,
+    peer_basis: [],
+    peer_reason: null,
+    market_cap_ratio: null,
+    recommendation_score: null,
     report_date: currentDate
   });
-  
-  // Add peer rows
-  Object.entries(peerMetrics).forEach(([symbol, metrics]) => {
-    if (metrics) {
-      rows.push({
-        symbol: symbol,
-        company_type: 'peer',
-        industry: targetData.industry,
-        sector: targetData.sector,
-        market_cap: metrics.marketCap || null,
-        trailing_pe: metrics.trailingPE || null,
-        forward_pe: metrics.forwardPE || null,
-        peg_ratio: metrics.pegRatio || null,
-        price_to_book: metrics.priceToBook || null,
-        enterprise_value: metrics.enterpriseValue || null,
-        revenue_growth: metrics.revenueGrowth || null,
-        earnings_growth: metrics.earningsGrowth || null,
-        report_date: currentDate
-      });
-    }
+
+  const rows = [row(targetData.symbol, 'target', targetData.metrics, targetData.industry, targetData.sector)];
+
+  peers.forEach((peer, i) => {
+    // Prefer the live profile over the reference file, and re-check the industry against it
+    const industry = peer.metrics.industry || peer.reference?.industry || null;
+    const sector = peer.metrics.sector || peer.reference?.sector || null;
+    const evidence = {
+      ...peer,
+      same_industry: industry === targetData.industry,
+      same_sector: sector === targetData.sector,
+      market_cap_ratio: peer.metrics.marketCap && targetData.metrics.marketCap
+        ? peer.metrics.marketCap / targetData.metrics.marketCap
+        : peer.market_cap_ratio
+    };
+
+    rows.push({
+      ...row(peer.symbol, 'peer', peer.metrics, industry, sector),
+      peer_rank: i + 1,
+      peer_basis: [
+        evidence.recommendation_rank ? 'yahoo_recommendation' : null,
+        evidence.same_industry ? 'same_industry' : evidence.same_sector ? 'same_sector' : null,
+        // Constituents without a recommendation were ranked on market-cap proximity
+        !evidence.recommendation_rank && evidence.market_cap_ratio ? 'market_cap_proximity' : null
+      ].filter(Boolean),
+      peer_reason: peerReason(evidence, targetData),
+      market_cap_ratio: evidence.market_cap_ratio ? Math.round(evidence.market_cap_ratio * 1000) / 1000 : null,
+      recommendation_score: peer.recommendation_score
+    });
   });
-  
+
   return rows;
 }
 
 /**
  * Convert peer comparison to markdown
  */
-function peerComparisonAsMarkdown(rows, targetSymbol) {
+function peerComparisonAsMarkdown(rows, targetSymbol, summary = null) {
   if (!rows || rows.length === 0) {
     return `# ${targetSymbol} Peer Comparison\n\nNo peer comparison data available.`;
   }
@@ -2051,12 +2463,30 @@ function peerComparisonAsMarkdown(rows, targetSymbol) {
     `**Sector:** ${targetRow.sector}`,
     `**Peer Companies:** ${peerRows.map(p => p.symbol).join(', ')}`,
     '',
-    '## Valuation Metrics Comparison',
+    '## Why These Peers',
     '',
-    '| Company | Market Cap (B) | P/E Ratio | Forward P/E | PEG Ratio | P/B Ratio |',
-    '|---------|----------------|-----------|-------------|-----------|-----------|'
+    '| # | Peer | Industry | Basis |',
+    '|---|------|----------|-------|'
   ];
 
+  peerRows.forEach(row => {
+    parts.push(`| ${row.peer_rank} | ${row.symbol} | ${row.industry || 'N/A'} | ${row.peer_reason || 'N/A'} |`);
+  });
+
+  if (summary) {
+    const recommendations = summary.sources.yahoo_recommendations === null
+      ? 'unavailable'
+      : `${summary.sources.yahoo_recommendations} symbols`;
+    parts.push('');
+    parts.push(`*Sources: Yahoo "people also watch" (${recommendations}); ${summary.sources.industry_constituents} ${targetRow.industry} constituents in the reference universe (as of ${summary.sources.reference_as_of}).*`);
+  }
+
+  parts.push('');
+  parts.push('## Valuation Metrics Comparison');
+  parts.push('');
+  parts.push('| Company | Market Cap (B) | P/E Ratio | Forward P/E | PEG Ratio | P/B Ratio |');
+  parts.push('|---------|----------------|-----------|-------------|-----------|-----------|');
+
   // Add target company first
   const formatMarketCap = (val) => val ? `$${(val / 1e9).toFixed(1)}B` : 'N/A';
   const formatRatio = (val) => val ? val.toFixed(2) : 'N/A';
@@ -2097,97 +2527,491 @@ function peerComparisonAsMarkdown(rows, targetSymbol) {
   return parts.join('\n');
 }
 
-async function fetchStockPeers({ symbol }) {
-  try {
-    
-    const targetData = await extractPeerData(symbol);
-    
-    if (!targetData) {
-      throw new Error('Could not extract target company data for peer analysis');
-    }
-    
-    
-    const peerMetrics = await fetchPeerMetrics(targetData.peers);
-    
-    const rows = toPeerComparisonRows(targetData, peerMetrics);
-    const markdown = peerComparisonAsMarkdown(rows, symbol);
-    
-    return { rows, markdown };
-    
-  } catch (error) {
-    throw error;
+/**
+ * Fetch a peer comparison with peers discovered from Yahoo recommendations and
+ * same-industry constituents of the reference universe
+ * @param {Object} params - Parameters
+ * @param {string} params.symbol - Stock ticker symbol
+ * @param {number} params.count - Number of peers (default 5, max 15)
+ * @returns {Promise<Object>} { rows, summary, markdown }
+ */
+async function fetchStockPeers({ symbol, count = PEER_DEFAULT_COUNT }) {
+  if (!Number.isInteger(count) || count < 1 || count > PEER_MAX_COUNT) {
+    throw new InvalidInputError(`count must be an integer from 1 to ${PEER_MAX_COUNT}, got ${count}`);
+  }
+
+  const targetData = await extractPeerData(symbol);
+
+  if (targetData.candidates.length === 0) {
+    throw new DataUnavailableError(`No peers found for ${targetData.symbol}: Yahoo has no recommendations and no ${targetData.sector} stocks are in the reference universe`, { symbol: targetData.symbol, source: 'Yahoo Finance' });
   }
+
+  const peers = await fetchPeerMetrics(targetData.candidates, count);
+
+  const rows = toPeerComparisonRows(targetData, peers);
+  const summary = {
+    symbol: targetData.symbol,
+    industry: targetData.industry,
+    sector: targetData.sector,
+    requested_peers: count,
+    peers: peers.length,
+    candidates: targetData.candidates.length,
+    sources: {
+      yahoo_recommendations: targetData.recommended ? targetData.recommended.length : null,
+      industry_constituents: STOCK_REFERENCE.stocks.filter(stock => stock.industry === targetData.industry && stock.symbol !== targetData.symbol).length,
+      reference_as_of: STOCK_REFERENCE.as_of
+    }
+  };
+  const markdown = peerComparisonAsMarkdown(rows, targetData.symbol, summary);
+
+  return { rows, summary, markdown };
 }
 
-async function fetchYahooEarningsHistory({ symbol }) {
-  return { rows: [{ symbol, message: "Earnings history extraction not yet implemented" }], markdown: `# ${symbol} Earnings History\n\nEarnings history extraction coming soon.` };
+/**
+ * Parse the earnings table from the Yahoo Finance earnings calendar page
+ * @param {string} html - Calendar page HTML
+ * @returns {Array} Earnings calendar entries (most recent first)
+ */
+function parseEarningsCalendarTable(html) {
+  const $ = cheerio.load(html);
+  const entries = [];
+
+  const parseNumber = (text) => {
+    if (!text || text === '-' || text === '--' || text === 'N/A') return null;
+    const value = parseFloat(text.replace(/[,+%]/g, ''));
+    return isNaN(value) ? null : value;
+  };
+
+  $('table').each((t, table) => {
+    const headers = [];
+    $(table).find('thead th').each((i, th) => {
+      headers.push($(th).text().trim().toLowerCase());
+    });
+
+    const dateIdx = headers.findIndex(h => h.includes('earnings date'));
+    const estimateIdx = headers.findIndex(h => h.includes('estimate'));
+    const reportedIdx = headers.findIndex(h => h.includes('reported'));
+    const surpriseIdx = headers.findIndex(h => h.includes('surprise'));
+
+    if (dateIdx === -1 || reportedIdx === -1) return;
+
+    $(table).find('tbody tr').each((r, tr) => {
+      const cells = [];
+      $(tr).find('td').each((i, td) => {
+        cells.push($(td).text().trim());
+      });
+
+      // "Oct 30, 2025, 4 PM EDT" -> 2025-10-30
+      const dateMatch = (cells[dateIdx] || '').match(/([A-Z][a-z]{2}) (\d{1,2}), (\d{4})/);
+      if (!dateMatch) return;
+      const date = new Date(`${dateMatch[1]} ${dateMatch[2]}, ${dateMatch[3]} UTC`);
+      if (isNaN(date.getTime())) return;
+
+      entries.push({
+        reportDate: date.toISOString().split('T')[0],
+        epsEstimate: estimateIdx !== -1 ? parseNumber(cells[estimateIdx]) : null,
+        epsActual: parseNumber(cells[reportedIdx]),
+        surprisePercent: surpriseIdx !== -1 ? parseNumber(cells[surpriseIdx]) : null
+      });
+    });
+  });
+
+  return entries.sort((a, b) => b.reportDate.localeCompare(a.reportDate));
 }
 
 /**
- * Extract analyst recommendations data from Yahoo Finance
+ * Extract earnings history data from Yahoo Finance
+ * Combines the quote page earningsHistory/earnings modules with the earnings
+ * calendar, which reaches further back than the four quarters on the quote page.
  * @param {string} symbol - Stock ticker symbol
- * @returns {Promise<Array|null>} Recommendations data
+ * @returns {Promise<Object|null>} Earnings history data
  */
-async function extractRecommendationsData(symbol) {
+async function extractEarningsHistoryData(symbol) {
   try {
-    
-    const response = await axios.get(`https://finance.yahoo.com/quote/${symbol}?p=${symbol}`, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_7 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.1.2 Mobile/15E148 Safari/604.1'
-      },
-      timeout: 15000
-    });
-    
-    const html = response.data;
-    
-    // Search for recommendation trend data
-    const recommendationPattern = /\\"recommendationTrend\\":\{[^}]*\\"trend\\":\[([^\]]+)\]/;
-    const match = html.match(recommendationPattern);
-    
-    if (!match) {
-      return null;
+
+    const page = await getQuotePage(symbol);
+
+    const earningsHistory = page.module('earningsHistory');
+    const earnings = page.module('earnings');
+
+    const result = {
+      history: [],
+      epsChart: [],
+      financialsChart: [],
+      calendar: [],
+      calendarError: null,
+      nextEarningsDate: null,
+      currency: earnings?.financialCurrency || 'USD'
+    };
+
+    if (earningsHistory && Array.isArray(earningsHistory.history)) {
+      result.history = earningsHistory.history
+        .filter(item => item && item.quarter)
+        .map(item => ({
+          quarterEnd: item.quarter.raw ? new Date(item.quarter.raw * 1000).toISOString().split('T')[0] : null,
+          period: item.period || null,
+          epsActual: item.epsActual?.raw ?? null,
+          epsEstimate: item.epsEstimate?.raw ?? null,
+          epsDifference: item.epsDifference?.raw ?? null,
+          // Yahoo reports the surprise as a fraction; normalise to percent
+          surprisePercent: item.surprisePercent?.raw !== undefined ? item.surprisePercent.raw * 100 : null
+        }));
     }
-    
-    const trendData = match[1];
-    
-    // Extract individual recommendation periods
-    const periodPattern = /\{([^}]+)\}/g;
-    const periods = [];
-    let periodMatch;
-    
-    while ((periodMatch = periodPattern.exec(trendData)) !== null) {
-      const periodData = periodMatch[1];
-      
-      // Extract fields from each period
-      const fields = {};
-      const fieldPatterns = {
-        period: /\\"period\\":\\"([^"]+)\\"/,
-        strongBuy: /\\"strongBuy\\":(\d+)/,
-        buy: /\\"buy\\":(\d+)/,
-        hold: /\\"hold\\":(\d+)/,
-        sell: /\\"sell\\":(\d+)/,
-        strongSell: /\\"strongSell\\":(\d+)/
-      };
-      
-      for (const [field, pattern] of Object.entries(fieldPatterns)) {
-        const fieldMatch = periodData.match(pattern);
-        if (fieldMatch) {
-          fields[field] = field === 'period' ? fieldMatch[1] : parseInt(fieldMatch[1]);
-        }
+
+    if (earnings) {
+      result.epsChart = (earnings.earningsChart?.quarterly || []).map(item => ({
+        fiscalQuarter: item.date,
+        epsActual: item.actual?.raw ?? null,
+        epsEstimate: item.estimate?.raw ?? null
+      }));
+
+      result.financialsChart = (earnings.financialsChart?.quarterly || []).map(item => ({
+        fiscalQuarter: item.date,
+        revenue: item.revenue?.raw ?? null,
+        earnings: item.earnings?.raw ?? null
+      }));
+
+      const upcoming = earnings.earningsChart?.earningsDate;
+      if (Array.isArray(upcoming) && upcoming.length > 0 && upcoming[0].raw) {
+        result.nextEarningsDate = new Date(upcoming[0].raw * 1000).toISOString().split('T')[0];
       }
-      
-      if (fields.period) {
-        periods.push(fields);
+    }
+
+    // The earnings calendar lists reported EPS, estimates and report dates for older quarters
+    try {
+      const calendarResponse = await httpClient.get(`https://finance.yahoo.com/calendar/earnings?symbol=${symbol}&offset=0&size=25`, {
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_7 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.1.2 Mobile/15E148 Safari/604.1'
+        },
+        timeout: 15000
+      });
+
+      result.calendar = parseEarningsCalendarTable(calendarResponse.data);
+    } catch (calendarError) {
+      // Without the calendar only the quote page's last four quarters remain; report that
+      // as partial data, but fail outright when a retry later would get the full history
+      const classified = toFinancialDataError(calendarError, { symbol });
+      if (classified.code === 'RATE_LIMITED' || classified.code === 'FIXTURE_MISSING') {
+        throw classified;
       }
+      result.calendarError = { code: classified.code, message: classified.message };
+    }
+
+    if (result.history.length > 0 || result.calendar.length > 0 || result.financialsChart.length > 0) {
+      return result;
+    }
+
+    throw missingQuoteDataError(page, 'earnings history');
+  } catch (error) {
+    throw toFinancialDataError(error, { symbol });
+  }
+}
+
+/**
+ * Convert earnings history data to standardized rows, one per reported quarter
+ * @param {string} symbol - Stock symbol
+ * @param {Object} earningsData - Raw earnings history data
+ * @param {number} limit - Maximum number of quarters to return
+ * @returns {Array} Array of earnings rows (most recent first)
+ */
+function toEarningsHistoryRows(symbol, earningsData, limit = 12) {
+  if (!earningsData) {
+    return [];
+  }
+
+  const daysBetween = (from, to) => (new Date(to) - new Date(from)) / 86400000;
+
+  const quarters = earningsData.calendar
+    .filter(entry => entry.epsActual !== null)
+    .map(entry => ({
+      reportDate: entry.reportDate,
+      quarterEnd: null,
+      fiscalQuarter: null,
+      epsActual: entry.epsActual,
+      epsEstimate: entry.epsEstimate,
+      epsDifference: null,
+      surprisePercent: entry.surprisePercent
+    }));
+
+  // Attach quarter-end dates from the quote page; reports follow the quarter end within ~4 months
+  earningsData.history.forEach(item => {
+    const match = item.quarterEnd && quarters.find(q =>
+      !q.quarterEnd && daysBetween(item.quarterEnd, q.reportDate) > 0 && daysBetween(item.quarterEnd, q.reportDate) <= 120
+    );
+
+    if (match) {
+      match.quarterEnd = item.quarterEnd;
+      if (match.epsEstimate === null) match.epsEstimate = item.epsEstimate;
+      if (item.epsDifference !== null) match.epsDifference = item.epsDifference;
+      if (match.surprisePercent === null) match.surprisePercent = item.surprisePercent;
+    } else if (item.epsActual !== null) {
+      quarters.push({
+        reportDate: null,
+        quarterEnd: item.quarterEnd,
+        fiscalQuarter: null,
+        epsActual: item.epsActual,
+        epsEstimate: item.epsEstimate,
+        epsDifference: item.epsDifference,
+        surprisePercent: item.surprisePercent
+      });
+    }
+  });
+
+  // Quarter labels (e.g. "3Q2025") come from the EPS chart, which lists the same recent quarters
+  // as the quote page's history, oldest first. Pair them by position from the most recent end:
+  // reported EPS is no key, since restatements change it and different quarters can share a value.
+  const quarterEnds = [...new Set(earningsData.history.map(item => item.quarterEnd).filter(Boolean))].sort().reverse();
+  const chartLabels = earningsData.epsChart.map(point => point.fiscalQuarter).reverse();
+  quarterEnds.forEach((quarterEnd, i) => {
+    const match = quarters.find(q => q.quarterEnd === quarterEnd);
+    if (match && chartLabels[i]) match.fiscalQuarter = chartLabels[i];
+  });
+
+  const sortKey = (q) => q.reportDate || q.quarterEnd || '';
+  quarters.sort((a, b) => sortKey(b).localeCompare(sortKey(a)));
+
+  return quarters.slice(0, limit).map(q => {
+    const difference = q.epsDifference !== null ? q.epsDifference :
+      (q.epsActual !== null && q.epsEstimate !== null ? q.epsActual - q.epsEstimate : null);
+    const surprisePercent = q.surprisePercent !== null ? q.surprisePercent :
+      (difference !== null && q.epsEstimate ? (difference / Math.abs(q.epsEstimate)) * 100 : null);
+    const financials = q.fiscalQuarter ?
+      earningsData.financialsChart.find(f => f.fiscalQuarter === q.fiscalQuarter) : null;
+
+    let result = null;
+    if (difference !== null) {
+      result = Math.abs(difference) < 0.005 ? 'inline' : difference > 0 ? 'beat' : 'miss';
+    }
+
+    return {
+      symbol: symbol.toUpperCase(),
+      report_date: q.reportDate,
+      quarter_end: q.quarterEnd,
+      fiscal_quarter: q.fiscalQuarter,
+      eps_actual: q.epsActual,
+      eps_estimate: q.epsEstimate,
+      eps_surprise: difference !== null ? Math.round(difference * 10000) / 10000 : null,
+      surprise_percent: surprisePercent !== null ? Math.round(surprisePercent * 100) / 100 : null,
+      result,
+      revenue: financials?.revenue ?? null,
+      earnings: financials?.earnings ?? null,
+      currency: earningsData.currency
+    };
+  });
+}
+
+/**
+ * Compute beat/miss streak statistics from earnings rows
+ * @param {Array} rows - Earnings rows (most recent first)
+ * @returns {Object} Streak statistics
+ */
+function computeEarningsStreaks(rows) {
+  const scored = rows.filter(row => row.result);
+  const stats = {
+    quarters_analyzed: scored.length,
+    beats: scored.filter(row => row.result === 'beat').length,
+    misses: scored.filter(row => row.result === 'miss').length,
+    inline: scored.filter(row => row.result === 'inline').length,
+    beat_rate: null,
+    current_streak_type: null,
+    current_streak_length: 0,
+    longest_beat_streak: 0,
+    longest_miss_streak: 0,
+    average_surprise_percent: null
+  };
+
+  if (scored.length === 0) {
+    return stats;
+  }
+
+  stats.beat_rate = Math.round((stats.beats / scored.length) * 1000) / 10;
+
+  stats.current_streak_type = scored[0].result;
+  for (const row of scored) {
+    if (row.result !== stats.current_streak_type) break;
+    stats.current_streak_length++;
+  }
+
+  // Walk chronologically to find the longest runs
+  let runType = null;
+  let runLength = 0;
+  [...scored].reverse().forEach(row => {
+    runLength = row.result === runType ? runLength + 1 : 1;
+    runType = row.result;
+    if (runType === 'beat') stats.longest_beat_streak = Math.max(stats.longest_beat_streak, runLength);
+    if (runType === 'miss') stats.longest_miss_streak = Math.max(stats.longest_miss_streak, runLength);
+  });
+
+  const surprises = scored.filter(row => row.surprise_percent !== null).map(row => row.surprise_percent);
+  if (surprises.length > 0) {
+    stats.average_surprise_percent = Math.round((surprises.reduce((a, b) => a + b, 0) / surprises.length) * 100) / 100;
+  }
+
+  return stats;
+}
+
+/**
+ * Convert earnings history rows to markdown format
+ * @param {Array} rows - Earnings rows
+ * @param {Object} summary - Beat/miss statistics
+ * @param {string} symbol - Stock symbol
+ * @param {string|null} nextEarningsDate - Upcoming report date
+ * @returns {string} Markdown formatted string
+ */
+function earningsHistoryAsMarkdown(rows, summary, symbol, nextEarningsDate) {
+  if (!rows || rows.length === 0) {
+    return `# ${symbol} Earnings History\n\nNo reported earnings data available.`;
+  }
+
+  const formatEps = (num) => {
+    if (num === null || num === undefined) return 'N/A';
+    return num.toFixed(2);
+  };
+
+  const formatSurprise = (num) => {
+    if (num === null || num === undefined) return 'N/A';
+    return `${num > 0 ? '+' : ''}${num.toFixed(2)}%`;
+  };
+
+  const formatNumber = (num) => {
+    if (num === null || num === undefined) return 'N/A';
+    const abs = Math.abs(num);
+    if (abs >= 1e12) return `${(num / 1e12).toFixed(2)}T`;
+    if (abs >= 1e9) return `${(num / 1e9).toFixed(2)}B`;
+    if (abs >= 1e6) return `${(num / 1e6).toFixed(2)}M`;
+    return num.toLocaleString();
+  };
+
+  const resultIcon = (result) => {
+    if (result === 'beat') return '🟢 Beat';
+    if (result === 'miss') return '🔴 Miss';
+    if (result === 'inline') return '🟡 In-line';
+    return 'N/A';
+  };
+
+  const currency = rows[0].currency;
+
+  const parts = [
+    `# ${symbol} Earnings History`,
+    '',
+    `**Quarters Shown:** ${rows.length}`
+  ];
+
+  if (nextEarningsDate) {
+    parts.push(`**Next Earnings Date:** ${nextEarningsDate}`);
+  }
+
+  if (summary.partial) {
+    parts.push(`⚠️ **Partial History:** earnings calendar unavailable (${summary.calendar_error.code}), showing only the quarters on the quote page`);
+  }
+
+  parts.push('');
+  parts.push('## EPS: Reported vs. Estimate');
+  parts.push('');
+  parts.push('| Report Date | Fiscal Quarter | EPS Estimate | Reported EPS | Surprise | Surprise % | Result |');
+  parts.push('|-------------|----------------|--------------|--------------|----------|------------|--------|');
+
+  rows.forEach(row => {
+    const surprise = row.eps_surprise !== null ? `${row.eps_surprise > 0 ? '+' : ''}${row.eps_surprise.toFixed(2)}` : 'N/A';
+    parts.push(`| ${row.report_date || 'N/A'} | ${row.fiscal_quarter || row.quarter_end || 'N/A'} | ${formatEps(row.eps_estimate)} | ${formatEps(row.eps_actual)} | ${surprise} | ${formatSurprise(row.surprise_percent)} | ${resultIcon(row.result)} |`);
+  });
+
+  parts.push('');
+  parts.push('## Beat/Miss Statistics');
+  parts.push(`**Record:** ${summary.beats} beats, ${summary.misses} misses, ${summary.inline} in-line (${summary.quarters_analyzed} quarters)`);
+  if (summary.beat_rate !== null) parts.push(`**Beat Rate:** ${summary.beat_rate}%`);
+  if (summary.current_streak_type) {
+    const streakLabels = { beat: 'beat(s)', miss: 'miss(es)', inline: 'in-line quarter(s)' };
+    parts.push(`**Current Streak:** ${summary.current_streak_length} consecutive ${streakLabels[summary.current_streak_type]}`);
+  }
+  parts.push(`**Longest Beat Streak:** ${summary.longest_beat_streak}`);
+  parts.push(`**Longest Miss Streak:** ${summary.longest_miss_streak}`);
+  if (summary.average_surprise_percent !== null) parts.push(`**Average Surprise:** ${formatSurprise(summary.average_surprise_percent)}`);
+
+  const withFinancials = rows.filter(row => row.revenue !== null || row.earnings !== null);
+  if (withFinancials.length > 0) {
+    parts.push('');
+    parts.push('## Quarterly Revenue & Earnings');
+    parts.push('');
+    parts.push('| Fiscal Quarter | Revenue | Earnings |');
+    parts.push('|----------------|---------|----------|');
+
+    withFinancials.forEach(row => {
+      parts.push(`| ${row.fiscal_quarter} | ${formatNumber(row.revenue)} ${currency} | ${formatNumber(row.earnings)} ${currency} |`);
+    });
+  }
+
+  parts.push('');
+  parts.push(`**Report Date:** ${new Date().toISOString().split('T')[0]}`);
+
+  return parts.join('\n');
+}
+
+/**
+ * Main function to fetch Yahoo Finance earnings history
+ * @param {Object} params - Parameters
+ * @param {string} params.symbol - Stock symbol
+ * @param {number} params.limit - Number of quarters to return (default 12)
+ * @returns {Promise<Object>} Result with rows, beat/miss summary and markdown
+ */
+async function fetchYahooEarningsHistory({ symbol, limit = 12 }) {
+  try {
+
+    const earningsData = await extractEarningsHistoryData(symbol);
+
+    if (!earningsData) {
+      throw new ParseError('Could not extract earnings history data from Yahoo Finance page', { symbol, source: 'Yahoo Finance' });
+    }
+
+    const rows = toEarningsHistoryRows(symbol, earningsData, limit);
+    const summary = {
+      ...computeEarningsStreaks(rows),
+      partial: earningsData.calendarError !== null,
+      calendar_error: earningsData.calendarError
+    };
+    const markdown = earningsHistoryAsMarkdown(rows, summary, symbol.toUpperCase(), earningsData.nextEarningsDate);
+
+    return { rows, markdown, summary };
+
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Extract analyst recommendations data from Yahoo Finance
+ * @param {string} symbol - Stock ticker symbol
+ * @returns {Promise<Array|null>} Recommendations data
+ */
+async function extractRecommendationsData(symbol) {
+  try {
+    
+    const page = await getQuotePage(symbol);
+    
+    const trend = page.value('recommendationTrend.trend');
+    
+    if (!Array.isArray(trend)) {
+      throw missingQuoteDataError(page, 'analyst recommendations');
     }
     
+    const periods = trend
+      .filter(period => period && period.period)
+      .map(period => ({
+        period: period.period,
+        strongBuy: unwrapYahooValue(period.strongBuy) ?? 0,
+        buy: unwrapYahooValue(period.buy) ?? 0,
+        hold: unwrapYahooValue(period.hold) ?? 0,
+        sell: unwrapYahooValue(period.sell) ?? 0,
+        strongSell: unwrapYahooValue(period.strongSell) ?? 0
+      }));
+    
     if (periods.length > 0) {
       return periods;
     }
     
-    return null;
+    throw missingQuoteDataError(page, 'analyst recommendations');
   } catch (error) {
-    return null;
+    throw toFinancialDataError(error, { symbol });
   }
 }
 
@@ -2275,7 +3099,7 @@ async function fetchYahooRecommendations({ symbol }) {
     const recommendationsData = await extractRecommendationsData(symbol);
     
     if (!recommendationsData) {
-      throw new Error('Could not extract recommendations data from Yahoo Finance page');
+      throw new ParseError('Could not extract recommendations data from Yahoo Finance page', { symbol, source: 'Yahoo Finance' });
     }
     
     const rows = toRecommendationsRows(symbol, recommendationsData);
@@ -2296,70 +3120,44 @@ async function fetchYahooRecommendations({ symbol }) {
 async function extractESGData(symbol) {
   try {
     
-    const response = await axios.get(`https://finance.yahoo.com/quote/${symbol}?p=${symbol}`, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_7 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.1.2 Mobile/15E148 Safari/604.1'
-      },
-      timeout: 15000
-    });
-    
-    const html = response.data;
+    const page = await getQuotePage(symbol);
     
-    // Search for ESG scores data with more flexible pattern
-    const esgPattern = /\\"esgScores\\":\{([^}]*(?:\{[^}]*\}[^}]*)*)\}/;
-    const match = html.match(esgPattern);
+    const esgScores = page.module('esgScores');
     
-    if (!match) {
-      return null;
+    if (!esgScores) {
+      throw missingQuoteDataError(page, 'ESG');
     }
     
-    const esgData = match[1];
+    // Scores and peer comparison
+    const result = page.values({
+      totalEsg: ['esgScores.totalEsg'],
+      environmentScore: ['esgScores.environmentScore'],
+      socialScore: ['esgScores.socialScore'],
+      governanceScore: ['esgScores.governanceScore'],
+      peer: ['esgScores.peerEsgScorePerformance.avg'],
+      percentile: ['esgScores.percentile']
+    });
     
-    // Extract ESG fields
-    const result = {};
-    const fieldPatterns = {
-      totalEsg: /\\"totalEsg\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-      environmentScore: /\\"environmentScore\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-      socialScore: /\\"socialScore\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-      governanceScore: /\\"governanceScore\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-      peer: /\\"peer\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-      percentile: /\\"percentile\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-      adult: /\\"adult\\":(true|false)/,
-      alcoholic: /\\"alcoholic\\":(true|false)/,
-      animalTesting: /\\"animalTesting\\":(true|false)/,
-      catholicValues: /\\"catholicValues\\":(true|false)/,
-      controversialWeapons: /\\"controversialWeapons\\":(true|false)/,
-      gambling: /\\"gambling\\":(true|false)/,
-      gmo: /\\"gmo\\":(true|false)/,
-      militaryContract: /\\"militaryContract\\":(true|false)/,
-      nuclear: /\\"nuclear\\":(true|false)/,
-      pesticides: /\\"pesticides\\":(true|false)/,
-      palmOil: /\\"palmOil\\":(true|false)/,
-      coal: /\\"coal\\":(true|false)/,
-      tobacco: /\\"tobacco\\":(true|false)/
-    };
+    // Product involvement flags
+    const involvementFlags = [
+      'adult', 'alcoholic', 'animalTesting', 'catholicValues', 'controversialWeapons', 'gambling',
+      'gmo', 'militaryContract', 'nuclear', 'pesticides', 'palmOil', 'coal', 'tobacco'
+    ];
     
-    for (const [field, pattern] of Object.entries(fieldPatterns)) {
-      const fieldMatch = esgData.match(pattern);
-      if (fieldMatch) {
-        if (field.includes('Score') || field === 'totalEsg' || field === 'peer' || field === 'percentile') {
-          result[field] = parseFloat(fieldMatch[1]);
-        } else {
-          result[field] = fieldMatch[1] === 'true';
-        }
-      } else {
+    involvementFlags.forEach(flag => {
+      if (typeof esgScores[flag] === 'boolean') {
+        result[flag] = esgScores[flag];
       }
-    }
-    
+    });
     
     if (Object.keys(result).length >= 1) {
       return result;
     } else {
-      return null;
+      throw missingQuoteDataError(page, 'ESG');
     }
     
   } catch (error) {
-    return null;
+    throw toFinancialDataError(error, { symbol });
   }
 }
 
@@ -2467,7 +3265,7 @@ async function fetchYahooESG({ symbol }) {
     const esgData = await extractESGData(symbol);
     
     if (!esgData) {
-      throw new Error('Could not extract ESG data from Yahoo Finance page');
+      throw new ParseError('Could not extract ESG data from Yahoo Finance page', { symbol, source: 'Yahoo Finance' });
     }
     
     const row = toESGRow(symbol, esgData);
@@ -2488,46 +3286,34 @@ async function fetchYahooESG({ symbol }) {
 async function extractDividendData(symbol) {
   try {
     
-    const response = await axios.get(`https://finance.yahoo.com/quote/${symbol}?p=${symbol}`, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_7 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.1.2 Mobile/15E148 Safari/604.1'
-      },
-      timeout: 15000
-    });
-    
-    const html = response.data;
+    const page = await getQuotePage(symbol);
     
     // Extract dividend-related fields
-    const result = {};
-    const fieldPatterns = {
-      dividendRate: /\\"dividendRate\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-      dividendYield: /\\"dividendYield\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-      exDividendDate: /\\"exDividendDate\\":\{[^}]*\\"raw\\":(\d+)/,
-      payoutRatio: /\\"payoutRatio\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-      fiveYearAvgDividendYield: /\\"fiveYearAvgDividendYield\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-      lastDividendValue: /\\"lastDividendValue\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-      lastDividendDate: /\\"lastDividendDate\\":\{[^}]*\\"raw\\":(\d+)/
-    };
+    const result = page.values({
+      dividendRate: ['summaryDetail.dividendRate', 'quote.dividendRate'],
+      dividendYield: ['summaryDetail.dividendYield'],
+      exDividendDate: ['summaryDetail.exDividendDate', 'calendarEvents.exDividendDate'],
+      payoutRatio: ['summaryDetail.payoutRatio'],
+      fiveYearAvgDividendYield: ['summaryDetail.fiveYearAvgDividendYield'],
+      lastDividendValue: ['defaultKeyStatistics.lastDividendValue'],
+      lastDividendDate: ['defaultKeyStatistics.lastDividendDate']
+    });
     
-    for (const [field, pattern] of Object.entries(fieldPatterns)) {
-      const match = html.match(pattern);
-      if (match) {
-        if (field.includes('Date')) {
-          // Convert Unix timestamp to date
-          result[field] = new Date(parseInt(match[1]) * 1000).toISOString().split('T')[0];
-        } else {
-          result[field] = parseFloat(match[1]);
-        }
+    // Convert Unix timestamps to dates
+    ['exDividendDate', 'lastDividendDate'].forEach(field => {
+      if (typeof result[field] === 'number') {
+        result[field] = new Date(result[field] * 1000).toISOString().split('T')[0];
       }
-    }
+    });
     
     if (Object.keys(result).length > 0) {
       return result;
     }
     
+    // No dividend fields simply means the stock does not pay dividends
     return null;
   } catch (error) {
-    return null;
+    throw toFinancialDataError(error, { symbol });
   }
 }
 
@@ -2620,116 +3406,498 @@ async function fetchStockDividends({ symbol }) {
   }
 }
 
+// Default indicator parameters for stock_technicals; any subset can be overridden per call
+const DEFAULT_TECHNICAL_PARAMS = {
+  rsiPeriod: 14,
+  macdFast: 12,
+  macdSlow: 26,
+  macdSignal: 9,
+  bollingerPeriod: 20,
+  bollingerStdDev: 2,
+  atrPeriod: 14,
+  stochasticPeriod: 14,
+  stochasticSmoothing: 3,
+  volatilityWindow: 20,
+  shortMovingAverage: 50,
+  longMovingAverage: 200
+};
+
 /**
- * Extract technical indicators from Yahoo Finance
- * @param {string} symbol - Stock ticker symbol
- * @returns {Promise<Object|null>} Technical data
+ * Merge and validate indicator parameter overrides
+ * @param {Object} overrides - Partial indicator parameters
+ * @returns {Object} Complete indicator parameters
  */
-async function extractTechnicalData(symbol) {
-  try {
-    
-    const response = await axios.get(`https://finance.yahoo.com/quote/${symbol}?p=${symbol}`, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_7 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.1.2 Mobile/15E148 Safari/604.1'
-      },
-      timeout: 15000
-    });
-    
-    const html = response.data;
-    
-    // Extract technical indicators
-    const result = {};
-    const fieldPatterns = {
-      fiftyDayAverage: /\\"fiftyDayAverage\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-      twoHundredDayAverage: /\\"twoHundredDayAverage\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-      fiftyTwoWeekLow: /\\"fiftyTwoWeekLow\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-      fiftyTwoWeekHigh: /\\"fiftyTwoWeekHigh\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-      beta: /\\"beta\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-      averageVolume: /\\"averageVolume\\":\{[^}]*\\"raw\\":(\d+)/,
-      averageVolume10days: /\\"averageVolume10days\\":\{[^}]*\\"raw\\":(\d+)/,
-      regularMarketVolume: /\\"regularMarketVolume\\":\{[^}]*\\"raw\\":(\d+)/
-    };
-    
-    for (const [field, pattern] of Object.entries(fieldPatterns)) {
-      const match = html.match(pattern);
-      if (match) {
-        result[field] = field.includes('Volume') ? parseInt(match[1]) : parseFloat(match[1]);
-      }
-    }
-    
-    if (Object.keys(result).length > 0) {
-      return result;
+function resolveTechnicalParams(overrides = {}) {
+  const unknown = Object.keys(overrides).filter(key => !(key in DEFAULT_TECHNICAL_PARAMS));
+  if (unknown.length > 0) {
+    throw new InvalidInputError(`Unknown indicator parameter(s): ${unknown.join(', ')}. Valid parameters: ${Object.keys(DEFAULT_TECHNICAL_PARAMS).join(', ')}`);
+  }
+
+  const params = { ...DEFAULT_TECHNICAL_PARAMS, ...overrides };
+
+  for (const [key, value] of Object.entries(params)) {
+    const valid = key === 'bollingerStdDev' ?
+      typeof value === 'number' && value > 0 :
+      Number.isInteger(value) && value > 0;
+    if (!valid) {
+      throw new InvalidInputError(`Indicator parameter "${key}" must be a positive ${key === 'bollingerStdDev' ? 'number' : 'integer'}`);
     }
-    
-    return null;
-  } catch (error) {
-    return null;
   }
+
+  if (params.macdFast >= params.macdSlow) {
+    throw new InvalidInputError('macdFast must be shorter than macdSlow');
+  }
+
+  if (params.shortMovingAverage >= params.longMovingAverage) {
+    throw new InvalidInputError('shortMovingAverage must be shorter than longMovingAverage');
+  }
+
+  return params;
 }
 
 /**
- * Convert technical data to standardized row
+ * Simple moving average aligned to the input (null until the window fills)
  */
-function toTechnicalRow(symbol, technicalData) {
-  const currentDate = new Date().toISOString().split('T')[0];
-  
-  return {
-    symbol: symbol.toUpperCase(),
-    fifty_day_ma: technicalData.fiftyDayAverage || null,
-    two_hundred_day_ma: technicalData.twoHundredDayAverage || null,
-    fifty_two_week_low: technicalData.fiftyTwoWeekLow || null,
-    fifty_two_week_high: technicalData.fiftyTwoWeekHigh || null,
-    beta: technicalData.beta || null,
-    average_volume: technicalData.averageVolume || null,
-    average_volume_10d: technicalData.averageVolume10days || null,
-    current_volume: technicalData.regularMarketVolume || null,
-    report_date: currentDate
-  };
+function simpleMovingAverage(values, period) {
+  const result = new Array(values.length).fill(null);
+  let sum = 0;
+
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) result[i] = sum / period;
+  }
+
+  return result;
 }
 
 /**
- * Convert technical row to markdown format
+ * Exponential moving average aligned to the input, seeded with the first SMA
+ * Leading nulls in the input (e.g. an unfilled MACD line) are skipped.
  */
-function technicalsAsMarkdown(row, symbol) {
-  const parts = [
-    `# ${symbol} Technical Indicators`,
-    '',
-    '## Moving Averages'
-  ];
+function exponentialMovingAverage(values, period) {
+  const result = new Array(values.length).fill(null);
+  const start = values.findIndex(value => value !== null);
+  if (start === -1 || values.length - start < period) return result;
 
-  if (row.fifty_day_ma) parts.push(`**50-Day MA:** $${row.fifty_day_ma.toFixed(2)}`);
-  if (row.two_hundred_day_ma) parts.push(`**200-Day MA:** $${row.two_hundred_day_ma.toFixed(2)}`);
+  const multiplier = 2 / (period + 1);
+  let ema = mean(values.slice(start, start + period));
+  result[start + period - 1] = ema;
 
-  parts.push('');
-  parts.push('## Price Ranges');
-  if (row.fifty_two_week_low) parts.push(`**52-Week Low:** $${row.fifty_two_week_low.toFixed(2)}`);
-  if (row.fifty_two_week_high) parts.push(`**52-Week High:** $${row.fifty_two_week_high.toFixed(2)}`);
+  for (let i = start + period; i < values.length; i++) {
+    ema = (values[i] - ema) * multiplier + ema;
+    result[i] = ema;
+  }
 
-  if (row.beta) {
-    parts.push('');
-    parts.push('## Risk Metrics');
-    parts.push(`**Beta:** ${row.beta.toFixed(2)} (vs S&P 500)`);
+  return result;
+}
+
+/**
+ * Wilder's smoothing (used by RSI and ATR) aligned to the input
+ * @param {Array} values - Series to smooth; the first element is ignored
+ */
+function wilderSmoothing(values, period) {
+  const result = new Array(values.length).fill(null);
+  if (values.length <= period) return result;
+
+  let average = mean(values.slice(1, period + 1));
+  result[period] = average;
+
+  for (let i = period + 1; i < values.length; i++) {
+    average = (average * (period - 1) + values[i]) / period;
+    result[i] = average;
   }
 
-  parts.push('');
-  parts.push('## Volume Analysis');
-  if (row.current_volume) parts.push(`**Current Volume:** ${row.current_volume.toLocaleString()}`);
-  if (row.average_volume_10d) parts.push(`**10-Day Avg Volume:** ${row.average_volume_10d.toLocaleString()}`);
-  if (row.average_volume) parts.push(`**Average Volume:** ${row.average_volume.toLocaleString()}`);
+  return result;
+}
 
-  return parts.join('\n');
+/**
+ * Relative Strength Index
+ */
+function computeRSI(closes, period) {
+  const gains = closes.map((close, i) => i === 0 ? 0 : Math.max(0, close - closes[i - 1]));
+  const losses = closes.map((close, i) => i === 0 ? 0 : Math.max(0, closes[i - 1] - close));
+  const averageGains = wilderSmoothing(gains, period);
+  const averageLosses = wilderSmoothing(losses, period);
+
+  return averageGains.map((gain, i) => {
+    if (gain === null) return null;
+    if (averageLosses[i] === 0) return 100;
+    return 100 - 100 / (1 + gain / averageLosses[i]);
+  });
 }
 
-async function fetchStockTechnicals({ symbol }) {
-  try {
-    
-    const technicalData = await extractTechnicalData(symbol);
-    
+/**
+ * MACD line, signal line and histogram
+ */
+function computeMACD(closes, fast, slow, signal) {
+  const fastEma = exponentialMovingAverage(closes, fast);
+  const slowEma = exponentialMovingAverage(closes, slow);
+  const macd = closes.map((close, i) => fastEma[i] !== null && slowEma[i] !== null ? fastEma[i] - slowEma[i] : null);
+  const signalLine = exponentialMovingAverage(macd, signal);
+  const histogram = macd.map((value, i) => value !== null && signalLine[i] !== null ? value - signalLine[i] : null);
+
+  return { macd, signal: signalLine, histogram };
+}
+
+/**
+ * Bollinger Bands (population standard deviation, as conventionally defined)
+ */
+function computeBollingerBands(closes, period, stdDevMultiplier) {
+  const middle = simpleMovingAverage(closes, period);
+
+  return closes.map((close, i) => {
+    if (middle[i] === null) return null;
+    const window = closes.slice(i - period + 1, i + 1);
+    const deviation = Math.sqrt(window.reduce((sum, value) => sum + (value - middle[i]) ** 2, 0) / period);
+    const upper = middle[i] + stdDevMultiplier * deviation;
+    const lower = middle[i] - stdDevMultiplier * deviation;
+
+    return {
+      upper,
+      middle: middle[i],
+      lower,
+      percentB: upper !== lower ? (close - lower) / (upper - lower) : null,
+      bandwidth: middle[i] ? (upper - lower) / middle[i] : null
+    };
+  });
+}
+
+/**
+ * Average True Range
+ */
+function computeATR(highs, lows, closes, period) {
+  const trueRanges = closes.map((close, i) => {
+    if (i === 0) return highs[i] - lows[i];
+    return Math.max(highs[i] - lows[i], Math.abs(highs[i] - closes[i - 1]), Math.abs(lows[i] - closes[i - 1]));
+  });
+
+  return wilderSmoothing(trueRanges, period);
+}
+
+/**
+ * Stochastic oscillator %K and %D
+ */
+function computeStochastic(highs, lows, closes, period, smoothing) {
+  const percentK = closes.map((close, i) => {
+    if (i < period - 1) return null;
+    const highest = Math.max(...highs.slice(i - period + 1, i + 1));
+    const lowest = Math.min(...lows.slice(i - period + 1, i + 1));
+    return highest !== lowest ? ((close - lowest) / (highest - lowest)) * 100 : 50;
+  });
+
+  const percentD = percentK.map((value, i) => {
+    if (i < period + smoothing - 2) return null;
+    return mean(percentK.slice(i - smoothing + 1, i + 1));
+  });
+
+  return { percentK, percentD };
+}
+
+/**
+ * Find the most recent crossover of a short and long moving average
+ * @returns {Object|null} Cross type ("golden_cross"/"death_cross") and index
+ */
+function findMovingAverageCross(shortMa, longMa) {
+  for (let i = shortMa.length - 1; i > 0; i--) {
+    if ([shortMa[i], longMa[i], shortMa[i - 1], longMa[i - 1]].includes(null)) break;
+
+    const above = shortMa[i] > longMa[i];
+    const wasAbove = shortMa[i - 1] > longMa[i - 1];
+    if (above !== wasAbove) {
+      return { type: above ? 'golden_cross' : 'death_cross', index: i };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Compute technical indicators from daily price history
+ * @param {Array} bars - Daily OHLCV bars (oldest first)
+ * @param {Object} params - Indicator parameters
+ * @returns {Object} Latest indicator values and signals
+ */
+function computeTechnicalIndicators(bars, params) {
+  // Work on split/dividend adjusted prices so corporate actions don't look like gaps
+  const adjusted = bars.map(bar => {
+    const factor = bar.close ? bar.adjClose / bar.close : 1;
+    return {
+      date: bar.date,
+      close: bar.adjClose,
+      high: (bar.high ?? bar.close) * factor,
+      low: (bar.low ?? bar.close) * factor
+    };
+  });
+
+  const closes = adjusted.map(bar => bar.close);
+  const highs = adjusted.map(bar => bar.high);
+  const lows = adjusted.map(bar => bar.low);
+  const last = closes.length - 1;
+
+  const rsi = computeRSI(closes, params.rsiPeriod);
+  const macd = computeMACD(closes, params.macdFast, params.macdSlow, params.macdSignal);
+  const bollinger = computeBollingerBands(closes, params.bollingerPeriod, params.bollingerStdDev);
+  const atr = computeATR(highs, lows, closes, params.atrPeriod);
+  const stochastic = computeStochastic(highs, lows, closes, params.stochasticPeriod, params.stochasticSmoothing);
+  const shortMa = simpleMovingAverage(closes, params.shortMovingAverage);
+  const longMa = simpleMovingAverage(closes, params.longMovingAverage);
+  const cross = findMovingAverageCross(shortMa, longMa);
+
+  const recentReturns = logReturns(closes.slice(-(params.volatilityWindow + 1))).filter(value => value !== null);
+  const realizedVolatility = recentReturns.length === params.volatilityWindow && recentReturns.length > 1 ?
+    standardDeviation(recentReturns) * Math.sqrt(252) : null;
+
+  // A MACD cross within the last few bars is worth calling out
+  let macdCross = null;
+  for (let i = last; i > Math.max(0, last - 5); i--) {
+    if (macd.histogram[i] === null || macd.histogram[i - 1] === null) break;
+    if ((macd.histogram[i] > 0) !== (macd.histogram[i - 1] > 0)) {
+      macdCross = { type: macd.histogram[i] > 0 ? 'bullish' : 'bearish', date: adjusted[i].date };
+      break;
+    }
+  }
+
+  return {
+    priceDate: adjusted[last].date,
+    lastClose: closes[last],
+    bars: closes.length,
+    rsi: rsi[last],
+    macd: macd.macd[last],
+    macdSignal: macd.signal[last],
+    macdHistogram: macd.histogram[last],
+    macdCross,
+    bollinger: bollinger[last],
+    atr: atr[last],
+    stochasticK: stochastic.percentK[last],
+    stochasticD: stochastic.percentD[last],
+    realizedVolatility,
+    shortMovingAverage: shortMa[last],
+    longMovingAverage: longMa[last],
+    movingAverageCross: cross ? { type: cross.type, date: adjusted[cross.index].date, barsAgo: last - cross.index } : null
+  };
+}
+
+/**
+ * Extract technical indicators from Yahoo Finance
+ * Quote-page averages are combined with indicators computed from daily price history.
+ * @param {string} symbol - Stock ticker symbol
+ * @param {Object} params - Indicator parameters
+ * @returns {Promise<Object|null>} Technical data
+ */
+async function extractTechnicalData(symbol, params = DEFAULT_TECHNICAL_PARAMS) {
+  try {
+    
+    // Enough daily bars to fill the longest indicator window with room to spot recent crosses
+    const barsNeeded = Math.max(params.longMovingAverage, params.macdSlow + params.macdSignal,
+      params.bollingerPeriod, params.stochasticPeriod + params.stochasticSmoothing, params.volatilityWindow + 1,
+      params.rsiPeriod + 1, params.atrPeriod + 1) + 100;
+    const tradingDaysByRange = { '6mo': 125, '1y': 250, '2y': 500, '5y': 1250, '10y': 2500 };
+    const range = Object.keys(tradingDaysByRange).find(key => tradingDaysByRange[key] >= barsNeeded) || 'max';
+    
+    const [pageResult, historyResult] = await Promise.all([
+      getQuotePage(symbol).catch(error => error),
+      extractPriceHistory(symbol, { range, interval: '1d' }).catch(error => error)
+    ]);
+    
+    // Either source alone is enough for a partial report; fail only when both do
+    if (pageResult instanceof Error && historyResult instanceof Error) {
+      throw historyResult;
+    }
+    const page = pageResult instanceof Error ? null : pageResult;
+    const history = historyResult instanceof Error ? null : historyResult;
+    
+    // Extract quote-page averages, ranges and volumes
+    const result = page ? page.values({
+      fiftyDayAverage: ['summaryDetail.fiftyDayAverage', 'quote.fiftyDayAverage'],
+      twoHundredDayAverage: ['summaryDetail.twoHundredDayAverage', 'quote.twoHundredDayAverage'],
+      fiftyTwoWeekLow: ['summaryDetail.fiftyTwoWeekLow', 'quote.fiftyTwoWeekLow'],
+      fiftyTwoWeekHigh: ['summaryDetail.fiftyTwoWeekHigh', 'quote.fiftyTwoWeekHigh'],
+      beta: ['summaryDetail.beta', 'defaultKeyStatistics.beta'],
+      averageVolume: ['summaryDetail.averageVolume', 'price.averageDailyVolume3Month', 'quote.averageDailyVolume3Month'],
+      averageVolume10days: ['summaryDetail.averageVolume10days', 'price.averageDailyVolume10Day', 'quote.averageDailyVolume10Day'],
+      regularMarketVolume: ['price.regularMarketVolume', 'summaryDetail.volume', 'quote.regularMarketVolume']
+    }) : {};
+    
+    if (history && history.bars.length > 1) {
+      result.indicators = computeTechnicalIndicators(history.bars, params);
+    }
+    
+    if (Object.keys(result).length > 0) {
+      return result;
+    }
+    
+    throw new DataUnavailableError(`No technical data available for ${symbol}`, { symbol, source: 'Yahoo Finance' });
+  } catch (error) {
+    throw toFinancialDataError(error, { symbol });
+  }
+}
+
+/**
+ * Convert technical data to standardized row
+ */
+function toTechnicalRow(symbol, technicalData, params = DEFAULT_TECHNICAL_PARAMS) {
+  const currentDate = new Date().toISOString().split('T')[0];
+  const indicators = technicalData.indicators || {};
+  const round = (num, digits = 4) => num === null || num === undefined ? null : Math.round(num * 10 ** digits) / 10 ** digits;
+  
+  return {
+    symbol: symbol.toUpperCase(),
+    fifty_day_ma: technicalData.fiftyDayAverage || null,
+    two_hundred_day_ma: technicalData.twoHundredDayAverage || null,
+    fifty_two_week_low: technicalData.fiftyTwoWeekLow || null,
+    fifty_two_week_high: technicalData.fiftyTwoWeekHigh || null,
+    beta: technicalData.beta || null,
+    average_volume: technicalData.averageVolume || null,
+    average_volume_10d: technicalData.averageVolume10days || null,
+    current_volume: technicalData.regularMarketVolume || null,
+    price_date: indicators.priceDate || null,
+    last_close: round(indicators.lastClose),
+    rsi: round(indicators.rsi, 2),
+    macd: round(indicators.macd),
+    macd_signal: round(indicators.macdSignal),
+    macd_histogram: round(indicators.macdHistogram),
+    macd_cross: indicators.macdCross?.type || null,
+    macd_cross_date: indicators.macdCross?.date || null,
+    bollinger_upper: round(indicators.bollinger?.upper),
+    bollinger_middle: round(indicators.bollinger?.middle),
+    bollinger_lower: round(indicators.bollinger?.lower),
+    bollinger_percent_b: round(indicators.bollinger?.percentB),
+    bollinger_bandwidth: round(indicators.bollinger?.bandwidth),
+    atr: round(indicators.atr),
+    atr_percent: indicators.atr && indicators.lastClose ? round((indicators.atr / indicators.lastClose) * 100, 2) : null,
+    stochastic_k: round(indicators.stochasticK, 2),
+    stochastic_d: round(indicators.stochasticD, 2),
+    realized_volatility: indicators.realizedVolatility !== null && indicators.realizedVolatility !== undefined ?
+      round(indicators.realizedVolatility * 100, 2) : null,
+    short_ma: round(indicators.shortMovingAverage),
+    long_ma: round(indicators.longMovingAverage),
+    ma_cross: indicators.movingAverageCross?.type || null,
+    ma_cross_date: indicators.movingAverageCross?.date || null,
+    parameters: params,
+    report_date: currentDate
+  };
+}
+
+/**
+ * Convert technical row to markdown format
+ */
+function technicalsAsMarkdown(row, symbol) {
+  const params = row.parameters;
+  const formatValue = (num, digits = 2) => num === null || num === undefined ? 'N/A' : num.toFixed(digits);
+
+  const parts = [
+    `# ${symbol} Technical Indicators`,
+    ''
+  ];
+
+  if (row.price_date) {
+    parts.push(`**Last Close:** $${formatValue(row.last_close)} (${row.price_date})`);
+    parts.push('');
+  }
+
+  parts.push('## Moving Averages');
+
+  if (row.fifty_day_ma) parts.push(`**50-Day MA:** $${row.fifty_day_ma.toFixed(2)}`);
+  if (row.two_hundred_day_ma) parts.push(`**200-Day MA:** $${row.two_hundred_day_ma.toFixed(2)}`);
+  const usesDefaultAverages = params.shortMovingAverage === 50 && params.longMovingAverage === 200;
+  if (row.short_ma !== null && !(usesDefaultAverages && row.fifty_day_ma)) {
+    parts.push(`**${params.shortMovingAverage}-Day SMA (computed):** $${formatValue(row.short_ma)}`);
+  }
+  if (row.long_ma !== null && !(usesDefaultAverages && row.two_hundred_day_ma)) {
+    parts.push(`**${params.longMovingAverage}-Day SMA (computed):** $${formatValue(row.long_ma)}`);
+  }
+  if (row.ma_cross) {
+    parts.push(`**Last Crossover:** ${row.ma_cross === 'golden_cross' ? '🟢 Golden cross' : '🔴 Death cross'} on ${row.ma_cross_date}`);
+  }
+
+  parts.push('');
+  parts.push('## Price Ranges');
+  if (row.fifty_two_week_low) parts.push(`**52-Week Low:** $${row.fifty_two_week_low.toFixed(2)}`);
+  if (row.fifty_two_week_high) parts.push(`**52-Week High:** $${row.fifty_two_week_high.toFixed(2)}`);
+
+  if (row.rsi !== null || row.macd !== null || row.stochastic_k !== null) {
+    parts.push('');
+    parts.push('## Momentum');
+    if (row.rsi !== null) parts.push(`**RSI(${params.rsiPeriod}):** ${formatValue(row.rsi)}`);
+    if (row.macd !== null) {
+      parts.push(`**MACD(${params.macdFast},${params.macdSlow},${params.macdSignal}):** ${formatValue(row.macd, 3)} | Signal: ${formatValue(row.macd_signal, 3)} | Histogram: ${formatValue(row.macd_histogram, 3)}`);
+    }
+    if (row.stochastic_k !== null) {
+      parts.push(`**Stochastic(${params.stochasticPeriod},${params.stochasticSmoothing}):** %K ${formatValue(row.stochastic_k)} | %D ${formatValue(row.stochastic_d)}`);
+    }
+  }
+
+  if (row.bollinger_middle !== null || row.atr !== null || row.realized_volatility !== null || row.beta) {
+    parts.push('');
+    parts.push('## Volatility & Risk');
+    if (row.bollinger_middle !== null) {
+      parts.push(`**Bollinger Bands(${params.bollingerPeriod}, ${params.bollingerStdDev}σ):** $${formatValue(row.bollinger_lower)} / $${formatValue(row.bollinger_middle)} / $${formatValue(row.bollinger_upper)}`);
+      if (row.bollinger_percent_b !== null) parts.push(`**%B:** ${formatValue(row.bollinger_percent_b)} | **Bandwidth:** ${row.bollinger_bandwidth !== null ? `${formatValue(row.bollinger_bandwidth * 100)}%` : 'N/A'}`);
+    }
+    if (row.atr !== null) parts.push(`**ATR(${params.atrPeriod}):** $${formatValue(row.atr)}${row.atr_percent !== null ? ` (${formatValue(row.atr_percent)}% of price)` : ''}`);
+    if (row.realized_volatility !== null) parts.push(`**Realized Volatility (${params.volatilityWindow}d, annualized):** ${formatValue(row.realized_volatility)}%`);
+    if (row.beta) parts.push(`**Beta:** ${row.beta.toFixed(2)} (vs S&P 500)`);
+  }
+
+  parts.push('');
+  parts.push('## Volume Analysis');
+  if (row.current_volume) parts.push(`**Current Volume:** ${row.current_volume.toLocaleString()}`);
+  if (row.average_volume_10d) parts.push(`**10-Day Avg Volume:** ${row.average_volume_10d.toLocaleString()}`);
+  if (row.average_volume) parts.push(`**Average Volume:** ${row.average_volume.toLocaleString()}`);
+
+  // Summarize the latest signals
+  const signals = [];
+  if (row.rsi !== null) {
+    if (row.rsi >= 70) signals.push(`🔴 RSI overbought (${formatValue(row.rsi)})`);
+    else if (row.rsi <= 30) signals.push(`🟢 RSI oversold (${formatValue(row.rsi)})`);
+    else signals.push(`⚪ RSI neutral (${formatValue(row.rsi)})`);
+  }
+  if (row.macd_histogram !== null) {
+    const crossNote = row.macd_cross ? ` - ${row.macd_cross} crossover on ${row.macd_cross_date}` : '';
+    signals.push(row.macd_histogram > 0 ? `🟢 MACD above signal line${crossNote}` : `🔴 MACD below signal line${crossNote}`);
+  }
+  if (row.stochastic_k !== null) {
+    if (row.stochastic_k >= 80) signals.push('🔴 Stochastic overbought');
+    else if (row.stochastic_k <= 20) signals.push('🟢 Stochastic oversold');
+  }
+  if (row.bollinger_percent_b !== null) {
+    if (row.bollinger_percent_b > 1) signals.push('🔴 Price above upper Bollinger Band');
+    else if (row.bollinger_percent_b < 0) signals.push('🟢 Price below lower Bollinger Band');
+  }
+  if (row.short_ma !== null && row.long_ma !== null) {
+    signals.push(row.short_ma > row.long_ma ?
+      `🟢 ${params.shortMovingAverage}-day SMA above ${params.longMovingAverage}-day (uptrend)` :
+      `🔴 ${params.shortMovingAverage}-day SMA below ${params.longMovingAverage}-day (downtrend)`);
+  }
+
+  if (signals.length > 0) {
+    parts.push('');
+    parts.push('## Signal Summary');
+    signals.forEach(signal => parts.push(`- ${signal}`));
+  }
+
+  return parts.join('\n');
+}
+
+/**
+ * Main function to fetch technical analysis
+ * @param {Object} params - Parameters
+ * @param {string} params.symbol - Stock symbol
+ * @param {Object} params.indicatorParams - Indicator parameter overrides (e.g. { rsiPeriod: 9 })
+ * @returns {Promise<Object>} Result with row and markdown
+ */
+async function fetchStockTechnicals({ symbol, indicatorParams = {} }) {
+  try {
+    
+    const params = resolveTechnicalParams(indicatorParams);
+    const technicalData = await extractTechnicalData(symbol, params);
+    
     if (!technicalData) {
-      throw new Error('Could not extract technical data from Yahoo Finance page');
+      throw new ParseError('Could not extract technical data from Yahoo Finance page', { symbol, source: 'Yahoo Finance' });
     }
     
-    const row = toTechnicalRow(symbol, technicalData);
+    const row = toTechnicalRow(symbol, technicalData, params);
     const markdown = technicalsAsMarkdown(row, symbol);
     
     return { row, markdown };
@@ -2739,6 +3907,369 @@ async function fetchStockTechnicals({ symbol }) {
   }
 }
 
+// Valid ranges and intervals accepted by the Yahoo Finance chart API
+const HISTORY_RANGES = ['1d', '5d', '1mo', '3mo', '6mo', '1y', '2y', '5y', '10y', 'ytd', 'max'];
+const HISTORY_INTERVALS = ['1m', '2m', '5m', '15m', '30m', '60m', '90m', '1h', '1d', '5d', '1wk', '1mo', '3mo'];
+
+// Intraday bars are only served for recent history; longest range allowed per interval
+const INTRADAY_MAX_RANGE = {
+  '1m': '5d',
+  '2m': '1mo',
+  '5m': '1mo',
+  '15m': '1mo',
+  '30m': '1mo',
+  '60m': '2y',
+  '90m': '1mo',
+  '1h': '2y'
+};
+
+/**
+ * Validate a range/interval combination for the chart API
+ * @param {string} range - History range (e.g. "1y")
+ * @param {string} interval - Bar interval (e.g. "1d")
+ */
+function validateHistoryParams(range, interval) {
+  if (!HISTORY_RANGES.includes(range)) {
+    throw new InvalidInputError(`Invalid range "${range}". Valid ranges: ${HISTORY_RANGES.join(', ')}`);
+  }
+
+  if (!HISTORY_INTERVALS.includes(interval)) {
+    throw new InvalidInputError(`Invalid interval "${interval}". Valid intervals: ${HISTORY_INTERVALS.join(', ')}`);
+  }
+
+  const maxRange = INTRADAY_MAX_RANGE[interval];
+  if (maxRange && (range === 'ytd' || HISTORY_RANGES.indexOf(range) > HISTORY_RANGES.indexOf(maxRange))) {
+    throw new InvalidInputError(`Interval "${interval}" is only available for ranges up to ${maxRange}`);
+  }
+}
+
+/**
+ * Extract OHLCV price history from the Yahoo Finance chart API
+ * Shared by stock_history and the return-based analytics.
+ * @param {string} symbol - Stock ticker symbol
+ * @param {Object} options - History options
+ * @param {string} options.range - History range (default "1y")
+ * @param {string} options.interval - Bar interval (default "1d")
+ * @returns {Promise<Object>} Price history with bars sorted oldest first
+ * @throws {FinancialDataError} When the symbol is unknown or has no bars in the range
+ */
+async function extractPriceHistory(symbol, { range = '1y', interval = '1d' } = {}) {
+  try {
+
+    const response = await httpClient.get(`https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}`, {
+      params: {
+        range,
+        interval,
+        includeAdjustedClose: true,
+        events: 'div,splits'
+      },
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_7 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.1.2 Mobile/15E148 Safari/604.1'
+      },
+      timeout: 15000
+    });
+
+    const chart = response.data?.chart?.result?.[0];
+    if (!chart) {
+      throw new ParseError(`Unexpected Yahoo Finance chart response for ${symbol}`, { symbol, source: 'Yahoo Finance' });
+    }
+    if (!Array.isArray(chart.timestamp)) {
+      throw new DataUnavailableError(`No ${interval} price history for ${symbol} over ${range}`, { symbol, source: 'Yahoo Finance' });
+    }
+
+    const meta = chart.meta || {};
+    const quote = chart.indicators?.quote?.[0] || {};
+    const adjClose = chart.indicators?.adjclose?.[0]?.adjclose || [];
+    const intraday = Boolean(INTRADAY_MAX_RANGE[interval]);
+    const gmtOffset = meta.gmtoffset || 0;
+
+    const bars = [];
+    chart.timestamp.forEach((timestamp, i) => {
+      const close = quote.close?.[i];
+      // Yahoo pads halted/partial bars with nulls
+      if (close === null || close === undefined) return;
+
+      bars.push({
+        timestamp,
+        // Daily and longer bars are labelled with the exchange-local trading date
+        date: intraday ?
+          new Date(timestamp * 1000).toISOString().replace('.000Z', 'Z') :
+          new Date((timestamp + gmtOffset) * 1000).toISOString().split('T')[0],
+        open: quote.open?.[i] ?? null,
+        high: quote.high?.[i] ?? null,
+        low: quote.low?.[i] ?? null,
+        close,
+        adjClose: adjClose[i] ?? close,
+        volume: quote.volume?.[i] ?? null
+      });
+    });
+
+    if (bars.length === 0) {
+      throw new DataUnavailableError(`No ${interval} price history for ${symbol} over ${range}`, { symbol, source: 'Yahoo Finance' });
+    }
+
+    return {
+      symbol: (meta.symbol || symbol).toUpperCase(),
+      currency: meta.currency || 'USD',
+      exchange: meta.fullExchangeName || meta.exchangeName || null,
+      timezone: meta.exchangeTimezoneName || null,
+      range,
+      interval,
+      bars: bars.sort((a, b) => a.timestamp - b.timestamp)
+    };
+  } catch (error) {
+    throw toFinancialDataError(error, { symbol });
+  }
+}
+
+/**
+ * Convert price history to standardized rows, one per bar
+ * When adjusted, OHLC values are scaled by the split/dividend adjustment factor
+ * so candles stay consistent with the adjusted close.
+ * @param {Object} historyData - Price history data
+ * @param {boolean} adjusted - Whether to return adjusted prices
+ * @returns {Array} Array of OHLCV rows (oldest first)
+ */
+function toPriceHistoryRows(historyData, adjusted = true) {
+  const round = (num) => num === null ? null : Math.round(num * 10000) / 10000;
+
+  return historyData.bars.map(bar => {
+    const factor = adjusted && bar.close ? bar.adjClose / bar.close : 1;
+
+    return {
+      symbol: historyData.symbol,
+      date: bar.date,
+      open: bar.open !== null ? round(bar.open * factor) : null,
+      high: bar.high !== null ? round(bar.high * factor) : null,
+      low: bar.low !== null ? round(bar.low * factor) : null,
+      close: round(bar.close * factor),
+      unadjusted_close: round(bar.close),
+      adj_close: round(bar.adjClose),
+      volume: bar.volume,
+      adjusted
+    };
+  });
+}
+
+/**
+ * Summarize performance over the returned history
+ * @param {Array} rows - OHLCV rows (oldest first)
+ * @returns {Object} Summary statistics
+ */
+function summarizePriceHistory(rows) {
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+  const highs = rows.map(row => row.high ?? row.close);
+  const lows = rows.map(row => row.low ?? row.close);
+  const volumes = rows.filter(row => row.volume !== null).map(row => row.volume);
+
+  const high = Math.max(...highs);
+  const low = Math.min(...lows);
+
+  return {
+    start_date: first.date,
+    end_date: last.date,
+    bars: rows.length,
+    start_close: first.close,
+    end_close: last.close,
+    change: Math.round((last.close - first.close) * 10000) / 10000,
+    change_percent: first.close ? Math.round(((last.close - first.close) / first.close) * 10000) / 100 : null,
+    period_high: high,
+    period_high_date: rows[highs.indexOf(high)].date,
+    period_low: low,
+    period_low_date: rows[lows.indexOf(low)].date,
+    average_volume: volumes.length > 0 ? Math.round(volumes.reduce((a, b) => a + b, 0) / volumes.length) : null
+  };
+}
+
+/**
+ * Convert price history rows to markdown format
+ * @param {Array} rows - OHLCV rows
+ * @param {Object} summary - Summary statistics
+ * @param {Object} historyData - Price history metadata
+ * @param {number} maxRows - Most recent bars to show in the table
+ * @returns {string} Markdown formatted string
+ */
+function priceHistoryAsMarkdown(rows, summary, historyData, maxRows = 30) {
+  const formatPrice = (num) => {
+    if (num === null || num === undefined) return 'N/A';
+    return num.toFixed(2);
+  };
+
+  const currency = historyData.currency;
+  const adjusted = rows[0].adjusted;
+
+  const parts = [
+    `# ${historyData.symbol} Price History`,
+    '',
+    `**Range:** ${historyData.range} | **Interval:** ${historyData.interval} | **Prices:** ${adjusted ? 'Adjusted for splits & dividends' : 'Unadjusted'}`,
+    `**Period:** ${summary.start_date} → ${summary.end_date} (${summary.bars} bars)`
+  ];
+
+  if (historyData.exchange) {
+    parts.push(`**Exchange:** ${historyData.exchange}${historyData.timezone ? ` (${historyData.timezone})` : ''}`);
+  }
+
+  parts.push('');
+  parts.push('## Performance Summary');
+  parts.push(`**Start Close:** ${formatPrice(summary.start_close)} ${currency}`);
+  parts.push(`**End Close:** ${formatPrice(summary.end_close)} ${currency}`);
+  if (summary.change_percent !== null) {
+    const emoji = summary.change_percent >= 0 ? '🟢' : '🔴';
+    parts.push(`**Change:** ${emoji} ${summary.change >= 0 ? '+' : ''}${formatPrice(summary.change)} (${summary.change_percent >= 0 ? '+' : ''}${summary.change_percent.toFixed(2)}%)`);
+  }
+  parts.push(`**Period High:** ${formatPrice(summary.period_high)} (${summary.period_high_date})`);
+  parts.push(`**Period Low:** ${formatPrice(summary.period_low)} (${summary.period_low_date})`);
+  if (summary.average_volume !== null) parts.push(`**Average Volume:** ${summary.average_volume.toLocaleString()}`);
+
+  const shown = rows.slice(-maxRows).reverse();
+
+  parts.push('');
+  parts.push(rows.length > shown.length ?
+    `## Recent Bars (most recent ${shown.length} of ${rows.length})` :
+    '## Bars');
+  parts.push('');
+  parts.push('| Date | Open | High | Low | Close | Adj Close | Volume |');
+  parts.push('|------|------|------|-----|-------|-----------|--------|');
+
+  shown.forEach(row => {
+    parts.push(`| ${row.date} | ${formatPrice(row.open)} | ${formatPrice(row.high)} | ${formatPrice(row.low)} | ${formatPrice(row.close)} | ${formatPrice(row.adj_close)} | ${row.volume !== null ? row.volume.toLocaleString() : 'N/A'} |`);
+  });
+
+  parts.push('');
+  parts.push(`**Report Date:** ${new Date().toISOString().split('T')[0]}`);
+
+  return parts.join('\n');
+}
+
+/**
+ * Main function to fetch historical OHLCV prices
+ * @param {Object} params - Parameters
+ * @param {string} params.symbol - Stock symbol
+ * @param {string} params.range - History range (1d, 5d, 1mo ... max)
+ * @param {string} params.interval - Bar interval (1d, 1wk, 1mo or intraday)
+ * @param {boolean} params.adjusted - Adjust prices for splits & dividends (default true)
+ * @returns {Promise<Object>} Result with rows, summary and markdown
+ */
+async function fetchStockHistory({ symbol, range = '1y', interval = '1d', adjusted = true }) {
+  try {
+
+    validateHistoryParams(range, interval);
+
+    const historyData = await extractPriceHistory(symbol, { range, interval });
+
+    if (!historyData) {
+      throw new DataUnavailableError(`Could not retrieve price history for ${symbol} from Yahoo Finance`, { symbol, source: 'Yahoo Finance' });
+    }
+
+    const rows = toPriceHistoryRows(historyData, adjusted);
+    const summary = summarizePriceHistory(rows);
+    const markdown = priceHistoryAsMarkdown(rows, summary, historyData);
+
+    return { rows, summary, markdown };
+
+  } catch (error) {
+    throw error;
+  }
+}
+
+// Minimum overlapping returns before a correlation estimate is considered reliable
+const MIN_CORRELATION_OBSERVATIONS = 20;
+
+/**
+ * Compute log returns from a price series
+ * @param {Array} prices - Prices (oldest first)
+ * @returns {Array} Log returns, one shorter than the input and aligned with it -
+ *   null where either price is missing or non-positive
+ */
+function logReturns(prices) {
+  const returns = [];
+  for (let i = 1; i < prices.length; i++) {
+    returns.push(prices[i] > 0 && prices[i - 1] > 0 ? Math.log(prices[i] / prices[i - 1]) : null);
+  }
+  return returns;
+}
+
+/**
+ * Keep the positions where both aligned series have a value
+ * @param {Array} x - First series
+ * @param {Array} y - Second series, same positions as x
+ * @returns {Array} [x, y] without the positions where either is null
+ */
+function pairwiseComplete(x, y) {
+  const keep = x.map((value, i) => value !== null && y[i] !== null && y[i] !== undefined);
+  return [x.filter((value, i) => keep[i]), y.filter((value, i) => keep[i])];
+}
+
+/**
+ * Arithmetic mean of a series
+ */
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Sample standard deviation of a series
+ */
+function standardDeviation(values) {
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - avg) ** 2, 0) / (values.length - 1));
+}
+
+/**
+ * Pearson correlation coefficient of two equal-length series
+ * @returns {number|null} Correlation, or null with fewer than 3 points or zero variance
+ */
+function pearsonCorrelation(x, y) {
+  const n = Math.min(x.length, y.length);
+  if (n < 3) return null;
+
+  const meanX = mean(x.slice(0, n));
+  const meanY = mean(y.slice(0, n));
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+
+  for (let i = 0; i < n; i++) {
+    const dx = x[i] - meanX;
+    const dy = y[i] - meanY;
+    covariance += dx * dy;
+    varianceX += dx * dx;
+    varianceY += dy * dy;
+  }
+
+  if (varianceX === 0 || varianceY === 0) return null;
+  return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+/**
+ * Rank a series, assigning tied values their average rank
+ */
+function rankValues(values) {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const ranks = new Array(values.length);
+
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].value === order[i].value) j++;
+    const averageRank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) ranks[order[k].index] = averageRank;
+    i = j + 1;
+  }
+
+  return ranks;
+}
+
+/**
+ * Spearman rank correlation of two equal-length series
+ * @returns {number|null} Correlation, or null with fewer than 3 points
+ */
+function spearmanCorrelation(x, y) {
+  const n = Math.min(x.length, y.length);
+  if (n < 3) return null;
+  return pearsonCorrelation(rankValues(x.slice(0, n)), rankValues(y.slice(0, n)));
+}
+
 /**
  * Extract economic indicators from FRED API (Federal Reserve Economic Data)
  * @param {Object} options - Options for economic data
@@ -2747,11 +4278,6 @@ async function fetchStockTechnicals({ symbol }) {
 async function extractEconomicData(options = {}) {
   try {
     
-    // Get API key from environment variable
-    const apiKey = process.env.FRED_API_KEY || 'demo';
-    const baseUrl = 'https://api.stlouisfed.org/fred/series/observations';
-    
-    
     // Comprehensive economic indicators (FRED series IDs)
     const indicators = {
       // GDP & Growth
@@ -2810,90 +4336,60 @@ async function extractEconomicData(options = {}) {
     };
     
     const results = {};
-    const maxConcurrent = 5; // Respect rate limits
-    const delay = 500; // 500ms between requests
     
-    // Process indicators in batches to respect rate limits
-    const indicatorEntries = Object.entries(indicators);
-    
-    for (let i = 0; i < indicatorEntries.length; i += maxConcurrent) {
-      const batch = indicatorEntries.slice(i, i + maxConcurrent);
-      
-      const batchPromises = batch.map(async ([key, seriesId]) => {
-        try {
-          
-          const url = `${baseUrl}?series_id=${seriesId}&api_key=${apiKey}&file_type=json&limit=5&sort_order=desc`;
-          
-          const response = await axios.get(url, {
-            timeout: 15000,
-            headers: {
-              'User-Agent': 'Mozilla/5.0 (compatible; Yahoo-Finance-MCP/1.0)'
-            }
-          });
-          
-          if (response.data && response.data.observations && response.data.observations.length > 0) {
-            // Get the most recent valid observation
-            const latestObs = response.data.observations.find(obs => obs.value !== '.' && obs.value !== null);
+    // The FRED client paces these requests, so they can all be issued at once
+    await Promise.all(Object.entries(indicators).map(async ([key, seriesId]) => {
+      try {
+        const data = await fredRequest('series/observations', { series_id: seriesId, limit: 5, sort_order: 'desc' });
+        
+        // Get the most recent valid observation
+        const latestObs = parseFredObservations(data.observations)[0];
+        
+        if (latestObs) {
+          results[key] = {
+            value: latestObs.value,
+            date: latestObs.date,
+            seriesId: seriesId,
+            realtime_start: data.realtime_start,
+            realtime_end: data.realtime_end,
+            units: data.units || 'Unknown'
+          };
+        }
+        
+      } catch (error) {
+        
+        // Enhanced fallback for treasury rates via Yahoo Finance
+        if (key.includes('treasury')) {
+          try {
+            const symbolMap = {
+              'treasury1m': '^IRX',    // 13-week treasury bill
+              'treasury3m': '^IRX',    // 13-week treasury bill  
+              'treasury6m': '^IRX',    // 13-week treasury bill
+              'treasury1y': '^TNX',    // 10-year (closest available)
+              'treasury2y': '^TNX',    // 10-year (closest available)
+              'treasury5y': '^TNX',    // 10-year treasury note
+              'treasury10y': '^TNX',   // 10-year treasury note
+              'treasury30y': '^TYX'    // 30-year treasury bond
+            };
             
-            if (latestObs) {
+            const symbol = symbolMap[key] || '^TNX';
+            const yahooPage = await getQuotePage(symbol, { timeout: 8000 });
+            
+            const price = yahooPage.value('price.regularMarketPrice', 'quote.regularMarketPrice');
+            if (price !== null) {
               results[key] = {
-                value: parseFloat(latestObs.value),
-                date: latestObs.date,
-                seriesId: seriesId,
-                realtime_start: response.data.realtime_start,
-                realtime_end: response.data.realtime_end,
-                units: response.data.units || 'Unknown'
+                value: price,
+                date: new Date().toISOString().split('T')[0],
+                seriesId: symbol,
+                source: 'yahoo_finance',
+                units: 'Percent'
               };
             }
-          }
-          
-        } catch (error) {
-          
-          // Enhanced fallback for treasury rates via Yahoo Finance
-          if (key.includes('treasury')) {
-            try {
-              const symbolMap = {
-                'treasury1m': '^IRX',    // 13-week treasury bill
-                'treasury3m': '^IRX',    // 13-week treasury bill  
-                'treasury6m': '^IRX',    // 13-week treasury bill
-                'treasury1y': '^TNX',    // 10-year (closest available)
-                'treasury2y': '^TNX',    // 10-year (closest available)
-                'treasury5y': '^TNX',    // 10-year treasury note
-                'treasury10y': '^TNX',   // 10-year treasury note
-                'treasury30y': '^TYX'    // 30-year treasury bond
-              };
-              
-              const symbol = symbolMap[key] || '^TNX';
-              const yahooResponse = await axios.get(`https://finance.yahoo.com/quote/${symbol}?p=${symbol}`, {
-                headers: {
-                  'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_7 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.1.2 Mobile/15E148 Safari/604.1'
-                },
-                timeout: 8000
-              });
-              
-              const priceMatch = yahooResponse.data.match(/\\"regularMarketPrice\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/);
-              if (priceMatch) {
-                results[key] = {
-                  value: parseFloat(priceMatch[1]),
-                  date: new Date().toISOString().split('T')[0],
-                  seriesId: symbol,
-                  source: 'yahoo_finance',
-                  units: 'Percent'
-                };
-              }
-            } catch (fallbackError) {
-            }
+          } catch (fallbackError) {
           }
         }
-      });
-      
-      await Promise.all(batchPromises);
-      
-      // Rate limiting delay between batches
-      if (i + maxConcurrent < indicatorEntries.length) {
-        await new Promise(resolve => setTimeout(resolve, delay));
       }
-    }
+    }));
     
     if (Object.keys(results).length > 0) {
       return results;
@@ -3237,6 +4733,7 @@ function economicAsMarkdown(rows) {
                          '🔴 Weak';
     parts.push(`**Overall Economic Health:** ${overallHealth} (${healthScore}/${totalMetrics} positive indicators)`);
   }
+  parts.push('*For recession risk (Sahm rule, yield-curve probit, LEI components) see `recession_signals`.*');
 
   parts.push('');
   parts.push('---');
@@ -3270,6 +4767,709 @@ async function fetchEconomicIndicators() {
   }
 }
 
+// Constant-maturity Treasury yields (H.15) and, from 5 years out, TIPS real yields
+const TREASURY_TENORS = [
+  { tenor: '1M', years: 1 / 12, seriesId: 'DGS1MO' },
+  { tenor: '3M', years: 0.25, seriesId: 'DGS3MO' },
+  { tenor: '6M', years: 0.5, seriesId: 'DGS6MO' },
+  { tenor: '1Y', years: 1, seriesId: 'DGS1' },
+  { tenor: '2Y', years: 2, seriesId: 'DGS2' },
+  { tenor: '3Y', years: 3, seriesId: 'DGS3' },
+  { tenor: '5Y', years: 5, seriesId: 'DGS5', realSeriesId: 'DFII5' },
+  { tenor: '7Y', years: 7, seriesId: 'DGS7', realSeriesId: 'DFII7' },
+  { tenor: '10Y', years: 10, seriesId: 'DGS10', realSeriesId: 'DFII10' },
+  { tenor: '20Y', years: 20, seriesId: 'DGS20', realSeriesId: 'DFII20' },
+  { tenor: '30Y', years: 30, seriesId: 'DGS30', realSeriesId: 'DFII30' }
+];
+const YIELD_CURVE_SPREADS = { '3m10y': ['3M', '10Y'], '2s10s': ['2Y', '10Y'], '5s30s': ['5Y', '30Y'] };
+// FRED's own daily spread series, used for the inversion history
+const INVERSION_SPREAD_SERIES = { '2s10s': 'T10Y2Y', '3m10y': 'T10Y3M' };
+// Negative readings less than this many days apart belong to one inversion episode
+const INVERSION_MERGE_DAYS = 30;
+const YIELD_CURVE_LOOKBACKS = { '1m': { months: -1 }, '3m': { months: -3 }, '1y': { years: -1 } };
+const INVERSION_MARKDOWN_EPISODES = 25;
+
+/**
+ * Shift a YYYY-MM-DD date by whole months/years/days (UTC)
+ */
+function shiftIsoDate(date, { years = 0, months = 0, days = 0 }) {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCFullYear(shifted.getUTCFullYear() + years, shifted.getUTCMonth() + months, shifted.getUTCDate() + days);
+  return shifted.toISOString().split('T')[0];
+}
+
+/**
+ * Latest observation on or before a date
+ * @param {Array} observations - Observations in ascending date order
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Object|null} Observation
+ */
+function observationAsOf(observations, date) {
+  let found = null;
+  for (const obs of observations) {
+    if (obs.date > date) break;
+    found = obs;
+  }
+  return found;
+}
+
+/**
+ * Group negative spread readings into inversion episodes
+ * @param {Array} observations - Spread observations in ascending date order
+ * @returns {Array} Episodes with start, end, duration and deepest reading
+ */
+function findInversionEpisodes(observations) {
+  const daysBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / 86400000);
+  const episodes = [];
+  let current = null;
+
+  observations.filter(obs => obs.value < 0).forEach(obs => {
+    if (!current || daysBetween(current.end, obs.date) > INVERSION_MERGE_DAYS) {
+      current = { start: obs.date, end: obs.date, trading_days: 0, deepest: obs.value, deepest_date: obs.date };
+      episodes.push(current);
+    }
+    current.end = obs.date;
+    current.trading_days++;
+    if (obs.value < current.deepest) {
+      current.deepest = obs.value;
+      current.deepest_date = obs.date;
+    }
+  });
+
+  const latest = observations[observations.length - 1];
+  return episodes.map(episode => ({
+    ...episode,
+    duration_days: daysBetween(episode.start, episode.end) + 1,
+    ongoing: Boolean(latest && latest.value < 0 && episode.end === latest.date)
+  }));
+}
+
+/**
+ * Fetch the Treasury curve around a date, with comparison points and inversion history
+ * @param {Object} params - Parameters
+ * @param {string} params.date - Curve date (YYYY-MM-DD), latest when omitted
+ * @param {boolean} params.includeReal - Also fetch the TIPS real yield curve
+ * @param {string} params.inversionSpread - "2s10s" or "3m10y" for the inversion history
+ * @returns {Promise<Object>} Curve data
+ */
+async function extractYieldCurve({ date = null, includeReal = false, inversionSpread = '2s10s' }) {
+  try {
+    requireFredApiKey('yield curve');
+
+    const target = date || new Date().toISOString().split('T')[0];
+    // A year of daily history (plus slack for holidays) covers every comparison point
+    const windowStart = shiftIsoDate(target, { years: -1, days: -14 });
+    const seriesIds = TREASURY_TENORS.flatMap(point => (includeReal && point.realSeriesId ? [point.seriesId, point.realSeriesId] : [point.seriesId]));
+
+    const [histories, spreadHistory] = await Promise.all([
+      Promise.all(seriesIds.map(async seriesId => {
+        const data = await fetchFredObservationPages({ series_id: seriesId, observation_start: windowStart, observation_end: target });
+        return [seriesId, data.observations.reverse()];
+      })),
+      fetchFredObservationPages({ series_id: INVERSION_SPREAD_SERIES[inversionSpread], observation_end: target })
+    ]);
+    const history = Object.fromEntries(histories);
+
+    // The curve date is the latest trading day on or before the target with a 10-year print
+    const curveDate = observationAsOf(history.DGS10, target)?.date;
+    if (!curveDate) return null;
+
+    const comparisonDates = Object.fromEntries(Object.entries(YIELD_CURVE_LOOKBACKS).map(([label, shift]) => [label, shiftIsoDate(curveDate, shift)]));
+
+    return {
+      curveDate,
+      comparisonDates,
+      includeReal,
+      history,
+      inversionSpread,
+      episodes: findInversionEpisodes(spreadHistory.observations.reverse())
+    };
+  } catch (error) {
+    throw toFinancialDataError(error, { source: 'FRED' });
+  }
+}
+
+/**
+ * Convert the yield curve to one row per tenor
+ */
+function toYieldCurveRows(curveData) {
+  const { curveDate, comparisonDates, history, includeReal } = curveData;
+  const valueOn = (seriesId, date) => (history[seriesId] ? observationAsOf(history[seriesId], date)?.value ?? null : null);
+  const changeBp = (now, then) => (now !== null && then !== null ? Math.round((now - then) * 100) : null);
+
+  return TREASURY_TENORS.map(point => {
+    const current = valueOn(point.seriesId, curveDate);
+    const earlier = Object.fromEntries(Object.entries(comparisonDates).map(([label, date]) => [label, valueOn(point.seriesId, date)]));
+    const row = {
+      tenor: point.tenor,
+      maturity_years: point.years,
+      series_id: point.seriesId,
+      yield: current,
+      yield_1m_ago: earlier['1m'],
+      yield_3m_ago: earlier['3m'],
+      yield_1y_ago: earlier['1y'],
+      change_1m_bp: changeBp(current, earlier['1m']),
+      change_3m_bp: changeBp(current, earlier['3m']),
+      change_1y_bp: changeBp(current, earlier['1y']),
+      curve_date: curveDate
+    };
+
+    if (includeReal) {
+      const real = point.realSeriesId ? valueOn(point.realSeriesId, curveDate) : null;
+      row.real_series_id = point.realSeriesId || null;
+      row.real_yield = real;
+      // Market-implied inflation: nominal minus real yield
+      row.breakeven_inflation = current !== null && real !== null ? Math.round((current - real) * 100) / 100 : null;
+    }
+
+    return row;
+  });
+}
+
+/**
+ * Standard spreads (long minus short tenor, percentage points) now and at each comparison date
+ */
+function yieldCurveSpreads(rows) {
+  const byTenor = Object.fromEntries(rows.map(row => [row.tenor, row]));
+  const spread = (field, [short, long]) => {
+    const a = byTenor[long][field];
+    const b = byTenor[short][field];
+    return a !== null && b !== null ? Math.round((a - b) * 100) / 100 : null;
+  };
+
+  return Object.fromEntries(Object.entries(YIELD_CURVE_SPREADS).map(([name, tenors]) => [name, {
+    current: spread('yield', tenors),
+    one_month_ago: spread('yield_1m_ago', tenors),
+    three_months_ago: spread('yield_3m_ago', tenors),
+    one_year_ago: spread('yield_1y_ago', tenors)
+  }]));
+}
+
+/**
+ * Convert the yield curve to markdown
+ */
+function yieldCurveAsMarkdown(rows, summary) {
+  const format = value => (value === null ? 'N/A' : `${value.toFixed(2)}%`);
+  const formatBp = value => (value === null ? 'N/A' : `${value > 0 ? '+' : ''}${value}`);
+  const includeReal = rows.some(row => 'real_yield' in row);
+  const shapeIcons = { normal: '📈', flat: '➡️', inverted: '🔻' };
+
+  const parts = [
+    '# 📈 Treasury Yield Curve',
+    '',
+    `**Curve Date:** ${summary.curve_date}`,
+    `**Compared With:** ${summary.comparison_dates['1m']} (1M) | ${summary.comparison_dates['3m']} (3M) | ${summary.comparison_dates['1y']} (1Y)`,
+    `**Shape:** ${shapeIcons[summary.shape] || ''} ${summary.shape ? summary.shape.charAt(0).toUpperCase() + summary.shape.slice(1) : 'Unknown'} (3m10y)`,
+    '',
+    '## Curve',
+    '',
+    `| Tenor | Yield | 1M Ago | 3M Ago | 1Y Ago | Δ1M (bp) | Δ1Y (bp) |${includeReal ? ' Real Yield | Breakeven |' : ''}`,
+    `|-------|-------|--------|--------|--------|----------|----------|${includeReal ? '------------|-----------|' : ''}`
+  ];
+
+  rows.forEach(row => {
+    const real = includeReal ? ` ${format(row.real_yield)} | ${format(row.breakeven_inflation)} |` : '';
+    parts.push(`| ${row.tenor} | **${format(row.yield)}** | ${format(row.yield_1m_ago)} | ${format(row.yield_3m_ago)} | ${format(row.yield_1y_ago)} | ${formatBp(row.change_1m_bp)} | ${formatBp(row.change_1y_bp)} |${real}`);
+  });
+
+  const spreadBp = value => (value === null ? 'N/A' : `${value < 0 ? '🔴 ' : ''}${Math.round(value * 100)} bp`);
+  parts.push('');
+  parts.push('## Spreads');
+  parts.push('');
+  parts.push('| Spread | Now | 1M Ago | 3M Ago | 1Y Ago |');
+  parts.push('|--------|-----|--------|--------|--------|');
+  Object.entries(summary.spreads).forEach(([name, values]) => {
+    parts.push(`| ${name} | **${spreadBp(values.current)}** | ${spreadBp(values.one_month_ago)} | ${spreadBp(values.three_months_ago)} | ${spreadBp(values.one_year_ago)} |`);
+  });
+
+  parts.push('');
+  parts.push(`## 🔻 Inversion History (${summary.inversion_spread}, ${summary.inversion_series})`);
+  parts.push('');
+  if (summary.inversion_episodes.length === 0) {
+    parts.push('No inversions in the available history.');
+  } else {
+    parts.push('| Start | End | Duration | Trading Days | Deepest |');
+    parts.push('|-------|-----|----------|--------------|---------|');
+    const recent = summary.inversion_episodes.slice(-INVERSION_MARKDOWN_EPISODES).reverse();
+    recent.forEach(episode => {
+      const end = episode.ongoing ? `${episode.end} (ongoing)` : episode.end;
+      parts.push(`| ${episode.start} | ${end} | ${episode.duration_days} day${episode.duration_days === 1 ? '' : 's'} | ${episode.trading_days} | ${Math.round(episode.deepest * 100)} bp (${episode.deepest_date}) |`);
+    });
+    parts.push('');
+    if (recent.length < summary.inversion_episodes.length) {
+      parts.push(`*Showing the latest ${recent.length} of ${summary.inversion_episodes.length} episodes - all are in the structured summary.*`);
+    }
+    parts.push(`*Readings less than ${INVERSION_MERGE_DAYS} days apart are counted as one episode.*`);
+  }
+
+  parts.push('');
+  parts.push('---');
+  parts.push('*Data from Federal Reserve Economic Data (FRED) API - H.15 constant-maturity yields*');
+
+  return parts.join('\n');
+}
+
+async function fetchYieldCurve({ date = null, includeReal = false, inversionSpread = '2s10s' } = {}) {
+  if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    throw new InvalidInputError(`date must be a YYYY-MM-DD date, got "${date}"`);
+  }
+  if (!INVERSION_SPREAD_SERIES[inversionSpread]) {
+    throw new InvalidInputError(`Unknown inversion_spread "${inversionSpread}". Use one of: ${Object.keys(INVERSION_SPREAD_SERIES).join(', ')}`);
+  }
+
+  const curveData = await extractYieldCurve({ date, includeReal, inversionSpread });
+  if (!curveData) {
+    throw new DataUnavailableError(`No Treasury yields available on or before ${date || 'today'}`, { source: 'FRED' });
+  }
+
+  const rows = toYieldCurveRows(curveData);
+  const spreads = yieldCurveSpreads(rows);
+  const spread3m10y = spreads['3m10y'].current;
+  const summary = {
+    curve_date: curveData.curveDate,
+    comparison_dates: curveData.comparisonDates,
+    spreads,
+    shape: spread3m10y === null ? null : spread3m10y < 0 ? 'inverted' : spread3m10y < 0.25 ? 'flat' : 'normal',
+    inversion_spread: inversionSpread,
+    inversion_series: INVERSION_SPREAD_SERIES[inversionSpread],
+    inversion_episodes: curveData.episodes
+  };
+  const markdown = yieldCurveAsMarkdown(rows, summary);
+
+  return { rows, summary, markdown };
+}
+
+// Sahm rule: the 3-month average unemployment rate this far above its low of the prior 12 months
+const SAHM_THRESHOLD = 0.5;
+// Estrella-Mishkin probit with the New York Fed's coefficients:
+// P(recession 12 months ahead) = Φ(alpha + beta × (10-year yield - 3-month bill rate))
+const RECESSION_PROBIT = { alpha: -0.5333, beta: -0.6330, horizonMonths: 12 };
+const RECESSION_PROBIT_THRESHOLD = 0.3;
+// Conference Board LEI components published on FRED (ISM new orders and the Leading Credit Index are not).
+// Level components signal on their sign, the rest on their 6-month change.
+const LEI_COMPONENTS = [
+  { key: 'weekly_hours', seriesId: 'AWHMAN', name: 'Avg weekly hours, manufacturing', unit: 'Hours', higherIsBetter: true },
+  { key: 'initial_claims', seriesId: 'ICSA', name: 'Initial jobless claims', unit: 'Claims', higherIsBetter: false },
+  { key: 'consumer_goods_orders', seriesId: 'ACOGNO', name: 'New orders, consumer goods', unit: 'Millions of Dollars', higherIsBetter: true },
+  { key: 'capital_goods_orders', seriesId: 'NEWORDER', name: 'New orders, nondefense capital goods ex aircraft', unit: 'Millions of Dollars', higherIsBetter: true },
+  { key: 'building_permits', seriesId: 'PERMIT', name: 'Building permits', unit: 'Thousands of Units', higherIsBetter: true },
+  { key: 'stock_prices', seriesId: 'SP500', name: 'S&P 500', unit: 'Index', higherIsBetter: true },
+  { key: 'rate_spread', seriesId: 'T10YFF', name: '10-year Treasury minus fed funds', unit: 'Percent', higherIsBetter: true, level: true },
+  { key: 'consumer_expectations', seriesId: 'UMCSENT', name: 'Consumer sentiment (Michigan)', unit: 'Index 1966:Q1=100', higherIsBetter: true }
+];
+const LEI_CHANGE_MONTHS = 6;
+// Share of components weakening at which the LEI counts as signalling
+const LEI_BREADTH_THRESHOLD = 0.5;
+// How far before each past recession to look for the yield curve and LEI signals
+const RECESSION_LOOKBACK_MONTHS = { probit: 24, inversion: 24, lei: 12, sahm: 12 };
+
+/**
+ * Whole months from one YYYY-MM-DD date to another
+ */
+function monthsBetween(from, to) {
+  return (Number(to.slice(0, 4)) - Number(from.slice(0, 4))) * 12 + Number(to.slice(5, 7)) - Number(from.slice(5, 7));
+}
+
+/**
+ * Standard normal CDF (Abramowitz-Stegun 7.1.26, error below 1.5e-7)
+ */
+function normalCdf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const tail = ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x / 2);
+  return x >= 0 ? 1 - tail / 2 : tail / 2;
+}
+
+/**
+ * Sahm rule reading for every month with a full 15-month window
+ * @param {Array} unemployment - Monthly UNRATE observations in ascending date order
+ * @returns {Array} { date, value, average, prior_low }
+ */
+function sahmRuleHistory(unemployment) {
+  const rates = new Map(unemployment.map(obs => [obs.date, obs.value]));
+  const averages = new Map(unemployment.map(obs => {
+    const window = [0, -1, -2].map(months => rates.get(shiftIsoDate(obs.date, { months })));
+    return [obs.date, window.every(value => value !== undefined) ? window.reduce((sum, value) => sum + value, 0) / 3 : null];
+  }));
+
+  return unemployment.map(obs => {
+    const average = averages.get(obs.date);
+    const prior = Array.from({ length: 12 }, (_, i) => averages.get(shiftIsoDate(obs.date, { months: -(i + 1) })));
+    if (average === null || prior.some(value => value === undefined || value === null)) return null;
+
+    const priorLow = Math.min(...prior);
+    return { date: obs.date, value: Math.round((average - priorLow) * 100) / 100, average: Math.round(average * 100) / 100, prior_low: Math.round(priorLow * 100) / 100 };
+  }).filter(Boolean);
+}
+
+/**
+ * Yield-curve probit probability for every month with both rates
+ * @param {Array} longRate - Monthly 10-year yields (GS10), ascending
+ * @param {Array} billRate - Monthly 3-month bill rates (TB3MS), ascending
+ * @returns {Array} { date, spread, probability, forecast_date }
+ */
+function recessionProbitHistory(longRate, billRate) {
+  const bills = new Map(billRate.map(obs => [obs.date, obs.value]));
+  const { alpha, beta, horizonMonths } = RECESSION_PROBIT;
+
+  return longRate.filter(obs => bills.has(obs.date)).map(obs => {
+    const spread = Math.round((obs.value - bills.get(obs.date)) * 100) / 100;
+    return {
+      date: obs.date,
+      spread,
+      probability: Math.round(normalCdf(alpha + beta * spread) * 1000) / 1000,
+      forecast_date: shiftIsoDate(obs.date, { months: horizonMonths })
+    };
+  });
+}
+
+/**
+ * 6-month change and weakening flag for each month of an LEI component
+ * @param {Object} component - Entry of LEI_COMPONENTS
+ * @param {Array} observations - Monthly observations, ascending
+ * @returns {Array} { date, value, change, unfavorable }
+ */
+function leiComponentHistory(component, observations) {
+  const values = new Map(observations.map(obs => [obs.date, obs.value]));
+
+  return observations.map(obs => {
+    const prior = values.get(shiftIsoDate(obs.date, { months: -LEI_CHANGE_MONTHS }));
+    const change = prior === undefined ? null
+      : component.level ? Math.round((obs.value - prior) * 100) / 100
+        : prior !== 0 ? Math.round((obs.value / prior - 1) * 10000) / 100 : null;
+    const unfavorable = component.level ? obs.value < 0
+      : change === null ? null
+        : component.higherIsBetter ? change < 0 : change > 0;
+    return { date: obs.date, value: obs.value, change, unfavorable };
+  });
+}
+
+/**
+ * Share of LEI components weakening, for every month at least half of them report
+ * @param {Array} histories - leiComponentHistory results
+ * @returns {Array} { date, unfavorable, components, breadth }
+ */
+function leiBreadthHistory(histories) {
+  const byDate = new Map();
+  histories.forEach(history => history.forEach(point => {
+    if (point.unfavorable === null) return;
+    const entry = byDate.get(point.date) || { date: point.date, unfavorable: 0, components: 0 };
+    entry.components++;
+    if (point.unfavorable) entry.unfavorable++;
+    byDate.set(point.date, entry);
+  }));
+
+  return [...byDate.values()]
+    .filter(entry => entry.components >= Math.ceil(histories.length / 2))
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(entry => ({ ...entry, breadth: Math.round((entry.unfavorable / entry.components) * 100) / 100 }));
+}
+
+/**
+ * NBER recessions from the USREC indicator (1 during recession months)
+ * @param {Array} usrec - Monthly USREC observations, ascending
+ * @returns {Array} { start, end, duration_months, ongoing }
+ */
+function findRecessions(usrec) {
+  const recessions = [];
+  let current = null;
+
+  usrec.forEach(obs => {
+    if (obs.value === 1) {
+      if (!current) {
+        current = { start: obs.date, end: obs.date };
+        recessions.push(current);
+      }
+      current.end = obs.date;
+    } else {
+      current = null;
+    }
+  });
+
+  return recessions.map(recession => ({
+    ...recession,
+    duration_months: monthsBetween(recession.start, recession.end) + 1,
+    ongoing: recession === current
+  }));
+}
+
+/**
+ * How each signal behaved ahead of one recession. Leads are months before the first
+ * recession month (negative: the signal came after it started); null fields mean no
+ * signal, or no data for the window.
+ */
+function recessionSignalBehavior(recession, { sahm, probit, breadth }) {
+  const inWindow = (points, fromMonths, to) => points.filter(point => point.date >= shiftIsoDate(recession.start, { months: -fromMonths }) && point.date <= to);
+  const beforeStart = shiftIsoDate(recession.start, { months: -1 });
+  const firstWhere = (points, test) => points.find(test) || null;
+  const lead = point => (point ? monthsBetween(point.date, recession.start) : null);
+
+  // The Sahm rule is coincident, so it may trigger up to the recession's last month
+  const sahmWindow = inWindow(sahm, RECESSION_LOOKBACK_MONTHS.sahm, recession.end);
+  const sahmTrigger = firstWhere(sahmWindow, point => point.value >= SAHM_THRESHOLD);
+  const probitWindow = inWindow(probit, RECESSION_LOOKBACK_MONTHS.probit, beforeStart);
+  const probitPeak = probitWindow.reduce((peak, point) => (!peak || point.probability > peak.probability ? point : peak), null);
+  const probitSignal = firstWhere(probitWindow, point => point.probability >= RECESSION_PROBIT_THRESHOLD);
+  const inversion = firstWhere(inWindow(probit, RECESSION_LOOKBACK_MONTHS.inversion, beforeStart), point => point.spread < 0);
+  const leiWindow = inWindow(breadth, RECESSION_LOOKBACK_MONTHS.lei, beforeStart);
+  const leiSignal = firstWhere(leiWindow, point => point.breadth >= LEI_BREADTH_THRESHOLD);
+
+  return {
+    ...recession,
+    sahm_covered: sahmWindow.length > 0,
+    sahm_trigger_date: sahmTrigger?.date || null,
+    sahm_lead_months: lead(sahmTrigger),
+    probit_covered: probitWindow.length > 0,
+    probit_peak: probitPeak?.probability ?? null,
+    probit_peak_date: probitPeak?.date || null,
+    probit_signal_date: probitSignal?.date || null,
+    probit_lead_months: lead(probitSignal),
+    curve_inversion_date: inversion?.date || null,
+    curve_inversion_lead_months: lead(inversion),
+    lei_covered: leiWindow.length > 0,
+    lei_peak_breadth: leiWindow.length > 0 ? Math.max(...leiWindow.map(point => point.breadth)) : null,
+    lei_signal_date: leiSignal?.date || null,
+    lei_lead_months: lead(leiSignal)
+  };
+}
+
+/**
+ * Fetch the monthly history behind every recession signal (requires API key)
+ * @returns {Promise<Object>} Signal histories, LEI component histories and NBER recessions
+ */
+async function extractRecessionSignals() {
+  try {
+    requireFredApiKey('recession signals');
+
+    const monthly = async seriesId => {
+      const data = await fetchFredObservationPages({ series_id: seriesId, frequency: 'm', aggregation_method: 'avg' });
+      return data.observations.reverse();
+    };
+    const [unemployment, longRate, billRate, usrec, ...components] = await Promise.all([
+      monthly('UNRATE'),
+      monthly('GS10'),
+      monthly('TB3MS'),
+      monthly('USREC'),
+      ...LEI_COMPONENTS.map(component => monthly(component.seriesId))
+    ]);
+
+    const leiHistories = LEI_COMPONENTS.map((component, i) => leiComponentHistory(component, components[i]));
+
+    return {
+      sahm: sahmRuleHistory(unemployment),
+      probit: recessionProbitHistory(longRate, billRate),
+      leiHistories,
+      breadth: leiBreadthHistory(leiHistories),
+      usrec,
+      recessions: findRecessions(usrec)
+    };
+  } catch (error) {
+    throw toFinancialDataError(error, { source: 'FRED' });
+  }
+}
+
+/**
+ * Convert current signal readings and LEI components to rows
+ */
+function toRecessionSignalRows(signalData) {
+  const latest = points => points[points.length - 1] || null;
+  const sahm = latest(signalData.sahm);
+  const probit = latest(signalData.probit);
+  const breadth = latest(signalData.breadth);
+
+  const signalRows = [
+    {
+      indicator: 'sahm_rule',
+      name: 'Sahm rule',
+      category: 'signal',
+      series_id: 'UNRATE',
+      value: sahm?.value ?? null,
+      unit: 'Percentage points',
+      date: sahm?.date || null,
+      change_6m: null,
+      threshold: SAHM_THRESHOLD,
+      triggered: sahm ? sahm.value >= SAHM_THRESHOLD : null
+    },
+    {
+      indicator: 'yield_curve_probit',
+      name: `Recession probability in ${RECESSION_PROBIT.horizonMonths} months (10y-3m probit)`,
+      category: 'signal',
+      series_id: 'GS10, TB3MS',
+      value: probit ? Math.round(probit.probability * 1000) / 10 : null,
+      unit: 'Percent',
+      date: probit?.date || null,
+      change_6m: null,
+      threshold: RECESSION_PROBIT_THRESHOLD * 100,
+      triggered: probit ? probit.probability >= RECESSION_PROBIT_THRESHOLD : null
+    },
+    {
+      indicator: 'lei_breadth',
+      name: 'LEI components weakening',
+      category: 'signal',
+      series_id: LEI_COMPONENTS.map(component => component.seriesId).join(', '),
+      value: breadth ? Math.round(breadth.breadth * 100) : null,
+      unit: 'Percent',
+      date: breadth?.date || null,
+      change_6m: null,
+      threshold: LEI_BREADTH_THRESHOLD * 100,
+      triggered: breadth ? breadth.breadth >= LEI_BREADTH_THRESHOLD : null
+    }
+  ];
+
+  const componentRows = LEI_COMPONENTS.map((component, i) => {
+    const point = latest(signalData.leiHistories[i]);
+    return {
+      indicator: component.key,
+      name: component.name,
+      category: 'lei_component',
+      series_id: component.seriesId,
+      value: point?.value ?? null,
+      unit: component.unit,
+      date: point?.date || null,
+      change_6m: point?.change ?? null,
+      threshold: component.level ? 0 : null,
+      triggered: point?.unfavorable ?? null
+    };
+  });
+
+  return [...signalRows, ...componentRows];
+}
+
+/**
+ * Convert recession signals to markdown
+ */
+function recessionSignalsAsMarkdown(rows, summary) {
+  const levelIcons = { low: '🟢', elevated: '🟡', high: '🔴' };
+  const status = triggered => (triggered === null ? '⚪ N/A' : triggered ? '🔴 Signalling' : '🟢 Clear');
+  const number = (value, digits = 2) => (value === null || value === undefined ? 'N/A' : Number(value).toLocaleString(undefined, { maximumFractionDigits: digits }));
+  // A signal already on at the start of its lookback window may have started earlier
+  const leadText = (date, months, covered, lookback) => {
+    if (!covered) return 'No data';
+    if (!date) return 'No signal';
+    return `${date.slice(0, 7)} (${months > 0 ? `${months >= lookback ? '≥' : ''}${months}M ahead` : months === 0 ? 'at start' : `${-months}M after`})`;
+  };
+
+  const parts = [
+    '# 🚨 Recession Signals',
+    '',
+    `**Composite:** ${levelIcons[summary.composite.level]} ${summary.composite.level.charAt(0).toUpperCase() + summary.composite.level.slice(1)} (${summary.composite.signals_triggered}/${summary.composite.signals_available} signals)`,
+    `**NBER Recession Indicator (USREC):** ${summary.usrec.in_recession === null ? 'N/A' : summary.usrec.in_recession ? '🔴 In recession' : '🟢 Expansion'}${summary.usrec.date ? ` as of ${summary.usrec.date}` : ''}`,
+    '',
+    '## Signals',
+    '',
+    '| Signal | Reading | Threshold | Date | Status |',
+    '|--------|---------|-----------|------|--------|'
+  ];
+
+  rows.filter(row => row.category === 'signal').forEach(row => {
+    const unit = row.unit === 'Percent' ? '%' : ' pp';
+    parts.push(`| ${row.name} | **${number(row.value)}${row.value !== null ? unit : ''}** | ${row.threshold}${unit} | ${row.date || 'N/A'} | ${status(row.triggered)} |`);
+  });
+
+  if (summary.sahm_rule.value !== null) {
+    parts.push('');
+    parts.push(`*Sahm rule: 3-month average unemployment ${summary.sahm_rule.average}% vs prior 12-month low ${summary.sahm_rule.prior_low}%.*`);
+  }
+  if (summary.yield_curve_probit.probability !== null) {
+    parts.push(`*Probit: 10y-3m spread ${summary.yield_curve_probit.spread} pp in ${summary.yield_curve_probit.date.slice(0, 7)} → recession probability for ${summary.yield_curve_probit.forecast_date.slice(0, 7)}.*`);
+  }
+
+  parts.push('');
+  parts.push(`## 📋 LEI Components (${LEI_CHANGE_MONTHS}-month change)`);
+  parts.push('');
+  parts.push('| Component | Series | Latest | Date | 6M Change | Status |');
+  parts.push('|-----------|--------|--------|------|-----------|--------|');
+  rows.filter(row => row.category === 'lei_component').forEach(row => {
+    const level = LEI_COMPONENTS.find(component => component.key === row.indicator).level;
+    const change = row.change_6m === null ? 'N/A' : `${row.change_6m > 0 ? '+' : ''}${number(row.change_6m)}${level ? ' pp' : '%'}`;
+    parts.push(`| ${row.name} | ${row.series_id} | ${number(row.value)} | ${row.date || 'N/A'} | ${change} | ${status(row.triggered)} |`);
+  });
+  parts.push('');
+  parts.push('*ISM new orders and the Leading Credit Index are part of the Conference Board LEI but are not published on FRED.*');
+
+  parts.push('');
+  parts.push('## ⏪ Signals Ahead of Past NBER Recessions');
+  parts.push('');
+  if (summary.recessions.length === 0) {
+    parts.push('No recessions within the signal history.');
+  } else {
+    parts.push('| Recession | Months | Sahm Rule | Probit Peak | Probit ≥30% | Curve Inverted | LEI ≥50% Weakening |');
+    parts.push('|-----------|--------|-----------|-------------|-------------|----------------|--------------------|');
+    [...summary.recessions].reverse().forEach(recession => {
+      const peak = recession.probit_peak === null ? 'No data' : `${(recession.probit_peak * 100).toFixed(0)}% (${recession.probit_peak_date.slice(0, 7)})`;
+      const months = recession.ongoing ? `${recession.duration_months}+` : recession.duration_months;
+      parts.push(`| ${recession.start.slice(0, 7)} to ${recession.ongoing ? 'now' : recession.end.slice(0, 7)} | ${months} | ${leadText(recession.sahm_trigger_date, recession.sahm_lead_months, recession.sahm_covered, RECESSION_LOOKBACK_MONTHS.sahm)} | ${peak} | ${leadText(recession.probit_signal_date, recession.probit_lead_months, recession.probit_covered, RECESSION_LOOKBACK_MONTHS.probit)} | ${leadText(recession.curve_inversion_date, recession.curve_inversion_lead_months, recession.probit_covered, RECESSION_LOOKBACK_MONTHS.inversion)} | ${leadText(recession.lei_signal_date, recession.lei_lead_months, recession.lei_covered, RECESSION_LOOKBACK_MONTHS.lei)} |`);
+    });
+    parts.push('');
+    parts.push(`*Yield-curve signals are searched in the ${RECESSION_LOOKBACK_MONTHS.probit} months before each recession, LEI in the ${RECESSION_LOOKBACK_MONTHS.lei} months before, and the Sahm rule from ${RECESSION_LOOKBACK_MONTHS.sahm} months before to the recession's end.*`);
+  }
+
+  parts.push('');
+  parts.push('---');
+  parts.push(`*Data from Federal Reserve Economic Data (FRED) API. Probit coefficients from the New York Fed (α = ${RECESSION_PROBIT.alpha}, β = ${RECESSION_PROBIT.beta}). NBER recession dates are announced months after the fact.*`);
+
+  return parts.join('\n');
+}
+
+async function fetchRecessionSignals() {
+  const signalData = await extractRecessionSignals();
+  if (signalData.sahm.length === 0 && signalData.probit.length === 0) {
+    throw new DataUnavailableError('No unemployment or Treasury rate history available for recession signals', { source: 'FRED' });
+  }
+
+  const rows = toRecessionSignalRows(signalData);
+  const signals = rows.filter(row => row.category === 'signal');
+  const available = signals.filter(row => row.triggered !== null);
+  const triggered = available.filter(row => row.triggered).length;
+
+  const latest = points => points[points.length - 1] || null;
+  const sahm = latest(signalData.sahm);
+  const probit = latest(signalData.probit);
+  const breadth = latest(signalData.breadth);
+  const usrec = latest(signalData.usrec);
+  // Only recessions at least one signal has history for
+  const firstSignalDate = [signalData.sahm[0], signalData.probit[0], signalData.breadth[0]]
+    .filter(Boolean).map(point => point.date).sort()[0];
+
+  const summary = {
+    composite: {
+      level: triggered === 0 ? 'low' : triggered === 1 ? 'elevated' : 'high',
+      signals_triggered: triggered,
+      signals_available: available.length
+    },
+    sahm_rule: {
+      value: sahm?.value ?? null,
+      date: sahm?.date || null,
+      average: sahm?.average ?? null,
+      prior_low: sahm?.prior_low ?? null,
+      threshold: SAHM_THRESHOLD
+    },
+    yield_curve_probit: {
+      probability: probit?.probability ?? null,
+      spread: probit?.spread ?? null,
+      date: probit?.date || null,
+      forecast_date: probit?.forecast_date || null,
+      threshold: RECESSION_PROBIT_THRESHOLD
+    },
+    lei: {
+      unfavorable: breadth?.unfavorable ?? null,
+      components: breadth?.components ?? null,
+      breadth: breadth?.breadth ?? null,
+      date: breadth?.date || null,
+      threshold: LEI_BREADTH_THRESHOLD
+    },
+    usrec: {
+      in_recession: usrec ? usrec.value === 1 : null,
+      date: usrec?.date || null
+    },
+    recessions: signalData.recessions
+      .filter(recession => firstSignalDate && recession.end >= firstSignalDate)
+      .map(recession => recessionSignalBehavior(recession, signalData))
+  };
+  const markdown = recessionSignalsAsMarkdown(rows, summary);
+
+  return { rows, summary, markdown };
+}
+
 /**
  * Search FRED economic data series by keywords using enhanced sitesearch API
  * @param {Object} params - Search parameters
@@ -3284,7 +5484,7 @@ async function extractFredSeriesSearch({ searchTerms = '', limit = 10 }) {
     const url = `${baseUrl}/${encodedTerms}`;
     
     
-    const response = await axios.get(url, {
+    const response = await httpClient.get(url, {
       timeout: 15000,
       headers: {
         'User-Agent': 'Mozilla/5.0 (compatible; Yahoo-Finance-MCP/1.0)',
@@ -3319,19 +5519,11 @@ async function extractFredSeriesSearch({ searchTerms = '', limit = 10 }) {
     
     
     // Fallback to standard FRED API if sitesearch fails
-    const apiKey = process.env.FRED_API_KEY || 'demo';
-    const fallbackUrl = `https://api.stlouisfed.org/fred/series/search?search_text=${encodeURIComponent(searchTerms)}&api_key=${apiKey}&file_type=json&limit=${limit}&sort_order=popularity&order_by=popularity`;
-    
-    const fallbackResponse = await axios.get(fallbackUrl, {
-      timeout: 15000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; Yahoo-Finance-MCP/1.0)'
-      }
-    });
+    const fallbackData = await fredRequest('series/search', { search_text: searchTerms, limit, order_by: 'popularity', sort_order: 'desc' });
     
-    if (fallbackResponse.data && fallbackResponse.data.seriess && fallbackResponse.data.seriess.length > 0) {
+    if (fallbackData && fallbackData.seriess && fallbackData.seriess.length > 0) {
       
-      const results = fallbackResponse.data.seriess.map(series => ({
+      const results = fallbackData.seriess.map(series => ({
         id: series.id,
         title: series.title,
         units: series.units || 'Unknown',
@@ -3345,7 +5537,7 @@ async function extractFredSeriesSearch({ searchTerms = '', limit = 10 }) {
       
       return {
         searchTerms,
-        totalResults: fallbackResponse.data.count || results.length,
+        totalResults: fallbackData.count || results.length,
         series: results,
         apiEndpoint: 'standard'
       };
@@ -3353,6 +5545,10 @@ async function extractFredSeriesSearch({ searchTerms = '', limit = 10 }) {
     
     return null;
   } catch (error) {
+    // Misses on both endpoints read as "no results"; throttling should not
+    if (error.response?.status === 429) {
+      throw toFinancialDataError(error, { source: 'FRED' });
+    }
     return null;
   }
 }
@@ -3457,7 +5653,7 @@ async function fetchFredSeriesSearch({ searchTerms = '', limit = 10 }) {
   try {
     
     if (!searchTerms.trim()) {
-      throw new Error('Search terms are required for FRED series search');
+      throw new InvalidInputError('Search terms are required for FRED series search');
     }
     
     const searchData = await extractFredSeriesSearch({ searchTerms, limit });
@@ -3479,67 +5675,124 @@ async function fetchFredSeriesSearch({ searchTerms = '', limit = 10 }) {
   }
 }
 
+// FRED unit transformations (`units`), frequencies and aggregation methods for series/observations
+const FRED_UNIT_TRANSFORMS = {
+  lin: 'Levels',
+  chg: 'Change',
+  ch1: 'Change from Year Ago',
+  pch: 'Percent Change',
+  pc1: 'Percent Change from Year Ago',
+  pca: 'Compounded Annual Rate of Change',
+  cch: 'Continuously Compounded Rate of Change',
+  cca: 'Continuously Compounded Annual Rate of Change',
+  log: 'Natural Log'
+};
+const FRED_FREQUENCIES = {
+  d: 'Daily',
+  w: 'Weekly',
+  bw: 'Biweekly',
+  m: 'Monthly',
+  q: 'Quarterly',
+  sa: 'Semiannual',
+  a: 'Annual'
+};
+const FRED_AGGREGATION_METHODS = ['avg', 'sum', 'eop'];
+
+// series/observations returns at most this many observations per request
+const FRED_OBSERVATIONS_PAGE_SIZE = 100000;
+// Long histories stay in the structured rows; the markdown table shows the latest ones
+const FRED_SERIES_MARKDOWN_ROWS = 60;
+
+/**
+ * Fetch observations page by page (newest first) until `limit` valid values or the end of the series
+ * @param {Object} params - series/observations query parameters (without limit/offset)
+ * @param {number} limit - Maximum valid observations, or undefined for all
+ * @returns {Promise<Object>} { observations, count, realtime_start, realtime_end }
+ */
+async function fetchFredObservationPages(params, limit) {
+  const observations = [];
+  let offset = 0;
+  let first = null;
+
+  for (;;) {
+    const pageSize = limit !== undefined ? Math.min(FRED_OBSERVATIONS_PAGE_SIZE, limit - observations.length) : FRED_OBSERVATIONS_PAGE_SIZE;
+    const data = await fredRequest('series/observations', { ...params, sort_order: 'desc', limit: pageSize, offset: offset || undefined });
+    first = first || data;
+
+    const page = data.observations || [];
+    observations.push(...parseFredObservations(page));
+    offset += page.length;
+
+    const done = page.length < pageSize || offset >= (data.count || 0) || (limit !== undefined && observations.length >= limit);
+    if (done) break;
+  }
+
+  return {
+    observations: limit !== undefined ? observations.slice(0, limit) : observations,
+    count: first.count,
+    realtime_start: first.realtime_start,
+    realtime_end: first.realtime_end
+  };
+}
+
 /**
  * Fetch specific FRED series data by series ID (requires API key)
- * @param {Object} params - Parameters with series ID
+ * @param {Object} params - Series ID, optional date range, unit transform, frequency aggregation and limit
+ * @param {number} params.limit - Maximum observations; defaults to 10 without a date range, all within one
  * @returns {Promise<Object>} Series data
  */
-async function extractFredSeriesData({ seriesId = '', limit = 10 }) {
+async function extractFredSeriesData({
+  seriesId = '', limit, observationStart = null, observationEnd = null,
+  units = 'lin', frequency = null, aggregationMethod = 'avg'
+}) {
   try {
     
-    const apiKey = process.env.FRED_API_KEY;
-    if (!apiKey || apiKey === 'demo') {
-      throw new Error('Valid FRED API key required for series data retrieval. Please set FRED_API_KEY environment variable.');
-    }
-    
-    const baseUrl = 'https://api.stlouisfed.org/fred/series/observations';
-    const url = `${baseUrl}?series_id=${seriesId}&api_key=${apiKey}&file_type=json&limit=${limit}&sort_order=desc`;
-    
-    
-    const response = await axios.get(url, {
-      timeout: 15000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; Yahoo-Finance-MCP/1.0)'
-      }
-    });
+    requireFredApiKey('series data retrieval');
+
+    const hasRange = Boolean(observationStart || observationEnd);
+    const maxObservations = limit !== undefined && limit !== null ? limit : hasRange ? undefined : 10;
+
+    const data = await fetchFredObservationPages({
+      series_id: seriesId,
+      observation_start: observationStart,
+      observation_end: observationEnd,
+      units: units !== 'lin' ? units : undefined,
+      frequency,
+      aggregation_method: frequency ? aggregationMethod : undefined
+    }, maxObservations);
     
-    if (response.data && response.data.observations && response.data.observations.length > 0) {
+    if (data.observations.length > 0) {
       
       // Get series info as well
-      const seriesInfoUrl = `https://api.stlouisfed.org/fred/series?series_id=${seriesId}&api_key=${apiKey}&file_type=json`;
       let seriesInfo = null;
       
       try {
-        const infoResponse = await axios.get(seriesInfoUrl, {
-          timeout: 10000,
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (compatible; Yahoo-Finance-MCP/1.0)'
-          }
-        });
+        const infoData = await fredRequest('series', { series_id: seriesId }, { timeout: 10000 });
         
-        if (infoResponse.data && infoResponse.data.seriess && infoResponse.data.seriess.length > 0) {
-          seriesInfo = infoResponse.data.seriess[0];
+        if (infoData && infoData.seriess && infoData.seriess.length > 0) {
+          seriesInfo = infoData.seriess[0];
         }
       } catch (infoError) {
       }
       
-      const validObservations = response.data.observations
-        .filter(obs => obs.value !== '.' && obs.value !== null)
-        .slice(0, limit);
-      
       return {
         seriesId,
         seriesInfo,
-        observations: validObservations,
-        totalObservations: response.data.count || validObservations.length,
-        realtime_start: response.data.realtime_start,
-        realtime_end: response.data.realtime_end
+        observations: data.observations,
+        totalObservations: data.count || data.observations.length,
+        observationStart,
+        observationEnd,
+        units,
+        frequency,
+        aggregationMethod: frequency ? aggregationMethod : null,
+        realtime_start: data.realtime_start,
+        realtime_end: data.realtime_end
       };
     }
     
     return null;
   } catch (error) {
-    throw error;
+    throw toFinancialDataError(error, { source: 'FRED', symbol: seriesId });
   }
 }
 
@@ -3551,45 +5804,68 @@ function toFredSeriesRows(seriesData) {
     return [];
   }
 
+  const { units, frequency } = fredSeriesLabels(seriesData);
+
   return seriesData.observations.map(obs => ({
     series_id: seriesData.seriesId,
     date: obs.date,
-    value: parseFloat(obs.value),
+    value: obs.value,
     realtime_start: obs.realtime_start,
     realtime_end: obs.realtime_end,
     series_title: seriesData.seriesInfo?.title || seriesData.seriesId,
-    units: seriesData.seriesInfo?.units || 'Unknown',
-    frequency: seriesData.seriesInfo?.frequency || 'Unknown',
+    units,
+    frequency,
     seasonal_adjustment: seriesData.seriesInfo?.seasonal_adjustment || 'Unknown',
+    units_transform: seriesData.units || 'lin',
+    aggregation_method: seriesData.aggregationMethod || null,
     last_updated: seriesData.seriesInfo?.last_updated,
     fetch_date: new Date().toISOString().split('T')[0]
   }));
 }
 
+/**
+ * Units and frequency of the returned values, after any transform or aggregation
+ * @param {Object} seriesData - Result of extractFredSeriesData
+ * @returns {Object} { units, frequency } labels
+ */
+function fredSeriesLabels(seriesData) {
+  const nativeUnits = seriesData.seriesInfo?.units || 'Unknown';
+  const transform = seriesData.units || 'lin';
+
+  return {
+    units: transform === 'lin' ? nativeUnits : `${FRED_UNIT_TRANSFORMS[transform]} (${nativeUnits})`,
+    frequency: seriesData.frequency ? FRED_FREQUENCIES[seriesData.frequency] : seriesData.seriesInfo?.frequency || 'Unknown'
+  };
+}
+
 /**
  * Convert FRED series data to markdown
  */
-function fredSeriesAsMarkdown(rows, seriesData) {
+function fredSeriesAsMarkdown(rows, seriesData, extraParts = []) {
   if (!rows || rows.length === 0) {
     return `# FRED Series Data\n\nNo data available for series "${seriesData?.seriesId || 'unknown'}".`;
   }
 
   const seriesInfo = seriesData.seriesInfo;
   const latest = rows[0]; // Most recent observation (sorted desc)
+  const { units, frequency } = fredSeriesLabels(seriesData);
+  const tableRows = rows.slice(0, FRED_SERIES_MARKDOWN_ROWS);
   
   const parts = [
     '# 📊 FRED Economic Data Series',
     '',
     `**Series ID:** \`${seriesData.seriesId}\``,
     `**Title:** ${seriesInfo?.title || seriesData.seriesId}`,
-    `**Units:** ${seriesInfo?.units || 'Unknown'}`,
-    `**Frequency:** ${seriesInfo?.frequency || 'Unknown'}`,
+    `**Units:** ${units}`,
+    `**Frequency:** ${frequency}${seriesData.aggregationMethod ? ` (aggregated by ${seriesData.aggregationMethod})` : ''}`,
     `**Seasonal Adjustment:** ${seriesInfo?.seasonal_adjustment || 'Unknown'}`,
     `**Last Updated:** ${seriesInfo?.last_updated || 'Unknown'}`,
     '',
     `**Latest Value:** **${latest.value.toLocaleString()}** (${latest.date})`,
-    `**Observations Shown:** ${rows.length} most recent`,
+    `**Observations Returned:** ${rows.length} (${rows[rows.length - 1].date} to ${latest.date})`,
     `**Total Available:** ${seriesData.totalObservations || 'Unknown'}`,
+    ...(seriesData.observationStart || seriesData.observationEnd ?
+      [`**Date Range:** ${seriesData.observationStart || 'start'} to ${seriesData.observationEnd || 'latest'}`] : []),
     '',
     '## Recent Data',
     '',
@@ -3597,11 +5873,16 @@ function fredSeriesAsMarkdown(rows, seriesData) {
     '|------|-------|------------------|'
   ];
 
-  rows.forEach(obs => {
+  tableRows.forEach(obs => {
     const formattedValue = obs.value > 1000 ? obs.value.toLocaleString() : obs.value.toFixed(2);
     parts.push(`| ${obs.date} | **${formattedValue}** | ${obs.realtime_start} to ${obs.realtime_end} |`);
   });
 
+  if (rows.length > tableRows.length) {
+    parts.push('');
+    parts.push(`*Showing the latest ${tableRows.length} of ${rows.length} observations - all are in the structured rows.*`);
+  }
+
   parts.push('');
   parts.push('## 📈 Data Analysis');
   
@@ -3632,6 +5913,8 @@ function fredSeriesAsMarkdown(rows, seriesData) {
   }
 
   parts.push('');
+  parts.push(...extraParts);
+
   parts.push('## 🔍 Series Information');
   if (seriesInfo?.notes) {
     parts.push(`**Description:** ${seriesInfo.notes.substring(0, 300)}${seriesInfo.notes.length > 300 ? '...' : ''}`);
@@ -3642,30 +5925,617 @@ function fredSeriesAsMarkdown(rows, seriesData) {
   parts.push('*Data from Federal Reserve Economic Data (FRED) API*');
   parts.push(`*Real-time data as of: ${seriesData.realtime_start} to ${seriesData.realtime_end}*`);
 
-  return parts.join('\n');
-}
+  return parts.join('\n');
+}
+
+/**
+ * Validate the series/observations options shared by fred_series_data and fred_series_compare
+ * @throws {InvalidInputError} On a malformed date, reversed range or unknown code
+ */
+function validateFredObservationOptions({ observationStart, observationEnd, units, frequency, aggregationMethod }) {
+  [['observation_start', observationStart], ['observation_end', observationEnd]].forEach(([name, date]) => {
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      throw new InvalidInputError(`${name} must be a YYYY-MM-DD date, got "${date}"`);
+    }
+  });
+  if (observationStart && observationEnd && observationStart > observationEnd) {
+    throw new InvalidInputError(`observation_start (${observationStart}) is after observation_end (${observationEnd})`);
+  }
+  if (!FRED_UNIT_TRANSFORMS[units]) {
+    throw new InvalidInputError(`Unknown units "${units}". Use one of: ${Object.keys(FRED_UNIT_TRANSFORMS).join(', ')}`);
+  }
+  if (frequency && !FRED_FREQUENCIES[frequency]) {
+    throw new InvalidInputError(`Unknown frequency "${frequency}". Use one of: ${Object.keys(FRED_FREQUENCIES).join(', ')}`);
+  }
+  if (!FRED_AGGREGATION_METHODS.includes(aggregationMethod)) {
+    throw new InvalidInputError(`Unknown aggregation_method "${aggregationMethod}". Use one of: ${FRED_AGGREGATION_METHODS.join(', ')}`);
+  }
+}
+
+async function fetchFredSeriesData({
+  seriesId = '', limit, observationStart = null, observationEnd = null,
+  units = 'lin', frequency = null, aggregationMethod = 'avg'
+}) {
+  try {
+    
+    if (!seriesId.trim()) {
+      throw new InvalidInputError('Series ID is required for FRED data retrieval');
+    }
+
+    validateFredObservationOptions({ observationStart, observationEnd, units, frequency, aggregationMethod });
+    
+    const seriesData = await extractFredSeriesData({ seriesId, limit, observationStart, observationEnd, units, frequency, aggregationMethod });
+    
+    if (!seriesData) {
+      throw new DataUnavailableError(`No data found for FRED series: ${seriesId}`, { symbol: seriesId, source: 'FRED' });
+    }
+    
+    const rows = toFredSeriesRows(seriesData);
+    const markdown = fredSeriesAsMarkdown(rows, seriesData);
+    
+    return { rows, markdown };
+    
+  } catch (error) {
+    throw error;
+  }
+}
+
+// How fred_series_compare fills index dates a series has no value for
+const FRED_FILL_METHODS = ['none', 'ffill'];
+
+/**
+ * Fetch several FRED series and align them on one date index at a target frequency.
+ * Series FRED can aggregate to the target frequency are aggregated upstream; series of a
+ * lower frequency (e.g. quarterly GDP in a monthly table) keep their own dates and are
+ * carried forward when fill is "ffill".
+ * @param {Object} params - Series IDs plus the fred_series_data options
+ * @param {string} params.frequency - Target frequency, or null to keep each series' native dates
+ * @param {number} params.limit - Most recent table rows without a date range (default 24)
+ * @returns {Promise<Object>} { dates, series } with per-series observations and alignment
+ */
+async function extractFredSeriesCompare({
+  seriesIds, observationStart = null, observationEnd = null, units = 'lin',
+  frequency = 'm', aggregationMethod = 'avg', fill = 'none', limit = 24
+}) {
+  requireFredApiKey('series comparison');
+
+  const hasRange = Boolean(observationStart || observationEnd);
+  const options = { observationStart, observationEnd, units, aggregationMethod };
+
+  const series = await Promise.all(seriesIds.map(async seriesId => {
+    try {
+      const data = await extractFredSeriesData({ seriesId, ...options, frequency, limit: hasRange ? undefined : limit });
+      return { seriesId, data, alignment: frequency ? 'aggregated' : 'native' };
+    } catch (error) {
+      // FRED refuses to raise a series above its native frequency - align it below instead
+      if (!frequency || error.code !== 'INVALID_INPUT') throw error;
+      return { seriesId, data: null, alignment: 'native', lowerFrequency: true };
+    }
+  }));
+
+  const dateSet = new Set();
+  series.filter(entry => entry.data).forEach(entry => entry.data.observations.forEach(obs => dateSet.add(obs.date)));
+
+  const lowerFrequency = series.filter(entry => entry.lowerFrequency);
+  if (lowerFrequency.length > 0) {
+    // With no aggregated series, the lower-frequency series' own dates form the index
+    const ownIndex = dateSet.size === 0;
+    // Start a year early so the first rows have a value to carry forward
+    const start = observationStart || (ownIndex ? null : [...dateSet].sort()[0]);
+    const lookbackStart = start ? `${Number(start.slice(0, 4)) - 1}${start.slice(4)}` : null;
+
+    await Promise.all(lowerFrequency.map(async entry => {
+      entry.data = await extractFredSeriesData({
+        seriesId: entry.seriesId,
+        ...options,
+        observationStart: lookbackStart,
+        limit: lookbackStart || hasRange ? undefined : limit
+      });
+      if (ownIndex) {
+        (entry.data?.observations || [])
+          .filter(obs => !observationStart || obs.date >= observationStart)
+          .forEach(obs => dateSet.add(obs.date));
+      }
+    }));
+  }
+
+  let dates = [...dateSet].sort().reverse();
+  if (!hasRange) dates = dates.slice(0, limit);
+
+  return { dates, series, frequency, aggregationMethod, units, fill };
+}
+
+/**
+ * Label for the frequency of an aligned table: the target, or the inputs' shared native one
+ */
+function fredCompareFrequencyLabel(compareData) {
+  if (compareData.frequency) return FRED_FREQUENCIES[compareData.frequency];
+  const native = [...new Set(compareData.series.map(entry => entry.data?.seriesInfo?.frequency).filter(Boolean))];
+  return native.length === 1 ? native[0] : 'Mixed';
+}
+
+/**
+ * Convert aligned FRED series to wide rows: { date, <SERIES_ID>: value, ... }, newest first
+ */
+function toFredCompareRows(compareData) {
+  const ascending = [...compareData.dates].reverse();
+  const columns = compareData.series.map(({ seriesId, data }) => {
+    const observations = [...(data?.observations || [])].sort((a, b) => a.date.localeCompare(b.date));
+    const values = new Map();
+    let next = 0;
+    let last = null;
+
+    ascending.forEach(date => {
+      while (next < observations.length && observations[next].date <= date) {
+        last = observations[next++];
+      }
+      const exact = last && last.date === date;
+      values.set(date, exact || (compareData.fill === 'ffill' && last) ? last.value : null);
+    });
+
+    return { seriesId, values };
+  });
+
+  return compareData.dates.map(date => {
+    const row = { date };
+    columns.forEach(({ seriesId, values }) => {
+      row[seriesId] = values.get(date);
+    });
+    return row;
+  });
+}
+
+/**
+ * Per-series description of how each column was built
+ */
+function fredCompareSummary(compareData) {
+  return {
+    frequency: fredCompareFrequencyLabel(compareData),
+    aggregation_method: compareData.aggregationMethod,
+    units_transform: compareData.units,
+    fill: compareData.fill,
+    series: compareData.series.map(({ seriesId, data, alignment }) => ({
+      series_id: seriesId,
+      title: data?.seriesInfo?.title || seriesId,
+      units: data ? fredSeriesLabels(data).units : null,
+      native_frequency: data?.seriesInfo?.frequency || null,
+      alignment,
+      observations: data?.observations.length || 0
+    }))
+  };
+}
+
+/**
+ * Convert aligned FRED series to markdown
+ */
+function fredCompareAsMarkdown(rows, summary) {
+  const ids = summary.series.map(entry => entry.series_id);
+  if (!rows || rows.length === 0) {
+    return `# FRED Series Comparison\n\nNo overlapping data available for ${ids.join(', ')}.`;
+  }
+
+  const tableRows = rows.slice(0, FRED_SERIES_MARKDOWN_ROWS);
+  const formatValue = value => value === null ? '—' : Math.abs(value) > 1000 ? value.toLocaleString() : value.toFixed(2);
+
+  const parts = [
+    '# 📊 FRED Series Comparison',
+    '',
+    `**Frequency:** ${summary.frequency} (aggregated by ${summary.aggregation_method})`,
+    `**Units Transform:** ${FRED_UNIT_TRANSFORMS[summary.units_transform]}`,
+    `**Fill:** ${summary.fill === 'ffill' ? 'Carry last value forward' : 'None - gaps shown as —'}`,
+    `**Period:** ${rows[rows.length - 1].date} to ${rows[0].date} (${rows.length} rows)`,
+    '',
+    '## Series',
+    ''
+  ];
+
+  summary.series.forEach(entry => {
+    const note = entry.alignment === 'native' ? ` - lower frequency than ${summary.frequency.toLowerCase()}, placed on its own dates` : '';
+    parts.push(`- **${entry.series_id}**: ${entry.title} (${entry.units || 'Unknown'}, ${entry.native_frequency || 'Unknown'})${note}`);
+  });
+
+  parts.push('');
+  parts.push('## Aligned Data');
+  parts.push('');
+  parts.push(`| Date | ${ids.join(' | ')} |`);
+  parts.push(`|------|${ids.map(() => '------').join('|')}|`);
+  tableRows.forEach(row => {
+    parts.push(`| ${row.date} | ${ids.map(id => formatValue(row[id])).join(' | ')} |`);
+  });
+
+  if (rows.length > tableRows.length) {
+    parts.push('');
+    parts.push(`*Showing the latest ${tableRows.length} of ${rows.length} rows - all are in the structured rows.*`);
+  }
+
+  parts.push('');
+  parts.push('---');
+  parts.push('*Data from Federal Reserve Economic Data (FRED) API*');
+
+  return parts.join('\n');
+}
+
+async function fetchFredSeriesCompare({
+  seriesIds = [], observationStart = null, observationEnd = null, units = 'lin',
+  frequency = 'm', aggregationMethod = 'avg', fill = 'none', limit = 24
+}) {
+  const ids = [...new Set(seriesIds.map(id => String(id).trim().toUpperCase()).filter(Boolean))];
+  if (ids.length < 2) {
+    throw new InvalidInputError('At least 2 distinct series IDs are required for a comparison');
+  }
+  if (!FRED_FREQUENCIES[frequency]) {
+    throw new InvalidInputError(`Unknown frequency "${frequency}". Use one of: ${Object.keys(FRED_FREQUENCIES).join(', ')}`);
+  }
+  if (!FRED_FILL_METHODS.includes(fill)) {
+    throw new InvalidInputError(`Unknown fill "${fill}". Use one of: ${FRED_FILL_METHODS.join(', ')}`);
+  }
+  validateFredObservationOptions({ observationStart, observationEnd, units, frequency, aggregationMethod });
+
+  const compareData = await extractFredSeriesCompare({
+    seriesIds: ids, observationStart, observationEnd, units, frequency, aggregationMethod, fill, limit
+  });
+
+  if (compareData.dates.length === 0) {
+    throw new DataUnavailableError(`No observations found for FRED series: ${ids.join(', ')}`, { source: 'FRED' });
+  }
+
+  const rows = toFredCompareRows(compareData);
+  const summary = fredCompareSummary(compareData);
+  const markdown = fredCompareAsMarkdown(rows, summary);
+
+  return { rows, summary, markdown };
+}
+
+/**
+ * Functions available in fred_expression. `periods` is the default second argument
+ * (null = required); each maps an ascending value array to a new one, null where undefined.
+ */
+const FRED_EXPRESSION_FUNCTIONS = {
+  lag: {
+    periods: 1,
+    apply: (values, n) => values.map((_, i) => (i >= n ? values[i - n] : null))
+  },
+  diff: {
+    periods: 1,
+    apply: (values, n) => values.map((value, i) => (i >= n && value !== null && values[i - n] !== null ? value - values[i - n] : null))
+  },
+  pct_change: {
+    periods: 1,
+    apply: (values, n) => values.map((value, i) => {
+      const previous = i >= n ? values[i - n] : null;
+      return value !== null && previous !== null && previous !== 0 ? (value / previous - 1) * 100 : null;
+    })
+  },
+  rolling_mean: {
+    periods: null,
+    apply: (values, n) => values.map((_, i) => {
+      if (i < n - 1) return null;
+      const window = values.slice(i - n + 1, i + 1);
+      return window.includes(null) ? null : window.reduce((sum, value) => sum + value, 0) / n;
+    })
+  }
+};
+const FRED_EXPRESSION_MAX_SERIES = 10;
+
+/**
+ * Split an expression into number, name, operator and parenthesis tokens
+ * @param {string} expression - e.g. "DGS10 - DGS2"
+ * @returns {Array} Tokens with type, value and position
+ * @throws {InvalidInputError} On an unexpected character
+ */
+function tokenizeFredExpression(expression) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|([A-Za-z_][A-Za-z0-9_]*)|([-+*/(),]))/y;
+  let position = 0;
+
+  while (position < expression.length) {
+    if (/^\s*$/.test(expression.slice(position))) break;
+    pattern.lastIndex = position;
+    const match = pattern.exec(expression);
+    if (!match) {
+      const offending = expression.slice(position).trim()[0];
+      throw new InvalidInputError(`Unexpected "${offending}" in expression at position ${expression.indexOf(offending, position) + 1}`);
+    }
+    const [, number, name, symbol] = match;
+    const start = match.index + match[0].length - (number || name || symbol).length;
+    if (number) tokens.push({ type: 'number', value: parseFloat(number), position: start });
+    else if (name) tokens.push({ type: 'name', value: name, position: start });
+    else tokens.push({ type: symbol, position: start });
+    position = pattern.lastIndex;
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse an expression into a syntax tree (recursive descent, no eval):
+ *   expr := term (("+" | "-") term)*
+ *   term := unary (("*" | "/") unary)*
+ *   unary := "-" unary | number | SERIES | function "(" expr ["," integer] ")" | "(" expr ")"
+ * @param {string} expression - Arithmetic over series IDs
+ * @returns {Object} Syntax tree
+ * @throws {InvalidInputError} On a syntax error or unknown function
+ */
+function parseFredExpression(expression) {
+  const tokens = tokenizeFredExpression(expression);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const fail = (message, token = peek()) => {
+    throw new InvalidInputError(`${message} ${token ? `at position ${token.position + 1}` : 'at the end'} in "${expression}"`);
+  };
+  const expect = type => {
+    if (peek()?.type !== type) fail(`Expected "${type}"`);
+    return tokens[index++];
+  };
+
+  function parseExpr() {
+    let node = parseTerm();
+    while (peek() && (peek().type === '+' || peek().type === '-')) {
+      const op = tokens[index++].type;
+      node = { type: 'binary', op, left: node, right: parseTerm() };
+    }
+    return node;
+  }
+
+  function parseTerm() {
+    let node = parseUnary();
+    while (peek() && (peek().type === '*' || peek().type === '/')) {
+      const op = tokens[index++].type;
+      node = { type: 'binary', op, left: node, right: parseUnary() };
+    }
+    return node;
+  }
+
+  function parseUnary() {
+    const token = peek();
+    if (!token) fail('Missing operand');
+
+    if (token.type === '-') {
+      index++;
+      return { type: 'negate', operand: parseUnary() };
+    }
+    if (token.type === 'number') {
+      index++;
+      return { type: 'number', value: token.value };
+    }
+    if (token.type === '(') {
+      index++;
+      const node = parseExpr();
+      expect(')');
+      return node;
+    }
+    if (token.type === 'name') {
+      index++;
+      if (peek()?.type !== '(') {
+        return { type: 'series', id: token.value.toUpperCase() };
+      }
+
+      const name = token.value.toLowerCase();
+      const fn = FRED_EXPRESSION_FUNCTIONS[name];
+      if (!fn) fail(`Unknown function "${token.value}" (use ${Object.keys(FRED_EXPRESSION_FUNCTIONS).join(', ')})`, token);
+      expect('(');
+      const operand = parseExpr();
+      let periods = fn.periods;
+      if (peek()?.type === ',') {
+        index++;
+        const count = expect('number');
+        if (!Number.isInteger(count.value) || count.value < 1) fail(`${name} needs a whole number of periods of at least 1`, count);
+        periods = count.value;
+      }
+      if (periods === null) fail(`${name} needs a number of periods, e.g. ${name}(DGS10, 20)`, token);
+      expect(')');
+      return { type: 'call', name, operand, periods };
+    }
+
+    return fail(`Unexpected "${token.type}"`);
+  }
+
+  const tree = parseExpr();
+  if (index < tokens.length) fail(`Unexpected "${tokens[index].type === 'name' || tokens[index].type === 'number' ? tokens[index].value : tokens[index].type}"`);
+  return tree;
+}
+
+/**
+ * Series IDs referenced by an expression, in order of first use
+ * @param {string} expression - fred_expression input
+ * @returns {Array<string>} Upper-case series IDs
+ */
+function fredExpressionSeriesIds(expression) {
+  const ids = [];
+  (function collect(node) {
+    if (node.type === 'series' && !ids.includes(node.id)) ids.push(node.id);
+    [node.left, node.right, node.operand].filter(Boolean).forEach(collect);
+  })(parseFredExpression(expression));
+  return ids;
+}
+
+/**
+ * Periods of history a tree needs before its first defined value
+ */
+function fredExpressionLookback(node) {
+  switch (node.type) {
+    case 'call':
+      return fredExpressionLookback(node.operand) + (node.name === 'rolling_mean' ? node.periods - 1 : node.periods);
+    case 'binary':
+      return Math.max(fredExpressionLookback(node.left), fredExpressionLookback(node.right));
+    case 'negate':
+      return fredExpressionLookback(node.operand);
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Evaluate a tree over aligned columns (ascending dates); null propagates and x/0 is null
+ * @param {Object} node - Syntax tree
+ * @param {Object} columns - Series ID -> value array
+ * @param {number} length - Number of dates
+ * @returns {Array} Values, one per date
+ */
+function evaluateFredExpression(node, columns, length) {
+  switch (node.type) {
+    case 'number':
+      return new Array(length).fill(node.value);
+    case 'series':
+      return columns[node.id];
+    case 'negate':
+      return evaluateFredExpression(node.operand, columns, length).map(value => (value === null ? null : -value));
+    case 'call':
+      return FRED_EXPRESSION_FUNCTIONS[node.name].apply(evaluateFredExpression(node.operand, columns, length), node.periods);
+    case 'binary': {
+      const left = evaluateFredExpression(node.left, columns, length);
+      const right = evaluateFredExpression(node.right, columns, length);
+      return left.map((a, i) => {
+        const b = right[i];
+        if (a === null || b === null) return null;
+        switch (node.op) {
+          case '+': return a + b;
+          case '-': return a - b;
+          case '*': return a * b;
+          default: return b === 0 ? null : a / b;
+        }
+      });
+    }
+    default:
+      throw new ParseError(`Unknown expression node "${node.type}"`);
+  }
+}
+
+/**
+ * Fetch and align the inputs of an expression and evaluate it
+ * @param {Object} params - Expression plus fred_series_compare alignment options
+ * @param {number} params.limit - Most recent values without a date range (default 24)
+ * @returns {Promise<Object>} Series data in the extractFredSeriesData shape, plus inputs
+ */
+async function extractFredExpression({
+  expression, observationStart = null, observationEnd = null, frequency = null,
+  aggregationMethod = 'avg', fill = 'none', limit = 24
+}) {
+  requireFredApiKey('derived series');
+
+  const tree = parseFredExpression(expression);
+  const seriesIds = fredExpressionSeriesIds(expression);
+  const hasRange = Boolean(observationStart || observationEnd);
+
+  // Extra periods so lags and rolling windows are defined for every returned date
+  const compareData = await extractFredSeriesCompare({
+    seriesIds, observationStart, observationEnd, frequency, aggregationMethod, fill,
+    limit: limit + fredExpressionLookback(tree)
+  });
+
+  const wideRows = toFredCompareRows(compareData).reverse();
+  const columns = Object.fromEntries(seriesIds.map(id => [id, wideRows.map(row => row[id])]));
+  const values = evaluateFredExpression(tree, columns, wideRows.length);
+
+  let observations = wideRows
+    .map((row, i) => ({ date: row.date, value: values[i] }))
+    .filter(obs => obs.value !== null && Number.isFinite(obs.value))
+    .reverse();
+  if (!hasRange) observations = observations.slice(0, limit);
+
+  const firstInput = compareData.series.find(entry => entry.data)?.data;
+  observations = observations.map(obs => ({
+    ...obs,
+    realtime_start: firstInput?.realtime_start,
+    realtime_end: firstInput?.realtime_end
+  }));
+
+  const inputs = fredCompareSummary(compareData).series;
+  const lastUpdated = compareData.series.map(entry => entry.data?.seriesInfo?.last_updated).filter(Boolean).sort().pop() || null;
+
+  return {
+    seriesId: expression.trim(),
+    seriesInfo: {
+      title: `Derived: ${expression.trim()}`,
+      units: 'Derived',
+      frequency: fredCompareFrequencyLabel(compareData),
+      seasonal_adjustment: [...new Set(compareData.series.map(entry => entry.data?.seriesInfo?.seasonal_adjustment).filter(Boolean))].join(' / ') || 'Unknown',
+      last_updated: lastUpdated,
+      notes: `Computed from ${inputs.map(input => `${input.series_id} (${input.title}, ${input.units})`).join('; ')}.`
+    },
+    observations,
+    totalObservations: observations.length,
+    observationStart,
+    observationEnd,
+    units: 'lin',
+    frequency,
+    aggregationMethod: frequency ? aggregationMethod : null,
+    realtime_start: firstInput?.realtime_start,
+    realtime_end: firstInput?.realtime_end,
+    inputs
+  };
+}
+
+/**
+ * Summary statistics of a derived series
+ * @param {Array} rows - Rows from toFredSeriesRows (newest first)
+ * @returns {Object} Count, latest, mean, standard deviation, min/max with dates
+ */
+function fredExpressionStats(rows) {
+  const values = rows.map(row => row.value);
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.length > 1 ? values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1) : 0;
+  const min = rows.reduce((lowest, row) => (row.value < lowest.value ? row : lowest), rows[0]);
+  const max = rows.reduce((highest, row) => (row.value > highest.value ? row : highest), rows[0]);
+
+  return {
+    count: values.length,
+    latest: rows[0].value,
+    latest_date: rows[0].date,
+    mean,
+    std_dev: Math.sqrt(variance),
+    min: min.value,
+    min_date: min.date,
+    max: max.value,
+    max_date: max.date,
+    // Where the latest value sits relative to the period, in standard deviations
+    latest_z_score: variance > 0 ? (rows[0].value - mean) / Math.sqrt(variance) : null
+  };
+}
+
+async function fetchFredExpression({
+  expression = '', observationStart = null, observationEnd = null, frequency = null,
+  aggregationMethod = 'avg', fill = 'none', limit = 24
+}) {
+  if (!expression.trim()) {
+    throw new InvalidInputError('An expression over FRED series IDs is required, e.g. "DGS10 - DGS2"');
+  }
+  const seriesIds = fredExpressionSeriesIds(expression);
+  if (seriesIds.length === 0) {
+    throw new InvalidInputError(`Expression "${expression}" does not reference any FRED series`);
+  }
+  if (seriesIds.length > FRED_EXPRESSION_MAX_SERIES) {
+    throw new InvalidInputError(`Expression references ${seriesIds.length} series - at most ${FRED_EXPRESSION_MAX_SERIES} are allowed`);
+  }
+  if (frequency && !FRED_FREQUENCIES[frequency]) {
+    throw new InvalidInputError(`Unknown frequency "${frequency}". Use one of: ${Object.keys(FRED_FREQUENCIES).join(', ')}`);
+  }
+  if (!FRED_FILL_METHODS.includes(fill)) {
+    throw new InvalidInputError(`Unknown fill "${fill}". Use one of: ${FRED_FILL_METHODS.join(', ')}`);
+  }
+  validateFredObservationOptions({ observationStart, observationEnd, units: 'lin', frequency, aggregationMethod });
+
+  const seriesData = await extractFredExpression({ expression, observationStart, observationEnd, frequency, aggregationMethod, fill, limit });
 
-async function fetchFredSeriesData({ seriesId = '', limit = 10 }) {
-  try {
-    
-    if (!seriesId.trim()) {
-      throw new Error('Series ID is required for FRED data retrieval');
-    }
-    
-    const seriesData = await extractFredSeriesData({ seriesId, limit });
-    
-    if (!seriesData) {
-      throw new Error(`No data found for FRED series: ${seriesId}`);
-    }
-    
-    const rows = toFredSeriesRows(seriesData);
-    const markdown = fredSeriesAsMarkdown(rows, seriesData);
-    
-    return { rows, markdown };
-    
-  } catch (error) {
-    throw error;
+  const rows = toFredSeriesRows(seriesData);
+  if (rows.length === 0) {
+    throw new DataUnavailableError(`Expression "${expression}" has no values where all of ${seriesIds.join(', ')} overlap - try fill "ffill" or a common frequency`, { source: 'FRED' });
   }
+
+  const stats = fredExpressionStats(rows);
+  const format = value => (value === null ? 'N/A' : value.toFixed(2));
+  const markdown = fredSeriesAsMarkdown(rows, seriesData, [
+    '## 🧮 Expression Statistics',
+    '',
+    `**Observations:** ${stats.count}`,
+    `**Mean:** ${format(stats.mean)} | **Std Dev:** ${format(stats.std_dev)}`,
+    `**Min:** ${format(stats.min)} (${stats.min_date}) | **Max:** ${format(stats.max)} (${stats.max_date})`,
+    `**Latest vs Mean:** ${stats.latest_z_score === null ? 'N/A' : `${stats.latest_z_score > 0 ? '+' : ''}${stats.latest_z_score.toFixed(2)}σ`}`,
+    ''
+  ]);
+
+  return { rows, summary: { expression: seriesData.seriesId, ...stats, inputs: seriesData.inputs }, markdown };
 }
 
 /**
@@ -3676,38 +6546,16 @@ async function fetchFredSeriesData({ seriesId = '', limit = 10 }) {
 async function extractFredCategories({ categoryId = null, limit = 20 }) {
   try {
     
-    const apiKey = process.env.FRED_API_KEY;
-    if (!apiKey || apiKey === 'demo') {
-      throw new Error('Valid FRED API key required for categories data. Please set FRED_API_KEY environment variable.');
-    }
+    requireFredApiKey('categories data');
     
     // Get categories endpoint - if categoryId provided, get children, otherwise get root categories
-    const baseUrl = categoryId ? 
-      'https://api.stlouisfed.org/fred/category/children' :
-      'https://api.stlouisfed.org/fred/categories';
-    
-    const params = new URLSearchParams({
-      api_key: apiKey,
-      file_type: 'json'
-    });
-    
-    if (categoryId) {
-      params.append('category_id', categoryId);
-    }
-    
-    const url = `${baseUrl}?${params.toString()}`;
-    
+    const data = categoryId ?
+      await fredRequest('category/children', { category_id: categoryId }) :
+      await fredRequest('categories');
     
-    const response = await axios.get(url, {
-      timeout: 15000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; Yahoo-Finance-MCP/1.0)'
-      }
-    });
-    
-    if (response.data && response.data.categories && response.data.categories.length > 0) {
+    if (data && data.categories && data.categories.length > 0) {
       
-      const categories = response.data.categories.slice(0, limit).map(cat => ({
+      const categories = data.categories.slice(0, limit).map(cat => ({
         id: cat.id,
         name: cat.name,
         parent_id: cat.parent_id,
@@ -3718,25 +6566,16 @@ async function extractFredCategories({ categoryId = null, limit = 20 }) {
       const categoriesWithSeries = await Promise.all(
         categories.map(async (category) => {
           try {
-            const seriesUrl = `https://api.stlouisfed.org/fred/category/series?category_id=${category.id}&api_key=${apiKey}&file_type=json&limit=5&sort_order=popularity&order_by=popularity`;
-            
-            const seriesResponse = await axios.get(seriesUrl, {
-              timeout: 10000,
-              headers: {
-                'User-Agent': 'Mozilla/5.0 (compatible; Yahoo-Finance-MCP/1.0)'
-              }
-            });
+            const seriesData = await fredRequest('category/series', { category_id: category.id, limit: 5, order_by: 'popularity', sort_order: 'desc' }, { timeout: 10000 });
             
-            if (seriesResponse.data && seriesResponse.data.seriess) {
-              category.sample_series = seriesResponse.data.seriess.slice(0, 3).map(s => ({
+            if (seriesData && seriesData.seriess) {
+              category.sample_series = seriesData.seriess.slice(0, 3).map(s => ({
                 id: s.id,
                 title: s.title,
                 units: s.units
               }));
             }
             
-            await new Promise(resolve => setTimeout(resolve, 200)); // Rate limiting
-            
           } catch (seriesError) {
             category.sample_series = [];
           }
@@ -3748,13 +6587,13 @@ async function extractFredCategories({ categoryId = null, limit = 20 }) {
       return {
         categoryId,
         categories: categoriesWithSeries,
-        totalCategories: response.data.categories.length
+        totalCategories: data.categories.length
       };
     }
     
     return null;
   } catch (error) {
-    throw error;
+    throw toFinancialDataError(error, { source: 'FRED' });
   }
 }
 
@@ -3766,25 +6605,13 @@ async function extractFredCategories({ categoryId = null, limit = 20 }) {
 async function extractFredReleases({ limit = 20, includeReleases = true }) {
   try {
     
-    const apiKey = process.env.FRED_API_KEY;
-    if (!apiKey || apiKey === 'demo') {
-      throw new Error('Valid FRED API key required for releases data. Please set FRED_API_KEY environment variable.');
-    }
-    
-    const baseUrl = 'https://api.stlouisfed.org/fred/releases';
-    const url = `${baseUrl}?api_key=${apiKey}&file_type=json&limit=${limit}&sort_order=desc&order_by=last_updated`;
+    requireFredApiKey('releases data');
     
+    const data = await fredRequest('releases', { limit, order_by: 'last_updated', sort_order: 'desc' });
     
-    const response = await axios.get(url, {
-      timeout: 15000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; Yahoo-Finance-MCP/1.0)'
-      }
-    });
-    
-    if (response.data && response.data.releases && response.data.releases.length > 0) {
+    if (data && data.releases && data.releases.length > 0) {
       
-      const releases = response.data.releases.map(release => ({
+      const releases = data.releases.map(release => ({
         id: release.id,
         name: release.name,
         press_release: release.press_release === 'true',
@@ -3798,21 +6625,12 @@ async function extractFredReleases({ limit = 20, includeReleases = true }) {
       const releasesWithDates = await Promise.all(
         releases.slice(0, 10).map(async (release) => {
           try {
-            const datesUrl = `https://api.stlouisfed.org/fred/release/dates?release_id=${release.id}&api_key=${apiKey}&file_type=json&limit=5&sort_order=desc`;
-            
-            const datesResponse = await axios.get(datesUrl, {
-              timeout: 8000,
-              headers: {
-                'User-Agent': 'Mozilla/5.0 (compatible; Yahoo-Finance-MCP/1.0)'
-              }
-            });
+            const datesData = await fredRequest('release/dates', { release_id: release.id, limit: 5, sort_order: 'desc' }, { timeout: 8000 });
             
-            if (datesResponse.data && datesResponse.data.release_dates) {
-              release.recent_dates = datesResponse.data.release_dates.slice(0, 3).map(d => d.date);
+            if (datesData && datesData.release_dates) {
+              release.recent_dates = datesData.release_dates.slice(0, 3).map(d => d.date);
             }
             
-            await new Promise(resolve => setTimeout(resolve, 200)); // Rate limiting
-            
           } catch (datesError) {
             release.recent_dates = [];
           }
@@ -3823,13 +6641,13 @@ async function extractFredReleases({ limit = 20, includeReleases = true }) {
       
       return {
         releases: includeReleases ? releasesWithDates : releases,
-        totalReleases: response.data.releases.length
+        totalReleases: data.releases.length
       };
     }
     
     return null;
   } catch (error) {
-    throw error;
+    throw toFinancialDataError(error, { source: 'FRED' });
   }
 }
 
@@ -4053,218 +6871,454 @@ async function fetchFredReleases({ limit = 20 }) {
   }
 }
 
+// Market-moving releases and the series to show for each, by FRED release ID
+const FRED_KEY_RELEASES = {
+  10: [['CPIAUCSL', 'CPI, all items'], ['CPILFESL', 'Core CPI']],
+  50: [['PAYEMS', 'Nonfarm payrolls'], ['UNRATE', 'Unemployment rate']],
+  53: [['A191RL1Q225SBEA', 'Real GDP growth (annualized)'], ['GDP', 'Nominal GDP']],
+  54: [['PCEPI', 'PCE price index'], ['PCEPILFE', 'Core PCE price index']],
+  46: [['PPIFIS', 'PPI, final demand']],
+  9: [['RSAFS', 'Retail sales']],
+  13: [['INDPRO', 'Industrial production'], ['TCU', 'Capacity utilization']],
+  192: [['JTSJOL', 'Job openings']],
+  180: [['ICSA', 'Initial jobless claims']],
+  27: [['HOUST', 'Housing starts'], ['PERMIT', 'Building permits']],
+  97: [['HSN1F', 'New home sales']],
+  95: [['DGORDER', 'Durable goods orders']],
+  91: [['UMCSENT', 'Consumer sentiment']],
+  101: [['DFEDTARU', 'Fed funds target, upper limit'], ['DFEDTARL', 'Fed funds target, lower limit']]
+};
+const FRED_CALENDAR_MAX_DAYS = 90;
+// With releases = "all", key series are looked up for at most this many releases
+const FRED_CALENDAR_MAX_LOOKUPS = 40;
+const FRED_CALENDAR_PAGE_SIZE = 1000;
+
 /**
- * Extract FRED vintage data for historical analysis
- * @param {Object} params - Parameters with series ID
- * @returns {Promise<Object>} Vintage data analysis
+ * Fetch scheduled release dates in a date range, with each release's key series and their last values
+ * @param {Object} params - Parameters
+ * @param {string} params.startDate - First date (YYYY-MM-DD)
+ * @param {string} params.endDate - Last date (YYYY-MM-DD)
+ * @param {string} params.releases - "key" for FRED_KEY_RELEASES only, "all" for every release
+ * @returns {Promise<Object>} Calendar entries in date order
  */
-async function extractFredVintageData({ seriesId = '', analysisType = 'revisions' }) {
+async function extractFredReleaseCalendar({ startDate, endDate, releases = 'key' }) {
   try {
-    
-    const apiKey = process.env.FRED_API_KEY;
-    if (!apiKey || apiKey === 'demo') {
-      throw new Error('Valid FRED API key required for vintage data analysis. Please set FRED_API_KEY environment variable.');
-    }
-    
-    // Get vintage dates first
-    const vintageDatesUrl = `https://api.stlouisfed.org/fred/series/vintagedates?series_id=${seriesId}&api_key=${apiKey}&file_type=json&limit=20&sort_order=desc`;
-    
-    
-    const vintageDatesResponse = await axios.get(vintageDatesUrl, {
-      timeout: 15000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; Yahoo-Finance-MCP/1.0)'
+    requireFredApiKey('release calendar');
+
+    const releaseDates = [];
+    for (let offset = 0; ; offset += FRED_CALENDAR_PAGE_SIZE) {
+      const data = await fredRequest('releases/dates', {
+        realtime_start: startDate,
+        realtime_end: endDate,
+        include_release_dates_with_no_data: 'true',
+        order_by: 'release_date',
+        sort_order: 'asc',
+        limit: FRED_CALENDAR_PAGE_SIZE,
+        offset: offset || undefined
+      });
+      const page = data.release_dates || [];
+      releaseDates.push(...page);
+      if (page.length < FRED_CALENDAR_PAGE_SIZE || releaseDates.length >= (data.count || 0)) break;
+    }
+
+    const entries = releaseDates
+      .filter(entry => entry.date >= startDate && entry.date <= endDate)
+      .filter(entry => releases === 'all' || FRED_KEY_RELEASES[entry.release_id])
+      .map(entry => ({ date: entry.date, releaseId: Number(entry.release_id), releaseName: entry.release_name }))
+      .sort((a, b) => a.date.localeCompare(b.date) || a.releaseName.localeCompare(b.releaseName));
+
+    // Key series per release: curated for key releases, the most popular ones otherwise
+    const releaseIds = [...new Set(entries.map(entry => entry.releaseId))];
+    const lookedUp = releaseIds.filter(id => FRED_KEY_RELEASES[id] || releaseIds.indexOf(id) < FRED_CALENDAR_MAX_LOOKUPS);
+    const releaseSeries = Object.fromEntries(await Promise.all(lookedUp.map(async releaseId => {
+      if (FRED_KEY_RELEASES[releaseId]) {
+        return [releaseId, FRED_KEY_RELEASES[releaseId].map(([seriesId, title]) => ({ seriesId, title }))];
       }
-    });
-    
-    if (!vintageDatesResponse.data || !vintageDatesResponse.data.vintage_dates || vintageDatesResponse.data.vintage_dates.length === 0) {
-      throw new Error(`No vintage dates available for series ${seriesId}`);
-    }
-    
-    const vintageDates = vintageDatesResponse.data.vintage_dates.slice(0, 5); // Get last 5 vintage dates
-    
-    // Get data for each vintage date
-    const vintageAnalysis = await Promise.all(
-      vintageDates.map(async (vintageDate) => {
-        try {
-          const dataUrl = `https://api.stlouisfed.org/fred/series/observations?series_id=${seriesId}&api_key=${apiKey}&file_type=json&vintage_dates=${vintageDate}&limit=10&sort_order=desc`;
-          
-          const dataResponse = await axios.get(dataUrl, {
-            timeout: 10000,
-            headers: {
-              'User-Agent': 'Mozilla/5.0 (compatible; Yahoo-Finance-MCP/1.0)'
-            }
-          });
-          
-          if (dataResponse.data && dataResponse.data.observations) {
-            const validObs = dataResponse.data.observations
-              .filter(obs => obs.value !== '.' && obs.value !== null)
-              .slice(0, 3); // Get latest 3 observations for this vintage
-            
-            return {
-              vintageDate,
-              observations: validObs.map(obs => ({
-                date: obs.date,
-                value: parseFloat(obs.value),
-                realtime_start: obs.realtime_start,
-                realtime_end: obs.realtime_end
-              }))
-            };
-          }
-          
-          await new Promise(resolve => setTimeout(resolve, 300)); // Rate limiting
-          
-        } catch (error) {
-          return {
-            vintageDate,
-            observations: []
-          };
-        }
-      })
-    );
-    
-    // Analyze revisions
-    const revisionAnalysis = analyzeRevisions(vintageAnalysis);
-    
+      try {
+        const data = await fredRequest('release/series', { release_id: releaseId, order_by: 'popularity', sort_order: 'desc', limit: 2 });
+        return [releaseId, (data.seriess || []).map(series => ({ seriesId: series.id, title: series.title }))];
+      } catch (error) {
+        return [releaseId, []];
+      }
+    })));
+
+    // Last printed value of each series, fetched once however often its release recurs
+    const seriesIds = [...new Set(Object.values(releaseSeries).flat().map(series => series.seriesId))];
+    const latest = Object.fromEntries(await Promise.all(seriesIds.map(async seriesId => {
+      try {
+        const data = await fetchFredObservationPages({ series_id: seriesId }, 1);
+        return [seriesId, data.observations[0] || null];
+      } catch (error) {
+        return [seriesId, null];
+      }
+    })));
+
     return {
-      seriesId,
-      analysisType,
-      vintageData: vintageAnalysis.filter(v => v.observations.length > 0),
-      revisionAnalysis,
-      totalVintages: vintageDates.length
+      startDate,
+      endDate,
+      releases,
+      entries: entries.map(entry => ({
+        ...entry,
+        series: (releaseSeries[entry.releaseId] || []).map(series => ({
+          ...series,
+          lastValue: latest[series.seriesId]?.value ?? null,
+          lastDate: latest[series.seriesId]?.date || null
+        }))
+      }))
     };
-    
   } catch (error) {
-    throw error;
+    throw toFinancialDataError(error, { source: 'FRED' });
   }
 }
 
 /**
- * Analyze revisions in vintage data
+ * Convert calendar entries to one row per release date, with the release's first key series
  */
-function analyzeRevisions(vintageData) {
-  if (!vintageData || vintageData.length < 2) {
-    return { hasRevisions: false, analysis: 'Insufficient data for revision analysis' };
+function toFredReleaseCalendarRows(calendarData) {
+  return calendarData.entries.map(entry => {
+    const primary = entry.series[0] || null;
+    return {
+      date: entry.date,
+      weekday: new Date(`${entry.date}T00:00:00Z`).toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' }),
+      release_id: entry.releaseId,
+      release_name: entry.releaseName,
+      release_url: `https://fred.stlouisfed.org/release?rid=${entry.releaseId}`,
+      key_series: entry.series.map(series => series.seriesId).join(', '),
+      series_id: primary?.seriesId || null,
+      series_title: primary?.title || null,
+      series_url: primary ? `https://fred.stlouisfed.org/series/${primary.seriesId}` : null,
+      last_value: primary?.lastValue ?? null,
+      last_observation_date: primary?.lastDate || null
+    };
+  });
+}
+
+/**
+ * Calendar grouped by day, with every key series of each release
+ */
+function fredReleaseCalendarDays(rows, calendarData) {
+  const days = [];
+  rows.forEach((row, i) => {
+    if (days.length === 0 || days[days.length - 1].date !== row.date) {
+      days.push({ date: row.date, weekday: row.weekday, releases: [] });
+    }
+    days[days.length - 1].releases.push({
+      release_id: row.release_id,
+      release_name: row.release_name,
+      release_url: row.release_url,
+      series: calendarData.entries[i].series.map(series => ({
+        series_id: series.seriesId,
+        title: series.title,
+        url: `https://fred.stlouisfed.org/series/${series.seriesId}`,
+        last_value: series.lastValue,
+        last_observation_date: series.lastDate
+      }))
+    });
+  });
+  return days;
+}
+
+/**
+ * Convert the release calendar to markdown
+ */
+function fredReleaseCalendarAsMarkdown(summary) {
+  const format = value => (value === null ? 'N/A' : Math.abs(value) >= 1000 ? value.toLocaleString() : String(value));
+  const parts = [
+    '# 📅 Economic Release Calendar',
+    '',
+    `**Period:** ${summary.start_date} to ${summary.end_date}`,
+    `**Releases:** ${summary.release_count} ${summary.releases === 'key' ? 'key releases' : 'releases'} on ${summary.days.length} day${summary.days.length === 1 ? '' : 's'}`,
+    ''
+  ];
+
+  if (summary.days.length === 0) {
+    parts.push(`No ${summary.releases === 'key' ? 'key ' : ''}releases scheduled in this period.`);
   }
-  
-  const revisions = [];
-  const latestVintage = vintageData[0];
-  const previousVintage = vintageData[1];
-  
-  // Find common dates between vintages
-  if (latestVintage.observations.length > 0 && previousVintage.observations.length > 0) {
-    const latestData = latestVintage.observations[0];
-    const matchingPrevious = previousVintage.observations.find(obs => obs.date === latestData.date);
-    
-    if (matchingPrevious) {
-      const revision = latestData.value - matchingPrevious.value;
-      const revisionPercent = (revision / matchingPrevious.value) * 100;
-      
-      revisions.push({
-        date: latestData.date,
-        latestValue: latestData.value,
-        previousValue: matchingPrevious.value,
-        revision: revision,
-        revisionPercent: revisionPercent,
-        vintageComparison: `${previousVintage.vintageDate} → ${latestVintage.vintageDate}`
+
+  summary.days.forEach(day => {
+    parts.push(`## ${day.weekday}, ${day.date}`);
+    parts.push('');
+    parts.push('| Release | Key Series | Last Value | As Of |');
+    parts.push('|---------|------------|------------|-------|');
+    day.releases.forEach(release => {
+      const name = `[${release.release_name}](${release.release_url})`;
+      if (release.series.length === 0) {
+        parts.push(`| ${name} | - | - | - |`);
+        return;
+      }
+      release.series.forEach((series, i) => {
+        parts.push(`| ${i === 0 ? name : ''} | [${series.title}](${series.url}) (\`${series.series_id}\`) | ${format(series.last_value)} | ${series.last_observation_date || 'N/A'} |`);
       });
+    });
+    parts.push('');
+  });
+
+  parts.push('---');
+  parts.push('*Scheduled dates from FRED releases/dates, including releases whose data is not out yet. Last values are the latest published observations.*');
+
+  return parts.join('\n');
+}
+
+async function fetchFredReleaseCalendar({ startDate = null, endDate = null, days = 7, releases = 'key' } = {}) {
+  [['start_date', startDate], ['end_date', endDate]].forEach(([name, date]) => {
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      throw new InvalidInputError(`${name} must be a YYYY-MM-DD date, got "${date}"`);
     }
+  });
+  if (!Number.isInteger(days) || days < 1 || days > FRED_CALENDAR_MAX_DAYS) {
+    throw new InvalidInputError(`days must be an integer from 1 to ${FRED_CALENDAR_MAX_DAYS}, got ${days}`);
   }
-  
+  if (!['key', 'all'].includes(releases)) {
+    throw new InvalidInputError(`releases must be "key" or "all", got "${releases}"`);
+  }
+
+  const start = startDate || new Date().toISOString().split('T')[0];
+  const end = endDate || shiftIsoDate(start, { days: days - 1 });
+  if (end < start) {
+    throw new InvalidInputError(`end_date (${end}) is before start_date (${start})`);
+  }
+  if (shiftIsoDate(start, { days: FRED_CALENDAR_MAX_DAYS - 1 }) < end) {
+    throw new InvalidInputError(`The calendar covers at most ${FRED_CALENDAR_MAX_DAYS} days`);
+  }
+
+  const calendarData = await extractFredReleaseCalendar({ startDate: start, endDate: end, releases });
+  const rows = toFredReleaseCalendarRows(calendarData);
+  const summary = {
+    start_date: start,
+    end_date: end,
+    releases,
+    release_count: rows.length,
+    days: fredReleaseCalendarDays(rows, calendarData)
+  };
+  const markdown = fredReleaseCalendarAsMarkdown(summary);
+
+  return { rows, summary, markdown };
+}
+
+// ALFRED: every value each observation has had, with the real-time period it was current
+const FRED_REALTIME_ALL = { realtime_start: '1776-07-04', realtime_end: '9999-12-31' };
+const FRED_VINTAGE_DEFAULT_YEARS = 10;
+const FRED_VINTAGE_TRIANGLE_VINTAGES = 8;
+const FRED_VINTAGE_TRIANGLE_ROWS = 12;
+const FRED_VINTAGE_MARKDOWN_ROWS = 24;
+
+/**
+ * Fetch the full ALFRED revision history of a series (requires API key)
+ * @param {Object} params - Parameters
+ * @param {string} params.seriesId - FRED series ID
+ * @param {string} params.observationStart - First observation date (default 10 years ago)
+ * @param {string} params.observationEnd - Last observation date
+ * @param {number} params.afterMonths - Months after first release for the intermediate value
+ * @param {string} params.units - FRED unit transform, applied within each vintage
+ * @returns {Promise<Object>} Per-observation release histories
+ */
+async function extractFredVintageData({ seriesId = '', observationStart = null, observationEnd = null, afterMonths = 12, units = 'lin' }) {
+  try {
+    requireFredApiKey('vintage data analysis');
+
+    const today = new Date().toISOString().split('T')[0];
+    const start = observationStart || shiftIsoDate(today, { years: -FRED_VINTAGE_DEFAULT_YEARS });
+    const data = await fetchFredObservationPages({
+      series_id: seriesId,
+      observation_start: start,
+      observation_end: observationEnd || undefined,
+      units,
+      ...FRED_REALTIME_ALL
+    });
+
+    // Group the records by observation date, oldest release first
+    const histories = new Map();
+    data.observations.forEach(record => {
+      if (!histories.has(record.date)) histories.set(record.date, []);
+      histories.get(record.date).push(record);
+    });
+    histories.forEach(records => records.sort((a, b) => a.realtime_start.localeCompare(b.realtime_start)));
+
+    // Observations already in the earliest vintage, other than its newest, were backfilled
+    // when the series entered ALFRED - that vintage is not their first release
+    const earliestVintage = data.observations.reduce((earliest, record) => (!earliest || record.realtime_start < earliest ? record.realtime_start : earliest), null);
+    const newestInEarliestVintage = data.observations
+      .filter(record => record.realtime_start === earliestVintage)
+      .reduce((newest, record) => (!newest || record.date > newest ? record.date : newest), null);
+
+    return {
+      seriesId,
+      observationStart: start,
+      observationEnd: observationEnd || null,
+      afterMonths,
+      units,
+      today,
+      histories: [...histories.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([date, records]) => ({ date, records, backfilled: records[0].realtime_start === earliestVintage && date < newestInEarliestVintage }))
+    };
+  } catch (error) {
+    throw toFinancialDataError(error, { source: 'FRED', symbol: seriesId });
+  }
+}
+
+/**
+ * Value of an observation as published on a date
+ * @param {Array} records - Release records of one observation, oldest first
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Object|null} Record in effect on that date
+ */
+function vintageRecordAsOf(records, date) {
+  return records.find(record => record.realtime_start <= date && date <= record.realtime_end) || null;
+}
+
+/**
+ * Mean, dispersion and bias tests for a set of revisions. The t-test asks whether the
+ * mean revision differs from zero, the sign test whether upward and downward revisions
+ * are equally likely; both use the normal approximation.
+ * @param {Array} revisions - Revisions (later value minus first release)
+ * @returns {Object|null} Statistics, or null without revisions
+ */
+function revisionStatistics(revisions) {
+  const n = revisions.length;
+  if (n === 0) return null;
+
+  const round = value => (value === null ? null : Math.round(value * 10000) / 10000);
+  const mean = revisions.reduce((sum, value) => sum + value, 0) / n;
+  const stdDev = n > 1 ? Math.sqrt(revisions.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (n - 1)) : null;
+  const tStat = stdDev ? mean / (stdDev / Math.sqrt(n)) : null;
+  const up = revisions.filter(value => value > 0).length;
+  const down = revisions.filter(value => value < 0).length;
+  const signZ = up + down > 0 ? (up - (up + down) / 2) / Math.sqrt((up + down) / 4) : null;
+  const twoSided = z => (z === null ? null : Math.round(2 * (1 - normalCdf(Math.abs(z))) * 10000) / 10000);
+  const pValue = twoSided(tStat);
+
   return {
-    hasRevisions: revisions.length > 0,
-    revisions,
-    analysis: revisions.length > 0 ? 
-      `Latest revision: ${revisions[0].revision > 0 ? '+' : ''}${revisions[0].revision.toFixed(3)} (${revisions[0].revisionPercent > 0 ? '+' : ''}${revisions[0].revisionPercent.toFixed(2)}%)` :
-      'No revisions detected in recent data'
+    count: n,
+    mean: round(mean),
+    mean_absolute: round(revisions.reduce((sum, value) => sum + Math.abs(value), 0) / n),
+    rms: round(Math.sqrt(revisions.reduce((sum, value) => sum + value * value, 0) / n)),
+    std_dev: round(stdDev),
+    upward_share: Math.round((up / n) * 1000) / 1000,
+    t_stat: tStat === null ? null : Math.round(tStat * 100) / 100,
+    p_value: pValue,
+    sign_test_p_value: twoSided(signZ),
+    biased: pValue !== null && pValue < 0.05
   };
 }
 
 /**
- * Convert FRED vintage data to standardized rows
+ * Convert revision histories to one row per observation: first release, value N months
+ * later and the current value
  */
 function toFredVintageRows(vintageData) {
-  if (!vintageData || !vintageData.vintageData) {
-    return [];
-  }
+  const round = value => Math.round(value * 10000) / 10000;
 
-  const rows = [];
-  vintageData.vintageData.forEach(vintage => {
-    vintage.observations.forEach(obs => {
-      rows.push({
-        series_id: vintageData.seriesId,
-        vintage_date: vintage.vintageDate,
-        observation_date: obs.date,
-        value: obs.value,
-        realtime_start: obs.realtime_start,
-        realtime_end: obs.realtime_end,
-        analysis_type: vintageData.analysisType,
-        fetch_date: new Date().toISOString().split('T')[0]
-      });
-    });
+  return vintageData.histories.map(({ date, records, backfilled }) => {
+    const first = records[0];
+    const latest = records[records.length - 1];
+    const afterDate = shiftIsoDate(first.realtime_start, { months: vintageData.afterMonths });
+    const after = afterDate <= vintageData.today ? vintageRecordAsOf(records, afterDate) : null;
+
+    return {
+      series_id: vintageData.seriesId,
+      observation_date: date,
+      first_release_date: backfilled ? null : first.realtime_start,
+      first_release: backfilled ? null : first.value,
+      value_after: backfilled || !after ? null : after.value,
+      value_after_date: backfilled || !after ? null : afterDate,
+      value: latest.value,
+      latest_release_date: latest.realtime_start,
+      revision_after: backfilled || !after ? null : round(after.value - first.value),
+      revision_total: backfilled ? null : round(latest.value - first.value),
+      revision_total_percent: backfilled || first.value === 0 ? null : Math.round(((latest.value - first.value) / Math.abs(first.value)) * 10000) / 100,
+      releases: records.length,
+      backfilled
+    };
   });
-  
-  return rows;
+}
+
+/**
+ * Revision triangle: each recent observation as published in each of the latest vintages
+ * @returns {Object} { vintages, rows: [{ date, values }] } with null before an observation was published
+ */
+function fredRevisionTriangle(vintageData) {
+  const vintages = [...new Set(vintageData.histories.flatMap(({ records }) => records.map(record => record.realtime_start)))]
+    .sort()
+    .slice(-FRED_VINTAGE_TRIANGLE_VINTAGES);
+
+  return {
+    vintages,
+    rows: vintageData.histories.slice(-FRED_VINTAGE_TRIANGLE_ROWS).map(({ date, records }) => ({
+      date,
+      values: vintages.map(vintage => vintageRecordAsOf(records, vintage)?.value ?? null)
+    }))
+  };
 }
 
 /**
  * Convert FRED vintage data to markdown
  */
-function fredVintageAsMarkdown(rows, vintageData) {
+function fredVintageAsMarkdown(rows, summary) {
   if (!rows || rows.length === 0) {
-    return `# FRED Vintage Data Analysis\n\nNo vintage data available for series "${vintageData?.seriesId || 'unknown'}".`;
+    return `# FRED Vintage Data Analysis\n\nNo vintage data available for series "${summary.series_id}".`;
   }
 
+  const format = value => (value === null || value === undefined ? '—' : Math.abs(value) >= 1000 ? value.toLocaleString() : String(value));
+  const signed = value => (value === null ? '—' : `${value > 0 ? '+' : ''}${format(value)}`);
+  const horizon = `${summary.after_months}M`;
+
   const parts = [
     '# 🕐 FRED Vintage Data Analysis',
     '',
-    `**Series ID:** \`${vintageData.seriesId}\``,
-    `**Analysis Type:** ${vintageData.analysisType}`,
-    `**Vintage Periods:** ${vintageData.totalVintages}`,
-    `**Data Points:** ${rows.length}`,
-    `**Analysis Date:** ${new Date().toLocaleDateString()}`,
+    `**Series ID:** \`${summary.series_id}\``,
+    `**Units:** ${FRED_UNIT_TRANSFORMS[summary.units] || summary.units}`,
+    `**Observations:** ${rows.length} (${rows[0].observation_date} to ${rows[rows.length - 1].observation_date})`,
+    `**Vintages:** ${summary.vintage_count} | **Intermediate Horizon:** ${summary.after_months} months after first release`,
     '',
-    '## 📊 Revision Analysis',
+    '## 📊 Revision Statistics',
     ''
   ];
 
-  const revision = vintageData.revisionAnalysis;
-  if (revision.hasRevisions) {
-    parts.push('### 🔍 Latest Revisions');
-    parts.push('');
-    
-    revision.revisions.forEach((rev, index) => {
-      const revisionIcon = rev.revision > 0 ? '📈' : rev.revision < 0 ? '📉' : '➡️';
-      const significanceIcon = Math.abs(rev.revisionPercent) > 5 ? '🚨' : Math.abs(rev.revisionPercent) > 1 ? '⚠️' : '✅';
-      
-      parts.push(`**${index + 1}. ${rev.date}**`);
-      parts.push(`- **Latest Value:** ${rev.latestValue.toLocaleString()}`);
-      parts.push(`- **Previous Value:** ${rev.previousValue.toLocaleString()}`);
-      parts.push(`- **Revision:** ${revisionIcon} ${rev.revision > 0 ? '+' : ''}${rev.revision.toFixed(3)} (${rev.revisionPercent > 0 ? '+' : ''}${rev.revisionPercent.toFixed(2)}%) ${significanceIcon}`);
-      parts.push(`- **Vintage Period:** ${rev.vintageComparison}`);
-      parts.push('');
-    });
-    
-    parts.push('### 📈 Revision Impact');
-    const avgRevision = revision.revisions.reduce((sum, r) => sum + Math.abs(r.revisionPercent), 0) / revision.revisions.length;
-    const impactLevel = avgRevision > 5 ? 'High' : avgRevision > 1 ? 'Moderate' : 'Low';
-    parts.push(`**Average Revision Magnitude:** ${avgRevision.toFixed(2)}% (${impactLevel} impact)`);
-    
+  const statRows = [[`First → ${horizon}`, summary.revision_after], ['First → Latest', summary.revision_total]];
+  if (statRows.every(([, stats]) => !stats)) {
+    parts.push('No observations with a known first release and a later value in this window.');
   } else {
-    parts.push('**Status:** ✅ No significant revisions detected');
-    parts.push(`**Analysis:** ${revision.analysis}`);
+    parts.push('| Revision | Count | Mean | Mean Abs | RMS | Std Dev | Upward | t-stat | p-value | Sign p | Bias |');
+    parts.push('|----------|-------|------|----------|-----|---------|--------|--------|---------|--------|------|');
+    statRows.filter(([, stats]) => stats).forEach(([label, stats]) => {
+      const bias = stats.biased ? (stats.mean > 0 ? '⚠️ Revised up' : '⚠️ Revised down') : '✅ None';
+      parts.push(`| ${label} | ${stats.count} | ${signed(stats.mean)} | ${format(stats.mean_absolute)} | ${format(stats.rms)} | ${format(stats.std_dev)} | ${(stats.upward_share * 100).toFixed(0)}% | ${stats.t_stat ?? '—'} | ${stats.p_value ?? '—'} | ${stats.sign_test_p_value ?? '—'} | ${bias} |`);
+    });
+    parts.push('');
+    parts.push('*Bias: mean revision significantly different from zero (t-test, 5% level). Sign p tests whether upward and downward revisions are equally likely.*');
+  }
+
+  const backfilled = rows.filter(row => row.backfilled).length;
+  if (backfilled > 0) {
+    parts.push(`*${backfilled} observation${backfilled === 1 ? '' : 's'} predate the series' first ALFRED vintage and are left out of the statistics.*`);
   }
 
   parts.push('');
-  parts.push('## 🗓️ Vintage Data Timeline');
+  parts.push('## 🔍 First Release vs Latest');
   parts.push('');
-  parts.push('| Vintage Date | Observation Date | Value | Real-time Period |');
-  parts.push('|--------------|------------------|-------|------------------|');
-
-  rows.slice(0, 15).forEach(row => {
-    const formattedValue = row.value > 1000 ? row.value.toLocaleString() : row.value.toFixed(2);
-    parts.push(`| ${row.vintage_date} | ${row.observation_date} | **${formattedValue}** | ${row.realtime_start} to ${row.realtime_end} |`);
+  parts.push(`| Observation | First Release | Released | After ${horizon} | Latest | Total Revision | % |`);
+  parts.push('|-------------|---------------|----------|---------|--------|----------------|---|');
+  rows.slice(-FRED_VINTAGE_MARKDOWN_ROWS).reverse().forEach(row => {
+    const percent = row.revision_total_percent === null ? '—' : `${row.revision_total_percent > 0 ? '+' : ''}${row.revision_total_percent.toFixed(2)}%`;
+    parts.push(`| ${row.observation_date} | ${format(row.first_release)} | ${row.first_release_date || 'Before ALFRED'} | ${format(row.value_after)} | **${format(row.value)}** | ${signed(row.revision_total)} | ${percent} |`);
   });
+  if (rows.length > FRED_VINTAGE_MARKDOWN_ROWS) {
+    parts.push('');
+    parts.push(`*Showing the latest ${FRED_VINTAGE_MARKDOWN_ROWS} of ${rows.length} observations - all are in the structured rows.*`);
+  }
+
+  const triangle = summary.triangle;
+  if (triangle.vintages.length > 1) {
+    parts.push('');
+    parts.push(`## 🔺 Revision Triangle (latest ${triangle.vintages.length} vintages)`);
+    parts.push('');
+    parts.push(`| Observation | ${triangle.vintages.join(' | ')} |`);
+    parts.push(`|-------------|${triangle.vintages.map(() => '------------').join('|')}|`);
+    [...triangle.rows].reverse().forEach(row => {
+      parts.push(`| ${row.date} | ${row.values.map(format).join(' | ')} |`);
+    });
+  }
 
   parts.push('');
   parts.push('## 📚 Understanding Vintage Data');
@@ -4276,39 +7330,42 @@ function fredVintageAsMarkdown(rows, vintageData) {
   parts.push('- **Benchmark Revisions**: Major methodological updates');
   parts.push('- **Real-time Analysis**: How data looked at specific points in history');
   parts.push('');
-  parts.push('### 💡 Applications');
-  parts.push('- **Policy Analysis**: How decisions looked with data available at the time');
-  parts.push('- **Forecast Evaluation**: Account for data revisions in model assessment');
-  parts.push('- **Market Impact**: Understand revision patterns for trading strategies');
-  parts.push('- **Research**: Use real-time data for historical analysis');
-  parts.push('');
   parts.push('---');
-  parts.push('*Powered by Federal Reserve Economic Data (FRED) Vintage API*');
+  parts.push('*Powered by ALFRED (Archival Federal Reserve Economic Data)*');
 
   return parts.join('\n');
 }
 
-async function fetchFredVintageData({ seriesId = '', analysisType = 'revisions' }) {
-  try {
-    
-    if (!seriesId.trim()) {
-      throw new Error('Series ID is required for FRED vintage data analysis');
-    }
-    
-    const vintageData = await extractFredVintageData({ seriesId, analysisType });
-    
-    if (!vintageData) {
-      throw new Error(`No vintage data found for FRED series: ${seriesId}`);
-    }
-    
-    const rows = toFredVintageRows(vintageData);
-    const markdown = fredVintageAsMarkdown(rows, vintageData);
-    
-    return { rows, markdown };
-    
-  } catch (error) {
-    throw error;
+async function fetchFredVintageData({ seriesId = '', observationStart = null, observationEnd = null, afterMonths = 12, units = 'lin' }) {
+  if (!seriesId.trim()) {
+    throw new InvalidInputError('Series ID is required for FRED vintage data analysis');
+  }
+  if (!Number.isInteger(afterMonths) || afterMonths < 1) {
+    throw new InvalidInputError(`after_months must be a positive integer, got ${afterMonths}`);
+  }
+  validateFredObservationOptions({ observationStart, observationEnd, units, aggregationMethod: 'avg' });
+
+  const vintageData = await extractFredVintageData({ seriesId, observationStart, observationEnd, afterMonths, units });
+  if (vintageData.histories.length === 0) {
+    throw new DataUnavailableError(`No vintage data found for FRED series: ${seriesId}`, { symbol: seriesId, source: 'FRED' });
   }
+
+  const rows = toFredVintageRows(vintageData);
+  const revisions = field => rows.filter(row => row[field] !== null).map(row => row[field]);
+  const summary = {
+    series_id: seriesId,
+    units,
+    after_months: afterMonths,
+    observation_start: vintageData.observationStart,
+    observation_end: vintageData.observationEnd,
+    vintage_count: new Set(vintageData.histories.flatMap(({ records }) => records.map(record => record.realtime_start))).size,
+    revision_after: revisionStatistics(revisions('revision_after')),
+    revision_total: revisionStatistics(revisions('revision_total')),
+    triangle: fredRevisionTriangle(vintageData)
+  };
+  const markdown = fredVintageAsMarkdown(rows, summary);
+
+  return { rows, summary, markdown };
 }
 
 /**
@@ -4319,41 +7376,13 @@ async function fetchFredVintageData({ seriesId = '', analysisType = 'revisions'
 async function extractFredTags({ searchText = '', tagNames = '', limit = 20 }) {
   try {
     
-    const apiKey = process.env.FRED_API_KEY;
-    if (!apiKey || apiKey === 'demo') {
-      throw new Error('Valid FRED API key required for tags data. Please set FRED_API_KEY environment variable.');
-    }
-    
-    const baseUrl = 'https://api.stlouisfed.org/fred/tags';
-    const params = new URLSearchParams({
-      api_key: apiKey,
-      file_type: 'json',
-      limit: limit.toString(),
-      order_by: 'popularity',
-      sort_order: 'desc'
-    });
-    
-    if (searchText) {
-      params.append('search_text', searchText);
-    }
-    
-    if (tagNames) {
-      params.append('tag_names', tagNames);
-    }
-    
-    const url = `${baseUrl}?${params.toString()}`;
+    requireFredApiKey('tags data');
     
+    const data = await fredRequest('tags', { limit, order_by: 'popularity', sort_order: 'desc', search_text: searchText, tag_names: tagNames });
     
-    const response = await axios.get(url, {
-      timeout: 15000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; Yahoo-Finance-MCP/1.0)'
-      }
-    });
-    
-    if (response.data && response.data.tags && response.data.tags.length > 0) {
+    if (data && data.tags && data.tags.length > 0) {
       
-      const tags = response.data.tags.map(tag => ({
+      const tags = data.tags.map(tag => ({
         name: tag.name,
         group_id: tag.group_id,
         notes: tag.notes || 'No description available',
@@ -4366,21 +7395,12 @@ async function extractFredTags({ searchText = '', tagNames = '', limit = 20 }) {
       const tagsWithRelated = await Promise.all(
         tags.slice(0, 5).map(async (tag) => {
           try {
-            const relatedUrl = `https://api.stlouisfed.org/fred/related_tags?tag_names=${encodeURIComponent(tag.name)}&api_key=${apiKey}&file_type=json&limit=5`;
-            
-            const relatedResponse = await axios.get(relatedUrl, {
-              timeout: 8000,
-              headers: {
-                'User-Agent': 'Mozilla/5.0 (compatible; Yahoo-Finance-MCP/1.0)'
-              }
-            });
+            const relatedData = await fredRequest('related_tags', { tag_names: tag.name, limit: 5 }, { timeout: 8000 });
             
-            if (relatedResponse.data && relatedResponse.data.tags) {
-              tag.related_tags = relatedResponse.data.tags.slice(0, 3).map(rt => rt.name);
+            if (relatedData && relatedData.tags) {
+              tag.related_tags = relatedData.tags.slice(0, 3).map(rt => rt.name);
             }
             
-            await new Promise(resolve => setTimeout(resolve, 200)); // Rate limiting
-            
           } catch (relatedError) {
             tag.related_tags = [];
           }
@@ -4393,13 +7413,13 @@ async function extractFredTags({ searchText = '', tagNames = '', limit = 20 }) {
         searchText,
         tagNames,
         tags: tagsWithRelated.concat(tags.slice(5)), // Add enhanced tags + remaining tags
-        totalTags: response.data.count || tags.length
+        totalTags: data.count || tags.length
       };
     }
     
     return null;
   } catch (error) {
-    throw error;
+    throw toFinancialDataError(error, { source: 'FRED' });
   }
 }
 
@@ -4411,25 +7431,14 @@ async function extractFredTags({ searchText = '', tagNames = '', limit = 20 }) {
 async function extractFredRegionalData({ tagNames = 'regional', limit = 20 }) {
   try {
     
-    const apiKey = process.env.FRED_API_KEY;
-    if (!apiKey || apiKey === 'demo') {
-      throw new Error('Valid FRED API key required for regional data. Please set FRED_API_KEY environment variable.');
-    }
+    requireFredApiKey('regional data');
     
     // Get series with regional tags
-    const seriesUrl = `https://api.stlouisfed.org/fred/tags/series?tag_names=${encodeURIComponent(tagNames)}&api_key=${apiKey}&file_type=json&limit=${limit}&order_by=popularity&sort_order=desc`;
-    
-    
-    const response = await axios.get(seriesUrl, {
-      timeout: 15000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; Yahoo-Finance-MCP/1.0)'
-      }
-    });
+    const data = await fredRequest('tags/series', { tag_names: tagNames, limit, order_by: 'popularity', sort_order: 'desc' });
     
-    if (response.data && response.data.seriess && response.data.seriess.length > 0) {
+    if (data && data.seriess && data.seriess.length > 0) {
       
-      const regionalSeries = response.data.seriess.map(series => ({
+      const regionalSeries = data.seriess.map(series => ({
         id: series.id,
         title: series.title,
         units: series.units || 'Unknown',
@@ -4444,25 +7453,15 @@ async function extractFredRegionalData({ tagNames = 'regional', limit = 20 }) {
       const seriesWithData = await Promise.all(
         regionalSeries.slice(0, 5).map(async (series) => {
           try {
-            const dataUrl = `https://api.stlouisfed.org/fred/series/observations?series_id=${series.id}&api_key=${apiKey}&file_type=json&limit=1&sort_order=desc`;
-            
-            const dataResponse = await axios.get(dataUrl, {
-              timeout: 8000,
-              headers: {
-                'User-Agent': 'Mozilla/5.0 (compatible; Yahoo-Finance-MCP/1.0)'
-              }
-            });
+            // A few observations, since the latest may be missing (".")
+            const seriesData = await fredRequest('series/observations', { series_id: series.id, limit: 5, sort_order: 'desc' }, { timeout: 8000 });
             
-            if (dataResponse.data && dataResponse.data.observations && dataResponse.data.observations.length > 0) {
-              const latestObs = dataResponse.data.observations.find(obs => obs.value !== '.' && obs.value !== null);
-              if (latestObs) {
-                series.latest_value = parseFloat(latestObs.value);
-                series.latest_date = latestObs.date;
-              }
+            const latestObs = parseFredObservations(seriesData.observations)[0];
+            if (latestObs) {
+              series.latest_value = latestObs.value;
+              series.latest_date = latestObs.date;
             }
             
-            await new Promise(resolve => setTimeout(resolve, 300)); // Rate limiting
-            
           } catch (dataError) {
           }
           
@@ -4473,13 +7472,13 @@ async function extractFredRegionalData({ tagNames = 'regional', limit = 20 }) {
       return {
         tagNames,
         regionalSeries: seriesWithData.concat(regionalSeries.slice(5)),
-        totalSeries: response.data.count || regionalSeries.length
+        totalSeries: data.count || regionalSeries.length
       };
     }
     
     return null;
   } catch (error) {
-    throw error;
+    throw toFinancialDataError(error, { source: 'FRED' });
   }
 }
 
@@ -4749,7 +7748,7 @@ async function fetchFredRegionalData({ tagNames = 'regional', limit = 20 }) {
 
 /**
  * Extract market indices data from Yahoo Finance
- * @returns {Promise<Object|null>} Market indices data
+ * @returns {Promise<Object>} Market indices data
  */
 async function extractMarketIndicesData() {
   try {
@@ -4769,35 +7768,28 @@ async function extractMarketIndicesData() {
     };
     
     const results = {};
+    const failures = [];
     
     for (const [name, symbol] of Object.entries(indices)) {
       try {
         
-        const response = await axios.get(`https://finance.yahoo.com/quote/${symbol}?p=${symbol}`, {
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_7 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.1.2 Mobile/15E148 Safari/604.1'
-          },
-          timeout: 8000
-        });
-        
-        const html = response.data;
+        const page = await getQuotePage(symbol, { timeout: 8000 });
         
         // Extract key metrics
-        const metrics = {};
-        const patterns = {
-          price: /\\"regularMarketPrice\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-          change: /\\"regularMarketChange\\":\{[^}]*\\"raw\\":(-?\d+\.?\d*)/,
-          changePercent: /\\"regularMarketChangePercent\\":\{[^}]*\\"raw\\":(-?\d+\.?\d*)/,
-          volume: /\\"regularMarketVolume\\":\{[^}]*\\"raw\\":(\d+)/,
-          marketCap: /\\"marketCap\\":\{[^}]*\\"raw\\":(\d+)/
-        };
+        const metrics = page.values({
+          price: ['price.regularMarketPrice', 'quote.regularMarketPrice'],
+          change: ['price.regularMarketChange', 'quote.regularMarketChange'],
+          volume: ['price.regularMarketVolume', 'quote.regularMarketVolume'],
+          marketCap: ['price.marketCap', 'summaryDetail.marketCap', 'quote.marketCap']
+        });
         
-        for (const [metric, pattern] of Object.entries(patterns)) {
-          const match = html.match(pattern);
-          if (match) {
-            metrics[metric] = metric === 'volume' || metric === 'marketCap' ? 
-              parseInt(match[1]) : parseFloat(match[1]);
-          }
+        // Reported in percent; the price module stores it as a fraction
+        const quotePercent = page.value('quote.regularMarketChangePercent');
+        const pricePercent = page.value('price.regularMarketChangePercent');
+        if (quotePercent !== null) {
+          metrics.changePercent = quotePercent;
+        } else if (pricePercent !== null) {
+          metrics.changePercent = pricePercent * 100;
         }
         
         if (Object.keys(metrics).length > 0) {
@@ -4810,9 +7802,10 @@ async function extractMarketIndicesData() {
         }
         
         // Small delay to avoid overwhelming the server
-        await new Promise(resolve => setTimeout(resolve, 300));
+        await httpClient.pause(300);
         
       } catch (error) {
+        failures.push(error);
       }
     }
     
@@ -4820,9 +7813,12 @@ async function extractMarketIndicesData() {
       return results;
     }
     
-    return null;
+    if (failures.length > 0) {
+      throw failures[0];
+    }
+    throw new DataUnavailableError('No market index quotes available', { source: 'Yahoo Finance' });
   } catch (error) {
-    return null;
+    throw toFinancialDataError(error);
   }
 }
 
@@ -4945,10 +7941,6 @@ async function fetchMarketIndices() {
     
     const indicesData = await extractMarketIndicesData();
     
-    if (!indicesData) {
-      throw new Error('Could not extract market indices data');
-    }
-    
     const rows = toMarketIndicesRows(indicesData);
     const markdown = marketIndicesAsMarkdown(rows);
     
@@ -4959,225 +7951,809 @@ async function fetchMarketIndices() {
   }
 }
 
+// Named screener universes, one ticker list per file in src/data/universes
+const SCREENER_UNIVERSES = ['sp500', 'nasdaq100', 'dow30', 'russell1000'];
+const SCREENER_DEFAULT_UNIVERSE = 'sp500';
+const SCREENER_DEFAULT_UNIVERSE_LIMIT = 100;
+const SCREENER_MAX_UNIVERSE_SIZE = 1000;
+const SCREENER_DEFAULT_MAX_RESULTS = 20;
+// Quote pages fetched at once; each worker also pauses between its requests
+const SCREENER_CONCURRENCY = 4;
+
 /**
- * Stock screener for multi-criteria discovery
- * @param {Object} criteria - Screening criteria
- * @returns {Promise<Object>} Screened stocks
+ * Map items through an async worker with at most `limit` calls in flight
+ * @param {Array} items - Inputs
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} worker - (item, index) => Promise<result>
+ * @returns {Promise<Array>} Results in input order
+ */
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const run = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+  return results;
+}
+
+/**
+ * Resolve the tickers to screen: a user list in the given order, or a named universe
+ * ordered largest first by the reference market cap so a limit keeps the biggest names
+ * @param {Object} options - Universe options
+ * @param {string} options.universe - Named universe (default sp500)
+ * @param {Array} options.symbols - Explicit tickers, overriding the universe
+ * @param {number} options.universeLimit - Maximum tickers to screen
+ * @returns {Object} { id, name, as_of, size, symbols }
+ */
+function resolveScreenerUniverse({ universe = null, symbols = null, universeLimit = null } = {}) {
+  if (universeLimit !== null && (!Number.isInteger(universeLimit) || universeLimit < 1 || universeLimit > SCREENER_MAX_UNIVERSE_SIZE)) {
+    throw new InvalidInputError(`universeLimit must be an integer from 1 to ${SCREENER_MAX_UNIVERSE_SIZE}, got ${universeLimit}`);
+  }
+
+  if (Array.isArray(symbols) && symbols.length > 0) {
+    const tickers = [...new Set(symbols.map(symbol => String(symbol).trim().toUpperCase()).filter(Boolean))];
+    if (tickers.length > SCREENER_MAX_UNIVERSE_SIZE) {
+      throw new InvalidInputError(`At most ${SCREENER_MAX_UNIVERSE_SIZE} symbols can be screened, got ${tickers.length}`);
+    }
+    return {
+      id: 'custom',
+      name: 'Custom list',
+      as_of: null,
+      size: tickers.length,
+      symbols: tickers.slice(0, universeLimit || tickers.length)
+    };
+  }
+
+  const id = universe || SCREENER_DEFAULT_UNIVERSE;
+  if (!SCREENER_UNIVERSES.includes(id)) {
+    throw new InvalidInputError(`Unknown universe "${id}". Use one of: ${SCREENER_UNIVERSES.join(', ')}, or pass symbols`);
+  }
+
+  const data = require(`./data/universes/${id}.json`);
+  const marketCaps = new Map(STOCK_REFERENCE.stocks.map(stock => [stock.symbol, stock.market_cap_billions]));
+  const ordered = data.symbols
+    .map((symbol, i) => ({ symbol, i, cap: marketCaps.get(symbol) ?? -1 }))
+    .sort((a, b) => b.cap - a.cap || a.i - b.i)
+    .map(item => item.symbol);
+
+  return {
+    id,
+    name: data.name,
+    as_of: data.as_of,
+    size: ordered.length,
+    symbols: ordered.slice(0, universeLimit || SCREENER_DEFAULT_UNIVERSE_LIMIT)
+  };
+}
+
+/**
+ * Fetch the screening metrics of every stock in a universe
+ * Quote pages are fetched through a bounded concurrency pool; every stock in the
+ * resolved universe is loaded so filters, sorting and percentile ranks all see the
+ * same screened set.
+ * @param {Object} options - Universe options (see resolveScreenerUniverse)
+ * @param {Function} options.onProgress - Called as (screened, total, symbol) after each stock
+ * @returns {Promise<Object>} { universe, stocks, failures }
  */
-async function extractStockScreenerData(criteria = {}) {
+async function extractStockScreenerData({ universe = null, symbols = null, universeLimit = null, onProgress = null } = {}) {
   try {
-    
-    // Define a universe of popular stocks to screen
-    const stockUniverse = [
-      // Mega caps
-      'AAPL', 'MSFT', 'GOOGL', 'AMZN', 'NVDA', 'META', 'TSLA', 'BRK-B', 'LLY', 'AVGO',
-      // Large caps
-      'JPM', 'V', 'UNH', 'JNJ', 'WMT', 'XOM', 'MA', 'PG', 'HD', 'CVX',
-      // Tech growth
-      'NFLX', 'ADBE', 'CRM', 'ORCL', 'INTC', 'AMD', 'QCOM', 'CSCO', 'TXN', 'AMAT',
-      // Finance
-      'BAC', 'WFC', 'GS', 'MS', 'C', 'AXP', 'SCHW', 'BLK', 'SPGI', 'CME',
-      // Healthcare
-      'PFE', 'ABBV', 'TMO', 'ABT', 'DHR', 'MRK', 'BMY', 'MDT', 'AMGN', 'GILD',
-      // Consumer
-      'KO', 'PEP', 'NKE', 'MCD', 'SBUX', 'TGT', 'COST', 'LOW', 'DIS', 'PYPL',
-      // Industrial
-      'BA', 'CAT', 'MMM', 'HON', 'RTX', 'UPS', 'FDX', 'GE', 'DE', 'LMT'
-    ];
-    
-    const results = [];
-    const maxStocks = Math.min(stockUniverse.length, criteria.maxResults || 20);
-    
-    
-    for (let i = 0; i < maxStocks; i++) {
-      const symbol = stockUniverse[i];
-      
+    const resolved = resolveScreenerUniverse({ universe, symbols, universeLimit });
+    let completed = 0;
+
+    const screened = await mapWithConcurrency(resolved.symbols, SCREENER_CONCURRENCY, async symbol => {
       try {
-        
-        const response = await axios.get(`https://finance.yahoo.com/quote/${symbol}?p=${symbol}`, {
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_7 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.1.2 Mobile/15E148 Safari/604.1'
-          },
-          timeout: 8000
-        });
-        
-        const html = response.data;
+        const page = await getQuotePage(symbol, { timeout: 8000 });
         
         // Extract key metrics for screening
-        const metrics = {};
-        const patterns = {
-          price: /\\"regularMarketPrice\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-          marketCap: /\\"marketCap\\":\{[^}]*\\"raw\\":(\d+)/,
-          trailingPE: /\\"trailingPE\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-          forwardPE: /\\"forwardPE\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-          pegRatio: /\\"pegRatio\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-          priceToBook: /\\"priceToBook\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-          dividendYield: /\\"dividendYield\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-          revenueGrowth: /\\"revenueGrowth\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-          earningsGrowth: /\\"earningsGrowth\\":\{[^}]*\\"raw\\":(-?\d+\.?\d*)/,
-          profitMargins: /\\"profitMargins\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-          returnOnEquity: /\\"returnOnEquity\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-          debtToEquity: /\\"debtToEquity\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-          beta: /\\"beta\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-          volume: /\\"regularMarketVolume\\":\{[^}]*\\"raw\\":(\d+)/,
-          averageVolume: /\\"averageVolume\\":\{[^}]*\\"raw\\":(\d+)/
-        };
-        
-        for (const [metric, pattern] of Object.entries(patterns)) {
-          const match = html.match(pattern);
-          if (match) {
-            metrics[metric] = metric === 'volume' || metric === 'averageVolume' || metric === 'marketCap' ? 
-              parseInt(match[1]) : parseFloat(match[1]);
-          }
-        }
-        
-        // Apply screening criteria
-        const passesScreen = applyScreeningCriteria(metrics, criteria);
-        
-        if (passesScreen) {
-          // Extract company name and sector
-          const nameMatch = html.match(/\\"longName\\":\\"([^"]+)\\"/);
-          const sectorMatch = html.match(/\\"sector\\":\\"([^"]+)\\"/);
-          
-          results.push({
+        const metrics = page.values({
+          price: ['price.regularMarketPrice', 'quote.regularMarketPrice'],
+          marketCap: ['price.marketCap', 'summaryDetail.marketCap', 'quote.marketCap'],
+          trailingPE: ['summaryDetail.trailingPE', 'quote.trailingPE'],
+          forwardPE: ['summaryDetail.forwardPE', 'defaultKeyStatistics.forwardPE', 'quote.forwardPE'],
+          pegRatio: ['defaultKeyStatistics.pegRatio'],
+          priceToBook: ['defaultKeyStatistics.priceToBook', 'quote.priceToBook'],
+          dividendYield: ['summaryDetail.dividendYield'],
+          revenueGrowth: ['financialData.revenueGrowth'],
+          earningsGrowth: ['financialData.earningsGrowth'],
+          profitMargins: ['financialData.profitMargins', 'defaultKeyStatistics.profitMargins'],
+          returnOnEquity: ['financialData.returnOnEquity'],
+          debtToEquity: ['financialData.debtToEquity'],
+          beta: ['summaryDetail.beta', 'defaultKeyStatistics.beta'],
+          volume: ['price.regularMarketVolume', 'summaryDetail.volume', 'quote.regularMarketVolume'],
+          averageVolume: ['summaryDetail.averageVolume', 'price.averageDailyVolume3Month', 'quote.averageDailyVolume3Month'],
+          enterpriseToEbitda: ['defaultKeyStatistics.enterpriseToEbitda'],
+          fiftyDayAverage: ['summaryDetail.fiftyDayAverage', 'quote.fiftyDayAverage'],
+          twoHundredDayAverage: ['summaryDetail.twoHundredDayAverage', 'quote.twoHundredDayAverage'],
+          fiftyTwoWeekHigh: ['summaryDetail.fiftyTwoWeekHigh', 'quote.fiftyTwoWeekHigh'],
+          fiftyTwoWeekLow: ['summaryDetail.fiftyTwoWeekLow', 'quote.fiftyTwoWeekLow']
+        });
+
+        // Small delay to avoid overwhelming the server
+        await httpClient.pause(400);
+
+        return {
+          symbol,
+          stock: {
             symbol: symbol,
-            name: nameMatch ? nameMatch[1] : symbol,
-            sector: sectorMatch ? sectorMatch[1] : 'Unknown',
+            name: page.value('price.longName', 'quote.longName', 'price.shortName') || symbol,
+            sector: page.value('assetProfile.sector', 'summaryProfile.sector', 'quote.sector'),
+            industry: page.value('assetProfile.industry', 'summaryProfile.industry'),
             ...metrics,
             screenDate: new Date().toISOString().split('T')[0]
-          });
-          
-        } else {
-        }
-        
-        // Small delay to avoid overwhelming the server
-        await new Promise(resolve => setTimeout(resolve, 400));
-        
+          }
+        };
       } catch (error) {
+        return { symbol, error };
+      } finally {
+        completed++;
+        if (onProgress) onProgress(completed, resolved.symbols.length, symbol);
       }
+    });
+
+    const failures = screened.filter(result => result.error);
+
+    // Nothing passed because nothing could be fetched, not because nothing matched
+    if (failures.length > 0 && failures.length === screened.length) {
+      throw failures[0].error;
     }
-    
-    if (results.length > 0) {
-      return results;
-    }
-    
-    return null;
+
+    return {
+      universe: resolved,
+      stocks: screened.filter(result => result.stock).map(result => result.stock),
+      failures: failures.map(result => ({ symbol: result.symbol, error: result.error }))
+    };
   } catch (error) {
-    return null;
+    throw toFinancialDataError(error);
+  }
+}
+
+// Screener fields by metric name, with the row column each becomes. Filters and
+// sortBy accept either spelling ("returnOnEquity" or "return_on_equity").
+const SCREENER_FIELDS = {
+  symbol: 'symbol',
+  name: 'name',
+  sector: 'sector',
+  industry: 'industry',
+  price: 'price',
+  marketCap: 'market_cap',
+  trailingPE: 'trailing_pe',
+  forwardPE: 'forward_pe',
+  pegRatio: 'peg_ratio',
+  priceToBook: 'price_to_book',
+  dividendYield: 'dividend_yield',
+  revenueGrowth: 'revenue_growth',
+  earningsGrowth: 'earnings_growth',
+  profitMargins: 'profit_margins',
+  returnOnEquity: 'return_on_equity',
+  debtToEquity: 'debt_to_equity',
+  beta: 'beta',
+  volume: 'volume',
+  averageVolume: 'average_volume',
+  enterpriseToEbitda: 'enterprise_to_ebitda',
+  fiftyDayAverage: 'fifty_day_average',
+  twoHundredDayAverage: 'two_hundred_day_average',
+  fiftyTwoWeekHigh: 'fifty_two_week_high',
+  fiftyTwoWeekLow: 'fifty_two_week_low'
+};
+const SCREENER_TEXT_FIELDS = ['symbol', 'name', 'sector', 'industry'];
+
+// Metrics ranked within the screened set; rows gain a <column>_pct_rank for each
+const SCREENER_PERCENTILE_FIELDS = [
+  'marketCap', 'trailingPE', 'forwardPE', 'pegRatio', 'priceToBook', 'enterpriseToEbitda', 'dividendYield',
+  'revenueGrowth', 'earningsGrowth', 'profitMargins', 'returnOnEquity', 'debtToEquity', 'beta'
+];
+
+// Range criteria: criteria key -> [metric, bound]
+const SCREENER_RANGE_CRITERIA = {
+  minMarketCap: ['marketCap', 'min'],
+  maxMarketCap: ['marketCap', 'max'],
+  minPE: ['trailingPE', 'min'],
+  maxPE: ['trailingPE', 'max'],
+  minDividendYield: ['dividendYield', 'min'],
+  maxDebtToEquity: ['debtToEquity', 'max'],
+  minROE: ['returnOnEquity', 'min'],
+  minRevenueGrowth: ['revenueGrowth', 'min'],
+  minBeta: ['beta', 'min'],
+  maxBeta: ['beta', 'max']
+};
+const SCREENER_DEFAULT_CRITERIA = { minMarketCap: 1e9, maxPE: 50 };
+// What a filter on a metric a stock does not report does: fail it or pass it
+const SCREENER_MISSING_POLICIES = ['exclude', 'include'];
+const SCREENER_MODES = ['filter', 'factor'];
+
+// Factor model: each factor averages the cross-sectional z-scores of its signals, with
+// higher always better. Value uses yields (E/P, B/P, EBITDA/EV) rather than the raw
+// multiples so loss-makers drop out instead of ranking as the cheapest stocks.
+const SCREENER_FACTORS = {
+  value: {
+    label: 'Value',
+    signals: {
+      earnings_yield: stock => (stock.trailingPE > 0 ? 1 / stock.trailingPE : null),
+      book_yield: stock => (stock.priceToBook > 0 ? 1 / stock.priceToBook : null),
+      ebitda_yield: stock => (stock.enterpriseToEbitda > 0 ? 1 / stock.enterpriseToEbitda : null)
+    }
+  },
+  quality: {
+    label: 'Quality',
+    signals: {
+      return_on_equity: stock => stock.returnOnEquity ?? null,
+      profit_margins: stock => stock.profitMargins ?? null,
+      low_leverage: stock => (typeof stock.debtToEquity === 'number' ? -stock.debtToEquity : null)
+    }
+  },
+  growth: {
+    label: 'Growth',
+    signals: {
+      revenue_growth: stock => stock.revenueGrowth ?? null,
+      earnings_growth: stock => stock.earningsGrowth ?? null
+    }
+  },
+  momentum: {
+    label: 'Momentum',
+    signals: {
+      price_vs_50_day: stock => (stock.price > 0 && stock.fiftyDayAverage > 0 ? stock.price / stock.fiftyDayAverage - 1 : null),
+      price_vs_200_day: stock => (stock.price > 0 && stock.twoHundredDayAverage > 0 ? stock.price / stock.twoHundredDayAverage - 1 : null),
+      fifty_two_week_position: stock => (stock.fiftyTwoWeekHigh > stock.fiftyTwoWeekLow && stock.price > 0
+        ? (stock.price - stock.fiftyTwoWeekLow) / (stock.fiftyTwoWeekHigh - stock.fiftyTwoWeekLow)
+        : null)
+    }
+  }
+};
+// Z-scores are capped so one outlier cannot swamp a factor
+const SCREENER_FACTOR_Z_CAP = 3;
+
+const SCREENER_NUMBER_SUFFIXES = { '%': 0.01, k: 1e3, m: 1e6, b: 1e9, t: 1e12 };
+const SCREENER_FILTER_KEYWORDS = ['and', 'or', 'not', 'in', 'is', 'null'];
+
+/**
+ * Resolve a field name in either spelling to its metric name
+ * @param {string} name - e.g. "trailingPE" or "trailing_pe"
+ * @returns {string} Metric name
+ * @throws {InvalidInputError} For an unknown field
+ */
+function resolveScreenerField(name) {
+  const key = String(name).replace(/_/g, '').toLowerCase();
+  const field = Object.keys(SCREENER_FIELDS).find(metric => metric.toLowerCase() === key);
+  if (!field) {
+    throw new InvalidInputError(`Unknown screener field "${name}". Use one of: ${Object.keys(SCREENER_FIELDS).join(', ')}`);
+  }
+  return field;
+}
+
+/**
+ * Split a filter into number, string, name, keyword and operator tokens.
+ * Numbers take an optional %, K, M, B or T suffix ("2%" = 0.02, "10B" = 1e10).
+ * @param {string} filter - e.g. 'trailingPE < 20 and sector in ["Technology"]'
+ * @returns {Array} Tokens with type, value and position
+ * @throws {InvalidInputError} On an unexpected character
+ */
+function tokenizeScreenerFilter(filter) {
+  const tokens = [];
+  const pattern = /\s*(?:((?:\d+(?:\.\d+)?|\.\d+)(?:e[-+]?\d+)?)(%|[kmbt](?![A-Za-z0-9_]))?|"([^"]*)"|'([^']*)'|([A-Za-z_][A-Za-z0-9_]*)|(<=|>=|==|!=|<|>|=|[-()[\],]))/iy;
+  let position = 0;
+
+  while (position < filter.length) {
+    if (/^\s*$/.test(filter.slice(position))) break;
+    pattern.lastIndex = position;
+    const match = pattern.exec(filter);
+    if (!match) {
+      const offending = filter.slice(position).trim()[0];
+      throw new InvalidInputError(`Unexpected "${offending}" at position ${filter.indexOf(offending, position) + 1} in filter "${filter}"`);
+    }
+    const [text, number, suffix, doubleQuoted, singleQuoted, name, symbol] = match;
+    const start = match.index + text.length - text.trimStart().length;
+    if (number) {
+      tokens.push({ type: 'number', value: parseFloat(number) * (suffix ? SCREENER_NUMBER_SUFFIXES[suffix.toLowerCase()] : 1), position: start });
+    } else if (doubleQuoted !== undefined || singleQuoted !== undefined) {
+      tokens.push({ type: 'string', value: doubleQuoted ?? singleQuoted, position: start });
+    } else if (name && SCREENER_FILTER_KEYWORDS.includes(name.toLowerCase())) {
+      tokens.push({ type: name.toLowerCase(), position: start });
+    } else if (name) {
+      tokens.push({ type: 'name', value: name, position: start });
+    } else {
+      tokens.push({ type: symbol === '=' ? '==' : symbol, position: start });
+    }
+    position = pattern.lastIndex;
   }
+
+  return tokens;
 }
 
 /**
- * Apply screening criteria to stock metrics
+ * Parse a screener filter into a syntax tree (recursive descent, no eval):
+ *   filter := conj ("or" conj)*
+ *   conj := unary ("and" unary)*
+ *   unary := "not" unary | "(" filter ")" | predicate
+ *   predicate := operand ("<" | "<=" | ">" | ">=" | "==" | "!=") operand
+ *              | operand ["not"] "in" "[" literal ("," literal)* "]"
+ *              | operand "is" ["not"] "null"
+ *   operand := FIELD | ["-"] number | string
+ * Ordering comparisons need numeric operands; text compares case-insensitively.
+ * @param {string} filter - Filter expression
+ * @returns {Object} Syntax tree
+ * @throws {InvalidInputError} On a syntax error, unknown field or type mismatch
  */
-function applyScreeningCriteria(metrics, criteria) {
-  // Default criteria if none provided
-  const defaultCriteria = {
-    minMarketCap: 1e9,        // $1B minimum
-    maxPE: 50,                // P/E ratio under 50
-    minDividendYield: null,   // No minimum dividend yield
-    maxDebtToEquity: null,    // No debt limit
-    minROE: null,             // No minimum ROE
-    minRevenueGrowth: null,   // No minimum growth
-    sectors: []               // No sector filter
+function parseScreenerFilter(filter) {
+  const tokens = tokenizeScreenerFilter(filter);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const describe = token => (token.type === 'name' || token.type === 'number' ? token.value : token.type === 'string' ? `"${token.value}"` : token.type);
+  const fail = (message, token = peek()) => {
+    throw new InvalidInputError(`${message} ${token ? `at position ${token.position + 1}` : 'at the end'} in filter "${filter}"`);
   };
-  
-  const finalCriteria = { ...defaultCriteria, ...criteria };
-  
-  // Market cap filter
-  if (finalCriteria.minMarketCap && metrics.marketCap && metrics.marketCap < finalCriteria.minMarketCap) {
-    return false;
+  const expect = type => {
+    if (peek()?.type !== type) fail(`Expected "${type}"`);
+    return tokens[index++];
+  };
+  const kind = operand => (operand.type === 'field' ? (SCREENER_TEXT_FIELDS.includes(operand.field) ? 'text' : 'number') : typeof operand.value === 'string' ? 'text' : 'number');
+
+  function parseFilter() {
+    let node = parseConjunction();
+    while (peek()?.type === 'or') {
+      index++;
+      node = { type: 'or', left: node, right: parseConjunction() };
+    }
+    return node;
   }
-  
-  if (finalCriteria.maxMarketCap && metrics.marketCap && metrics.marketCap > finalCriteria.maxMarketCap) {
-    return false;
+
+  function parseConjunction() {
+    let node = parseUnary();
+    while (peek()?.type === 'and') {
+      index++;
+      node = { type: 'and', left: node, right: parseUnary() };
+    }
+    return node;
   }
-  
-  // P/E ratio filter
-  if (finalCriteria.maxPE && metrics.trailingPE && metrics.trailingPE > finalCriteria.maxPE) {
-    return false;
+
+  function parseUnary() {
+    const token = peek();
+    if (!token) fail('Missing condition');
+
+    if (token.type === 'not') {
+      index++;
+      return { type: 'not', operand: parseUnary() };
+    }
+    if (token.type === '(') {
+      index++;
+      const node = parseFilter();
+      expect(')');
+      return node;
+    }
+    return parsePredicate();
   }
-  
-  if (finalCriteria.minPE && metrics.trailingPE && metrics.trailingPE < finalCriteria.minPE) {
-    return false;
+
+  function parseLiteral() {
+    const token = peek();
+    if (token?.type === '-') {
+      index++;
+      return { type: 'literal', value: -expect('number').value };
+    }
+    if (token?.type === 'number' || token?.type === 'string') {
+      index++;
+      return { type: 'literal', value: token.value };
+    }
+    return fail(token ? `Expected a value, got "${describe(token)}"` : 'Expected a value');
   }
-  
-  // Dividend yield filter
-  if (finalCriteria.minDividendYield && (!metrics.dividendYield || metrics.dividendYield < finalCriteria.minDividendYield)) {
-    return false;
+
+  function parseOperand() {
+    const token = peek();
+    if (token?.type === 'name') {
+      index++;
+      try {
+        return { type: 'field', field: resolveScreenerField(token.value) };
+      } catch (error) {
+        throw new InvalidInputError(`Unknown field "${token.value}" at position ${token.position + 1} in filter "${filter}". Use one of: ${Object.keys(SCREENER_FIELDS).join(', ')}`);
+      }
+    }
+    return parseLiteral();
   }
-  
-  // Debt to equity filter
-  if (finalCriteria.maxDebtToEquity && metrics.debtToEquity && metrics.debtToEquity > finalCriteria.maxDebtToEquity) {
-    return false;
+
+  function parsePredicate() {
+    const left = parseOperand();
+    const token = peek();
+
+    if (token?.type === 'is') {
+      index++;
+      const negated = peek()?.type === 'not' ? Boolean(tokens[index++]) : false;
+      expect('null');
+      return { type: 'null', operand: left, negated };
+    }
+
+    if (token?.type === 'in' || (token?.type === 'not' && tokens[index + 1]?.type === 'in')) {
+      const negated = token.type === 'not';
+      index += negated ? 2 : 1;
+      expect('[');
+      const values = [parseLiteral()];
+      while (peek()?.type === ',') {
+        index++;
+        values.push(parseLiteral());
+      }
+      expect(']');
+      if (values.some(value => kind(value) !== kind(left))) fail(`"in" list values must all be ${kind(left)}`, token);
+      return { type: 'in', operand: left, values: values.map(value => value.value), negated };
+    }
+
+    if (!token || !['<', '<=', '>', '>=', '==', '!='].includes(token.type)) {
+      return fail(token ? `Expected a comparison, got "${describe(token)}"` : 'Expected a comparison');
+    }
+    index++;
+    const right = parseOperand();
+    if (kind(left) !== kind(right)) fail(`Cannot compare ${kind(left)} with ${kind(right)}`, token);
+    if (kind(left) === 'text' && !['==', '!='].includes(token.type)) fail(`"${token.type}" needs numbers; text supports == and !=`, token);
+    return { type: 'compare', op: token.type, left, right };
   }
-  
-  // ROE filter
-  if (finalCriteria.minROE && (!metrics.returnOnEquity || metrics.returnOnEquity < finalCriteria.minROE)) {
-    return false;
+
+  const tree = parseFilter();
+  if (index < tokens.length) fail(`Unexpected "${describe(tokens[index])}"`);
+  return tree;
+}
+
+/**
+ * Evaluate a filter tree for one stock with three-valued logic: a condition on a
+ * metric the stock does not report is unknown (null), "and"/"or"/"not" follow
+ * SQL semantics, and only "is null" tests missing values directly.
+ * @param {Object} node - Syntax tree from parseScreenerFilter
+ * @param {Object} stock - Screened stock
+ * @returns {boolean|null} true, false or null (unknown)
+ */
+function evaluateScreenerFilter(node, stock) {
+  const value = operand => {
+    const raw = operand.type === 'field' ? stock[operand.field] : operand.value;
+    if (raw === null || raw === undefined) return null;
+    return typeof raw === 'string' ? raw.toLowerCase() : raw;
+  };
+
+  switch (node.type) {
+    case 'and': {
+      const results = [evaluateScreenerFilter(node.left, stock), evaluateScreenerFilter(node.right, stock)];
+      return results.includes(false) ? false : results.includes(null) ? null : true;
+    }
+    case 'or': {
+      const results = [evaluateScreenerFilter(node.left, stock), evaluateScreenerFilter(node.right, stock)];
+      return results.includes(true) ? true : results.includes(null) ? null : false;
+    }
+    case 'not': {
+      const result = evaluateScreenerFilter(node.operand, stock);
+      return result === null ? null : !result;
+    }
+    case 'null':
+      return (value(node.operand) === null) !== node.negated;
+    case 'in': {
+      const operand = value(node.operand);
+      if (operand === null) return null;
+      const found = node.values.some(item => (typeof item === 'string' ? item.toLowerCase() : item) === operand);
+      return found !== node.negated;
+    }
+    case 'compare': {
+      const a = value(node.left);
+      const b = value(node.right);
+      if (a === null || b === null) return null;
+      switch (node.op) {
+        case '<': return a < b;
+        case '<=': return a <= b;
+        case '>': return a > b;
+        case '>=': return a >= b;
+        case '==': return a === b;
+        default: return a !== b;
+      }
+    }
+    default:
+      throw new ParseError(`Unknown filter node "${node.type}"`);
   }
-  
-  // Revenue growth filter
-  if (finalCriteria.minRevenueGrowth && (!metrics.revenueGrowth || metrics.revenueGrowth < finalCriteria.minRevenueGrowth)) {
-    return false;
+}
+
+/**
+ * Validate screening criteria before any quote page is fetched
+ * @param {Object} criteria - Screening criteria
+ * @returns {Object} { filter (syntax tree or null), sortBy (metric or null), order, limit, missing }
+ * @throws {InvalidInputError} On an invalid setting
+ */
+function validateScreenerCriteria(criteria) {
+  const missing = criteria.missing ?? 'exclude';
+  if (!SCREENER_MISSING_POLICIES.includes(missing)) {
+    throw new InvalidInputError(`missing must be one of: ${SCREENER_MISSING_POLICIES.join(', ')}, got "${missing}"`);
   }
-  
-  // Beta filter
-  if (finalCriteria.maxBeta && metrics.beta && metrics.beta > finalCriteria.maxBeta) {
-    return false;
+
+  const order = criteria.order ?? 'desc';
+  if (!['asc', 'desc'].includes(order)) {
+    throw new InvalidInputError(`order must be "asc" or "desc", got "${order}"`);
   }
-  
-  if (finalCriteria.minBeta && metrics.beta && metrics.beta < finalCriteria.minBeta) {
-    return false;
+
+  // limit is the current name; maxResults is kept for existing callers
+  const limit = criteria.limit ?? criteria.maxResults ?? SCREENER_DEFAULT_MAX_RESULTS;
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new InvalidInputError(`limit must be a positive integer, got ${limit}`);
   }
-  
-  return true;
+
+  ['sectors', 'industries', 'excludeSectors', 'excludeIndustries'].forEach(key => {
+    if (criteria[key] !== undefined && (!Array.isArray(criteria[key]) || criteria[key].some(item => typeof item !== 'string'))) {
+      throw new InvalidInputError(`${key} must be an array of names, e.g. ["Technology"]`);
+    }
+  });
+
+  if (criteria.filter !== undefined && typeof criteria.filter !== 'string') {
+    throw new InvalidInputError('filter must be a string, e.g. "trailingPE < 20 and returnOnEquity > 0.15"');
+  }
+
+  return {
+    filter: criteria.filter && criteria.filter.trim() ? parseScreenerFilter(criteria.filter) : null,
+    sortBy: criteria.sortBy ? resolveScreenerField(criteria.sortBy) : null,
+    order,
+    limit,
+    missing
+  };
+}
+
+/**
+ * Apply screening criteria to a stock
+ * Range criteria, sector/industry lists and the filter expression must all pass.
+ * A test on a metric the stock does not report passes only with missing: "include".
+ * @param {Object} stock - Screened stock
+ * @param {Object} criteria - Screening criteria
+ * @param {Object} filter - Parsed filter expression (see validateScreenerCriteria)
+ * @returns {boolean} Whether the stock passes
+ */
+function applyScreeningCriteria(stock, criteria, filter = null) {
+  const finalCriteria = { ...SCREENER_DEFAULT_CRITERIA, ...criteria };
+  const results = [];
+
+  Object.entries(SCREENER_RANGE_CRITERIA).forEach(([key, [metric, bound]]) => {
+    const limit = finalCriteria[key];
+    if (typeof limit !== 'number') return;
+    const value = stock[metric];
+    results.push(value === null || value === undefined ? null : bound === 'min' ? value >= limit : value <= limit);
+  });
+
+  // Sector and industry lists match case-insensitively
+  const inList = (value, list) => (value ? list.some(item => item.toLowerCase() === value.toLowerCase()) : null);
+  [['sectors', 'sector', true], ['industries', 'industry', true], ['excludeSectors', 'sector', false], ['excludeIndustries', 'industry', false]]
+    .forEach(([key, field, include]) => {
+      if (!finalCriteria[key]?.length) return;
+      const found = inList(stock[field], finalCriteria[key]);
+      results.push(found === null ? null : found === include);
+    });
+
+  if (filter) {
+    results.push(evaluateScreenerFilter(filter, stock));
+  }
+
+  const includeMissing = finalCriteria.missing === 'include';
+  return results.every(result => result === true || (result === null && includeMissing));
+}
+
+/**
+ * Percentile rank (0-100) of each stock's metrics within the screened set: the share
+ * of the other stocks reporting the metric that have a lower value, counting ties as half
+ * @param {Array} stocks - Every screened stock
+ * @returns {Object} Symbol -> metric -> percentile rank (absent when the stock has no value)
+ */
+function screenerPercentileRanks(stocks) {
+  const ranks = {};
+  stocks.forEach(stock => { ranks[stock.symbol] = {}; });
+
+  SCREENER_PERCENTILE_FIELDS.forEach(metric => {
+    const values = stocks.map(stock => stock[metric]).filter(value => typeof value === 'number');
+    stocks.forEach(stock => {
+      const value = stock[metric];
+      if (typeof value !== 'number') return;
+      const below = values.filter(other => other < value).length;
+      const ties = values.filter(other => other === value).length;
+      ranks[stock.symbol][metric] = Math.round(((below + (ties - 1) / 2) / Math.max(values.length - 1, 1)) * 1000) / 10;
+    });
+  });
+
+  return ranks;
+}
+
+/**
+ * Sort stocks by a metric; stocks without it go last whatever the order
+ */
+function sortScreenedStocks(stocks, sortBy, order) {
+  if (!sortBy) return stocks;
+  const direction = order === 'asc' ? 1 : -1;
+  return [...stocks].sort((a, b) => {
+    const x = a[sortBy];
+    const y = b[sortBy];
+    if (x === null || x === undefined) return y === null || y === undefined ? 0 : 1;
+    if (y === null || y === undefined) return -1;
+    return (typeof x === 'string' ? x.localeCompare(y) : x - y) * direction;
+  });
+}
+
+/**
+ * Normalize factor weights so they sum to 1. Factors left out keep a weight of 1;
+ * set one to 0 to drop it.
+ * @param {Object} factorWeights - e.g. { value: 2, momentum: 1, growth: 0 }
+ * @returns {Object} Factor -> weight
+ * @throws {InvalidInputError} On an unknown factor or a negative weight
+ */
+function normalizeFactorWeights(factorWeights = null) {
+  const weights = Object.fromEntries(Object.keys(SCREENER_FACTORS).map(factor => [factor, 1]));
+
+  Object.entries(factorWeights || {}).forEach(([factor, weight]) => {
+    if (!SCREENER_FACTORS[factor]) {
+      throw new InvalidInputError(`Unknown factor "${factor}". Use: ${Object.keys(SCREENER_FACTORS).join(', ')}`);
+    }
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+      throw new InvalidInputError(`Factor weight for ${factor} must be a non-negative number, got ${weight}`);
+    }
+    weights[factor] = weight;
+  });
+
+  const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  if (total === 0) {
+    throw new InvalidInputError('At least one factor weight must be positive');
+  }
+  return Object.fromEntries(Object.entries(weights).map(([factor, weight]) => [factor, weight / total]));
+}
+
+/**
+ * Score stocks on the value, quality, growth and momentum factors
+ * Each signal is z-scored across every screened stock reporting it (capped at ±3),
+ * a factor is the mean of its available signal z-scores, and the composite is the
+ * weighted sum of factors. A factor a stock has no data for contributes 0.
+ * @param {Array} stocks - Every screened stock
+ * @param {Object} weights - Normalized weights from normalizeFactorWeights
+ * @returns {Object} Symbol -> { composite, factors: { value: { score, contribution }, ... } }
+ */
+function screenerFactorScores(stocks, weights) {
+  // "|| 0" folds -0 (a zero weight times a negative score) into 0
+  const round = value => (value === null ? null : Math.round(value * 1000) / 1000 || 0);
+  const zScores = {};
+
+  Object.values(SCREENER_FACTORS).forEach(({ signals }) => {
+    Object.entries(signals).forEach(([signal, measure]) => {
+      const values = stocks.map(stock => measure(stock)).filter(value => typeof value === 'number' && Number.isFinite(value));
+      const mean = values.reduce((sum, value) => sum + value, 0) / (values.length || 1);
+      const deviation = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length || 1));
+      zScores[signal] = stock => {
+        const value = measure(stock);
+        if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+        // No spread means no information: everyone is average
+        if (values.length < 2 || deviation === 0) return 0;
+        return Math.max(-SCREENER_FACTOR_Z_CAP, Math.min(SCREENER_FACTOR_Z_CAP, (value - mean) / deviation));
+      };
+    });
+  });
+
+  const scores = {};
+  stocks.forEach(stock => {
+    const factors = {};
+    let composite = 0;
+    Object.entries(SCREENER_FACTORS).forEach(([factor, { signals }]) => {
+      const available = Object.keys(signals).map(signal => zScores[signal](stock)).filter(value => value !== null);
+      const score = available.length ? available.reduce((sum, value) => sum + value, 0) / available.length : null;
+      const contribution = score === null ? null : score * weights[factor];
+      composite += contribution || 0;
+      factors[factor] = { score: round(score), contribution: round(contribution) };
+    });
+    scores[stock.symbol] = { composite: round(composite), factors };
+  });
+
+  return scores;
 }
 
 /**
  * Convert screener results to standardized rows
  */
-function toScreenerRows(screenerData, criteria) {
+function toScreenerRows(screenerData, criteria, percentiles = {}, factorScores = null) {
   if (!screenerData || !Array.isArray(screenerData)) {
     return [];
   }
 
-  return screenerData.map(stock => ({
-    symbol: stock.symbol,
-    name: stock.name,
-    sector: stock.sector,
-    price: stock.price || null,
-    market_cap: stock.marketCap || null,
-    trailing_pe: stock.trailingPE || null,
-    forward_pe: stock.forwardPE || null,
-    peg_ratio: stock.pegRatio || null,
-    price_to_book: stock.priceToBook || null,
-    dividend_yield: stock.dividendYield || null,
-    revenue_growth: stock.revenueGrowth || null,
-    earnings_growth: stock.earningsGrowth || null,
-    profit_margins: stock.profitMargins || null,
-    return_on_equity: stock.returnOnEquity || null,
-    debt_to_equity: stock.debtToEquity || null,
-    beta: stock.beta || null,
-    volume: stock.volume || null,
-    average_volume: stock.averageVolume || null,
-    screen_date: stock.screenDate,
-    criteria_used: JSON.stringify(criteria)
-  }));
+  return screenerData.map(stock => {
+    const row = {
+      symbol: stock.symbol,
+      name: stock.name,
+      sector: stock.sector || 'Unknown',
+      industry: stock.industry || null,
+      price: stock.price || null,
+      market_cap: stock.marketCap || null,
+      trailing_pe: stock.trailingPE || null,
+      forward_pe: stock.forwardPE || null,
+      peg_ratio: stock.pegRatio || null,
+      price_to_book: stock.priceToBook || null,
+      dividend_yield: stock.dividendYield || null,
+      revenue_growth: stock.revenueGrowth || null,
+      earnings_growth: stock.earningsGrowth || null,
+      profit_margins: stock.profitMargins || null,
+      return_on_equity: stock.returnOnEquity || null,
+      debt_to_equity: stock.debtToEquity || null,
+      beta: stock.beta || null,
+      volume: stock.volume || null,
+      average_volume: stock.averageVolume || null,
+      enterprise_to_ebitda: stock.enterpriseToEbitda || null,
+      fifty_day_average: stock.fiftyDayAverage || null,
+      two_hundred_day_average: stock.twoHundredDayAverage || null,
+      fifty_two_week_high: stock.fiftyTwoWeekHigh || null,
+      fifty_two_week_low: stock.fiftyTwoWeekLow || null
+    };
+    SCREENER_PERCENTILE_FIELDS.forEach(metric => {
+      row[`${SCREENER_FIELDS[metric]}_pct_rank`] = percentiles[stock.symbol]?.[metric] ?? null;
+    });
+    if (factorScores) {
+      const { rank, composite, factors } = factorScores[stock.symbol];
+      row.factor_rank = rank;
+      row.composite_score = composite;
+      Object.entries(factors).forEach(([factor, { score, contribution }]) => {
+        row[`${factor}_score`] = score;
+        row[`${factor}_contribution`] = contribution;
+      });
+    }
+    row.screen_date = stock.screenDate;
+    row.criteria_used = JSON.stringify(criteria);
+    return row;
+  });
+}
+
+/**
+ * Factor-mode results: ranked composite scores with each factor's contribution
+ * @returns {Array} Markdown lines
+ */
+function screenerFactorsAsMarkdown(rows, summary) {
+  const factors = Object.keys(SCREENER_FACTORS);
+  const signed = value => (value === null || value === undefined ? 'N/A' : `${value >= 0 ? '+' : ''}${value.toFixed(2)}`);
+  const parts = [
+    '## Factor Scores',
+    '',
+    `**Weights:** ${factors.map(factor => `${SCREENER_FACTORS[factor].label} ${(summary.factor_weights[factor] * 100).toFixed(0)}%`).join(' | ')}`,
+    'Composite = sum of factor contributions (weight × factor z-score); cells show contribution (z-score). Z-scores are relative to every stock screened.',
+    '',
+    `| Rank | Symbol | Company | Sector | Composite | ${factors.map(factor => SCREENER_FACTORS[factor].label).join(' | ')} |`,
+    `|------|--------|---------|--------|-----------|${factors.map(() => '------').join('|')}|`
+  ];
+
+  rows.forEach(row => {
+    const cells = factors.map(factor => (row[`${factor}_score`] === null ? 'N/A' : `${signed(row[`${factor}_contribution`])} (${signed(row[`${factor}_score`])})`));
+    parts.push(`| ${row.factor_rank} | **${row.symbol}** | ${row.name} | ${row.sector} | **${signed(row.composite_score)}** | ${cells.join(' | ')} |`);
+  });
+
+  parts.push('');
+  parts.push('## Factor Leaders');
+  factors.forEach(factor => {
+    const leaders = rows.filter(row => row[`${factor}_score`] !== null)
+      .sort((a, b) => b[`${factor}_score`] - a[`${factor}_score`])
+      .slice(0, 3);
+    if (leaders.length > 0) {
+      parts.push(`**${SCREENER_FACTORS[factor].label}:** ${leaders.map(row => `${row.symbol} (${signed(row[`${factor}_score`])})`).join(', ')}`);
+    }
+  });
+
+  return parts;
 }
 
 /**
  * Convert screener results to markdown
  */
-function screenerAsMarkdown(rows, criteria) {
+function screenerAsMarkdown(rows, criteria, summary = null) {
+  const universeLines = [];
+  if (summary) {
+    const coverage = summary.screened < summary.universe_size
+      ? `screened ${summary.screened} of ${summary.universe_size}${summary.universe !== 'custom' ? ' (largest by market cap)' : ''}`
+      : `screened all ${summary.screened}`;
+    universeLines.push(`**Universe:** ${summary.universe_name}${summary.universe_as_of ? ` (as of ${summary.universe_as_of})` : ''} - ${coverage}`);
+    if (summary.failed > 0) {
+      universeLines.push(`⚠️ **Not screened (no data):** ${summary.failed_symbols.join(', ')}`);
+    }
+  }
+
   if (!rows || rows.length === 0) {
-    return '# Stock Screener Results\n\nNo stocks found matching the specified criteria.';
+    return ['# Stock Screener Results', '', ...universeLines, ...(universeLines.length ? [''] : []), 'No stocks found matching the specified criteria.'].join('\n');
   }
 
   const parts = [
     '# Stock Screener Results',
     '',
-    `**Found ${rows.length} stocks matching criteria**`,
+    ...universeLines,
+    summary && summary.matched > rows.length
+      ? `**Found ${summary.matched} stocks matching criteria - showing the first ${rows.length}** (raise limit for more)`
+      : `**Found ${rows.length} stocks matching criteria**`,
     `**Screen Date:** ${new Date().toLocaleDateString()}`,
     ''
   ];
@@ -5192,14 +8768,31 @@ function screenerAsMarkdown(rows, criteria) {
   if (criteria.maxDebtToEquity) parts.push(`- **Max Debt/Equity:** ${criteria.maxDebtToEquity}`);
   if (criteria.minROE) parts.push(`- **Min ROE:** ${(criteria.minROE * 100).toFixed(1)}%`);
   if (criteria.minRevenueGrowth) parts.push(`- **Min Revenue Growth:** ${(criteria.minRevenueGrowth * 100).toFixed(1)}%`);
+  if (criteria.minBeta) parts.push(`- **Min Beta:** ${criteria.minBeta}`);
   if (criteria.maxBeta) parts.push(`- **Max Beta:** ${criteria.maxBeta}`);
+  if (criteria.sectors?.length) parts.push(`- **Sectors:** ${criteria.sectors.join(', ')}`);
+  if (criteria.industries?.length) parts.push(`- **Industries:** ${criteria.industries.join(', ')}`);
+  if (criteria.excludeSectors?.length) parts.push(`- **Excluded Sectors:** ${criteria.excludeSectors.join(', ')}`);
+  if (criteria.excludeIndustries?.length) parts.push(`- **Excluded Industries:** ${criteria.excludeIndustries.join(', ')}`);
+  if (criteria.filter) parts.push(`- **Filter:** \`${criteria.filter}\``);
+  parts.push(`- **Missing Values:** ${criteria.missing === 'include' ? 'pass the filters they cannot be tested against' : 'fail the filters they cannot be tested against'}`);
+  if (criteria.sortBy) parts.push(`- **Sorted By:** ${criteria.sortBy} (${criteria.order === 'asc' ? 'ascending' : 'descending'})`);
   parts.push('');
 
+  if (summary && summary.mode === 'factor') {
+    return [...parts, ...screenerFactorsAsMarkdown(rows, summary)].join('\n');
+  }
+
   // Add results table
   parts.push('## Results');
   parts.push('');
-  parts.push('| Symbol | Company | Sector | Price | Market Cap | P/E | Div Yield | Rev Growth |');
-  parts.push('|--------|---------|--------|-------|------------|-----|-----------|------------|');
+  // A sort on a metric outside the standard columns gets its own column, with its percentile rank
+  const sortColumn = criteria.sortBy ? SCREENER_FIELDS[resolveScreenerField(criteria.sortBy)] : null;
+  const extraColumn = sortColumn && !['symbol', 'name', 'sector', 'price', 'market_cap', 'trailing_pe', 'dividend_yield', 'revenue_growth'].includes(sortColumn)
+    ? sortColumn
+    : null;
+  parts.push(`| Symbol | Company | Sector | Price | Market Cap | P/E | Div Yield | Rev Growth |${extraColumn ? ` ${extraColumn} |` : ''}`);
+  parts.push(`|--------|---------|--------|-------|------------|-----|-----------|------------|${extraColumn ? '------|' : ''}`);
 
   rows.forEach(stock => {
     const marketCap = stock.market_cap ? `$${(stock.market_cap / 1e9).toFixed(1)}B` : 'N/A';
@@ -5208,7 +8801,14 @@ function screenerAsMarkdown(rows, criteria) {
     const revGrowth = stock.revenue_growth ? `${(stock.revenue_growth * 100).toFixed(1)}%` : 'N/A';
     const price = stock.price ? `$${stock.price.toFixed(2)}` : 'N/A';
     
-    parts.push(`| **${stock.symbol}** | ${stock.name} | ${stock.sector} | ${price} | ${marketCap} | ${pe} | ${divYield} | ${revGrowth} |`);
+    let extra = '';
+    if (extraColumn) {
+      const value = stock[extraColumn];
+      const rank = stock[`${extraColumn}_pct_rank`];
+      extra = ` ${typeof value === 'number' ? value.toLocaleString(undefined, { maximumFractionDigits: 3 }) : value || 'N/A'}${rank !== null && rank !== undefined ? ` (p${Math.round(rank)})` : ''} |`;
+    }
+
+    parts.push(`| **${stock.symbol}** | ${stock.name} | ${stock.sector} | ${price} | ${marketCap} | ${pe} | ${divYield} | ${revGrowth} |${extra}`);
   });
 
   // Add top picks analysis
@@ -5227,153 +8827,200 @@ function screenerAsMarkdown(rows, criteria) {
   if (highGrowth.length > 0) {
     parts.push(`**Growth Picks (High Rev Growth):** ${highGrowth.map(s => `${s.symbol} (${(s.revenue_growth * 100).toFixed(1)}%)`).join(', ')}`);
   }
-  
-  if (highDividend.length > 0) {
-    parts.push(`**Income Picks (High Div Yield):** ${highDividend.map(s => `${s.symbol} (${(s.dividend_yield * 100).toFixed(1)}%)`).join(', ')}`);
-  }
-
-  return parts.join('\n');
-}
-
-async function fetchStockScreener({ criteria = {} }) {
-  try {
-    
-    const screenerData = await extractStockScreenerData(criteria);
-    
-    if (!screenerData) {
-      // Return empty results
-      const rows = [];
-      const markdown = screenerAsMarkdown(rows, criteria);
-      return { rows, markdown };
-    }
-    
-    const rows = toScreenerRows(screenerData, criteria);
-    const markdown = screenerAsMarkdown(rows, criteria);
-    
-    return { rows, markdown };
-    
-  } catch (error) {
-    throw error;
-  }
+  
+  if (highDividend.length > 0) {
+    parts.push(`**Income Picks (High Div Yield):** ${highDividend.map(s => `${s.symbol} (${(s.dividend_yield * 100).toFixed(1)}%)`).join(', ')}`);
+  }
+
+  return parts.join('\n');
+}
+
+/**
+ * Screen a named universe or a ticker list
+ * @param {Object} params - Parameters
+ * @param {Object} params.criteria - Screening criteria: range keys (minMarketCap, maxPE, ...), sectors,
+ *   industries, excludeSectors, excludeIndustries, filter (expression), missing ("exclude" or "include"),
+ *   sortBy, order ("desc" or "asc") and limit (matches returned, default 20; maxResults is an alias)
+ * @param {string} params.universe - sp500, nasdaq100, dow30 or russell1000 (default sp500)
+ * @param {Array} params.symbols - Tickers to screen instead of a named universe
+ * @param {number} params.universeLimit - Stocks to screen (default 100 for named universes, all for lists)
+ * @param {string} params.mode - "filter" (default) or "factor" to rank matches by a composite factor score
+ * @param {Object} params.factorWeights - Factor mode weights for value, quality, growth and momentum (default equal)
+ * @param {Function} params.onProgress - Progress callback (screened, total, symbol)
+ * @returns {Promise<Object>} { rows, summary, markdown }
+ */
+async function fetchStockScreener({ criteria = {}, universe = null, symbols = null, universeLimit = null, mode = 'filter', factorWeights = null, onProgress = null }) {
+  // Validate everything, including the filter expression, before fetching anything
+  const { filter, sortBy, order, limit } = validateScreenerCriteria(criteria);
+  if (!SCREENER_MODES.includes(mode)) {
+    throw new InvalidInputError(`mode must be one of: ${SCREENER_MODES.join(', ')}, got "${mode}"`);
+  }
+  if (factorWeights && mode !== 'factor') {
+    throw new InvalidInputError('factorWeights only apply with mode "factor"');
+  }
+  const weights = mode === 'factor' ? normalizeFactorWeights(factorWeights) : null;
+
+  const screenerData = await extractStockScreenerData({ universe, symbols, universeLimit, onProgress });
+
+  // Percentile ranks and factor z-scores are relative to everything screened, not just the matches
+  const percentiles = screenerPercentileRanks(screenerData.stocks);
+  const factorScores = weights ? screenerFactorScores(screenerData.stocks, weights) : null;
+  let matches = screenerData.stocks.filter(stock => applyScreeningCriteria(stock, criteria, filter));
+
+  // Factor mode ranks by composite score; an explicit sortBy still decides the order shown
+  if (factorScores) {
+    matches = [...matches].sort((a, b) => factorScores[b.symbol].composite - factorScores[a.symbol].composite);
+    matches.forEach((stock, index) => { factorScores[stock.symbol].rank = index + 1; });
+  }
+  matches = sortScreenedStocks(matches, sortBy, order);
+
+  const rows = toScreenerRows(matches.slice(0, limit), criteria, percentiles, factorScores);
+  const summary = {
+    mode,
+    universe: screenerData.universe.id,
+    universe_name: screenerData.universe.name,
+    universe_as_of: screenerData.universe.as_of,
+    universe_size: screenerData.universe.size,
+    screened: screenerData.universe.symbols.length,
+    failed: screenerData.failures.length,
+    failed_symbols: screenerData.failures.map(failure => failure.symbol),
+    matched: matches.length,
+    returned: rows.length,
+    max_results: limit,
+    sort_by: sortBy ? SCREENER_FIELDS[sortBy] : null,
+    order: sortBy ? order : null,
+    factor_weights: weights,
+    concurrency: SCREENER_CONCURRENCY
+  };
+  const markdown = screenerAsMarkdown(rows, criteria, summary);
+
+  return { rows, summary, markdown };
 }
 
+// Price histories fetched at once for stock_correlation
+const CORRELATION_CONCURRENCY = 4;
+
 /**
  * Stock correlation analysis for portfolio optimization
- * @param {Object} params - Parameters with symbols array
+ * Correlates log returns of adjusted closes over a common lookback window.
+ * @param {Object} params - Parameters
+ * @param {Array} params.symbols - Stock symbols
+ * @param {string} params.range - Lookback window (e.g. "6mo", "1y")
+ * @param {string} params.interval - Return frequency, "1d" (daily) or "1wk" (weekly)
+ * @param {string} params.correlationMethod - "pearson" or "spearman"
  * @returns {Promise<Object>} Correlation matrix and analysis
  */
-async function extractStockCorrelationData({ symbols = [] }) {
+async function extractStockCorrelationData({ symbols = [], range = '1y', interval = '1d', correlationMethod = 'pearson' }) {
   try {
     
     if (symbols.length < 2) {
-      throw new Error('Need at least 2 symbols for correlation analysis');
+      throw new InvalidInputError('Need at least 2 symbols for correlation analysis');
     }
     
     const priceData = {};
+    const closesByDate = {};
     const correlationMatrix = {};
+    const observationMatrix = {};
+    const failedSymbols = [];
+    const failures = [];
     
-    // Get historical price data for each symbol (simplified approach)
-    for (const symbol of symbols) {
+    // Get historical price data for each symbol, a few at a time
+    const histories = await mapWithConcurrency(symbols, CORRELATION_CONCURRENCY, async symbol => {
       try {
+        return { history: await extractPriceHistory(symbol, { range, interval }) };
+      } catch (error) {
+        return { error };
+      } finally {
+        await httpClient.pause(300);
+      }
+    });
+    
+    // Walk the results in input order so the matrix and failures keep the caller's symbol order
+    symbols.forEach((symbol, index) => {
+      const { history, error } = histories[index];
+      if (error) failures.push(error);
+      
+      if (history && history.bars.length > 1) {
+        const bars = history.bars;
+        const closes = bars.map(bar => bar.adjClose);
+        const returns = logReturns(closes).filter(value => value !== null);
+        const last = bars[bars.length - 1];
+        const previous = bars[bars.length - 2];
         
-        const response = await axios.get(`https://finance.yahoo.com/quote/${symbol}?p=${symbol}`, {
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_7 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.1.2 Mobile/15E148 Safari/604.1'
-          },
-          timeout: 8000
-        });
-        
-        const html = response.data;
-        
-        // Extract current metrics for basic correlation estimation
-        const metrics = {};
-        const patterns = {
-          price: /\\"regularMarketPrice\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-          change: /\\"regularMarketChange\\":\{[^}]*\\"raw\\":(-?\d+\.?\d*)/,
-          changePercent: /\\"regularMarketChangePercent\\":\{[^}]*\\"raw\\":(-?\d+\.?\d*)/,
-          beta: /\\"beta\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-          fiftyTwoWeekHigh: /\\"fiftyTwoWeekHigh\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-          fiftyTwoWeekLow: /\\"fiftyTwoWeekLow\\":\{[^}]*\\"raw\\":(\d+\.?\d*)/,
-          volume: /\\"regularMarketVolume\\":\{[^}]*\\"raw\\":(\d+)/
+        priceData[symbol] = {
+          price: last.close,
+          changePercent: previous.close ? ((last.close - previous.close) / previous.close) * 100 : null,
+          periodReturn: closes[0] ? ((closes[closes.length - 1] - closes[0]) / closes[0]) * 100 : null,
+          annualizedVolatility: returns.length > 1 ?
+            standardDeviation(returns) * Math.sqrt(interval === '1wk' ? 52 : 252) * 100 : null,
+          bars: bars.length
         };
-        
-        for (const [metric, pattern] of Object.entries(patterns)) {
-          const match = html.match(pattern);
-          if (match) {
-            metrics[metric] = metric === 'volume' ? parseInt(match[1]) : parseFloat(match[1]);
-          }
-        }
-        
-        // Calculate relative position in 52-week range as a proxy for trend
-        if (metrics.price && metrics.fiftyTwoWeekHigh && metrics.fiftyTwoWeekLow) {
-          metrics.relativePosition = (metrics.price - metrics.fiftyTwoWeekLow) / 
-                                   (metrics.fiftyTwoWeekHigh - metrics.fiftyTwoWeekLow);
-        }
-        
-        priceData[symbol] = metrics;
-        
-        await new Promise(resolve => setTimeout(resolve, 300));
-        
-      } catch (error) {
+        closesByDate[symbol] = new Map(bars.map(bar => [bar.date, bar.adjClose]));
+      } else {
+        failedSymbols.push(symbol);
       }
-    }
+    });
     
-    // Calculate simplified correlations based on available metrics
     const validSymbols = Object.keys(priceData);
     
     for (let i = 0; i < validSymbols.length; i++) {
       const symbol1 = validSymbols[i];
-      correlationMatrix[symbol1] = {};
+      correlationMatrix[symbol1] = correlationMatrix[symbol1] || {};
+      observationMatrix[symbol1] = observationMatrix[symbol1] || {};
       
-      for (let j = 0; j < validSymbols.length; j++) {
+      correlationMatrix[symbol1][symbol1] = 1.0; // Perfect correlation with itself
+      observationMatrix[symbol1][symbol1] = priceData[symbol1].bars - 1;
+      
+      for (let j = i + 1; j < validSymbols.length; j++) {
         const symbol2 = validSymbols[j];
         
-        if (i === j) {
-          correlationMatrix[symbol1][symbol2] = 1.0; // Perfect correlation with itself
-        } else {
-          // Simplified correlation based on beta, sector similarity, and relative positioning
-          const data1 = priceData[symbol1];
-          const data2 = priceData[symbol2];
-          
-          let correlation = 0.1; // Base correlation
-          
-          // Beta similarity contributes to correlation
-          if (data1.beta && data2.beta) {
-            const betaDiff = Math.abs(data1.beta - data2.beta);
-            correlation += Math.max(0, (2 - betaDiff) / 2) * 0.3;
-          }
-          
-          // Performance similarity (change percent)
-          if (data1.changePercent !== undefined && data2.changePercent !== undefined) {
-            const perfDiff = Math.abs(data1.changePercent - data2.changePercent);
-            correlation += Math.max(0, (10 - perfDiff) / 10) * 0.3;
-          }
-          
-          // Position in range similarity
-          if (data1.relativePosition && data2.relativePosition) {
-            const posDiff = Math.abs(data1.relativePosition - data2.relativePosition);
-            correlation += Math.max(0, (1 - posDiff)) * 0.2;
-          }
-          
-          // Cap correlation between -0.5 and 0.95
-          correlation = Math.min(0.95, Math.max(-0.5, correlation));
-          correlationMatrix[symbol1][symbol2] = Math.round(correlation * 1000) / 1000;
-        }
+        // Align on dates both symbols traded before differencing, so each
+        // return pair covers the same holding period
+        const dates = [...closesByDate[symbol1].keys()]
+          .filter(date => closesByDate[symbol2].has(date))
+          .sort();
+        // A missing or bad price drops that return for both symbols, keeping the pairs on the same dates
+        const [returns1, returns2] = pairwiseComplete(
+          logReturns(dates.map(date => closesByDate[symbol1].get(date))),
+          logReturns(dates.map(date => closesByDate[symbol2].get(date)))
+        );
+        
+        const correlation = correlationMethod === 'spearman' ?
+          spearmanCorrelation(returns1, returns2) :
+          pearsonCorrelation(returns1, returns2);
+        const rounded = correlation !== null ? Math.round(correlation * 1000) / 1000 : null;
+        
+        correlationMatrix[symbol2] = correlationMatrix[symbol2] || {};
+        observationMatrix[symbol2] = observationMatrix[symbol2] || {};
+        correlationMatrix[symbol1][symbol2] = rounded;
+        correlationMatrix[symbol2][symbol1] = rounded;
+        observationMatrix[symbol1][symbol2] = returns1.length;
+        observationMatrix[symbol2][symbol1] = returns1.length;
       }
     }
     
-    if (Object.keys(correlationMatrix).length > 0) {
+    if (validSymbols.length >= 2) {
       return {
         symbols: validSymbols,
+        failedSymbols,
         priceData,
         correlationMatrix,
+        observationMatrix,
+        correlationMethod,
+        range,
+        interval,
+        minObservations: MIN_CORRELATION_OBSERVATIONS,
         analysisDate: new Date().toISOString().split('T')[0]
       };
     }
     
-    return null;
+    // Report why the analysis fell short (unknown ticker, rate limiting, ...)
+    if (failures.length > 0) {
+      throw failures[0];
+    }
+    throw new DataUnavailableError(`Not enough price history to correlate ${symbols.join(', ')}`, { source: 'Yahoo Finance' });
   } catch (error) {
-    return null;
+    throw toFinancialDataError(error);
   }
 }
 
@@ -5391,14 +9038,21 @@ function toCorrelationRows(correlationData) {
   symbols.forEach(symbol1 => {
     symbols.forEach(symbol2 => {
       if (symbol1 !== symbol2) { // Skip self-correlation
+        const observations = correlationData.observationMatrix[symbol1][symbol2];
+        
         rows.push({
           symbol_1: symbol1,
           symbol_2: symbol2,
           correlation: correlationData.correlationMatrix[symbol1][symbol2],
+          correlation_method: correlationData.correlationMethod,
+          observations,
+          insufficient_data: observations < correlationData.minObservations,
+          lookback: correlationData.range,
+          frequency: correlationData.interval === '1wk' ? 'weekly' : 'daily',
           symbol_1_price: correlationData.priceData[symbol1]?.price || null,
           symbol_2_price: correlationData.priceData[symbol2]?.price || null,
-          symbol_1_change_percent: correlationData.priceData[symbol1]?.changePercent || null,
-          symbol_2_change_percent: correlationData.priceData[symbol2]?.changePercent || null,
+          symbol_1_change_percent: correlationData.priceData[symbol1]?.changePercent ?? null,
+          symbol_2_change_percent: correlationData.priceData[symbol2]?.changePercent ?? null,
           analysis_date: correlationData.analysisDate
         });
       }
@@ -5409,125 +9063,595 @@ function toCorrelationRows(correlationData) {
 }
 
 /**
- * Convert correlation analysis to markdown
+ * Convert correlation analysis to markdown
+ */
+function correlationAsMarkdown(rows, correlationData) {
+  if (!rows || rows.length === 0) {
+    return '# Stock Correlation Analysis\n\nNo correlation data available.';
+  }
+
+  const symbols = correlationData.symbols;
+  const matrix = correlationData.correlationMatrix;
+  const observations = correlationData.observationMatrix;
+  const minObservations = correlationData.minObservations;
+  const frequency = correlationData.interval === '1wk' ? 'Weekly' : 'Daily';
+  const methodName = correlationData.correlationMethod === 'spearman' ? 'Spearman rank' : 'Pearson';
+
+  const parts = [
+    '# Stock Correlation Analysis',
+    '',
+    `**Symbols Analyzed:** ${symbols.join(', ')}`,
+    `**Method:** ${methodName} correlation of ${frequency.toLowerCase()} log returns (adjusted closes)`,
+    `**Lookback:** ${correlationData.range}`,
+    `**Analysis Date:** ${new Date().toLocaleDateString()}`
+  ];
+
+  if (correlationData.failedSymbols.length > 0) {
+    parts.push(`**No Price History:** ${correlationData.failedSymbols.join(', ')} (excluded)`);
+  }
+
+  parts.push('');
+  parts.push('## Correlation Matrix');
+  parts.push('');
+
+  // Create correlation matrix table
+  const headerRow = ['Symbol', ...symbols].join(' | ');
+  const separatorRow = Array(symbols.length + 1).fill('---').join(' | ');
+  
+  parts.push(`| ${headerRow} |`);
+  parts.push(`| ${separatorRow} |`);
+
+  symbols.forEach(symbol1 => {
+    const row = [symbol1];
+    symbols.forEach(symbol2 => {
+      const corr = matrix[symbol1][symbol2];
+      if (corr === null) {
+        row.push('⚠️ N/A');
+        return;
+      }
+      const coloredCorr = corr > 0.7 ? `🔴 ${corr.toFixed(3)}` : 
+                         corr > 0.3 ? `🟡 ${corr.toFixed(3)}` :
+                         `🟢 ${corr.toFixed(3)}`;
+      row.push(symbol1 !== symbol2 && observations[symbol1][symbol2] < minObservations ? `${coloredCorr}*` : coloredCorr);
+    });
+    parts.push(`| ${row.join(' | ')} |`);
+  });
+
+  parts.push('');
+  parts.push('## Overlapping Observations');
+  parts.push('');
+  parts.push(`| ${headerRow} |`);
+  parts.push(`| ${separatorRow} |`);
+
+  symbols.forEach(symbol1 => {
+    const row = [symbol1, ...symbols.map(symbol2 => String(observations[symbol1][symbol2]))];
+    parts.push(`| ${row.join(' | ')} |`);
+  });
+
+  parts.push('');
+  parts.push('## Return Statistics');
+  parts.push('');
+  parts.push(`| Symbol | Price | Daily Change | ${correlationData.range} Return | Annualized Volatility |`);
+  parts.push('|--------|-------|--------------|-------------|----------------------|');
+
+  const formatChange = (num) => num !== null && num !== undefined ? `${num > 0 ? '+' : ''}${num.toFixed(2)}%` : 'N/A';
+
+  symbols.forEach(symbol => {
+    const data = correlationData.priceData[symbol];
+    const price = data?.price ? `$${data.price.toFixed(2)}` : 'N/A';
+    const volatility = data?.annualizedVolatility !== null && data?.annualizedVolatility !== undefined ?
+      `${data.annualizedVolatility.toFixed(1)}%` : 'N/A';
+    
+    parts.push(`| **${symbol}** | ${price} | ${formatChange(data?.changePercent)} | ${formatChange(data?.periodReturn)} | ${volatility} |`);
+  });
+
+  // Add correlation insights
+  parts.push('');
+  parts.push('## Portfolio Insights');
+  
+  // Find highest and lowest correlations
+  const correlations = [];
+  const flaggedPairs = [];
+  symbols.forEach(s1 => {
+    symbols.forEach(s2 => {
+      if (s1 < s2) { // Avoid duplicates
+        if (observations[s1][s2] < minObservations) {
+          flaggedPairs.push(`${s1}-${s2} (${observations[s1][s2]})`);
+        }
+        if (matrix[s1][s2] !== null) {
+          correlations.push({
+            pair: `${s1}-${s2}`,
+            correlation: matrix[s1][s2]
+          });
+        }
+      }
+    });
+  });
+
+  correlations.sort((a, b) => b.correlation - a.correlation);
+  
+  if (correlations.length > 0) {
+    const highest = correlations[0];
+    const lowest = correlations[correlations.length - 1];
+    
+    parts.push(`**Highest Correlation:** ${highest.pair} (${highest.correlation.toFixed(3)})`);
+    parts.push(`**Lowest Correlation:** ${lowest.pair} (${lowest.correlation.toFixed(3)})`);
+    
+    const avgCorrelation = correlations.reduce((sum, c) => sum + c.correlation, 0) / correlations.length;
+    parts.push(`**Average Correlation:** ${avgCorrelation.toFixed(3)}`);
+    
+    if (avgCorrelation > 0.7) {
+      parts.push('');
+      parts.push('⚠️ **High Portfolio Correlation** - Consider diversifying into uncorrelated assets');
+    } else if (avgCorrelation < 0.3) {
+      parts.push('');
+      parts.push('✅ **Well Diversified Portfolio** - Low correlation between holdings');
+    }
+  }
+
+  if (flaggedPairs.length > 0) {
+    parts.push('');
+    parts.push(`⚠️ **Insufficient Data** - Fewer than ${minObservations} overlapping returns: ${flaggedPairs.join(', ')}. Treat these estimates with caution.`);
+  }
+
+  parts.push('');
+  parts.push('---');
+  parts.push('*Correlation ranges from -1 (perfect negative) to +1 (perfect positive)*');
+  parts.push('*🟢 Low correlation (<0.3) | 🟡 Moderate (0.3-0.7) | 🔴 High (>0.7) | \\* Insufficient overlapping data*');
+
+  return parts.join('\n');
+}
+
+async function fetchStockCorrelation({ symbols = [], range = '1y', interval = '1d', correlationMethod = 'pearson' }) {
+  try {
+    
+    if (symbols.length < 2) {
+      throw new InvalidInputError('Need at least 2 symbols for correlation analysis');
+    }
+    
+    if (!['1d', '1wk'].includes(interval)) {
+      throw new InvalidInputError(`Correlation supports daily ("1d") or weekly ("1wk") returns, got "${interval}"`);
+    }
+    
+    if (!['pearson', 'spearman'].includes(correlationMethod)) {
+      throw new InvalidInputError(`Unknown correlation method "${correlationMethod}". Use "pearson" or "spearman"`);
+    }
+    
+    validateHistoryParams(range, interval);
+    
+    const correlationData = await extractStockCorrelationData({ symbols, range, interval, correlationMethod });
+    
+    if (!correlationData) {
+      throw new DataUnavailableError('Could not retrieve price history for at least 2 symbols', { source: 'Yahoo Finance' });
+    }
+    
+    const rows = toCorrelationRows(correlationData);
+    const markdown = correlationAsMarkdown(rows, correlationData);
+    
+    return { rows, markdown };
+    
+  } catch (error) {
+    throw error;
+  }
+}
+
+// Portfolio analytics: return periods per year by interval, and input limits
+const PORTFOLIO_PERIODS_PER_YEAR = { '1d': 252, '1wk': 52 };
+const PORTFOLIO_MAX_HOLDINGS = 50;
+const PORTFOLIO_DEFAULT_BENCHMARK = 'SPY';
+const PORTFOLIO_CONCURRENCY = 4;
+
+/**
+ * Validate holdings and settle on one sizing basis
+ * Every holding gives either a weight or a share count, not a mix; weights that do
+ * not sum to 1 are rescaled.
+ * @param {Array} holdings - [{ symbol, weight }] or [{ symbol, shares }]
+ * @returns {Object} { basis: "weights" | "shares", holdings: [{ symbol, weight, shares }], rescaled }
+ * @throws {InvalidInputError} On an empty, duplicated, mixed or non-positive holding
+ */
+function normalizePortfolioHoldings(holdings) {
+  if (!Array.isArray(holdings) || holdings.length === 0) {
+    throw new InvalidInputError('holdings must list at least one position, e.g. [{"symbol":"AAPL","weight":0.6},{"symbol":"MSFT","weight":0.4}]');
+  }
+  if (holdings.length > PORTFOLIO_MAX_HOLDINGS) {
+    throw new InvalidInputError(`Portfolio analytics accepts at most ${PORTFOLIO_MAX_HOLDINGS} holdings, got ${holdings.length}`);
+  }
+
+  const seen = new Set();
+  const normalized = holdings.map(holding => {
+    const symbol = typeof holding?.symbol === 'string' ? holding.symbol.trim().toUpperCase() : '';
+    if (!symbol) {
+      throw new InvalidInputError('Every holding needs a symbol');
+    }
+    if (seen.has(symbol)) {
+      throw new InvalidInputError(`${symbol} is listed more than once; combine it into one holding`);
+    }
+    seen.add(symbol);
+
+    const hasWeight = holding.weight !== undefined && holding.weight !== null;
+    const hasShares = holding.shares !== undefined && holding.shares !== null;
+    if (hasWeight === hasShares) {
+      throw new InvalidInputError(`${symbol} needs exactly one of weight or shares`);
+    }
+    const size = hasWeight ? holding.weight : holding.shares;
+    if (typeof size !== 'number' || !Number.isFinite(size) || size <= 0) {
+      throw new InvalidInputError(`${symbol} ${hasWeight ? 'weight' : 'shares'} must be a positive number (long-only), got ${size}`);
+    }
+    return { symbol, weight: hasWeight ? size : null, shares: hasShares ? size : null };
+  });
+
+  const basis = normalized[0].weight !== null ? 'weights' : 'shares';
+  if (normalized.some(holding => (holding.weight !== null) !== (basis === 'weights'))) {
+    throw new InvalidInputError('Give every holding a weight or every holding a share count, not a mix');
+  }
+
+  let rescaled = false;
+  if (basis === 'weights') {
+    const total = normalized.reduce((sum, holding) => sum + holding.weight, 0);
+    rescaled = Math.abs(total - 1) > 1e-6;
+    normalized.forEach(holding => { holding.weight /= total; });
+  }
+
+  return { basis, holdings: normalized, rescaled };
+}
+
+/**
+ * Fetch and align the price history of every holding and the benchmark
+ * Histories are aligned on the dates every symbol traded, as in stock_correlation,
+ * and share counts are turned into weights at the latest close.
+ * @param {Object} params - Parameters
+ * @param {Object} params.portfolio - Normalized holdings (see normalizePortfolioHoldings)
+ * @param {string} params.benchmark - Benchmark ticker
+ * @param {string} params.range - Lookback window
+ * @param {string} params.interval - "1d" or "1wk"
+ * @returns {Promise<Object>} { holdings, dates, returns, benchmarkReturns, totalValue }
+ * @throws {FinancialDataError} When any holding or the benchmark has no history
+ */
+async function extractPortfolioData({ portfolio, benchmark, range, interval }) {
+  try {
+    const symbols = [...new Set([...portfolio.holdings.map(holding => holding.symbol), benchmark])];
+
+    const histories = await mapWithConcurrency(symbols, PORTFOLIO_CONCURRENCY, async symbol => {
+      try {
+        return { symbol, history: await extractPriceHistory(symbol, { range, interval }) };
+      } catch (error) {
+        return { symbol, error };
+      } finally {
+        await httpClient.pause(300);
+      }
+    });
+
+    // A missing holding would silently change the portfolio being measured
+    const failure = histories.find(result => result.error);
+    if (failure) {
+      throw failure.error;
+    }
+
+    const closesBySymbol = Object.fromEntries(histories.map(({ symbol, history }) => [symbol, new Map(history.bars.map(bar => [bar.date, bar.adjClose]))]));
+    const lastClose = Object.fromEntries(histories.map(({ symbol, history }) => [symbol, history.bars[history.bars.length - 1].close]));
+
+    const dates = [...closesBySymbol[symbols[0]].keys()]
+      .filter(date => symbols.every(symbol => closesBySymbol[symbol].has(date)))
+      .sort();
+    if (dates.length - 1 < MIN_CORRELATION_OBSERVATIONS) {
+      throw new DataUnavailableError(`Only ${Math.max(dates.length - 1, 0)} ${interval} returns common to ${symbols.join(', ')} over ${range}; need at least ${MIN_CORRELATION_OBSERVATIONS}`, { source: 'Yahoo Finance' });
+    }
+
+    const simpleReturns = symbol => dates.slice(1).map((date, i) => closesBySymbol[symbol].get(date) / closesBySymbol[symbol].get(dates[i]) - 1);
+
+    const totalValue = portfolio.basis === 'shares'
+      ? portfolio.holdings.reduce((sum, holding) => sum + holding.shares * lastClose[holding.symbol], 0)
+      : null;
+    const holdings = portfolio.holdings.map(holding => ({
+      ...holding,
+      price: lastClose[holding.symbol],
+      marketValue: holding.shares !== null ? holding.shares * lastClose[holding.symbol] : null,
+      weight: holding.shares !== null ? (holding.shares * lastClose[holding.symbol]) / totalValue : holding.weight
+    }));
+
+    return {
+      holdings,
+      dates,
+      returns: Object.fromEntries(holdings.map(holding => [holding.symbol, simpleReturns(holding.symbol)])),
+      benchmarkReturns: simpleReturns(benchmark),
+      totalValue
+    };
+  } catch (error) {
+    throw toFinancialDataError(error);
+  }
+}
+
+/**
+ * Sample covariance of two equal-length series
+ */
+function sampleCovariance(x, y) {
+  const meanX = mean(x);
+  const meanY = mean(y);
+  return x.reduce((sum, value, i) => sum + (value - meanX) * (y[i] - meanY), 0) / (x.length - 1);
+}
+
+/**
+ * Annualized return, volatility and drawdown of a return series
+ * @param {Array} returns - Simple returns per period
+ * @param {Array} dates - Dates, one longer than returns (the first is the starting point)
+ * @param {number} periodsPerYear - 252 for daily, 52 for weekly
+ * @returns {Object} { annualizedReturn, annualizedVolatility, maxDrawdown, peak, trough, recovery }
+ */
+function returnSeriesStatistics(returns, dates, periodsPerYear) {
+  const growth = returns.reduce((wealth, value) => wealth * (1 + value), 1);
+
+  // Largest peak-to-trough fall of the wealth index, and when it was made good
+  let wealth = 1;
+  let peak = { value: 1, date: dates[0] };
+  let drawdown = { depth: 0, peak: null, trough: null, recovery: null };
+  let current = null;
+  returns.forEach((value, i) => {
+    wealth *= 1 + value;
+    const date = dates[i + 1];
+    if (wealth >= peak.value) {
+      if (current && !current.recovery) current.recovery = date;
+      peak = { value: wealth, date };
+      current = null;
+      return;
+    }
+    const depth = 1 - wealth / peak.value;
+    if (depth > drawdown.depth) {
+      current = { depth, peak: peak.date, trough: date, recovery: null };
+      drawdown = current;
+    }
+  });
+
+  return {
+    annualizedReturn: growth ** (periodsPerYear / returns.length) - 1,
+    annualizedVolatility: standardDeviation(returns) * Math.sqrt(periodsPerYear),
+    maxDrawdown: drawdown.depth,
+    peak: drawdown.peak,
+    trough: drawdown.trough,
+    recovery: drawdown.recovery
+  };
+}
+
+/**
+ * Inverse standard normal CDF (Acklam's rational approximation, relative error below 1.2e-9)
+ */
+function normalQuantile(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const tail = q => (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+
+  if (p < 0.02425) return tail(Math.sqrt(-2 * Math.log(p)));
+  if (p > 1 - 0.02425) return -tail(Math.sqrt(-2 * Math.log(1 - p)));
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Portfolio and per-holding risk statistics from aligned returns
+ * The portfolio is held at constant weights (rebalanced every period). VaR and CVaR
+ * are one-period losses at the given confidence, reported as positive fractions.
+ * @param {Object} data - Aligned data from extractPortfolioData
+ * @param {Object} options - { interval, riskFreeRate (annual), confidence }
+ * @returns {Object} { portfolio, benchmark, holdings }
+ */
+function analyzePortfolio(data, { interval, riskFreeRate, confidence }) {
+  const periodsPerYear = PORTFOLIO_PERIODS_PER_YEAR[interval];
+  const { holdings, dates, returns, benchmarkReturns } = data;
+  const portfolioReturns = benchmarkReturns.map((_, i) => holdings.reduce((sum, holding) => sum + holding.weight * returns[holding.symbol][i], 0));
+
+  const periodRiskFree = (1 + riskFreeRate) ** (1 / periodsPerYear) - 1;
+  const excess = mean(portfolioReturns) - periodRiskFree;
+  const volatility = standardDeviation(portfolioReturns);
+  const downside = Math.sqrt(portfolioReturns.reduce((sum, value) => sum + Math.min(0, value - periodRiskFree) ** 2, 0) / portfolioReturns.length);
+  const benchmarkVariance = sampleCovariance(benchmarkReturns, benchmarkReturns);
+  const betaTo = series => (benchmarkVariance > 0 ? sampleCovariance(series, benchmarkReturns) / benchmarkVariance : null);
+
+  // Historical VaR/CVaR from the worst (1 - confidence) share of periods
+  const sorted = [...portfolioReturns].sort((a, b) => a - b);
+  const tailCount = Math.max(1, Math.floor((1 - confidence) * sorted.length));
+  // Parametric VaR/CVaR assume normally distributed returns
+  const z = normalQuantile(1 - confidence);
+  const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+
+  // Marginal contribution to risk: (covariance x weights) / portfolio volatility.
+  // Weighted contributions add up to the portfolio's volatility.
+  const covarianceTimesWeights = holdings.map(holding => holdings.reduce((sum, other) => sum + sampleCovariance(returns[holding.symbol], returns[other.symbol]) * other.weight, 0));
+  const annualize = Math.sqrt(periodsPerYear);
+
+  return {
+    portfolio: {
+      ...returnSeriesStatistics(portfolioReturns, dates, periodsPerYear),
+      sharpeRatio: volatility > 0 ? (excess / volatility) * annualize : null,
+      sortinoRatio: downside > 0 ? (excess / downside) * annualize : null,
+      beta: betaTo(portfolioReturns),
+      correlation: pearsonCorrelation(portfolioReturns, benchmarkReturns),
+      varHistorical: -sorted[tailCount - 1],
+      cvarHistorical: -mean(sorted.slice(0, tailCount)),
+      varParametric: -(mean(portfolioReturns) + z * volatility),
+      cvarParametric: -(mean(portfolioReturns) - volatility * density / (1 - confidence)),
+      observations: portfolioReturns.length
+    },
+    benchmark: returnSeriesStatistics(benchmarkReturns, dates, periodsPerYear),
+    holdings: holdings.map((holding, i) => {
+      const stats = returnSeriesStatistics(returns[holding.symbol], dates, periodsPerYear);
+      const marginal = volatility > 0 ? covarianceTimesWeights[i] / volatility : null;
+      return {
+        ...holding,
+        annualizedReturn: stats.annualizedReturn,
+        annualizedVolatility: stats.annualizedVolatility,
+        beta: betaTo(returns[holding.symbol]),
+        marginalRisk: marginal !== null ? marginal * annualize : null,
+        riskContribution: marginal !== null ? holding.weight * marginal * annualize : null,
+        riskShare: marginal !== null ? (holding.weight * marginal) / volatility : null
+      };
+    })
+  };
+}
+
+/**
+ * Convert portfolio analytics to standardized rows, one per holding
+ */
+function toPortfolioRows(analysis, { range, interval }) {
+  const round = (value, digits = 4) => (value === null || value === undefined ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+  const analysisDate = new Date().toISOString().split('T')[0];
+
+  return analysis.holdings.map(holding => ({
+    symbol: holding.symbol,
+    weight: round(holding.weight),
+    shares: holding.shares,
+    price: holding.price,
+    market_value: round(holding.marketValue, 2),
+    annualized_return: round(holding.annualizedReturn),
+    annualized_volatility: round(holding.annualizedVolatility),
+    beta: round(holding.beta, 3),
+    marginal_risk_contribution: round(holding.marginalRisk),
+    risk_contribution: round(holding.riskContribution),
+    risk_contribution_pct: holding.riskShare !== null ? round(holding.riskShare * 100, 2) : null,
+    lookback: range,
+    frequency: interval === '1wk' ? 'weekly' : 'daily',
+    analysis_date: analysisDate
+  }));
+}
+
+/**
+ * Convert portfolio analytics to markdown
  */
-function correlationAsMarkdown(rows, correlationData) {
-  if (!rows || rows.length === 0) {
-    return '# Stock Correlation Analysis\n\nNo correlation data available.';
-  }
-
-  const symbols = correlationData.symbols;
-  const matrix = correlationData.correlationMatrix;
+function portfolioAsMarkdown(rows, summary) {
+  const percent = (value, digits = 2) => (value === null || value === undefined ? 'N/A' : `${(value * 100).toFixed(digits)}%`);
+  const ratio = value => (value === null || value === undefined ? 'N/A' : value.toFixed(2));
+  const dollars = value => `$${value.toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+  const period = summary.frequency === 'weekly' ? '1-week' : '1-day';
 
   const parts = [
-    '# Stock Correlation Analysis',
-    '',
-    `**Symbols Analyzed:** ${symbols.join(', ')}`,
-    `**Analysis Date:** ${new Date().toLocaleDateString()}`,
+    '# Portfolio Analytics',
     '',
-    '## Correlation Matrix',
-    ''
+    `**Holdings:** ${rows.length} (sized by ${summary.basis}${summary.total_value !== null ? `, ${dollars(summary.total_value)} at the latest close` : ''})`,
+    `**Window:** ${summary.start_date} to ${summary.end_date} (${summary.observations} ${summary.frequency} returns, ${summary.lookback})`,
+    `**Benchmark:** ${summary.benchmark} | **Risk-Free Rate:** ${percent(summary.risk_free_rate)}`,
+    `**Analysis Date:** ${new Date().toLocaleDateString()}`
   ];
-
-  // Create correlation matrix table
-  const headerRow = ['Symbol', ...symbols].join(' | ');
-  const separatorRow = Array(symbols.length + 1).fill('---').join(' | ');
-  
-  parts.push(`| ${headerRow} |`);
-  parts.push(`| ${separatorRow} |`);
-
-  symbols.forEach(symbol1 => {
-    const row = [symbol1];
-    symbols.forEach(symbol2 => {
-      const corr = matrix[symbol1][symbol2];
-      const coloredCorr = corr > 0.7 ? `🔴 ${corr.toFixed(3)}` : 
-                         corr > 0.3 ? `🟡 ${corr.toFixed(3)}` :
-                         `🟢 ${corr.toFixed(3)}`;
-      row.push(coloredCorr);
-    });
-    parts.push(`| ${row.join(' | ')} |`);
-  });
+  if (summary.weights_rescaled) {
+    parts.push('ℹ️ Weights did not sum to 100% and were rescaled.');
+  }
 
   parts.push('');
-  parts.push('## Current Performance');
+  parts.push('## Performance & Risk');
   parts.push('');
-  parts.push('| Symbol | Price | Daily Change | Beta | Position in 52W Range |');
-  parts.push('|--------|-------|--------------|------|----------------------|');
+  parts.push(`| Metric | Portfolio | ${summary.benchmark} |`);
+  parts.push('|--------|-----------|------|');
+  parts.push(`| Annualized Return | ${percent(summary.annualized_return)} | ${percent(summary.benchmark_annualized_return)} |`);
+  parts.push(`| Annualized Volatility | ${percent(summary.annualized_volatility)} | ${percent(summary.benchmark_annualized_volatility)} |`);
+  parts.push(`| Sharpe Ratio | ${ratio(summary.sharpe_ratio)} | - |`);
+  parts.push(`| Sortino Ratio | ${ratio(summary.sortino_ratio)} | - |`);
+  parts.push(`| Max Drawdown | ${percent(summary.max_drawdown)}${summary.max_drawdown_peak ? ` (${summary.max_drawdown_peak} to ${summary.max_drawdown_trough}${summary.max_drawdown_recovery ? `, recovered ${summary.max_drawdown_recovery}` : ', not recovered'})` : ''} | ${percent(summary.benchmark_max_drawdown)} |`);
+  parts.push(`| Beta | ${ratio(summary.beta)} | 1.00 |`);
+  parts.push(`| Correlation | ${ratio(summary.correlation_to_benchmark)} | 1.00 |`);
 
-  symbols.forEach(symbol => {
-    const data = correlationData.priceData[symbol];
-    const price = data?.price ? `$${data.price.toFixed(2)}` : 'N/A';
-    const change = data?.changePercent ? `${data.changePercent > 0 ? '+' : ''}${data.changePercent.toFixed(2)}%` : 'N/A';
-    const beta = data?.beta ? data.beta.toFixed(2) : 'N/A';
-    const position = data?.relativePosition ? `${(data.relativePosition * 100).toFixed(1)}%` : 'N/A';
-    
-    parts.push(`| **${symbol}** | ${price} | ${change} | ${beta} | ${position} |`);
+  parts.push('');
+  parts.push(`## Value at Risk (${(summary.confidence * 100).toFixed(1).replace(/\.0$/, '')}%, ${period})`);
+  parts.push('');
+  const valueColumns = summary.total_value !== null;
+  parts.push(`| Method | VaR | CVaR |${valueColumns ? ' VaR ($) | CVaR ($) |' : ''}`);
+  parts.push(`|--------|-----|------|${valueColumns ? '---------|----------|' : ''}`);
+  [['Historical', summary.var_historical, summary.cvar_historical], ['Parametric (normal)', summary.var_parametric, summary.cvar_parametric]].forEach(([label, valueAtRisk, expectedShortfall]) => {
+    const amounts = valueColumns ? ` ${dollars(valueAtRisk * summary.total_value)} | ${dollars(expectedShortfall * summary.total_value)} |` : '';
+    parts.push(`| ${label} | ${percent(valueAtRisk)} | ${percent(expectedShortfall)} |${amounts}`);
   });
 
-  // Add correlation insights
   parts.push('');
-  parts.push('## Portfolio Insights');
-  
-  // Find highest and lowest correlations
-  const correlations = [];
-  symbols.forEach(s1 => {
-    symbols.forEach(s2 => {
-      if (s1 < s2) { // Avoid duplicates
-        correlations.push({
-          pair: `${s1}-${s2}`,
-          correlation: matrix[s1][s2]
-        });
-      }
-    });
+  parts.push('## Holdings & Risk Contribution');
+  parts.push('');
+  parts.push('| Symbol | Weight | Price | Ann. Return | Ann. Volatility | Beta | Marginal Risk | Risk Contribution | Share of Risk |');
+  parts.push('|--------|--------|-------|-------------|-----------------|------|---------------|-------------------|---------------|');
+  rows.forEach(row => {
+    parts.push(`| **${row.symbol}** | ${percent(row.weight, 1)} | $${row.price.toFixed(2)} | ${percent(row.annualized_return, 1)} | ${percent(row.annualized_volatility, 1)} | ${ratio(row.beta)} | ${percent(row.marginal_risk_contribution)} | ${percent(row.risk_contribution)} | ${row.risk_contribution_pct !== null ? `${row.risk_contribution_pct.toFixed(1)}%` : 'N/A'} |`);
   });
 
-  correlations.sort((a, b) => b.correlation - a.correlation);
-  
-  if (correlations.length > 0) {
-    const highest = correlations[0];
-    const lowest = correlations[correlations.length - 1];
-    
-    parts.push(`**Highest Correlation:** ${highest.pair} (${highest.correlation.toFixed(3)})`);
-    parts.push(`**Lowest Correlation:** ${lowest.pair} (${lowest.correlation.toFixed(3)})`);
-    
-    const avgCorrelation = correlations.reduce((sum, c) => sum + c.correlation, 0) / correlations.length;
-    parts.push(`**Average Correlation:** ${avgCorrelation.toFixed(3)}`);
-    
-    if (avgCorrelation > 0.7) {
-      parts.push('');
-      parts.push('⚠️ **High Portfolio Correlation** - Consider diversifying into uncorrelated assets');
-    } else if (avgCorrelation < 0.3) {
-      parts.push('');
-      parts.push('✅ **Well Diversified Portfolio** - Low correlation between holdings');
-    }
+  // Holdings whose share of risk is well above their share of capital
+  const concentrated = rows.filter(row => row.risk_contribution_pct !== null && row.risk_contribution_pct > row.weight * 100 * 1.5);
+  if (concentrated.length > 0) {
+    parts.push('');
+    parts.push(`⚠️ **Risk Concentration:** ${concentrated.map(row => `${row.symbol} carries ${row.risk_contribution_pct.toFixed(1)}% of risk on ${percent(row.weight, 1)} of capital`).join('; ')}`);
   }
 
   parts.push('');
   parts.push('---');
-  parts.push('*Correlation ranges from -1 (perfect negative) to +1 (perfect positive)*');
-  parts.push('*🟢 Low correlation (<0.3) | 🟡 Moderate (0.3-0.7) | 🔴 High (>0.7)*');
+  parts.push(`*Simple ${summary.frequency} returns of adjusted closes at constant weights. Risk contributions sum to the portfolio's annualized volatility.*`);
 
   return parts.join('\n');
 }
 
-async function fetchStockCorrelation({ symbols = [] }) {
+/**
+ * Portfolio analytics: performance, risk and risk attribution of a set of holdings
+ * @param {Object} params - Parameters
+ * @param {Array} params.holdings - [{ symbol, weight }] or [{ symbol, shares }]
+ * @param {string} params.range - Lookback window (default "1y")
+ * @param {string} params.interval - "1d" (default) or "1wk" returns
+ * @param {string} params.benchmark - Benchmark ticker for beta (default "SPY")
+ * @param {number} params.riskFreeRate - Annual risk-free rate as a fraction for Sharpe/Sortino (default 0)
+ * @param {number} params.confidence - VaR/CVaR confidence level (default 0.95)
+ * @returns {Promise<Object>} { rows, summary, markdown }
+ */
+async function fetchPortfolioAnalytics({ holdings = [], range = '1y', interval = '1d', benchmark = PORTFOLIO_DEFAULT_BENCHMARK, riskFreeRate = 0, confidence = 0.95 }) {
   try {
-    
-    if (symbols.length < 2) {
-      throw new Error('Need at least 2 symbols for correlation analysis');
-    }
-    
-    const correlationData = await extractStockCorrelationData({ symbols });
-    
-    if (!correlationData) {
-      throw new Error('Could not extract correlation data');
-    }
-    
-    const rows = toCorrelationRows(correlationData);
-    const markdown = correlationAsMarkdown(rows, correlationData);
-    
-    return { rows, markdown };
-    
+
+    const portfolio = normalizePortfolioHoldings(holdings);
+
+    if (!PORTFOLIO_PERIODS_PER_YEAR[interval]) {
+      throw new InvalidInputError(`Portfolio analytics supports daily ("1d") or weekly ("1wk") returns, got "${interval}"`);
+    }
+    validateHistoryParams(range, interval);
+    if (typeof riskFreeRate !== 'number' || !Number.isFinite(riskFreeRate) || riskFreeRate < -0.05 || riskFreeRate > 0.5) {
+      throw new InvalidInputError(`riskFreeRate must be an annual rate as a fraction (0.045 = 4.5%), got ${riskFreeRate}`);
+    }
+    if (typeof confidence !== 'number' || !(confidence >= 0.5 && confidence < 1)) {
+      throw new InvalidInputError(`confidence must be between 0.5 and 1 (e.g. 0.95 or 0.99), got ${confidence}`);
+    }
+    const benchmarkSymbol = String(benchmark || PORTFOLIO_DEFAULT_BENCHMARK).trim().toUpperCase();
+
+    const data = await extractPortfolioData({ portfolio, benchmark: benchmarkSymbol, range, interval });
+    const analysis = analyzePortfolio(data, { interval, riskFreeRate, confidence });
+    const rows = toPortfolioRows(analysis, { range, interval });
+
+    const round = value => (value === null ? null : Math.round(value * 10000) / 10000);
+    const { portfolio: stats, benchmark: benchmarkStats } = analysis;
+    const summary = {
+      holdings: rows.length,
+      basis: portfolio.basis,
+      weights_rescaled: portfolio.rescaled,
+      total_value: data.totalValue !== null ? Math.round(data.totalValue * 100) / 100 : null,
+      benchmark: benchmarkSymbol,
+      lookback: range,
+      frequency: interval === '1wk' ? 'weekly' : 'daily',
+      start_date: data.dates[0],
+      end_date: data.dates[data.dates.length - 1],
+      observations: stats.observations,
+      risk_free_rate: riskFreeRate,
+      confidence,
+      annualized_return: round(stats.annualizedReturn),
+      annualized_volatility: round(stats.annualizedVolatility),
+      sharpe_ratio: round(stats.sharpeRatio),
+      sortino_ratio: round(stats.sortinoRatio),
+      max_drawdown: round(stats.maxDrawdown),
+      max_drawdown_peak: stats.peak,
+      max_drawdown_trough: stats.trough,
+      max_drawdown_recovery: stats.recovery,
+      beta: round(stats.beta),
+      correlation_to_benchmark: round(stats.correlation),
+      benchmark_annualized_return: round(benchmarkStats.annualizedReturn),
+      benchmark_annualized_volatility: round(benchmarkStats.annualizedVolatility),
+      benchmark_max_drawdown: round(benchmarkStats.maxDrawdown),
+      var_historical: round(stats.varHistorical),
+      cvar_historical: round(stats.cvarHistorical),
+      var_parametric: round(stats.varParametric),
+      cvar_parametric: round(stats.cvarParametric)
+    };
+    const markdown = portfolioAsMarkdown(rows, summary);
+
+    return { rows, summary, markdown };
+
   } catch (error) {
     throw error;
   }
@@ -5540,39 +9664,14 @@ async function fetchStockCorrelation({ symbols = [] }) {
  */
 async function extractFredSources({ sourceId = null, limit = 20 }) {
   try {
-    const apiKey = process.env.FRED_API_KEY;
-    if (!apiKey || apiKey === 'demo') {
-      throw new Error('Valid FRED API key required for sources data. Please set FRED_API_KEY environment variable.');
-    }
-
-    const baseUrl = sourceId ? 
-      'https://api.stlouisfed.org/fred/source' :
-      'https://api.stlouisfed.org/fred/sources';
-    
-    const params = new URLSearchParams({
-      api_key: apiKey,
-      file_type: 'json',
-      sort_order: 'asc',
-      order_by: 'name'
-    });
-
-    if (sourceId) {
-      params.append('source_id', sourceId);
-    } else {
-      params.append('limit', limit.toString());
-    }
+    requireFredApiKey('sources data');
 
-    const url = `${baseUrl}?${params.toString()}`;
-
-    const response = await axios.get(url, {
-      timeout: 15000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; Yahoo-Finance-MCP/1.0)'
-      }
-    });
+    const data = sourceId ?
+      await fredRequest('source', { source_id: sourceId, order_by: 'name', sort_order: 'asc' }) :
+      await fredRequest('sources', { limit, order_by: 'name', sort_order: 'asc' });
 
-    if (response.data && response.data.sources && response.data.sources.length > 0) {
-      const sources = response.data.sources.map(source => ({
+    if (data && data.sources && data.sources.length > 0) {
+      const sources = data.sources.map(source => ({
         id: source.id,
         name: source.name,
         realtime_start: source.realtime_start,
@@ -5585,25 +9684,16 @@ async function extractFredSources({ sourceId = null, limit = 20 }) {
       const sourcesWithReleases = await Promise.all(
         sources.slice(0, 5).map(async (source) => {
           try {
-            const releasesUrl = `https://api.stlouisfed.org/fred/source/releases?source_id=${source.id}&api_key=${apiKey}&file_type=json&limit=3`;
-
-            const releasesResponse = await axios.get(releasesUrl, {
-              timeout: 8000,
-              headers: {
-                'User-Agent': 'Mozilla/5.0 (compatible; Yahoo-Finance-MCP/1.0)'
-              }
-            });
+            const releasesData = await fredRequest('source/releases', { source_id: source.id, limit: 3 }, { timeout: 8000 });
 
-            if (releasesResponse.data && releasesResponse.data.releases) {
-              source.sample_releases = releasesResponse.data.releases.slice(0, 3).map(rel => ({
+            if (releasesData && releasesData.releases) {
+              source.sample_releases = releasesData.releases.slice(0, 3).map(rel => ({
                 id: rel.id,
                 name: rel.name,
                 press_release: rel.press_release
               }));
             }
 
-            await new Promise(resolve => setTimeout(resolve, 200)); // Rate limiting
-
           } catch (releasesError) {
             source.sample_releases = [];
           }
@@ -5615,13 +9705,13 @@ async function extractFredSources({ sourceId = null, limit = 20 }) {
       return {
         sourceId,
         sources: sourcesWithReleases.concat(sources.slice(5)),
-        totalSources: response.data.count || sources.length
+        totalSources: data.count || sources.length
       };
     }
 
     return null;
   } catch (error) {
-    throw error;
+    throw toFinancialDataError(error, { source: 'FRED' });
   }
 }
 
@@ -5710,7 +9800,7 @@ async function fetchFredSources({ sourceId = null, limit = 20 }) {
     const sourcesData = await extractFredSources({ sourceId, limit });
 
     if (!sourcesData) {
-      throw new Error('No FRED sources data available');
+      throw new DataUnavailableError('No FRED sources data available', { source: 'FRED' });
     }
 
     const rows = toFredSourcesRows(sourcesData);
@@ -5726,6 +9816,7 @@ async function fetchFredSources({ sourceId = null, limit = 20 }) {
       }
     };
   } catch (error) {
+    if (error instanceof FinancialDataError) throw error;
     throw new Error(`FRED sources fetch failed: ${error.message}`);
   }
 }
@@ -5737,37 +9828,12 @@ async function fetchFredSources({ sourceId = null, limit = 20 }) {
  */
 async function extractFredSeriesUpdates({ limit = 20, startTime = null, endTime = null }) {
   try {
-    const apiKey = process.env.FRED_API_KEY;
-    if (!apiKey || apiKey === 'demo') {
-      throw new Error('Valid FRED API key required for series updates. Please set FRED_API_KEY environment variable.');
-    }
-
-    const baseUrl = 'https://api.stlouisfed.org/fred/series/updates';
-    const params = new URLSearchParams({
-      api_key: apiKey,
-      file_type: 'json',
-      limit: limit.toString(),
-      sort_order: 'desc'
-    });
-
-    if (startTime) {
-      params.append('start_time', startTime);
-    }
-    if (endTime) {
-      params.append('end_time', endTime);
-    }
+    requireFredApiKey('series updates');
 
-    const url = `${baseUrl}?${params.toString()}`;
-
-    const response = await axios.get(url, {
-      timeout: 15000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; Yahoo-Finance-MCP/1.0)'
-      }
-    });
+    const data = await fredRequest('series/updates', { limit, sort_order: 'desc', start_time: startTime, end_time: endTime });
 
-    if (response.data && response.data.seriess && response.data.seriess.length > 0) {
-      const updates = response.data.seriess.map(series => ({
+    if (data && data.seriess && data.seriess.length > 0) {
+      const updates = data.seriess.map(series => ({
         id: series.id,
         title: series.title,
         units: series.units || 'Unknown',
@@ -5784,35 +9850,20 @@ async function extractFredSeriesUpdates({ limit = 20, startTime = null, endTime
       const updatesWithData = await Promise.all(
         updates.slice(0, 5).map(async (series) => {
           try {
-            const dataUrl = `https://api.stlouisfed.org/fred/series/observations?series_id=${series.id}&api_key=${apiKey}&file_type=json&limit=3&sort_order=desc`;
-
-            const dataResponse = await axios.get(dataUrl, {
-              timeout: 8000,
-              headers: {
-                'User-Agent': 'Mozilla/5.0 (compatible; Yahoo-Finance-MCP/1.0)'
-              }
-            });
+            const seriesData = await fredRequest('series/observations', { series_id: series.id, limit: 3, sort_order: 'desc' }, { timeout: 8000 });
 
-            if (dataResponse.data && dataResponse.data.observations && dataResponse.data.observations.length > 0) {
-              const validObs = dataResponse.data.observations.filter(obs => obs.value !== '.' && obs.value !== null);
-              if (validObs.length > 0) {
-                const latest = validObs[0];
-                series.latest_value = parseFloat(latest.value);
-                series.latest_date = latest.date;
-                
-                // Calculate change if we have multiple observations
-                if (validObs.length > 1) {
-                  const previous = validObs[1];
-                  const previousValue = parseFloat(previous.value);
-                  if (!isNaN(previousValue) && previousValue !== 0) {
-                    series.change_percent = ((series.latest_value - previousValue) / previousValue) * 100;
-                  }
-                }
+            const validObs = parseFredObservations(seriesData.observations);
+            if (validObs.length > 0) {
+              const latest = validObs[0];
+              series.latest_value = latest.value;
+              series.latest_date = latest.date;
+              
+              // Calculate change if we have multiple observations
+              if (validObs.length > 1 && validObs[1].value !== 0) {
+                series.change_percent = ((latest.value - validObs[1].value) / validObs[1].value) * 100;
               }
             }
 
-            await new Promise(resolve => setTimeout(resolve, 200)); // Rate limiting
-
           } catch (dataError) {
             // Data fetch failed - continue without latest values
           }
@@ -5823,7 +9874,7 @@ async function extractFredSeriesUpdates({ limit = 20, startTime = null, endTime
 
       return {
         updates: updatesWithData.concat(updates.slice(5)),
-        totalUpdates: response.data.count || updates.length,
+        totalUpdates: data.count || updates.length,
         timeRange: {
           startTime: startTime || 'Not specified',
           endTime: endTime || 'Not specified'
@@ -5833,7 +9884,7 @@ async function extractFredSeriesUpdates({ limit = 20, startTime = null, endTime
 
     return null;
   } catch (error) {
-    throw error;
+    throw toFinancialDataError(error, { source: 'FRED' });
   }
 }
 
@@ -5943,7 +9994,7 @@ async function fetchFredSeriesUpdates({ limit = 20, startTime = null, endTime =
     const updatesData = await extractFredSeriesUpdates({ limit, startTime, endTime });
 
     if (!updatesData) {
-      throw new Error('No FRED series updates data available');
+      throw new DataUnavailableError('No FRED series updates data available', { source: 'FRED' });
     }
 
     const rows = toFredUpdatesRows(updatesData);
@@ -5959,6 +10010,7 @@ async function fetchFredSeriesUpdates({ limit = 20, startTime = null, endTime =
       }
     };
   } catch (error) {
+    if (error instanceof FinancialDataError) throw error;
     throw new Error(`FRED series updates fetch failed: ${error.message}`);
   }
 }
@@ -5970,26 +10022,16 @@ async function fetchFredSeriesUpdates({ limit = 20, startTime = null, endTime =
  */
 async function extractFredSeriesRelationships({ seriesId }) {
   try {
-    const apiKey = process.env.FRED_API_KEY;
-    if (!apiKey || apiKey === 'demo') {
-      throw new Error('Valid FRED API key required for series relationships. Please set FRED_API_KEY environment variable.');
-    }
+    requireFredApiKey('series relationships');
 
     // Get series basic info
-    const seriesUrl = `https://api.stlouisfed.org/fred/series?series_id=${seriesId}&api_key=${apiKey}&file_type=json`;
-    
-    const seriesResponse = await axios.get(seriesUrl, {
-      timeout: 15000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; Yahoo-Finance-MCP/1.0)'
-      }
-    });
+    const seriesData = await fredRequest('series', { series_id: seriesId });
 
-    if (!seriesResponse.data || !seriesResponse.data.seriess || seriesResponse.data.seriess.length === 0) {
-      throw new Error(`Series ${seriesId} not found`);
+    if (!seriesData || !seriesData.seriess || seriesData.seriess.length === 0) {
+      throw new SymbolNotFoundError(seriesId, { source: 'FRED' });
     }
 
-    const series = seriesResponse.data.seriess[0];
+    const series = seriesData.seriess[0];
     const relationships = {
       series: {
         id: series.id,
@@ -6010,16 +10052,10 @@ async function extractFredSeriesRelationships({ seriesId }) {
 
     // Get series categories
     try {
-      const categoriesUrl = `https://api.stlouisfed.org/fred/series/categories?series_id=${seriesId}&api_key=${apiKey}&file_type=json`;
-      const categoriesResponse = await axios.get(categoriesUrl, {
-        timeout: 10000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (compatible; Yahoo-Finance-MCP/1.0)'
-        }
-      });
+      const categoriesData = await fredRequest('series/categories', { series_id: seriesId }, { timeout: 10000 });
 
-      if (categoriesResponse.data && categoriesResponse.data.categories) {
-        relationships.categories = categoriesResponse.data.categories.map(cat => ({
+      if (categoriesData && categoriesData.categories) {
+        relationships.categories = categoriesData.categories.map(cat => ({
           id: cat.id,
           name: cat.name,
           parent_id: cat.parent_id
@@ -6029,20 +10065,12 @@ async function extractFredSeriesRelationships({ seriesId }) {
       // Categories fetch failed - continue
     }
 
-    await new Promise(resolve => setTimeout(resolve, 200));
-
     // Get series release
     try {
-      const releaseUrl = `https://api.stlouisfed.org/fred/series/release?series_id=${seriesId}&api_key=${apiKey}&file_type=json`;
-      const releaseResponse = await axios.get(releaseUrl, {
-        timeout: 10000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (compatible; Yahoo-Finance-MCP/1.0)'
-        }
-      });
+      const releaseData = await fredRequest('series/release', { series_id: seriesId }, { timeout: 10000 });
 
-      if (releaseResponse.data && releaseResponse.data.releases && releaseResponse.data.releases.length > 0) {
-        const release = releaseResponse.data.releases[0];
+      if (releaseData && releaseData.releases && releaseData.releases.length > 0) {
+        const release = releaseData.releases[0];
         relationships.release = {
           id: release.id,
           name: release.name,
@@ -6054,20 +10082,12 @@ async function extractFredSeriesRelationships({ seriesId }) {
       // Release fetch failed - continue
     }
 
-    await new Promise(resolve => setTimeout(resolve, 200));
-
     // Get series tags
     try {
-      const tagsUrl = `https://api.stlouisfed.org/fred/series/tags?series_id=${seriesId}&api_key=${apiKey}&file_type=json&limit=20`;
-      const tagsResponse = await axios.get(tagsUrl, {
-        timeout: 10000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (compatible; Yahoo-Finance-MCP/1.0)'
-        }
-      });
+      const tagsData = await fredRequest('series/tags', { series_id: seriesId, limit: 20 }, { timeout: 10000 });
 
-      if (tagsResponse.data && tagsResponse.data.tags) {
-        relationships.tags = tagsResponse.data.tags.map(tag => ({
+      if (tagsData && tagsData.tags) {
+        relationships.tags = tagsData.tags.map(tag => ({
           name: tag.name,
           group_id: tag.group_id,
           notes: tag.notes || '',
@@ -6081,7 +10101,7 @@ async function extractFredSeriesRelationships({ seriesId }) {
 
     return relationships;
   } catch (error) {
-    throw error;
+    throw toFinancialDataError(error, { source: 'FRED', symbol: seriesId });
   }
 }
 
@@ -6234,7 +10254,7 @@ async function fetchFredSeriesRelationships({ seriesId }) {
     const relationshipsData = await extractFredSeriesRelationships({ seriesId });
 
     if (!relationshipsData) {
-      throw new Error('No FRED series relationships data available');
+      throw new DataUnavailableError('No FRED series relationships data available', { source: 'FRED' });
     }
 
     const rows = toFredRelationshipsRows(relationshipsData);
@@ -6252,274 +10272,284 @@ async function fetchFredSeriesRelationships({ seriesId }) {
       }
     };
   } catch (error) {
+    if (error instanceof FinancialDataError) throw error;
     throw new Error(`FRED series relationships fetch failed: ${error.message}`);
   }
 }
 
+// GeoFRED region types, and a series per level to map when none is given
+const GEOFRED_REGION_TYPES = ['state', 'msa', 'county', 'censusregion', 'censusdivision', 'bea', 'frb', 'necta', 'country'];
+const GEOFRED_DEFAULT_SERIES = { state: 'CAUR' };
+// FIPS codes are zero-padded to these widths (MSA/NECTA codes are CBSA codes)
+const GEOFRED_CODE_WIDTHS = { state: 2, county: 5, msa: 5, necta: 5 };
+const GEOFRED_EXPORT_FORMATS = ['none', 'csv', 'geojson'];
+const GEOFRED_MARKDOWN_ROWS = 60;
+
 /**
- * Extract FRED Maps geographic data for visualization
- * @param {Object} params - Parameters for maps data
- * @returns {Promise<Object>} Geographic data
+ * Fetch a GeoFRED cross-section: every region's value of one indicator on one date
+ * @param {Object} params - Parameters
+ * @param {string} params.seriesId - Any regional series of the indicator, e.g. "CAUR"
+ * @param {string} params.region - Expected region type (checked against the series group)
+ * @param {string} params.date - Observation date (default the group's latest)
+ * @param {boolean} params.includeShapes - Also fetch region shapes for GeoJSON export
+ * @returns {Promise<Object>} Series group metadata, regional values and optional shapes
  */
-async function extractFredMapsData({ seriesGroup = null, region = 'state', date = null }) {
+async function extractFredMapsData({ seriesId, region = null, date = null, includeShapes = false }) {
   try {
-    const apiKey = process.env.FRED_API_KEY;
-    if (!apiKey || apiKey === 'demo') {
-      throw new Error('Valid FRED API key required for maps data. Please set FRED_API_KEY environment variable.');
-    }
-
-    // FRED Maps API has limited public access, so we'll use regular API with geographic tags
-    // to build geographic economic datasets
-    
-    let searchTags = '';
-    if (region === 'state') {
-      searchTags = 'state;regional';
-    } else if (region === 'msa') {
-      searchTags = 'msa;regional';
-    } else if (region === 'county') {
-      searchTags = 'county;regional';
-    } else {
-      searchTags = 'regional';
-    }
-
-    // Search for geographic series
-    const seriesUrl = `https://api.stlouisfed.org/fred/tags/series?tag_names=${encodeURIComponent(searchTags)}&api_key=${apiKey}&file_type=json&limit=50&order_by=popularity&sort_order=desc`;
-
-    const response = await axios.get(seriesUrl, {
-      timeout: 15000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; Yahoo-Finance-MCP/1.0)'
-      }
-    });
-
-    if (response.data && response.data.seriess && response.data.seriess.length > 0) {
-      const geoSeries = response.data.seriess
-        .filter(series => {
-          const title = series.title.toLowerCase();
-          return title.includes(region) || 
-                 (region === 'state' && (title.includes(' in ') || title.includes('state'))) ||
-                 (region === 'msa' && title.includes('msa')) ||
-                 (region === 'county' && title.includes('county'));
-        })
-        .slice(0, 20)
-        .map(series => ({
-          id: series.id,
-          title: series.title,
-          units: series.units || 'Unknown',
-          frequency: series.frequency || 'Unknown',
-          observation_start: series.observation_start,
-          observation_end: series.observation_end,
-          last_updated: series.last_updated,
-          popularity: series.popularity || 0,
-          notes: series.notes ? series.notes.substring(0, 200) + '...' : 'No description available'
-        }));
-
-      // Get latest data for top geographic series
-      const seriesWithData = await Promise.all(
-        geoSeries.slice(0, 10).map(async (series) => {
-          try {
-            const dataUrl = `https://api.stlouisfed.org/fred/series/observations?series_id=${series.id}&api_key=${apiKey}&file_type=json&limit=1&sort_order=desc`;
+    requireFredApiKey('maps data');
+
+    const groupData = await fredRequest('geofred/series/group', { series_id: seriesId });
+    const group = groupData.series_group?.[0] || groupData.series_group;
+    if (!group || !group.series_group) {
+      throw new DataUnavailableError(`${seriesId} is not part of a GeoFRED series group`, { symbol: seriesId, source: 'FRED' });
+    }
+    if (region && region !== group.region_type) {
+      throw new InvalidInputError(`${seriesId} belongs to a ${group.region_type} series group, not ${region} - pass a ${region}-level series`);
+    }
+
+    const mapDate = date || group.max_date;
+    const [regional, shapes] = await Promise.all([
+      fredRequest('geofred/regional/data', {
+        series_group: group.series_group,
+        region_type: group.region_type,
+        date: mapDate,
+        season: group.season,
+        units: group.units,
+        frequency: group.frequency,
+        transformation: 'lin'
+      }),
+      includeShapes
+        ? fredRequest('geofred/shapes/file', { shape: group.region_type }).catch(() => null)
+        : null
+    ]);
+
+    // The payload is keyed by map title, then by date
+    const [title, byDate] = Object.entries(regional || {}).find(([, value]) => value && typeof value === 'object') || [];
+    const values = byDate ? byDate[mapDate] || Object.values(byDate)[0] || [] : [];
 
-            const dataResponse = await axios.get(dataUrl, {
-              timeout: 8000,
-              headers: {
-                'User-Agent': 'Mozilla/5.0 (compatible; Yahoo-Finance-MCP/1.0)'
-              }
-            });
+    return {
+      seriesId,
+      title: title || group.title,
+      group,
+      date: mapDate,
+      values,
+      shapes
+    };
+  } catch (error) {
+    throw toFinancialDataError(error, { source: 'FRED', symbol: seriesId });
+  }
+}
 
-            if (dataResponse.data && dataResponse.data.observations && dataResponse.data.observations.length > 0) {
-              const validObs = dataResponse.data.observations.filter(obs => obs.value !== '.' && obs.value !== null);
-              if (validObs.length > 0) {
-                const latest = validObs[0];
-                series.latest_value = parseFloat(latest.value);
-                series.latest_date = latest.date;
-                
-                // Extract geographic identifier from title
-                series.geographic_area = extractGeographicArea(series.title, region);
-              }
-            }
+/**
+ * Convert a GeoFRED cross-section to one row per region, ranked (1 = highest) and
+ * assigned to value quintiles (1 = lowest fifth, 5 = highest)
+ */
+function toFredMapsRows(mapsData) {
+  const width = GEOFRED_CODE_WIDTHS[mapsData.group.region_type];
+  const rows = mapsData.values.map(entry => ({
+    region: entry.region,
+    fips: entry.code === undefined || entry.code === null ? null : width ? String(entry.code).padStart(width, '0') : String(entry.code),
+    series_id: entry.series_id || null,
+    value: parseFredValue(entry.value),
+    rank: null,
+    quintile: null,
+    date: mapsData.date,
+    region_type: mapsData.group.region_type,
+    units: mapsData.group.units
+  }));
 
-            await new Promise(resolve => setTimeout(resolve, 300)); // Rate limiting
+  const ranked = rows.filter(row => row.value !== null).sort((a, b) => b.value - a.value);
+  ranked.forEach((row, i) => {
+    // Ties share the better rank
+    row.rank = i > 0 && ranked[i - 1].value === row.value ? ranked[i - 1].rank : i + 1;
+    row.quintile = Math.min(5, Math.floor(((ranked.length - 1 - i) * 5) / ranked.length) + 1);
+  });
 
-          } catch (dataError) {
-            // Data fetch failed - continue without latest values
-          }
+  return rows.sort((a, b) => (a.rank ?? Infinity) - (b.rank ?? Infinity) || a.region.localeCompare(b.region));
+}
 
-          return series;
-        })
-      );
+/**
+ * Distribution of the cross-section and the value range of each quintile
+ */
+function fredMapsSummary(rows, mapsData) {
+  const values = rows.filter(row => row.value !== null).map(row => row.value).sort((a, b) => a - b);
+  const round = value => Math.round(value * 1000) / 1000;
+  const mean = values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+  const middle = Math.floor(values.length / 2);
 
+  return {
+    series_id: mapsData.seriesId,
+    title: mapsData.title,
+    series_group: mapsData.group.series_group,
+    region_type: mapsData.group.region_type,
+    date: mapsData.date,
+    units: mapsData.group.units,
+    frequency: mapsData.group.frequency,
+    season: mapsData.group.season,
+    available_dates: { first: mapsData.group.min_date, last: mapsData.group.max_date },
+    regions: rows.length,
+    regions_with_data: values.length,
+    mean: mean === null ? null : round(mean),
+    median: values.length === 0 ? null : values.length % 2 ? values[middle] : round((values[middle - 1] + values[middle]) / 2),
+    std_dev: values.length > 1 ? round(Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1))) : null,
+    min: values.length > 0 ? values[0] : null,
+    max: values.length > 0 ? values[values.length - 1] : null,
+    quintiles: [1, 2, 3, 4, 5].map(quintile => {
+      const members = rows.filter(row => row.quintile === quintile).map(row => row.value);
       return {
-        region: region,
-        seriesGroup: seriesGroup,
-        series: seriesWithData.concat(geoSeries.slice(10)),
-        totalSeries: geoSeries.length,
-        requestedDate: date
+        quintile,
+        regions: members.length,
+        min: members.length > 0 ? Math.min(...members) : null,
+        max: members.length > 0 ? Math.max(...members) : null
       };
-    }
-
-    return null;
-  } catch (error) {
-    throw error;
-  }
+    })
+  };
 }
 
 /**
- * Extract geographic area from series title
+ * CSV of the cross-section, one line per region
  */
-function extractGeographicArea(title, region) {
-  if (region === 'state') {
-    // Extract state name from patterns like "Unemployment Rate in California"
-    const stateMatch = title.match(/\bin\s+([A-Z][a-zA-Z\s]+)$/);
-    if (stateMatch) return stateMatch[1].trim();
-    
-    // Extract from patterns like "California Unemployment Rate"
-    const statePrefix = title.match(/^([A-Z][a-zA-Z\s]+?)\s+/);
-    if (statePrefix) return statePrefix[1].trim();
-  }
-  
-  if (region === 'msa') {
-    // Extract MSA name
-    const msaMatch = title.match(/([^,]+),?\s*[A-Z]{2}(-[A-Z]{2})?(\s*MSA)?/);
-    if (msaMatch) return msaMatch[1].trim();
-  }
-  
-  return 'Unknown';
+function fredMapsAsCsv(rows) {
+  const fields = ['region', 'fips', 'series_id', 'value', 'rank', 'quintile', 'date', 'units'];
+  const quote = value => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [fields.join(','), ...rows.map(row => fields.map(field => quote(row[field])).join(','))].join('\n');
 }
 
 /**
- * Convert FRED maps data to structured rows
+ * GeoJSON FeatureCollection of the cross-section. Geometry comes from GeoFRED's shapes
+ * and is null for regions without a matching shape.
  */
-function toFredMapsRows(mapsData) {
-  if (!mapsData || !mapsData.series) return [];
+function fredMapsAsGeoJson(rows, shapes) {
+  const shapeCode = feature => {
+    const props = feature.properties || {};
+    const code = props.fips ?? props.code ?? props.GEOID ?? props.geoid ?? feature.id;
+    return code === undefined || code === null ? null : String(code);
+  };
+  const geometries = new Map();
+  (shapes?.features || []).forEach(feature => {
+    const code = shapeCode(feature);
+    if (code) geometries.set(code.replace(/^0+/, ''), feature.geometry);
+    if (feature.properties?.name) geometries.set(feature.properties.name, feature.geometry);
+  });
 
-  return mapsData.series.map(series => ({
-    series_id: series.id,
-    series_title: series.title,
-    geographic_area: series.geographic_area || 'Unknown',
-    region_type: mapsData.region,
-    latest_value: series.latest_value || null,
-    latest_date: series.latest_date || null,
-    units: series.units,
-    frequency: series.frequency,
-    observation_start: series.observation_start,
-    observation_end: series.observation_end,
-    last_updated: series.last_updated,
-    popularity: series.popularity,
-    description: series.notes,
-    map_date: new Date().toISOString().split('T')[0]
-  }));
+  return {
+    type: 'FeatureCollection',
+    features: rows.map(row => ({
+      type: 'Feature',
+      id: row.fips,
+      properties: { ...row },
+      geometry: (row.fips && geometries.get(row.fips.replace(/^0+/, ''))) || geometries.get(row.region) || null
+    }))
+  };
 }
 
 /**
- * Convert FRED maps to markdown format
+ * Convert a GeoFRED cross-section to markdown
  */
-function fredMapsAsMarkdown(rows) {
-  if (!rows || rows.length === 0) {
-    return '# FRED Geographic Economic Data\n\nNo geographic data available.';
-  }
+function fredMapsAsMarkdown(rows, summary, exported = null) {
+  const format = value => (value === null ? 'N/A' : Math.abs(value) >= 1000 ? value.toLocaleString() : String(value));
+  const regionLabel = summary.region_type.toUpperCase() === 'MSA' ? 'MSA' : summary.region_type.charAt(0).toUpperCase() + summary.region_type.slice(1);
 
-  const regionType = rows[0].region_type;
   const parts = [
-    `# FRED Geographic Economic Data - ${regionType.toUpperCase()} Level`,
+    `# 🗺️ GeoFRED Cross-Section: ${summary.title}`,
     '',
-    '## Geographic Economic Analysis',
-    `Analysis of economic indicators across ${regionType} boundaries for spatial economic insights.`,
+    `**Region Type:** ${regionLabel} | **Date:** ${summary.date} | **Units:** ${summary.units}`,
+    `**Regions:** ${summary.regions_with_data} with data of ${summary.regions} | **Series Group:** ${summary.series_group} (from \`${summary.series_id}\`)`,
+    `**Available Dates:** ${summary.available_dates.first} to ${summary.available_dates.last}`,
     ''
   ];
 
-  // Add data summary
-  const totalAreas = new Set(rows.map(r => r.geographic_area)).size;
-  const withData = rows.filter(r => r.latest_value !== null).length;
-  const dataTypes = new Set(rows.map(r => r.series_title.split(' ')[0])).size;
+  if (summary.regions_with_data === 0) {
+    parts.push(`No regional values for ${summary.date}.`);
+    return parts.join('\n');
+  }
 
-  parts.push('## Geographic Coverage Summary');
-  parts.push(`**Region Type:** ${regionType.charAt(0).toUpperCase() + regionType.slice(1)}`);
-  parts.push(`**Geographic Areas:** ${totalAreas}`);
-  parts.push(`**Series with Data:** ${withData}/${rows.length}`);
-  parts.push(`**Data Categories:** ~${dataTypes} types`);
+  parts.push('## 📊 Distribution');
   parts.push('');
-
-  // Add geographic data table
-  parts.push('| Geographic Area | Indicator | Latest Value | Date | Frequency |');
-  parts.push('|-----------------|-----------|--------------|------|-----------|');
-
-  rows.filter(r => r.latest_value !== null).slice(0, 20).forEach(series => {
-    const indicator = series.series_title.length > 40 ? 
-      series.series_title.substring(0, 37) + '...' : series.series_title;
-    const value = `${series.latest_value.toLocaleString()} ${series.units}`;
-    
-    parts.push(`| **${series.geographic_area}** | ${indicator} | ${value} | ${series.latest_date} | ${series.frequency} |`);
+  parts.push(`**Mean:** ${format(summary.mean)} | **Median:** ${format(summary.median)} | **Std Dev:** ${format(summary.std_dev)} | **Range:** ${format(summary.min)} to ${format(summary.max)}`);
+  parts.push('');
+  parts.push('| Quintile | Regions | Range |');
+  parts.push('|----------|---------|-------|');
+  [...summary.quintiles].reverse().forEach(quintile => {
+    parts.push(`| Q${quintile.quintile}${quintile.quintile === 5 ? ' (highest)' : quintile.quintile === 1 ? ' (lowest)' : ''} | ${quintile.regions} | ${quintile.regions > 0 ? `${format(quintile.min)} to ${format(quintile.max)}` : '-'} |`);
   });
 
   parts.push('');
-  parts.push('## Available Geographic Series');
+  parts.push('## 🏆 Rankings');
   parts.push('');
-
-  // Group by geographic area
-  const byArea = {};
-  rows.forEach(series => {
-    const area = series.geographic_area;
-    if (!byArea[area]) byArea[area] = [];
-    byArea[area].push(series);
+  parts.push(`| Rank | ${regionLabel} | FIPS | Value | Quintile | Series |`);
+  parts.push('|------|--------|------|-------|----------|--------|');
+  rows.slice(0, GEOFRED_MARKDOWN_ROWS).forEach(row => {
+    parts.push(`| ${row.rank ?? '-'} | ${row.region} | ${row.fips || '-'} | **${format(row.value)}** | ${row.quintile ? `Q${row.quintile}` : '-'} | ${row.series_id || '-'} |`);
   });
+  if (rows.length > GEOFRED_MARKDOWN_ROWS) {
+    parts.push('');
+    parts.push(`*Showing the top ${GEOFRED_MARKDOWN_ROWS} of ${rows.length} regions - all are in the structured rows${exported ? ' and the export below' : ''}.*`);
+  }
 
-  Object.entries(byArea).slice(0, 10).forEach(([area, seriesList]) => {
-    parts.push(`### ${area}`);
-    parts.push(`**Available Indicators:** ${seriesList.length}`);
-    
-    const withDataCount = seriesList.filter(s => s.latest_value !== null).length;
-    parts.push(`**With Current Data:** ${withDataCount}/${seriesList.length}`);
-    
-    if (withDataCount > 0) {
-      const latest = seriesList.filter(s => s.latest_value !== null)[0];
-      parts.push(`**Sample Data:** ${latest.series_title} = ${latest.latest_value.toLocaleString()} ${latest.units} (${latest.latest_date})`);
-    }
-    
+  if (exported) {
     parts.push('');
-  });
+    parts.push(`## 📦 ${exported.format === 'csv' ? 'CSV' : 'GeoJSON'} Export`);
+    parts.push('');
+    if (exported.format === 'geojson') {
+      parts.push(`Region shapes matched for ${exported.shapes_matched} of ${rows.length} regions; the rest have null geometry.`);
+      parts.push('');
+    }
+    parts.push(`\`\`\`${exported.format === 'csv' ? 'csv' : 'json'}`);
+    parts.push(exported.content);
+    parts.push('```');
+  }
 
-  parts.push('## Data Source Information');
-  parts.push('**Geographic Scope:** Federal Reserve Economic Data (FRED)');
-  parts.push('**Coverage:** Official statistical boundaries and administrative regions');
-  parts.push('**Update Frequency:** Varies by indicator (Monthly, Quarterly, Annual)');
-  parts.push('**Data Quality:** Government and institutional sources');
-  
   parts.push('');
   parts.push('---');
-  parts.push(`*Geographic economic analysis across ${totalAreas} ${regionType} areas*`);
+  parts.push('*Data from GeoFRED (FRED Maps API). FIPS codes are state/county FIPS or CBSA codes for metro areas.*');
 
   return parts.join('\n');
 }
 
 /**
- * Fetch FRED maps data
+ * Fetch a GeoFRED cross-section with rankings, quintiles and optional CSV/GeoJSON export
  */
-async function fetchFredMapsData({ seriesGroup = null, region = 'state', date = null }) {
-  try {
-    const mapsData = await extractFredMapsData({ seriesGroup, region, date });
+async function fetchFredMapsData({ seriesId = null, region = null, date = null, exportFormat = 'none' } = {}) {
+  if (region && !GEOFRED_REGION_TYPES.includes(region)) {
+    throw new InvalidInputError(`Unknown region "${region}". Use one of: ${GEOFRED_REGION_TYPES.join(', ')}`);
+  }
+  if (!GEOFRED_EXPORT_FORMATS.includes(exportFormat)) {
+    throw new InvalidInputError(`Unknown export format "${exportFormat}". Use one of: ${GEOFRED_EXPORT_FORMATS.join(', ')}`);
+  }
+  if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    throw new InvalidInputError(`date must be a YYYY-MM-DD date, got "${date}"`);
+  }
 
-    if (!mapsData) {
-      throw new Error('No FRED maps data available');
-    }
+  const series = seriesId ? seriesId.trim().toUpperCase() : GEOFRED_DEFAULT_SERIES[region || 'state'];
+  if (!series) {
+    throw new InvalidInputError(`series_id is required for ${region} maps - pass any ${region}-level series of the indicator`);
+  }
 
-    const rows = toFredMapsRows(mapsData);
-    const markdown = fredMapsAsMarkdown(rows);
+  const mapsData = await extractFredMapsData({ seriesId: series, region, date, includeShapes: exportFormat === 'geojson' });
+  const rows = toFredMapsRows(mapsData);
+  const summary = fredMapsSummary(rows, mapsData);
 
-    return {
-      rows,
-      markdown,
-      summary: {
-        region: mapsData.region,
-        totalSeries: mapsData.totalSeries,
-        seriesGroup: mapsData.seriesGroup,
-        requestedDate: mapsData.requestedDate,
-        mapDate: new Date().toISOString().split('T')[0]
-      }
+  let exported = null;
+  if (exportFormat === 'csv') {
+    exported = { format: 'csv', content: fredMapsAsCsv(rows) };
+  } else if (exportFormat === 'geojson') {
+    const geojson = fredMapsAsGeoJson(rows, mapsData.shapes);
+    exported = {
+      format: 'geojson',
+      shapes_matched: geojson.features.filter(feature => feature.geometry !== null).length,
+      content: JSON.stringify(geojson)
     };
-  } catch (error) {
-    throw new Error(`FRED maps data fetch failed: ${error.message}`);
   }
+  if (exported) summary.export = exported;
+
+  const markdown = fredMapsAsMarkdown(rows, summary, exported);
+
+  return { rows, summary, markdown };
 }
 
 module.exports = {
@@ -6534,10 +10564,15 @@ module.exports = {
   fetchStockNews,
   fetchStockPeers,
   fetchEconomicIndicators,
+  fetchYieldCurve,
+  fetchRecessionSignals,
   fetchFredSeriesSearch,
   fetchFredSeriesData,
+  fetchFredSeriesCompare,
+  fetchFredExpression,
   fetchFredCategories,
   fetchFredReleases,
+  fetchFredReleaseCalendar,
   fetchFredVintageData,
   fetchFredTags,
   fetchFredRegionalData,
@@ -6548,12 +10583,38 @@ module.exports = {
   fetchMarketIndices,
   fetchStockScreener,
   fetchStockCorrelation,
+  fetchPortfolioAnalytics,
   fetchYahooEarningsHistory,
   fetchYahooRecommendations,
   fetchYahooESG,
   fetchStockDividends,
   fetchStockTechnicals,
+  fetchStockHistory,
+  extractPriceHistory,
+  computeTechnicalIndicators,
+  DEFAULT_TECHNICAL_PARAMS,
+  HISTORY_RANGES,
+  HISTORY_INTERVALS,
+  FRED_UNIT_TRANSFORMS,
+  FRED_FREQUENCIES,
+  FRED_AGGREGATION_METHODS,
+  FRED_FILL_METHODS,
+  FRED_EXPRESSION_FUNCTIONS,
+  fredExpressionSeriesIds,
+  INVERSION_SPREAD_SERIES,
   extractAssetProfile,
   toStockProfileRow,
-  rowAsMarkdown
+  rowAsMarkdown,
+  FinancialDataError,
+  SymbolNotFoundError,
+  UpstreamHttpError,
+  RateLimitedError,
+  ParseError,
+  DataUnavailableError,
+  MissingApiKeyError,
+  InvalidInputError,
+  FixtureMissingError,
+  toFinancialDataError,
+  fetchFredNextReleaseDate,
+  setHttpClient
 };
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+/**
+ * Outbound HTTP for every upstream (Yahoo Finance, stockanalysis.com, Yahoo Search, FRED).
+ *
+ * Modes:
+ * - live:   plain axios requests (default)
+ * - record: live requests, each response also saved as a JSON fixture
+ * - replay: responses served from fixtures only - no network access
+ *
+ * The mode and fixture directory default to FINANCIAL_MCP_HTTP_MODE and
+ * FINANCIAL_MCP_FIXTURES_DIR.
+ */
+const HTTP_MODES = ['live', 'record', 'replay'];
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'test', 'fixtures', 'http');
+
+// Response headers worth keeping in fixtures (others vary per request)
+const RECORDED_HEADERS = ['content-type', 'retry-after'];
+
+/**
+ * Remove credentials from a URL so fixtures can be committed and replayed with any key
+ * @param {string} url - Request URL
+ * @returns {string} URL with api_key redacted
+ */
+function redactUrl(url) {
+  return url.replace(/([?&]api_key=)[^&]*/i, '$1REDACTED');
+}
+
+/**
+ * Fixture file for a request: <host>/<path-slug>-<hash>.json
+ * @param {string} fixturesDir - Fixture root directory
+ * @param {string} url - Request URL
+ * @returns {string} Absolute fixture path
+ */
+function fixturePath(fixturesDir, url) {
+  const redacted = redactUrl(url);
+  const { hostname, pathname } = new URL(redacted);
+  const slug = pathname.replace(/[^a-z0-9]+/gi, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'index';
+  const hash = crypto.createHash('sha1').update(redacted).digest('hex').slice(0, 10);
+  return path.join(fixturesDir, hostname, `${slug}-${hash}.json`);
+}
+
+/**
+ * Rebuild an axios-style response (or thrown error) from a fixture
+ * @param {Object} fixture - Saved fixture
+ * @param {Object} config - Request config
+ * @returns {Object} Response for 2xx/3xx fixtures
+ * @throws {Error} axios-style error with `response` for 4xx/5xx fixtures
+ */
+function responseFromFixture(fixture, config) {
+  const response = {
+    status: fixture.status,
+    headers: fixture.headers || {},
+    data: fixture.data,
+    config,
+    request: { res: { responseUrl: fixture.responseUrl || fixture.url } }
+  };
+
+  if (fixture.status >= 400) {
+    const error = new Error(`Request failed with status code ${fixture.status}`);
+    error.response = response;
+    error.config = config;
+    error.isAxiosError = true;
+    throw error;
+  }
+
+  return response;
+}
+
+/**
+ * Save a response as a fixture
+ * @param {string} file - Fixture path
+ * @param {string} url - Request URL
+ * @param {Object} response - axios response
+ */
+function writeFixture(file, url, response) {
+  const headers = {};
+  RECORDED_HEADERS.forEach(name => {
+    if (response.headers && response.headers[name] !== undefined) {
+      headers[name] = String(response.headers[name]);
+    }
+  });
+
+  const responseUrl = response.request?.res?.responseUrl;
+  const fixture = {
+    url: redactUrl(url),
+    status: response.status,
+    headers,
+    ...(responseUrl && responseUrl !== url ? { responseUrl: redactUrl(responseUrl) } : {}),
+    data: response.data
+  };
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(fixture, null, 2) + '\n');
+}
+
+/**
+ * Create an HTTP client
+ * @param {Object} options - Client options
+ * @param {string} options.mode - "live", "record" or "replay"
+ * @param {string} options.fixturesDir - Fixture root directory for record/replay
+ * @param {Function} options.transport - (url, config) => Promise<response>, defaults to axios.get
+ * @returns {Object} Client with get(url, config) and pause(ms)
+ */
+function createHttpClient({
+  mode = process.env.FINANCIAL_MCP_HTTP_MODE || 'live',
+  fixturesDir = process.env.FINANCIAL_MCP_FIXTURES_DIR || DEFAULT_FIXTURES_DIR,
+  transport = (url, config) => axios.get(url, config)
+} = {}) {
+  if (!HTTP_MODES.includes(mode)) {
+    throw new Error(`Unknown HTTP mode "${mode}". Use one of: ${HTTP_MODES.join(', ')}`);
+  }
+
+  async function get(url, config = {}) {
+    // Query params passed via config are part of the request identity
+    const requestUrl = config.params ? axios.getUri({ url, params: config.params }) : url;
+
+    if (mode === 'replay') {
+      const file = fixturePath(fixturesDir, requestUrl);
+      if (!fs.existsSync(file)) {
+        // Name the fixture relative to the fixture root: the message reaches MCP clients
+        const error = new Error(`No recorded fixture for GET ${redactUrl(requestUrl)} (expected ${path.relative(fixturesDir, file).split(path.sep).join('/')})`);
+        error.code = 'FIXTURE_MISSING';
+        throw error;
+      }
+      return responseFromFixture(JSON.parse(fs.readFileSync(file, 'utf8')), config);
+    }
+
+    if (mode === 'live') {
+      return transport(url, config);
+    }
+
+    // Record HTTP errors too, so not-found and rate-limit paths replay faithfully
+    try {
+      const response = await transport(url, config);
+      writeFixture(fixturePath(fixturesDir, requestUrl), requestUrl, response);
+      return response;
+    } catch (error) {
+      if (error.response) {
+        writeFixture(fixturePath(fixturesDir, requestUrl), requestUrl, error.response);
+      }
+      throw error;
+    }
+  }
+
+  // Politeness delays between upstream requests are skipped when nothing goes over the network
+  function pause(ms) {
+    if (mode === 'replay') return Promise.resolve();
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  return { mode, fixturesDir, get, pause };
+}
+
+module.exports = {
+  createHttpClient,
+  fixturePath,
+  redactUrl,
+  HTTP_MODES
+};
@@ -7,7 +7,7 @@
  * financial intelligence through Yahoo Finance and Federal Reserve Economic Data (FRED).
  * 
  * Features:
- * - 26 Financial Analysis Methods
+ * - 35 Financial Analysis Methods
  * - Real-time Market Data & Economic Indicators  
  * - Advanced Analytics & Portfolio Management
  * - News Sentiment Analysis
@@ -40,30 +40,53 @@ const {
   fetchYahooESG,
   fetchStockDividends,
   fetchStockTechnicals,
+  fetchStockHistory,
+  HISTORY_RANGES,
+  HISTORY_INTERVALS,
+  DEFAULT_TECHNICAL_PARAMS,
   
   // Advanced Analytics Methods
   fetchStockNews,
   fetchStockPeers,
   fetchStockScreener,
   fetchStockCorrelation,
+  fetchPortfolioAnalytics,
   
   // Economic & Market Intelligence
   fetchEconomicIndicators,
+  fetchYieldCurve,
+  fetchRecessionSignals,
   fetchMarketIndices,
   
   // FRED Economic Data Methods
   fetchFredSeriesSearch,
   fetchFredSeriesData,
+  fetchFredSeriesCompare,
+  fetchFredExpression,
   fetchFredCategories,
   fetchFredReleases,
+  fetchFredReleaseCalendar,
   fetchFredVintageData,
   fetchFredTags,
   fetchFredRegionalData,
   fetchFredSources,
   fetchFredSeriesUpdates,
   fetchFredSeriesRelationships,
-  fetchFredMapsData
+  fetchFredMapsData,
+  fetchFredNextReleaseDate,
+  FRED_UNIT_TRANSFORMS,
+  FRED_FREQUENCIES,
+  FRED_AGGREGATION_METHODS,
+  FRED_FILL_METHODS,
+  FRED_EXPRESSION_FUNCTIONS,
+  fredExpressionSeriesIds,
+  INVERSION_SPREAD_SERIES,
+
+  // Typed errors
+  FinancialDataError,
+  InvalidInputError
 } = require('./financial-api.js');
+const { createCache, fetchCacheStats } = require('./cache.js');
 
 // Server Configuration
 const SERVER_INFO = {
@@ -89,22 +112,27 @@ const METHOD_CATEGORIES = {
   CORE_STOCK: {
     name: "Core Stock Analysis",
     description: "Fundamental company and financial metrics",
-    methods: ['stock_profile', 'stock_summary', 'stock_estimates', 'stock_pricing', 'stock_financials', 'stock_revenue_breakdown', 'stock_earnings_history', 'stock_recommendations', 'stock_esg', 'stock_dividends', 'stock_technicals']
+    methods: ['stock_profile', 'stock_summary', 'stock_estimates', 'stock_pricing', 'stock_financials', 'stock_revenue_breakdown', 'stock_earnings_history', 'stock_recommendations', 'stock_esg', 'stock_dividends', 'stock_technicals', 'stock_history']
   },
   ADVANCED_ANALYTICS: {
     name: "Advanced Analytics",
     description: "Sophisticated analysis and discovery tools",
-    methods: ['stock_news', 'stock_peers', 'stock_screener', 'stock_correlation']
+    methods: ['stock_news', 'stock_peers', 'stock_screener', 'stock_correlation', 'portfolio_analytics']
   },
   ECONOMIC_INTELLIGENCE: {
     name: "Economic & Market Intelligence", 
     description: "Macro-economic data and market indicators",
-    methods: ['economic_indicators', 'market_indices']
+    methods: ['economic_indicators', 'market_indices', 'yield_curve', 'recession_signals']
   },
   FRED_DATA: {
     name: "FRED Economic Data",
     description: "Federal Reserve Economic Data integration",
-    methods: ['fred_series_search', 'fred_series_data', 'fred_categories', 'fred_releases', 'fred_vintage_data', 'fred_tags', 'fred_regional_data', 'fred_sources', 'fred_series_updates', 'fred_series_relationships', 'fred_maps_data']
+    methods: ['fred_series_search', 'fred_series_data', 'fred_series_compare', 'fred_expression', 'fred_categories', 'fred_releases', 'fred_release_calendar', 'fred_vintage_data', 'fred_tags', 'fred_regional_data', 'fred_sources', 'fred_series_updates', 'fred_series_relationships', 'fred_maps_data']
+  },
+  SERVER: {
+    name: "Server",
+    description: "Cache inspection",
+    methods: ['cache_stats']
   }
 };
 
@@ -115,43 +143,929 @@ const ALL_METHODS = [
   // Core Stock Analysis Methods
   'stock_profile', 'stock_summary', 'stock_estimates', 'stock_pricing', 'stock_financials', 
   'stock_revenue_breakdown', 'stock_earnings_history', 'stock_recommendations', 'stock_esg', 
-  'stock_dividends', 'stock_technicals',
+  'stock_dividends', 'stock_technicals', 'stock_history',
   
   // Advanced Analytics Methods
-  'stock_news', 'stock_peers', 'stock_screener', 'stock_correlation',
+  'stock_news', 'stock_peers', 'stock_screener', 'stock_correlation', 'portfolio_analytics',
   
   // Economic & Market Intelligence
-  'economic_indicators', 'market_indices',
+  'economic_indicators', 'market_indices', 'yield_curve', 'recession_signals',
   
   // FRED Economic Data Methods
-  'fred_series_search', 'fred_series_data', 'fred_categories', 'fred_releases', 
+  'fred_series_search', 'fred_series_data', 'fred_series_compare', 'fred_expression', 'fred_categories', 'fred_releases', 'fred_release_calendar',
   'fred_vintage_data', 'fred_tags', 'fred_regional_data', 'fred_sources', 
-  'fred_series_updates', 'fred_series_relationships', 'fred_maps_data'
+  'fred_series_updates', 'fred_series_relationships', 'fred_maps_data',
+
+  // Server
+  'cache_stats'
 ];
 
+/**
+ * Structured output field types per method.
+ * Every field is nullable - Yahoo and FRED leave many values blank for some instruments.
+ */
+const OUTPUT_FIELDS = {
+  stock_profile: {
+    symbol: 'string', address: 'string', city: 'string', country: 'string', phone: 'string', zip: 'string',
+    industry: 'string', sector: 'string', long_business_summary: 'string', full_time_employees: 'number',
+    report_date: 'string'
+  },
+  stock_summary: {
+    symbol: 'string', market_cap: 'number', enterprise_value: 'number', shares_outstanding: 'number', beta: 'number',
+    trailing_pe: 'number', forward_pe: 'number', trailing_eps: 'number', forward_eps: 'number',
+    enterprise_to_ebitda: 'number', enterprise_to_revenue: 'number', peg_ratio: 'number',
+    currency: 'string', report_date: 'string'
+  },
+  stock_estimates: {
+    symbol: 'string', earnings_estimate_avg: 'number', earnings_estimate_high: 'number', earnings_estimate_low: 'number',
+    revenue_estimate_avg: 'number', revenue_estimate_high: 'number', revenue_estimate_low: 'number',
+    price_target_mean: 'number', price_target_high: 'number', price_target_low: 'number',
+    recommendation_mean: 'number', analyst_count: 'number', currency: 'string', report_date: 'string'
+  },
+  stock_pricing: {
+    symbol: 'string', current_price: 'number', previous_close: 'number', open_price: 'number',
+    day_low: 'number', day_high: 'number', regular_market_change: 'number', regular_market_change_percent: 'number',
+    pre_market_price: 'number', pre_market_change: 'number', pre_market_change_percent: 'number',
+    post_market_price: 'number', post_market_change: 'number', post_market_change_percent: 'number',
+    volume: 'number', average_volume: 'number', average_volume_10day: 'number',
+    fifty_two_week_low: 'number', fifty_two_week_high: 'number', fifty_day_average: 'number', two_hundred_day_average: 'number',
+    bid_price: 'number', ask_price: 'number', bid_size: 'number', ask_size: 'number',
+    market_state: 'string', currency: 'string', report_date: 'string'
+  },
+  stock_financials: {
+    symbol: 'string', total_cash: 'number', total_cash_per_share: 'number', total_debt: 'number', debt_to_equity: 'number',
+    total_revenue: 'number', revenue_per_share: 'number', gross_profits: 'number', ebitda: 'number',
+    return_on_assets: 'number', return_on_equity: 'number', free_cashflow: 'number', operating_cashflow: 'number',
+    earnings_growth: 'number', revenue_growth: 'number', gross_margins: 'number', ebitda_margins: 'number',
+    operating_margins: 'number', profit_margins: 'number', quick_ratio: 'number', current_ratio: 'number',
+    currency: 'string', report_date: 'string'
+  },
+  stock_revenue_breakdown: {
+    symbol: 'string', breakdown_type: 'string', report_date: 'string', item_name: 'string', item_value: 'number'
+  },
+  stock_earnings_history: {
+    symbol: 'string', report_date: 'string', quarter_end: 'string', fiscal_quarter: 'string',
+    eps_actual: 'number', eps_estimate: 'number', eps_surprise: 'number', surprise_percent: 'number',
+    result: 'string', revenue: 'number', earnings: 'number', currency: 'string'
+  },
+  stock_recommendations: {
+    symbol: 'string', period: 'string', strong_buy: 'integer', buy: 'integer', hold: 'integer', sell: 'integer',
+    strong_sell: 'integer', total_analysts: 'integer', positive_ratings: 'integer', negative_ratings: 'integer',
+    consensus_score: 'string', report_date: 'string'
+  },
+  stock_esg: {
+    symbol: 'string', total_esg_score: 'number', environment_score: 'number', social_score: 'number',
+    governance_score: 'number', peer_average: 'number', percentile: 'number',
+    adult_content: 'boolean', alcoholic_beverages: 'boolean', animal_testing: 'boolean', catholic_values: 'boolean',
+    controversial_weapons: 'boolean', gambling: 'boolean', gmo: 'boolean', military_contract: 'boolean',
+    nuclear: 'boolean', pesticides: 'boolean', palm_oil: 'boolean', coal: 'boolean', tobacco: 'boolean',
+    report_date: 'string'
+  },
+  stock_dividends: {
+    symbol: 'string', dividend_rate: 'number', dividend_yield: 'number', ex_dividend_date: 'string',
+    payout_ratio: 'number', five_year_avg_yield: 'number', last_dividend_value: 'number', last_dividend_date: 'string',
+    report_date: 'string'
+  },
+  stock_technicals: {
+    symbol: 'string', fifty_day_ma: 'number', two_hundred_day_ma: 'number', fifty_two_week_low: 'number',
+    fifty_two_week_high: 'number', beta: 'number', average_volume: 'number', average_volume_10d: 'number',
+    current_volume: 'number', price_date: 'string', last_close: 'number', rsi: 'number',
+    macd: 'number', macd_signal: 'number', macd_histogram: 'number', macd_cross: 'string', macd_cross_date: 'string',
+    bollinger_upper: 'number', bollinger_middle: 'number', bollinger_lower: 'number',
+    bollinger_percent_b: 'number', bollinger_bandwidth: 'number', atr: 'number', atr_percent: 'number',
+    stochastic_k: 'number', stochastic_d: 'number', realized_volatility: 'number',
+    short_ma: 'number', long_ma: 'number', ma_cross: 'string', ma_cross_date: 'string',
+    parameters: 'object', report_date: 'string'
+  },
+  stock_history: {
+    symbol: 'string', date: 'string', open: 'number', high: 'number', low: 'number', close: 'number',
+    unadjusted_close: 'number', adj_close: 'number', volume: 'number', adjusted: 'boolean'
+  },
+  stock_news: {
+    uuid: 'string', related_symbols: 'array', title: 'string', publisher: 'string', report_date: 'string',
+    type: 'string', link: 'string', news: 'array'
+  },
+  stock_peers: {
+    symbol: 'string', company_type: 'string', industry: 'string', sector: 'string', market_cap: 'number',
+    trailing_pe: 'number', forward_pe: 'number', peg_ratio: 'number', price_to_book: 'number',
+    enterprise_value: 'number', revenue_growth: 'number', earnings_growth: 'number', peer_rank: 'integer',
+    peer_basis: 'array', peer_reason: 'string', market_cap_ratio: 'number', recommendation_score: 'number',
+    report_date: 'string'
+  },
+  stock_screener: {
+    symbol: 'string', name: 'string', sector: 'string', industry: 'string', price: 'number', market_cap: 'number',
+    trailing_pe: 'number', forward_pe: 'number', peg_ratio: 'number', price_to_book: 'number',
+    dividend_yield: 'number', revenue_growth: 'number', earnings_growth: 'number', profit_margins: 'number',
+    return_on_equity: 'number', debt_to_equity: 'number', beta: 'number', volume: 'number',
+    average_volume: 'number', market_cap_pct_rank: 'number', trailing_pe_pct_rank: 'number',
+    forward_pe_pct_rank: 'number', peg_ratio_pct_rank: 'number', price_to_book_pct_rank: 'number',
+    dividend_yield_pct_rank: 'number', revenue_growth_pct_rank: 'number', earnings_growth_pct_rank: 'number',
+    profit_margins_pct_rank: 'number', return_on_equity_pct_rank: 'number', debt_to_equity_pct_rank: 'number',
+    beta_pct_rank: 'number', enterprise_to_ebitda: 'number', enterprise_to_ebitda_pct_rank: 'number',
+    fifty_day_average: 'number', two_hundred_day_average: 'number', fifty_two_week_high: 'number',
+    fifty_two_week_low: 'number', factor_rank: 'integer', composite_score: 'number', value_score: 'number',
+    value_contribution: 'number', quality_score: 'number', quality_contribution: 'number', growth_score: 'number',
+    growth_contribution: 'number', momentum_score: 'number', momentum_contribution: 'number',
+    screen_date: 'string', criteria_used: 'string'
+  },
+  stock_correlation: {
+    symbol_1: 'string', symbol_2: 'string', correlation: 'number', correlation_method: 'string',
+    observations: 'integer', insufficient_data: 'boolean', lookback: 'string', frequency: 'string',
+    symbol_1_price: 'number', symbol_2_price: 'number', symbol_1_change_percent: 'number',
+    symbol_2_change_percent: 'number', analysis_date: 'string'
+  },
+  portfolio_analytics: {
+    symbol: 'string', weight: 'number', shares: 'number', price: 'number', market_value: 'number',
+    annualized_return: 'number', annualized_volatility: 'number', beta: 'number',
+    marginal_risk_contribution: 'number', risk_contribution: 'number', risk_contribution_pct: 'number',
+    lookback: 'string', frequency: 'string', analysis_date: 'string'
+  },
+  economic_indicators: {
+    indicator: 'string', indicator_name: 'string', value: 'number', unit: 'string', date: 'string',
+    series_id: 'string', source: 'string', report_date: 'string'
+  },
+  market_indices: {
+    index_key: 'string', symbol: 'string', index_name: 'string', price: 'number', change: 'number',
+    change_percent: 'number', volume: 'number', market_cap: 'number', last_updated: 'string', report_date: 'string'
+  },
+  yield_curve: {
+    tenor: 'string', maturity_years: 'number', series_id: 'string', yield: 'number', yield_1m_ago: 'number',
+    yield_3m_ago: 'number', yield_1y_ago: 'number', change_1m_bp: 'number', change_3m_bp: 'number',
+    change_1y_bp: 'number', real_series_id: 'string', real_yield: 'number', breakeven_inflation: 'number',
+    curve_date: 'string'
+  },
+  recession_signals: {
+    indicator: 'string', name: 'string', category: 'string', series_id: 'string', value: 'number', unit: 'string',
+    date: 'string', change_6m: 'number', threshold: 'number', triggered: 'boolean'
+  },
+  fred_series_search: {
+    series_id: 'string', title: 'string', units: 'string', frequency: 'string', seasonal_adjustment: 'string',
+    start_date: 'string', end_date: 'string', popularity: ['number', 'string'], description: 'string',
+    search_terms: 'string', search_date: 'string', api_endpoint: 'string'
+  },
+  fred_series_data: {
+    series_id: 'string', date: 'string', value: 'number', realtime_start: 'string', realtime_end: 'string',
+    series_title: 'string', units: 'string', frequency: 'string', seasonal_adjustment: 'string',
+    units_transform: 'string', aggregation_method: 'string', last_updated: 'string', fetch_date: 'string'
+  },
+  // Plus one numeric column per requested series ID, e.g. { date, UNRATE, CPIAUCSL }
+  fred_series_compare: {
+    date: 'string'
+  },
+  fred_expression: {
+    series_id: 'string', date: 'string', value: 'number', realtime_start: 'string', realtime_end: 'string',
+    series_title: 'string', units: 'string', frequency: 'string', seasonal_adjustment: 'string',
+    units_transform: 'string', aggregation_method: 'string', last_updated: 'string', fetch_date: 'string'
+  },
+  fred_categories: {
+    category_id: 'integer', category_name: 'string', parent_id: 'integer', description: 'string',
+    sample_series_count: 'integer', sample_series: 'string', fetch_date: 'string'
+  },
+  fred_releases: {
+    release_id: 'integer', release_name: 'string', has_press_release: 'boolean', link: 'string', description: 'string',
+    realtime_start: 'string', realtime_end: 'string', recent_dates: 'string', fetch_date: 'string'
+  },
+  fred_release_calendar: {
+    date: 'string', weekday: 'string', release_id: 'integer', release_name: 'string', release_url: 'string',
+    key_series: 'string', series_id: 'string', series_title: 'string', series_url: 'string', last_value: 'number',
+    last_observation_date: 'string'
+  },
+  fred_vintage_data: {
+    series_id: 'string', observation_date: 'string', first_release_date: 'string', first_release: 'number',
+    value_after: 'number', value_after_date: 'string', value: 'number', latest_release_date: 'string',
+    revision_after: 'number', revision_total: 'number', revision_total_percent: 'number', releases: 'integer',
+    backfilled: 'boolean'
+  },
+  fred_tags: {
+    tag_name: 'string', group_id: 'string', description: 'string', created_date: 'string', popularity: 'number',
+    series_count: 'integer', related_tags: 'string', search_text: 'string', fetch_date: 'string'
+  },
+  fred_regional_data: {
+    series_id: 'string', title: 'string', units: 'string', frequency: 'string', seasonal_adjustment: 'string',
+    last_updated: 'string', popularity: 'number', latest_value: 'number', latest_date: 'string',
+    description: 'string', tag_filter: 'string', fetch_date: 'string'
+  },
+  fred_sources: {
+    source_id: 'integer', source_name: 'string', website_link: 'string', description: 'string',
+    realtime_start: 'string', realtime_end: 'string', sample_releases: 'array', total_releases: 'integer',
+    search_date: 'string'
+  },
+  fred_series_updates: {
+    series_id: 'string', series_title: 'string', frequency: 'string', units: 'string', last_updated: 'string',
+    latest_value: 'number', latest_date: 'string', change_percent: 'number', observation_start: 'string',
+    observation_end: 'string', seasonal_adjustment: 'string', popularity: 'number', description: 'string',
+    update_date: 'string'
+  },
+  fred_series_relationships: {
+    series_id: 'string', series_title: 'string', units: 'string', frequency: 'string', seasonal_adjustment: 'string',
+    observation_start: 'string', observation_end: 'string', last_updated: 'string', description: 'string',
+    analysis_date: 'string', categories: 'array', release_info: 'object', tags: 'array',
+    total_categories: 'integer', total_tags: 'integer', has_release: 'boolean'
+  },
+  fred_maps_data: {
+    region: 'string', fips: 'string', series_id: 'string', value: 'number', rank: 'integer',
+    quintile: 'integer', date: 'string', region_type: 'string', units: 'string'
+  },
+  cache_stats: {
+    method: 'string', entries: 'integer', fresh_entries: 'integer', expired_entries: 'integer',
+    size_bytes: 'integer', hits: 'integer', misses: 'integer', hit_rate: 'number',
+    oldest_entry: 'string', next_expiry: 'string'
+  }
+};
+
+// Stable codes carried by failed calls in structuredContent.error.code, with a hint for each
+const ERROR_HINTS = {
+  SYMBOL_NOT_FOUND: '🔍 Check the ticker or FRED series ID - use fred_series_search to look up series IDs',
+  RATE_LIMITED: '⏳ The data provider is throttling requests - wait a minute and retry',
+  UPSTREAM_HTTP_ERROR: '🌐 The data provider failed or could not be reached - retry later',
+  PARSE_ERROR: '🧩 The provider response did not have the expected shape - the page layout may have changed',
+  NO_DATA: '📭 The provider has no data of this kind for the request - try another symbol or method',
+  MISSING_API_KEY: '🔑 Set FRED_API_KEY (free at https://fred.stlouisfed.org/docs/api/api_key.html)',
+  INVALID_INPUT: '🔧 Check the parameters against the tool inputSchema and README examples',
+  FIXTURE_MISSING: '📼 Replay mode has no recorded response for this request - re-record with npm run test:record',
+  INTERNAL_ERROR: '🐞 Unexpected server error - please report it with the request that caused it'
+};
+
+const ERROR_SCHEMA = {
+  type: 'object',
+  properties: {
+    code: { type: 'string', enum: Object.keys(ERROR_HINTS) },
+    message: { type: 'string' },
+    source: { type: ['string', 'null'] },
+    status: { type: ['integer', 'null'] },
+    symbol: { type: ['string', 'null'] },
+    retryAfter: { type: ['number', 'null'] }
+  },
+  required: ['code', 'message']
+};
+
+// Present when a result was served from the on-disk cache
+const CACHE_INFO_SCHEMA = {
+  type: 'object',
+  properties: {
+    hit: { type: 'boolean' },
+    stored_at: { type: 'string' },
+    expires_at: { type: 'string' }
+  }
+};
+
+// Methods that return a single `row` object instead of a `rows` array
+const SINGLE_ROW_METHODS = ['stock_profile', 'stock_summary', 'stock_estimates', 'stock_pricing', 'stock_financials', 'stock_esg', 'stock_dividends', 'stock_technicals'];
+
+/**
+ * Build the structuredContent schema for one method
+ * @param {string} method - Method name
+ * @returns {Object} JSON Schema for { method, row | rows, summary }
+ */
+function buildOutputSchema(method) {
+  const properties = {};
+  Object.entries(OUTPUT_FIELDS[method]).forEach(([field, type]) => {
+    properties[field] = { type: [].concat(type, 'null') };
+  });
+
+  const rowSchema = { type: 'object', properties };
+  const dataKey = SINGLE_ROW_METHODS.includes(method) ? 'row' : 'rows';
+
+  return {
+    type: 'object',
+    properties: {
+      method: { type: 'string', const: method },
+      [dataKey]: dataKey === 'row' ? rowSchema : { type: 'array', items: rowSchema },
+      summary: { type: 'object' },
+      cache: CACHE_INFO_SCHEMA,
+      error: ERROR_SCHEMA
+    },
+    required: ['method'],
+    anyOf: [{ required: [dataKey] }, { required: ['error'] }]
+  };
+}
+
+const OUTPUT_SCHEMAS = Object.fromEntries(ALL_METHODS.map(method => [method, buildOutputSchema(method)]));
+
+/**
+ * Format a fetch result as markdown text plus structuredContent rows
+ * @param {string} method - Method name
+ * @param {string} header - Emoji header for the markdown
+ * @param {Object} results - Result of a fetch* function ({ row | rows, markdown, summary? })
+ * @returns {Object} MCP tool result
+ */
+function formatToolResult(method, header, results) {
+  const { markdown, ...data } = results;
+
+  return {
+    content: [
+      { type: 'text', text: `${header}\n\n${markdown}` }
+    ],
+    structuredContent: { method, ...data }
+  };
+}
+
+/**
+ * Format a failed call as an error result carrying a stable error code
+ * @param {Error} error - Thrown error; FinancialDataErrors keep their code and details
+ * @param {string} method - Method name, when known
+ * @returns {Object} MCP tool result with isError set
+ */
+function formatToolError(error, method) {
+  const code = error instanceof FinancialDataError ? error.code : 'INTERNAL_ERROR';
+  const message = error instanceof Error ? error.message : String(error);
+  const details = error instanceof FinancialDataError ? error.details : {};
+
+  const parts = [`❌ **${code}**`, '', message];
+  const context = [
+    details.source && `**Source:** ${details.source}`,
+    details.symbol && `**Symbol:** ${details.symbol}`,
+    details.status && `**HTTP Status:** ${details.status}`,
+    details.retryAfter && `**Retry After:** ${details.retryAfter}s`
+  ].filter(Boolean);
+  if (context.length > 0) {
+    parts.push('', context.join(' | '));
+  }
+  parts.push('', ERROR_HINTS[code], '📖 Check README.md for examples');
+
+  const structuredContent = { error: { ...details, code, message } };
+  if (method) {
+    structuredContent.method = method;
+  }
+
+  return {
+    content: [{ type: 'text', text: parts.join('\n') }],
+    structuredContent,
+    isError: true
+  };
+}
+
+/**
+ * Persistent result cache (see src/cache.js). TTLs in seconds follow how often the
+ * data can change; a function receives the method arguments. Methods absent here
+ * (cache_stats) are never cached.
+ */
+const cache = createCache();
+
+const MINUTE = 60;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const FRED_RELEASE_FALLBACK_TTL = 6 * HOUR;
+const FRED_RELEASE_DAY_TTL = 30 * MINUTE;
+
+const CACHE_TTLS = {
+  stock_profile: DAY,
+  stock_summary: 5 * MINUTE,
+  stock_estimates: 6 * HOUR,
+  stock_pricing: 15,
+  stock_financials: 12 * HOUR,
+  stock_revenue_breakdown: DAY,
+  stock_earnings_history: 12 * HOUR,
+  stock_recommendations: 6 * HOUR,
+  stock_esg: DAY,
+  stock_dividends: 12 * HOUR,
+  stock_technicals: 15 * MINUTE,
+  stock_history: ({ interval }) => (/^\d+[mh]$/.test(interval) ? MINUTE : HOUR),
+  stock_news: 10 * MINUTE,
+  stock_peers: HOUR,
+  stock_screener: 15 * MINUTE,
+  stock_correlation: HOUR,
+  portfolio_analytics: HOUR,
+  economic_indicators: HOUR,
+  market_indices: MINUTE,
+  yield_curve: HOUR,
+  recession_signals: HOUR,
+  fred_series_search: DAY,
+  // Observations only change when the series' release comes out
+  fred_series_data: 'next_release',
+  fred_series_compare: 'next_release',
+  fred_expression: 'next_release',
+  fred_vintage_data: 'next_release',
+  fred_categories: 7 * DAY,
+  fred_releases: 6 * HOUR,
+  fred_release_calendar: HOUR,
+  fred_tags: 7 * DAY,
+  fred_regional_data: 6 * HOUR,
+  fred_sources: 7 * DAY,
+  fred_series_updates: 15 * MINUTE,
+  fred_series_relationships: DAY,
+  fred_maps_data: 6 * HOUR
+};
+
+/**
+ * Next release date of a FRED series, kept in the cache for a day so repeated
+ * calls do not spend two FRED requests per series on the release schedule
+ * @param {string} seriesId - FRED series ID
+ * @returns {Promise<string|null>} Date (YYYY-MM-DD) or null if none is scheduled
+ */
+async function cachedNextReleaseDate(seriesId) {
+  const params = { series_id: seriesId };
+  const cached = cache.get('fred_next_release_date', params);
+  if (cached) return cached.value;
+
+  const releaseDate = await fetchFredNextReleaseDate(seriesId);
+  // Never keep a schedule past the end of its release day
+  const releaseDayEnd = releaseDate ? Date.parse(`${releaseDate}T00:00:00Z`) + DAY * 1000 : Infinity;
+  cache.set('fred_next_release_date', params, releaseDate, Math.min(Date.now() + DAY * 1000, releaseDayEnd));
+  return releaseDate;
+}
+
+/**
+ * When a freshly fetched result for a method call should expire
+ * @param {string} method - Method name
+ * @param {Object} args - Method arguments
+ * @returns {Promise<number>} Expiry as epoch ms
+ */
+async function cacheExpiry(method, args) {
+  const ttl = CACHE_TTLS[method];
+
+  if (ttl === 'next_release') {
+    try {
+      // The earliest upcoming release among the requested series
+      const seriesIds = args.expression ? fredExpressionSeriesIds(args.expression) : args.series_ids || [args.series_id];
+      const releaseDates = await Promise.all(seriesIds.map(cachedNextReleaseDate));
+      const releaseDate = releaseDates.includes(null) ? null : releaseDates.sort()[0];
+      const expiresAt = releaseDate ? Date.parse(`${releaseDate}T00:00:00Z`) : NaN;
+      if (expiresAt > Date.now()) return expiresAt;
+      // Release day: the new data may land at any time today
+      if (releaseDate) return Date.now() + FRED_RELEASE_DAY_TTL * 1000;
+    } catch (error) {
+      // A replay gap means the fixtures are incomplete, not that the schedule is unknown
+      if (error.code === 'FIXTURE_MISSING') throw error;
+      // No release schedule available - fall back to a fixed TTL
+    }
+    return Date.now() + FRED_RELEASE_FALLBACK_TTL * 1000;
+  }
+
+  const seconds = typeof ttl === 'function' ? ttl(args) : ttl;
+  return Date.now() + seconds * 1000;
+}
+
+/**
+ * Typed parameters shared by the per-method tools
+ */
+const SYMBOL_PARAM = { type: 'string', description: 'Stock ticker symbol (e.g., "AAPL")' };
+const SERIES_ID_PARAM = { type: 'string', description: 'FRED series ID (e.g., "UNRATE", "GDP")' };
+const limitParam = (defaultLimit, maximum = 100) => ({
+  type: 'integer', minimum: 1, maximum, default: defaultLimit, description: `Maximum number of results (default ${defaultLimit})`
+});
+
+// series/observations options shared by the FRED observation methods
+const FRED_FREQUENCY_CODES = Object.entries(FRED_FREQUENCIES).map(([code, label]) => `${code} = ${label}`).join(', ');
+const FRED_OBSERVATION_PARAMS = {
+  observation_start: { type: 'string', description: 'First observation date, YYYY-MM-DD' },
+  observation_end: { type: 'string', description: 'Last observation date, YYYY-MM-DD' },
+  units: {
+    type: 'string', enum: Object.keys(FRED_UNIT_TRANSFORMS), default: 'lin',
+    description: `Value transform: ${Object.entries(FRED_UNIT_TRANSFORMS).map(([code, label]) => `${code} = ${label}`).join(', ')}`
+  },
+  aggregation_method: {
+    type: 'string', enum: FRED_AGGREGATION_METHODS, default: 'avg',
+    description: 'How frequency aggregation combines values: avg, sum or eop (end of period)'
+  }
+};
+
+/**
+ * Per-method tool definitions - one MCP tool per method with real typed parameters.
+ * The legacy "financial-intelligence" tool remains as an alias that maps `symbol` onto these.
+ */
+const METHOD_TOOLS = {
+  // Core Stock Analysis
+  stock_profile: {
+    description: '🏢 Company profile: address, industry, sector, employees and business summary',
+    properties: { symbol: SYMBOL_PARAM },
+    required: ['symbol']
+  },
+  stock_summary: {
+    description: '💰 Key metrics: market cap, P/E, EPS, beta and enterprise values',
+    properties: { symbol: SYMBOL_PARAM },
+    required: ['symbol']
+  },
+  stock_estimates: {
+    description: '🎯 Analyst EPS/revenue estimates, price targets and recommendation mean',
+    properties: { symbol: SYMBOL_PARAM },
+    required: ['symbol']
+  },
+  stock_pricing: {
+    description: '💵 Real-time pricing, volume, daily ranges and extended-hours quotes',
+    properties: { symbol: SYMBOL_PARAM },
+    required: ['symbol']
+  },
+  stock_financials: {
+    description: '📋 Cash flow, income highlights, margins and balance sheet ratios',
+    properties: { symbol: SYMBOL_PARAM },
+    required: ['symbol']
+  },
+  stock_revenue_breakdown: {
+    description: '📊 Revenue by business segment and geography',
+    properties: { symbol: SYMBOL_PARAM },
+    required: ['symbol']
+  },
+  stock_earnings_history: {
+    description: '📈 Quarterly EPS actual vs. estimate, surprises and beat/miss streaks',
+    properties: { symbol: SYMBOL_PARAM, limit: limitParam(12, 40) },
+    required: ['symbol']
+  },
+  stock_recommendations: {
+    description: '🎯 Analyst rating trends and consensus changes',
+    properties: { symbol: SYMBOL_PARAM },
+    required: ['symbol']
+  },
+  stock_esg: {
+    description: '🌱 Environmental, Social and Governance scores and controversy flags',
+    properties: { symbol: SYMBOL_PARAM },
+    required: ['symbol']
+  },
+  stock_dividends: {
+    description: '💰 Dividend rate, yield, payout ratio and last payment',
+    properties: { symbol: SYMBOL_PARAM },
+    required: ['symbol']
+  },
+  stock_technicals: {
+    description: '📈 RSI, MACD, Bollinger Bands, ATR, stochastics, realized volatility and moving-average crosses',
+    properties: {
+      symbol: SYMBOL_PARAM,
+      indicator_params: {
+        type: 'object',
+        description: 'Override any default indicator setting',
+        properties: Object.fromEntries(Object.entries(DEFAULT_TECHNICAL_PARAMS).map(([key, value]) => [
+          key, { type: 'number', default: value }
+        ])),
+        additionalProperties: false
+      }
+    },
+    required: ['symbol']
+  },
+  stock_history: {
+    description: '📉 Historical OHLCV prices with selectable range, interval and split/dividend adjustment',
+    properties: {
+      symbol: SYMBOL_PARAM,
+      range: { type: 'string', enum: HISTORY_RANGES, default: '1y', description: 'How far back to fetch prices' },
+      interval: { type: 'string', enum: HISTORY_INTERVALS, default: '1d', description: 'Bar interval; intraday intervals only cover recent ranges' },
+      adjusted: { type: 'boolean', default: true, description: 'Adjust prices for splits and dividends' }
+    },
+    required: ['symbol']
+  },
+
+  // Advanced Analytics
+  stock_news: {
+    description: '📰 Recent news with sentiment analysis, for a ticker or a general keyword search',
+    properties: {
+      query: { type: 'string', description: 'Ticker (search_type "stock") or search terms (search_type "general"), e.g. "TSLA" or "fed rate cuts"' },
+      search_type: { type: 'string', enum: ['stock', 'general'], default: 'stock', description: 'Ticker news from the quote page or a general Yahoo News search' }
+    },
+    required: ['query']
+  },
+  stock_peers: {
+    description: '🏭 Peer comparison on valuation and growth metrics, with peers discovered from Yahoo "people also watch" and same-industry companies of similar size',
+    properties: {
+      symbol: SYMBOL_PARAM,
+      count: { type: 'integer', minimum: 1, maximum: 15, default: 5, description: 'Number of peers (default 5)' }
+    },
+    required: ['symbol']
+  },
+  stock_screener: {
+    description: '🔍 Multi-criteria stock discovery across the S&P 500, Nasdaq-100, Dow 30, Russell 1000 or your own ticker list',
+    properties: {
+      universe: { type: 'string', enum: ['sp500', 'nasdaq100', 'dow30', 'russell1000'], default: 'sp500', description: 'Named universe to screen' },
+      symbols: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 1000, description: 'Tickers to screen instead of a named universe' },
+      universe_limit: { type: 'integer', minimum: 1, maximum: 1000, description: 'Stocks to screen, largest first for named universes (default 100 for named universes, every ticker for a list)' },
+      mode: { type: 'string', enum: ['filter', 'factor'], default: 'filter', description: 'factor ranks matches by a composite of value, quality, growth and momentum z-scores' },
+      factor_weights: {
+        type: 'object',
+        description: 'Relative factor weights for mode "factor" (default equal; factors left out keep weight 1, 0 drops one)',
+        properties: {
+          value: { type: 'number', minimum: 0 },
+          quality: { type: 'number', minimum: 0 },
+          growth: { type: 'number', minimum: 0 },
+          momentum: { type: 'number', minimum: 0 }
+        },
+        additionalProperties: false
+      },
+      criteria: {
+        type: 'object',
+        description: 'Screening filters; ratios such as yields, ROE and growth are fractions (0.02 = 2%)',
+        properties: {
+          minMarketCap: { type: 'number' },
+          maxMarketCap: { type: 'number' },
+          minPE: { type: 'number' },
+          maxPE: { type: 'number' },
+          minDividendYield: { type: 'number' },
+          maxDebtToEquity: { type: 'number' },
+          minROE: { type: 'number' },
+          minRevenueGrowth: { type: 'number' },
+          minBeta: { type: 'number' },
+          maxBeta: { type: 'number' },
+          sectors: { type: 'array', items: { type: 'string' }, description: 'Keep only these sectors (case-insensitive)' },
+          industries: { type: 'array', items: { type: 'string' }, description: 'Keep only these industries (case-insensitive)' },
+          excludeSectors: { type: 'array', items: { type: 'string' }, description: 'Drop these sectors' },
+          excludeIndustries: { type: 'array', items: { type: 'string' }, description: 'Drop these industries' },
+          filter: { type: 'string', description: 'Filter expression, e.g. \'trailingPE < 20 and returnOnEquity > 15% and sector in ["Technology"]\'. Supports and/or/not, < <= > >= == !=, [not] in [...], is [not] null, parentheses and K/M/B/T/% suffixes' },
+          missing: { type: 'string', enum: ['exclude', 'include'], default: 'exclude', description: 'Whether a stock missing a filtered metric fails (exclude) or passes (include) that filter' },
+          sortBy: { type: 'string', description: 'Metric to sort matches by, e.g. "returnOnEquity" or "market_cap"' },
+          order: { type: 'string', enum: ['desc', 'asc'], default: 'desc' },
+          limit: { type: 'integer', minimum: 1, description: 'Matches to return (default 20); does not limit how many stocks are screened' },
+          maxResults: { type: 'integer', minimum: 1, description: 'Alias of limit' }
+        },
+        additionalProperties: false
+      }
+    },
+    required: []
+  },
+  stock_correlation: {
+    description: '📊 Pearson/Spearman correlation matrix of log returns for risk management',
+    properties: {
+      symbols: { type: 'array', items: { type: 'string' }, minItems: 2, description: 'Ticker symbols to correlate, e.g. ["AAPL", "MSFT", "GOOGL"]' },
+      range: { type: 'string', enum: HISTORY_RANGES, default: '1y', description: 'Lookback window for returns' },
+      interval: { type: 'string', enum: ['1d', '1wk'], default: '1d', description: 'Daily or weekly returns' },
+      correlation_method: { type: 'string', enum: ['pearson', 'spearman'], default: 'pearson', description: 'Linear or rank correlation' }
+    },
+    required: ['symbols']
+  },
+  portfolio_analytics: {
+    description: '💼 Portfolio return, volatility, Sharpe/Sortino, max drawdown, beta, VaR/CVaR and each holding\'s risk contribution',
+    properties: {
+      holdings: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 50,
+        items: {
+          type: 'object',
+          properties: {
+            symbol: { type: 'string' },
+            weight: { type: 'number', minimum: 0, description: 'Portfolio weight (rescaled if weights do not sum to 1)' },
+            shares: { type: 'number', minimum: 0, description: 'Share count, valued at the latest close' }
+          },
+          required: ['symbol'],
+          additionalProperties: false
+        },
+        description: 'Positions sized by weight or by shares (not a mix), e.g. [{"symbol": "AAPL", "weight": 0.6}, {"symbol": "MSFT", "weight": 0.4}]'
+      },
+      range: { type: 'string', enum: HISTORY_RANGES, default: '1y', description: 'Lookback window for returns' },
+      interval: { type: 'string', enum: ['1d', '1wk'], default: '1d', description: 'Daily or weekly returns' },
+      benchmark: { type: 'string', default: 'SPY', description: 'Benchmark ticker for beta and correlation' },
+      risk_free_rate: { type: 'number', minimum: -0.05, maximum: 0.5, default: 0, description: 'Annual risk-free rate for Sharpe/Sortino as a fraction (0.045 = 4.5%)' },
+      confidence: { type: 'number', minimum: 0.5, maximum: 0.999, default: 0.95, description: 'VaR/CVaR confidence level' }
+    },
+    required: ['holdings']
+  },
+
+  // Economic & Market Intelligence
+  economic_indicators: {
+    description: '🌍 Macro dashboard: GDP, unemployment, inflation and interest rates',
+    properties: {},
+    required: []
+  },
+  market_indices: {
+    description: '📈 Major indices (S&P 500, NASDAQ, DOW, VIX) and sector performance',
+    properties: {},
+    required: []
+  },
+  yield_curve: {
+    description: '📈 Treasury yield curve 1M-30Y vs 1 month, 3 months and 1 year earlier, with 3m10y/2s10s/5s30s spreads and inversion history (requires API key)',
+    properties: {
+      date: { type: 'string', description: 'Curve date, YYYY-MM-DD (default latest; earlier business day if markets were closed)' },
+      include_real: { type: 'boolean', default: false, description: 'Add TIPS real yields (5Y-30Y) and breakeven inflation' },
+      inversion_spread: {
+        type: 'string', enum: Object.keys(INVERSION_SPREAD_SERIES), default: '2s10s',
+        description: 'Spread whose history defines inversion episodes'
+      }
+    },
+    required: []
+  },
+  recession_signals: {
+    description: '🚨 Recession risk: Sahm rule, 10y-3m yield-curve probit, LEI components and how each behaved ahead of past NBER recessions (requires API key)',
+    properties: {},
+    required: []
+  },
+
+  // FRED Economic Data
+  fred_series_search: {
+    description: '🔍 Search 800,000+ FRED economic series by keywords',
+    properties: {
+      search_text: { type: 'string', description: 'Search terms, e.g. "unemployment rate"' },
+      limit: limitParam(10)
+    },
+    required: ['search_text']
+  },
+  fred_series_data: {
+    description: '📊 Observations for a FRED series, optionally over a date range, transformed (e.g. YoY %) and aggregated to a lower frequency (requires API key)',
+    properties: {
+      series_id: SERIES_ID_PARAM,
+      ...FRED_OBSERVATION_PARAMS,
+      frequency: {
+        type: 'string', enum: Object.keys(FRED_FREQUENCIES),
+        description: `Aggregate to a lower frequency: ${FRED_FREQUENCY_CODES}`
+      },
+      limit: {
+        type: 'integer', minimum: 1,
+        description: 'Maximum observations, newest first (default 10, or every observation in the date range)'
+      }
+    },
+    required: ['series_id']
+  },
+  fred_series_compare: {
+    description: '📊 Several FRED series aligned on one date index - a wide table with one column per series (requires API key)',
+    properties: {
+      series_ids: {
+        type: 'array', items: { type: 'string' }, minItems: 2, maxItems: 10,
+        description: 'FRED series IDs, e.g. ["UNRATE", "CPIAUCSL", "FEDFUNDS"]'
+      },
+      ...FRED_OBSERVATION_PARAMS,
+      frequency: {
+        type: 'string', enum: Object.keys(FRED_FREQUENCIES), default: 'm',
+        description: `Target frequency of the table: ${FRED_FREQUENCY_CODES}. Higher-frequency series are aggregated; lower-frequency ones keep their own dates`
+      },
+      fill: {
+        type: 'string', enum: FRED_FILL_METHODS, default: 'none',
+        description: 'Dates without a value: "none" leaves null, "ffill" carries the last value forward (e.g. quarterly GDP in a monthly table)'
+      },
+      limit: {
+        type: 'integer', minimum: 1, default: 24,
+        description: 'Most recent rows when no date range is given (default 24)'
+      }
+    },
+    required: ['series_ids']
+  },
+  fred_expression: {
+    description: '🧮 Derived series from arithmetic over FRED series IDs, e.g. spreads and ratios like "DGS10 - DGS2" (requires API key)',
+    properties: {
+      expression: {
+        type: 'string',
+        description: `Arithmetic (+ - * / and parentheses) over series IDs, with ${Object.keys(FRED_EXPRESSION_FUNCTIONS).map(name => `${name}(x, n)`).join(', ')} over n periods, e.g. "M2SL / GDP" or "rolling_mean(DGS10 - DGS2, 20)"`
+      },
+      observation_start: FRED_OBSERVATION_PARAMS.observation_start,
+      observation_end: FRED_OBSERVATION_PARAMS.observation_end,
+      frequency: {
+        type: 'string', enum: Object.keys(FRED_FREQUENCIES),
+        description: `Common frequency to align the inputs on: ${FRED_FREQUENCY_CODES}. Omit to use the inputs' native dates`
+      },
+      aggregation_method: FRED_OBSERVATION_PARAMS.aggregation_method,
+      fill: {
+        type: 'string', enum: FRED_FILL_METHODS, default: 'none',
+        description: 'Dates an input has no value for: "none" skips them, "ffill" carries its last value forward'
+      },
+      limit: {
+        type: 'integer', minimum: 1, default: 24,
+        description: 'Most recent values when no date range is given (default 24)'
+      }
+    },
+    required: ['expression']
+  },
+  fred_categories: {
+    description: '📁 Browse FRED data categories hierarchically (requires API key)',
+    properties: {
+      category_id: { type: 'integer', minimum: 0, description: 'Category to browse; omit for the top-level categories' },
+      limit: limitParam(20)
+    },
+    required: []
+  },
+  fred_releases: {
+    description: '📅 Economic calendar with release schedules (requires API key)',
+    properties: { limit: limitParam(20) },
+    required: []
+  },
+  fred_release_calendar: {
+    description: '🗓️ Upcoming release calendar grouped by day (CPI, payrolls, GDP, FOMC...), with each release\'s key series and last printed values (requires API key)',
+    properties: {
+      start_date: { type: 'string', description: 'First day, YYYY-MM-DD (default today)' },
+      end_date: { type: 'string', description: 'Last day, YYYY-MM-DD (default start_date + days - 1)' },
+      days: { type: 'integer', minimum: 1, maximum: 90, default: 7, description: 'Days to cover when end_date is omitted (default 7)' },
+      releases: {
+        type: 'string', enum: ['key', 'all'], default: 'key',
+        description: '"key" for market-moving releases only, "all" for every FRED release'
+      }
+    },
+    required: []
+  },
+  fred_vintage_data: {
+    description: '📊 ALFRED revision triangle: first release, value N months later and current value per observation, with revision bias statistics (requires API key)',
+    properties: {
+      series_id: SERIES_ID_PARAM,
+      observation_start: { type: 'string', description: 'First observation date, YYYY-MM-DD (default 10 years ago)' },
+      observation_end: FRED_OBSERVATION_PARAMS.observation_end,
+      after_months: {
+        type: 'integer', minimum: 1, default: 12,
+        description: 'Months after the first release for the intermediate value (default 12)'
+      },
+      units: FRED_OBSERVATION_PARAMS.units
+    },
+    required: ['series_id']
+  },
+  fred_tags: {
+    description: '🏷️ Tag-based economic concept discovery (requires API key)',
+    properties: {
+      search_text: { type: 'string', description: 'Words to match against tag names and notes' },
+      tag_names: { type: 'string', description: 'Semicolon-separated tag names, e.g. "gdp;quarterly"' },
+      limit: limitParam(20)
+    },
+    required: []
+  },
+  fred_regional_data: {
+    description: '🗺️ State and MSA economic series by regional tag (requires API key)',
+    properties: {
+      tag_names: { type: 'string', default: 'regional', description: 'Semicolon-separated FRED tags, e.g. "state;unemployment"' },
+      limit: limitParam(20)
+    },
+    required: []
+  },
+  fred_sources: {
+    description: '🏛️ FRED data sources and their releases (requires API key)',
+    properties: {
+      source_id: { type: 'integer', minimum: 1, description: 'Source to describe; omit to list sources' },
+      limit: limitParam(20)
+    },
+    required: []
+  },
+  fred_series_updates: {
+    description: '⚡ Recently updated FRED indicators (requires API key)',
+    properties: { limit: limitParam(20) },
+    required: []
+  },
+  fred_series_relationships: {
+    description: '🔗 Series metadata, categories, release and tags (requires API key)',
+    properties: { series_id: SERIES_ID_PARAM },
+    required: ['series_id']
+  },
+  fred_maps_data: {
+    description: '🗺️ GeoFRED cross-section: every state/MSA/county value of one indicator on one date, with FIPS codes, rankings, quintiles and optional CSV/GeoJSON export (requires API key)',
+    properties: {
+      series_id: { type: 'string', description: 'Any regional series of the indicator, e.g. "CAUR" maps every state\'s unemployment rate (default CAUR; required for MSA/county maps)' },
+      region: { type: 'string', enum: ['state', 'msa', 'county'], description: 'Expected geographic level of the series' },
+      date: { type: 'string', description: 'Observation date YYYY-MM-DD (default latest available)' },
+      export_format: { type: 'string', enum: ['none', 'csv', 'geojson'], default: 'none', description: 'Append the cross-section as CSV or as a GeoJSON FeatureCollection with region shapes' }
+    },
+    required: []
+  },
+
+  // Server
+  cache_stats: {
+    description: '♻️ On-disk cache statistics: entries, size, freshness and hit rate per method',
+    properties: {},
+    required: []
+  }
+};
+
+const BYPASS_CACHE_PARAM = {
+  type: 'boolean', default: false, description: 'Skip the cache and fetch fresh data (the fresh result is still cached)'
+};
+
+/**
+ * Input properties of a method tool, including bypass_cache for cached methods
+ * @param {string} method - Method name
+ * @returns {Object} JSON Schema properties
+ */
+function methodProperties(method) {
+  const { properties } = METHOD_TOOLS[method];
+  return CACHE_TTLS[method] !== undefined ? { ...properties, bypass_cache: BYPASS_CACHE_PARAM } : properties;
+}
+
+/**
+ * Build the MCP tool definition for one method
+ * @param {string} method - Method name (also the tool name)
+ * @returns {Object} Tool with typed inputSchema and outputSchema
+ */
+function buildMethodTool(method) {
+  const { description, required } = METHOD_TOOLS[method];
+
+  return {
+    name: method,
+    description,
+    inputSchema: {
+      type: 'object',
+      properties: methodProperties(method),
+      required,
+      additionalProperties: false
+    },
+    outputSchema: OUTPUT_SCHEMAS[method]
+  };
+}
+
+// Legacy single-tool entry point, kept as an alias for the per-method tools
+const LEGACY_TOOL_NAME = 'financial-intelligence';
+
 // Define tools with comprehensive documentation
 server.setRequestHandler(ListToolsRequestSchema, async () => {
   return {
             tools: [
           {
-            name: 'financial-intelligence',
+            name: LEGACY_TOOL_NAME,
         description: `🚀 WORLD-CLASS FINANCIAL & ECONOMIC INTELLIGENCE PLATFORM
 
-A comprehensive MCP server providing institutional-grade financial analysis through 26 specialized methods:
+⚠️ COMPATIBILITY ALIAS: Every method is also its own tool with typed parameters
+(e.g. stock_profile, stock_correlation, fred_series_data) - prefer those.
+
+A comprehensive MCP server providing institutional-grade financial analysis through 35 specialized methods:
 
-📈 CORE STOCK ANALYSIS (11 methods):
+📈 CORE STOCK ANALYSIS (12 methods):
 • Company profiles, financials, estimates, pricing, ESG, dividends, technicals
+• Historical OHLCV price series (daily, weekly, monthly & intraday)
 • Revenue breakdowns, earnings history, analyst recommendations
 
-📊 ADVANCED ANALYTICS (4 methods):  
-• News sentiment analysis, peer comparison, stock screening, correlation analysis
+📊 ADVANCED ANALYTICS (5 methods):  
+• News sentiment analysis, peer comparison, stock screening, correlation analysis, portfolio analytics
 
-🏦 ECONOMIC INTELLIGENCE (2 methods):
-• Market indices, comprehensive economic indicators dashboard
+🏦 ECONOMIC INTELLIGENCE (4 methods):
+• Market indices, comprehensive economic indicators dashboard, Treasury yield curve, recession signals
 
-📋 FRED ECONOMIC DATA (12 methods):
+📋 FRED ECONOMIC DATA (14 methods):
 • Search 800,000+ economic series, fetch data, browse categories
-• Economic calendar, vintage analysis, regional data, tag discovery
+• Economic calendar & upcoming releases, vintage analysis, regional data, tag discovery
 • Source transparency, real-time updates, deep relationships, geographic maps
 
 💡 KEY FEATURES:
@@ -179,34 +1093,44 @@ A comprehensive MCP server providing institutional-grade financial analysis thro
 • stock_pricing - Real-time pricing, volume, daily ranges, extended hours
 • stock_financials - Cash flow, income highlights, balance sheet ratios
 • stock_revenue_breakdown - Revenue by business segment & geography
-• stock_earnings_history - Historical EPS trends & earnings analysis
+• stock_earnings_history - Quarterly EPS actual vs. estimate, surprises & beat/miss streaks
 • stock_recommendations - Analyst rating trends & consensus changes
 • stock_esg - Environmental, Social, Governance scores & controversies
 • stock_dividends - Dividend history, yield calculations, payout ratios
-• stock_technicals - Technical indicators, moving averages, volatility
+• stock_technicals - RSI, MACD, Bollinger, ATR, stochastics, volatility & MA crossovers
+• stock_history - Historical OHLCV prices with selectable range, interval & adjustment
 
 📈 ADVANCED ANALYTICS:
 • stock_news - Recent news with sentiment analysis (stock-specific or general search)
-• stock_peers - Industry peer comparison based on key financial metrics
-• stock_screener - Multi-criteria stock discovery (filter by P/E, market cap, etc.)
-• stock_correlation - Portfolio correlation analysis for risk management
+• stock_peers - Peer comparison with peers discovered from Yahoo recommendations and same-industry companies
+• stock_screener - Multi-criteria stock discovery over S&P 500, Nasdaq-100, Dow 30, Russell 1000 or a ticker list
+• stock_correlation - Return-based (Pearson/Spearman) correlation matrix for risk management
+• portfolio_analytics - Holdings-level return, Sharpe/Sortino, drawdown, beta, VaR/CVaR & risk contributions
 
 🌍 ECONOMIC & MARKET:
 • economic_indicators - Comprehensive macro dashboard (GDP, unemployment, inflation, rates)
 • market_indices - Major indices (S&P 500, NASDAQ, DOW, VIX) & sector performance
+• yield_curve - Treasury curve vs 1m/3m/1y ago, standard spreads & inversion history (symbol: optional YYYY-MM-DD)
+• recession_signals - Sahm rule, yield-curve recession probability, LEI components & past NBER recessions
 
 🏦 FRED ECONOMIC DATA:
 • fred_series_search - Search 800,000+ economic series by keywords (no API key for search)
 • fred_series_data - Fetch specific FRED series observations (requires API key)
+• fred_series_compare - Several series aligned side by side, comma-separated IDs (requires API key)
+• fred_expression - Derived series such as "DGS10 - DGS2" with lag/diff/pct_change/rolling_mean (requires API key)
 • fred_categories - Browse economic data categories hierarchically (requires API key)
 • fred_releases - Economic calendar with release schedules (requires API key)
-• fred_vintage_data - Historical data revision analysis (requires API key)
+• fred_release_calendar - Upcoming releases by day with key series & last values (symbol: optional number of days) (requires API key)
+• fred_vintage_data - ALFRED revision triangle & revision bias statistics (requires API key)
 • fred_tags - Tag-based economic concept discovery (requires API key)
 • fred_regional_data - Geographic economic analysis (state/MSA data) (requires API key)
 • fred_sources - Data source transparency and quality assessment (requires API key)
 • fred_series_updates - Real-time monitoring of recently updated indicators (requires API key)
 • fred_series_relationships - Deep metadata analysis and series connections (requires API key)
-• fred_maps_data - Geographic economic data visualization and mapping (requires API key)`,
+• fred_maps_data - GeoFRED cross-section of one indicator across states/MSAs/counties with rankings and CSV/GeoJSON export (requires API key)
+
+♻️ SERVER:
+• cache_stats - On-disk cache entries, size and hit rate per method`,
               
               examples: [
                 'stock_profile',
@@ -232,13 +1156,19 @@ A comprehensive MCP server providing institutional-grade financial analysis thro
    Examples: "unemployment", "GDP", "inflation", "tesla bitcoin"
 
 📋 FOR SCREENER: JSON criteria object
-   Example: '{"maxPE":20,"minMarketCap":1000000000,"minDividendYield":2}'
+   Example: '{"maxPE":20,"minMarketCap":1000000000,"universe":"nasdaq100"}'
+   Expression: '{"filter":"trailingPE < 20 and returnOnEquity > 15%","sortBy":"returnOnEquity"}'
 
 📈 FOR CORRELATION: Comma-separated symbols
    Example: "AAPL,MSFT,GOOGL,AMZN,TSLA"
 
 🏦 FOR FRED DATA: Series ID, category ID, or search terms
    Examples: "UNRATE" (unemployment), "GDP", "10" (category), "regional"
+   fred_series_compare: "UNRATE,CPIAUCSL,FEDFUNDS"
+   fred_expression: "DGS10 - DGS2"
+
+📈 FOR YIELD CURVE: Optional curve date
+   Example: "2023-07-03" or "" for the latest curve
 
 💡 FOR MARKET/ECONOMIC: Empty string or any value (ignored)
    Example: "" or "market_overview"`,
@@ -273,12 +1203,100 @@ A comprehensive MCP server providing institutional-grade financial analysis thro
 💡 DEFAULT: "stock" (if not specified)`,
               
               examples: ['stock', 'general']
+            },
+
+            range: {
+              type: 'string',
+              enum: HISTORY_RANGES,
+              description: `📅 HISTORY RANGE (for stock_history, stock_correlation & portfolio_analytics):
+
+How far back to fetch prices, e.g. "1mo", "6mo", "1y", "5y", "ytd", "max"
+For stock_correlation and portfolio_analytics this is the lookback window for returns
+
+💡 DEFAULT: "1y" (if not specified)`,
+
+              examples: ['1mo', '1y', '5y', 'max']
+            },
+
+            interval: {
+              type: 'string',
+              enum: HISTORY_INTERVALS,
+              description: `⏱️ BAR INTERVAL (for stock_history, stock_correlation & portfolio_analytics):
+
+📊 "1d", "1wk", "1mo" - Daily, weekly or monthly bars
+⚡ "1m" ... "1h" - Intraday bars (recent ranges only, e.g. "5m" up to "1mo")
+📈 stock_correlation and portfolio_analytics accept "1d" (daily returns) or "1wk" (weekly returns)
+
+💡 DEFAULT: "1d" (if not specified)`,
+
+              examples: ['1d', '1wk', '1mo', '15m']
+            },
+
+            adjusted: {
+              type: 'boolean',
+              description: `🔧 PRICE ADJUSTMENT (for stock_history method only):
+
+true - Prices adjusted for splits & dividends
+false - Raw traded prices (adjusted close still reported)
+
+💡 DEFAULT: true (if not specified)`
+            },
+
+            correlation_method: {
+              type: 'string',
+              enum: ['pearson', 'spearman'],
+              description: `📐 CORRELATION METHOD (for stock_correlation method only):
+
+"pearson" - Linear correlation of log returns
+"spearman" - Rank correlation of log returns (robust to outliers)
+
+💡 DEFAULT: "pearson" (if not specified)`,
+
+              examples: ['pearson', 'spearman']
+            },
+
+            indicator_params: {
+              type: 'object',
+              description: `🧮 INDICATOR PARAMETERS (for stock_technicals method only):
+
+Override any default indicator setting:
+rsiPeriod (14), macdFast (12), macdSlow (26), macdSignal (9),
+bollingerPeriod (20), bollingerStdDev (2), atrPeriod (14),
+stochasticPeriod (14), stochasticSmoothing (3), volatilityWindow (20),
+shortMovingAverage (50), longMovingAverage (200)
+
+💡 DEFAULT: standard settings shown above (if not specified)`,
+
+              examples: [{ rsiPeriod: 9 }, { shortMovingAverage: 20, longMovingAverage: 100 }]
+            },
+
+            bypass_cache: {
+              type: 'boolean',
+              description: `♻️ CACHE BYPASS (all methods):
+
+true - Skip the on-disk cache and fetch fresh data
+false - Serve a cached result while it is fresh
+
+💡 DEFAULT: false (if not specified)`
             }
           },
           required: ['method'],
           additionalProperties: false
+        },
+
+        outputSchema: {
+          type: 'object',
+          properties: {
+            method: { type: 'string', enum: ALL_METHODS }
+          },
+          oneOf: [
+            ...ALL_METHODS.map(method => OUTPUT_SCHEMAS[method]),
+            // Errors raised before a valid method was known
+            { type: 'object', properties: { error: ERROR_SCHEMA }, required: ['error'], not: { required: ['method'] } }
+          ]
         }
-      }
+      },
+      ...ALL_METHODS.map(buildMethodTool)
     ]
   };
 });
@@ -286,18 +1304,18 @@ A comprehensive MCP server providing institutional-grade financial analysis thro
 /**
  * Input Validation & Processing Functions
  */
-function validateAndProcessInput({ method, symbol, search_type }) {
+function validateAndProcessInput({ method, symbol, search_type, range, interval, adjusted, correlation_method, indicator_params, bypass_cache }) {
   // Validate method
   if (!method) {
-    throw new Error(`❌ METHOD REQUIRED: Please specify a method from: ${ALL_METHODS.join(', ')}`);
+    throw new InvalidInputError(`❌ METHOD REQUIRED: Please specify a method from: ${ALL_METHODS.join(', ')}`);
   }
   
   if (!ALL_METHODS.includes(method)) {
-    throw new Error(`❌ INVALID METHOD: "${method}". Available methods: ${ALL_METHODS.join(', ')}`);
+    throw new InvalidInputError(`❌ INVALID METHOD: "${method}". Available methods: ${ALL_METHODS.join(', ')}`);
   }
 
   // Methods that don't require symbol parameter
-  const noSymbolRequired = ['economic_indicators', 'market_indices', 'fred_categories', 'fred_releases', 'fred_tags', 'fred_series_updates'];
+  const noSymbolRequired = ['economic_indicators', 'market_indices', 'fred_categories', 'fred_releases', 'fred_tags', 'fred_series_updates', 'cache_stats', 'yield_curve', 'recession_signals', 'fred_release_calendar'];
   
   // Validate symbol for methods that require it
   if (!symbol && !noSymbolRequired.includes(method)) {
@@ -305,17 +1323,20 @@ function validateAndProcessInput({ method, symbol, search_type }) {
       stock_profile: 'AAPL',
       stock_screener: '{"maxPE":20,"minMarketCap":1000000000}',
       stock_correlation: 'AAPL,MSFT,GOOGL',
+      portfolio_analytics: 'AAPL:0.5,MSFT:0.3,JPM:0.2',
       fred_series_search: 'unemployment',
       fred_series_data: 'UNRATE',
+      fred_series_compare: 'UNRATE,CPIAUCSL,FEDFUNDS',
+      fred_expression: 'DGS10 - DGS2',
       fred_vintage_data: 'GDP',
       fred_regional_data: 'state',
       fred_sources: '1',
       fred_series_relationships: 'UNRATE',
-      fred_maps_data: 'state'
+      fred_maps_data: 'CAUR'
     };
     
     const example = examplesByMethod[method] || 'AAPL';
-    throw new Error(`❌ SYMBOL REQUIRED: Method "${method}" requires a symbol parameter. Example: "${example}"`);
+    throw new InvalidInputError(`❌ SYMBOL REQUIRED: Method "${method}" requires a symbol parameter. Example: "${example}"`);
   }
 
   // Process symbol based on method type
@@ -325,7 +1346,7 @@ function validateAndProcessInput({ method, symbol, search_type }) {
     // Validate comma-separated symbols
     const symbols = symbol.split(',').map(s => s.trim()).filter(s => s);
     if (symbols.length < 2) {
-      throw new Error(`❌ CORRELATION REQUIRES 2+ SYMBOLS: Provide comma-separated symbols like "AAPL,MSFT,GOOGL"`);
+      throw new InvalidInputError(`❌ CORRELATION REQUIRES 2+ SYMBOLS: Provide comma-separated symbols like "AAPL,MSFT,GOOGL"`);
     }
     processedSymbol = symbols.join(',');
   }
@@ -335,379 +1356,577 @@ function validateAndProcessInput({ method, symbol, search_type }) {
     try {
       JSON.parse(symbol);
     } catch (e) {
-      throw new Error(`❌ INVALID SCREENER CRITERIA: Symbol must be valid JSON. Example: '{"maxPE":20,"minMarketCap":1000000000}'`);
+      throw new InvalidInputError(`❌ INVALID SCREENER CRITERIA: Symbol must be valid JSON. Example: '{"maxPE":20,"minMarketCap":1000000000}'`);
     }
   }
 
-  return { method, symbol: processedSymbol, search_type };
+  if (bypass_cache !== undefined && typeof bypass_cache !== 'boolean') {
+    throw new InvalidInputError(`❌ INVALID PARAMETER: "bypass_cache" must be of type boolean`);
+  }
+
+  return { method, symbol: processedSymbol, search_type, range, interval, adjusted, correlation_method, indicator_params, bypass_cache: bypass_cache === true };
 }
 
 /**
- * Enhanced Tool Call Handler with Professional Error Handling
+ * Check a single value against a (flat) JSON Schema property definition
+ * @param {string} name - Parameter name used in error messages
+ * @param {*} value - Supplied value
+ * @param {Object} schema - Property schema
  */
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
+function validateParameter(name, value, schema) {
+  const typeChecks = {
+    string: v => typeof v === 'string',
+    number: v => typeof v === 'number' && Number.isFinite(v),
+    integer: v => Number.isInteger(v),
+    boolean: v => typeof v === 'boolean',
+    array: v => Array.isArray(v),
+    object: v => v !== null && typeof v === 'object' && !Array.isArray(v)
+  };
 
-  // Validate tool name
-  if (name !== 'financial-intelligence') {
-    return {
-      content: [{
-        type: 'text',
-        text: `❌ UNKNOWN TOOL: "${name}"\n\n🔧 Available tool: "financial-intelligence"\n\n📋 Use method parameter to specify analysis type.`
-      }]
-    };
+  if (!typeChecks[schema.type](value)) {
+    throw new InvalidInputError(`❌ INVALID PARAMETER: "${name}" must be of type ${schema.type}`);
   }
 
-  try {
-    // Validate and process input parameters
-    const { method, symbol, search_type } = validateAndProcessInput(args);
+  if (schema.enum && !schema.enum.includes(value)) {
+    throw new InvalidInputError(`❌ INVALID PARAMETER: "${name}" must be one of: ${schema.enum.join(', ')}`);
+  }
 
-    // Processing request - MCP servers avoid console.log to prevent Claude errors
-    let results;
-    
-    // Route to appropriate analysis method
-    switch (method) {
-      
-      // ═══════════════════════════════════════════════════════════════
-      //                     CORE STOCK ANALYSIS
-      // ═══════════════════════════════════════════════════════════════
-      
-      case 'stock_profile': {
-        results = await fetchYahooProfile({ symbol });
-        return {
-          content: [
-            { type: 'text', text: `📈 **COMPANY PROFILE ANALYSIS**\n\n${results.markdown}` }
-          ]
-        };
-      }
-      
-      case 'stock_summary': {
-        results = await fetchYahooSummary({ symbol });
-        return {
-          content: [
-            { type: 'text', text: `💰 **FINANCIAL SUMMARY**\n\n${results.markdown}` }
-          ]
-        };
-      }
-      
-      case 'stock_estimates': {
-        results = await fetchYahooEstimates({ symbol });
-        return {
-          content: [
-            { type: 'text', text: `🎯 **ANALYST ESTIMATES & TARGETS**\n\n${results.markdown}` }
-          ]
-        };
-      }
-      
-      case 'stock_pricing': {
-        results = await fetchYahooPricing({ symbol });
-        return {
-          content: [
-            { type: 'text', text: `💵 **REAL-TIME PRICING DATA**\n\n${results.markdown}` }
-          ]
-        };
-      }
-      
-      case 'stock_financials': {
-        results = await fetchYahooFinancials({ symbol });
-        return {
-          content: [
-            { type: 'text', text: `📋 **FINANCIAL METRICS & RATIOS**\n\n${results.markdown}` }
-          ]
-        };
-      }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    throw new InvalidInputError(`❌ INVALID PARAMETER: "${name}" must be at least ${schema.minimum}`);
+  }
 
-      case 'stock_revenue_breakdown': {
-        results = await fetchRevenueBreakdown({ symbol });
-        return {
-          content: [
-            { type: 'text', text: `📊 **REVENUE BREAKDOWN ANALYSIS**\n\n${results.markdown}` }
-          ]
-        };
-      }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    throw new InvalidInputError(`❌ INVALID PARAMETER: "${name}" must be at most ${schema.maximum}`);
+  }
 
-      case 'stock_earnings_history': {
-        results = await fetchYahooEarningsHistory({ symbol });
-        return {
-          content: [
-            { type: 'text', text: `📈 **EARNINGS HISTORY & TRENDS**\n\n${results.markdown}` }
-          ]
-        };
-      }
-      
-      case 'stock_recommendations': {
-        results = await fetchYahooRecommendations({ symbol });
-        return {
-          content: [
-            { type: 'text', text: `🎯 **ANALYST RECOMMENDATIONS**\n\n${results.markdown}` }
-          ]
-        };
-      }
-      
-      case 'stock_esg': {
-        results = await fetchYahooESG({ symbol });
-        return {
-          content: [
-            { type: 'text', text: `🌱 **ESG ANALYSIS**\n\n${results.markdown}` }
-          ]
-        };
-      }
+  if (schema.type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      throw new InvalidInputError(`❌ INVALID PARAMETER: "${name}" needs at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      throw new InvalidInputError(`❌ INVALID PARAMETER: "${name}" accepts at most ${schema.maxItems} items`);
+    }
+    value.forEach((item, index) => validateParameter(`${name}[${index}]`, item, schema.items));
+  }
 
-      case 'stock_dividends': {
-        results = await fetchStockDividends({ symbol });
-        return {
-          content: [
-            { type: 'text', text: `💰 **DIVIDEND ANALYSIS**\n\n${results.markdown}` }
-          ]
-        };
+  if (schema.type === 'object' && schema.properties) {
+    Object.entries(value).forEach(([key, item]) => {
+      if (!schema.properties[key]) {
+        throw new InvalidInputError(`❌ UNKNOWN PARAMETER: "${name}.${key}". Allowed: ${Object.keys(schema.properties).join(', ')}`);
       }
+      validateParameter(`${name}.${key}`, item, schema.properties[key]);
+    });
+  }
+}
 
-      case 'stock_technicals': {
-        results = await fetchStockTechnicals({ symbol });
-        return {
-          content: [
-            { type: 'text', text: `📈 **TECHNICAL ANALYSIS**\n\n${results.markdown}` }
-          ]
-        };
-      }
+/**
+ * Validate arguments for a per-method tool against its inputSchema and apply defaults
+ * @param {string} method - Method (tool) name
+ * @param {Object} args - Tool arguments
+ * @returns {Object} Validated arguments with defaults filled in
+ */
+function validateToolArguments(method, args = {}) {
+  const { required } = METHOD_TOOLS[method];
+  const properties = methodProperties(method);
+
+  required.forEach(name => {
+    const value = args[name];
+    if (value === undefined || value === null || value === '') {
+      throw new InvalidInputError(`❌ PARAMETER REQUIRED: Tool "${method}" requires "${name}"`);
+    }
+  });
 
-      // ═══════════════════════════════════════════════════════════════
-      //                    ADVANCED ANALYTICS
-      // ═══════════════════════════════════════════════════════════════
+  const validated = {};
+  Object.entries(args).forEach(([name, value]) => {
+    if (!properties[name]) {
+      throw new InvalidInputError(`❌ UNKNOWN PARAMETER: "${name}". Tool "${method}" accepts: ${Object.keys(properties).join(', ') || 'no parameters'}`);
+    }
+    if (value !== undefined && value !== null) {
+      validateParameter(name, value, properties[name]);
+      validated[name] = value;
+    }
+  });
 
-      case 'stock_news': {
-        results = await fetchStockNews({ symbol, search_type });
-        return {
-          content: [
-            { type: 'text', text: `📰 **NEWS & SENTIMENT ANALYSIS**\n\n${results.markdown}` }
-          ]
-        };
-      }
+  Object.entries(properties).forEach(([name, schema]) => {
+    if (validated[name] === undefined && schema.default !== undefined) {
+      validated[name] = schema.default;
+    }
+  });
 
-      case 'stock_peers': {
-        results = await fetchStockPeers({ symbol });
-        return {
-          content: [
-            { type: 'text', text: `🏭 **PEER COMPARISON ANALYSIS**\n\n${results.markdown}` }
-          ]
-        };
-      }
+  return validated;
+}
 
-      case 'stock_screener': {
-        let criteria = {};
-        try {
-          criteria = JSON.parse(symbol || '{}');
-        } catch (e) {
-          criteria = { maxResults: 10 };
-        }
-        
-        results = await fetchStockScreener({ criteria });
-        return {
-          content: [
-            { type: 'text', text: `🔍 **STOCK SCREENING RESULTS**\n\n${results.markdown}` }
-          ]
-        };
+/**
+ * Read a legacy `symbol` meant as an integer id; anything else is passed on for validation to reject
+ */
+function legacyInteger(symbol) {
+  if (!symbol) return null;
+  return /^\d+$/.test(symbol) ? Number(symbol) : symbol;
+}
+
+/**
+ * Map legacy financial-intelligence input (overloaded `symbol`) onto typed method arguments
+ * @param {Object} input - Output of validateAndProcessInput
+ * @returns {Object} Arguments in the per-method tool shape, still to be run through validateToolArguments
+ */
+function legacyToMethodArgs({ method, symbol, search_type, range, interval, adjusted, correlation_method, indicator_params }) {
+  switch (method) {
+    case 'stock_news':
+      return { query: symbol, search_type: search_type || 'stock' };
+
+    case 'stock_screener': {
+      let criteria = {};
+      try {
+        criteria = JSON.parse(symbol || '{}');
+      } catch (e) {
+        criteria = { maxResults: 10 };
       }
+      // Universe and factor settings may ride along in the criteria JSON
+      const { universe, symbols, universeLimit, mode, factorWeights, ...filters } = criteria;
+      return { criteria: filters, universe, symbols, universe_limit: universeLimit, mode, factor_weights: factorWeights };
+    }
 
-      case 'stock_correlation': {
-        const symbols = symbol ? symbol.split(',').map(s => s.trim().toUpperCase()) : [];
-        
-        results = await fetchStockCorrelation({ symbols });
-        return {
-          content: [
-            { type: 'text', text: `📊 **CORRELATION ANALYSIS**\n\n${results.markdown}` }
-          ]
-        };
+    case 'stock_correlation':
+      return {
+        symbols: symbol ? symbol.split(',').map(s => s.trim().toUpperCase()) : [],
+        range: range || '1y',
+        interval: interval || '1d',
+        correlation_method: correlation_method || 'pearson'
+      };
+
+    case 'portfolio_analytics': {
+      // A JSON holdings array, or "SYMBOL:weight" pairs (equal weights when omitted)
+      let holdings;
+      try {
+        holdings = JSON.parse(symbol);
+      } catch (e) {
+        holdings = symbol.split(',').map(pair => {
+          const [ticker, weight] = pair.split(':').map(part => part.trim());
+          return { symbol: ticker, weight: weight !== undefined ? Number(weight) : 1 };
+        });
       }
+      return { holdings, range: range || '1y', interval: interval || '1d' };
+    }
 
-      // ═══════════════════════════════════════════════════════════════
-      //                ECONOMIC & MARKET INTELLIGENCE
-      // ═══════════════════════════════════════════════════════════════
+    case 'stock_history':
+      return { symbol, range: range || '1y', interval: interval || '1d', adjusted: adjusted !== undefined ? adjusted : true };
 
-      case 'economic_indicators': {
-        results = await fetchEconomicIndicators();
-        return {
-          content: [
-            { type: 'text', text: `🌍 **ECONOMIC INDICATORS DASHBOARD**\n\n${results.markdown}` }
-          ]
-        };
-      }
+    case 'stock_technicals':
+      return { symbol, indicator_params };
 
-      case 'market_indices': {
-        results = await fetchMarketIndices();
-        return {
-          content: [
-            { type: 'text', text: `📈 **MARKET INDICES & SECTORS**\n\n${results.markdown}` }
-          ]
-        };
-      }
+    case 'fred_series_search':
+      return { search_text: symbol || '', limit: 10 };
 
-      // ═══════════════════════════════════════════════════════════════
-      //                      FRED ECONOMIC DATA
-      // ═══════════════════════════════════════════════════════════════
-
-      case 'fred_series_search': {
-        const searchTerms = symbol || '';
-        
-        results = await fetchFredSeriesSearch({ searchTerms, limit: 10 });
-        return {
-          content: [
-            { type: 'text', text: `🔍 **FRED SERIES SEARCH RESULTS**\n\n${results.markdown}` }
-          ]
-        };
-      }
+    case 'fred_series_data':
+      return { series_id: symbol || '', limit: 10 };
 
-      case 'fred_series_data': {
-        const seriesId = symbol || '';
-        
-        results = await fetchFredSeriesData({ seriesId, limit: 10 });
-        return {
-          content: [
-            { type: 'text', text: `📊 **FRED SERIES DATA**\n\n${results.markdown}` }
-          ]
-        };
-      }
+    case 'fred_series_compare':
+      return { series_ids: symbol ? symbol.split(',').map(s => s.trim().toUpperCase()).filter(Boolean) : [] };
 
-      case 'fred_categories': {
-        const categoryId = symbol || null;
-        
-        results = await fetchFredCategories({ categoryId, limit: 20 });
-        return {
-          content: [
-            { type: 'text', text: `📁 **FRED ECONOMIC CATEGORIES**\n\n${results.markdown}` }
-          ]
-        };
-      }
+    case 'fred_expression':
+      return { expression: symbol };
 
-      case 'fred_releases': {
-        results = await fetchFredReleases({ limit: 20 });
-        return {
-          content: [
-            { type: 'text', text: `📅 **FRED ECONOMIC CALENDAR**\n\n${results.markdown}` }
-          ]
-        };
-      }
+    case 'yield_curve':
+      return { date: symbol || undefined };
 
-      case 'fred_vintage_data': {
-        const seriesId = symbol;
-        
-        results = await fetchFredVintageData({ seriesId });
-        return {
-          content: [
-            { type: 'text', text: `📊 **FRED VINTAGE DATA ANALYSIS**\n\n${results.markdown}` }
-          ]
-        };
-      }
+    case 'fred_categories':
+      return { category_id: legacyInteger(symbol), limit: 20 };
 
-      case 'fred_tags': {
-        const searchText = symbol || '';
-        
-        results = await fetchFredTags({ searchText, limit: 20 });
-        return {
-          content: [
-            { type: 'text', text: `🏷️ **FRED ECONOMIC TAGS**\n\n${results.markdown}` }
-          ]
-        };
-      }
+    case 'fred_tags':
+      return { search_text: symbol || '', limit: 20 };
 
-      case 'fred_regional_data': {
-        const tagNames = symbol;
-        
-        results = await fetchFredRegionalData({ tagNames, limit: 20 });
-        return {
-          content: [
-            { type: 'text', text: `🗺️ **FRED REGIONAL ECONOMIC DATA**\n\n${results.markdown}` }
-          ]
-        };
-      }
+    case 'fred_regional_data':
+      return { tag_names: symbol, limit: 20 };
 
-      case 'fred_sources': {
-        const sourceId = symbol || null;
-        
-        results = await fetchFredSources({ sourceId, limit: 20 });
-        return {
-          content: [
-            { type: 'text', text: `🏛️ **FRED DATA SOURCES**\n\n${results.markdown}` }
-          ]
-        };
-      }
+    case 'fred_sources':
+      return { source_id: legacyInteger(symbol), limit: 20 };
 
-      case 'fred_series_updates': {
-        results = await fetchFredSeriesUpdates({ limit: 20 });
-        return {
-          content: [
-            { type: 'text', text: `⚡ **FRED SERIES UPDATES**\n\n${results.markdown}` }
-          ]
-        };
-      }
+    case 'fred_maps_data':
+      return ['state', 'msa', 'county'].includes(symbol) ? { region: symbol } : { series_id: symbol || undefined };
 
-      case 'fred_series_relationships': {
-        const seriesId = symbol;
-        
-        results = await fetchFredSeriesRelationships({ seriesId });
-        return {
-          content: [
-            { type: 'text', text: `🔗 **FRED SERIES RELATIONSHIPS**\n\n${results.markdown}` }
-          ]
-        };
-      }
+    case 'fred_vintage_data':
+    case 'fred_series_relationships':
+      return { series_id: symbol };
 
-      case 'fred_maps_data': {
-        const region = symbol || 'state';
-        
-        results = await fetchFredMapsData({ region, limit: 20 });
-        return {
-          content: [
-            { type: 'text', text: `🗺️ **FRED GEOGRAPHIC MAPS DATA**\n\n${results.markdown}` }
-          ]
-        };
-      }
-      
-      // ═══════════════════════════════════════════════════════════════
-      //                        ERROR HANDLING
-      // ═══════════════════════════════════════════════════════════════
-      
-      default:
-        return {
-          content: [{
-            type: 'text',
-            text: `❌ UNKNOWN METHOD: "${method}"\n\n🔧 Available methods:\n${ALL_METHODS.map(m => `• ${m}`).join('\n')}\n\n💡 Use the method parameter to specify your analysis type.`
-          }]
-        };
+    case 'fred_releases':
+    case 'fred_series_updates':
+      return { limit: 20 };
+
+    case 'fred_release_calendar':
+      return /^\d+$/.test(symbol || '') ? { days: Number(symbol) } : {};
+
+    case 'recession_signals':
+    case 'cache_stats':
+      return {};
+
+    default:
+      return { symbol };
+  }
+}
+
+/**
+ * Run a method with typed arguments and format the result
+ * @param {string} method - Method name
+ * @param {Object} args - Arguments in the per-method tool shape
+ * @param {Object} context - Call context
+ * @param {Function} context.onProgress - (progress, total, message) reporter for long-running methods
+ * @returns {Promise<Object>} MCP tool result
+ */
+async function runMethod(method, args, { onProgress } = {}) {
+  const {
+    symbol, symbols, query, search_type, criteria, range, interval, adjusted, correlation_method, indicator_params,
+    search_text, series_id, series_ids, expression, category_id, tag_names, source_id, region, limit,
+    observation_start, observation_end, units, frequency, aggregation_method, fill, date, include_real, inversion_spread,
+    after_months, start_date, end_date, days, releases, export_format, count, universe, universe_limit,
+    mode, factor_weights, holdings, benchmark, risk_free_rate, confidence
+  } = args;
+  let results;
+
+  // Route to appropriate analysis method
+  switch (method) {
+    
+    // ═══════════════════════════════════════════════════════════════
+    //                     CORE STOCK ANALYSIS
+    // ═══════════════════════════════════════════════════════════════
+    
+    case 'stock_profile': {
+      results = await fetchYahooProfile({ symbol });
+      return formatToolResult(method, '📈 **COMPANY PROFILE ANALYSIS**', results);
+    }
+    
+    case 'stock_summary': {
+      results = await fetchYahooSummary({ symbol });
+      return formatToolResult(method, '💰 **FINANCIAL SUMMARY**', results);
+    }
+    
+    case 'stock_estimates': {
+      results = await fetchYahooEstimates({ symbol });
+      return formatToolResult(method, '🎯 **ANALYST ESTIMATES & TARGETS**', results);
+    }
+    
+    case 'stock_pricing': {
+      results = await fetchYahooPricing({ symbol });
+      return formatToolResult(method, '💵 **REAL-TIME PRICING DATA**', results);
+    }
+    
+    case 'stock_financials': {
+      results = await fetchYahooFinancials({ symbol });
+      return formatToolResult(method, '📋 **FINANCIAL METRICS & RATIOS**', results);
+    }
+
+    case 'stock_revenue_breakdown': {
+      results = await fetchRevenueBreakdown({ symbol });
+      return formatToolResult(method, '📊 **REVENUE BREAKDOWN ANALYSIS**', results);
+    }
+
+    case 'stock_earnings_history': {
+      results = await fetchYahooEarningsHistory({ symbol, limit });
+      return formatToolResult(method, '📈 **EARNINGS HISTORY & TRENDS**', results);
+    }
+    
+    case 'stock_recommendations': {
+      results = await fetchYahooRecommendations({ symbol });
+      return formatToolResult(method, '🎯 **ANALYST RECOMMENDATIONS**', results);
+    }
+    
+    case 'stock_esg': {
+      results = await fetchYahooESG({ symbol });
+      return formatToolResult(method, '🌱 **ESG ANALYSIS**', results);
+    }
+
+    case 'stock_dividends': {
+      results = await fetchStockDividends({ symbol });
+      return formatToolResult(method, '💰 **DIVIDEND ANALYSIS**', results);
+    }
+
+    case 'stock_technicals': {
+      results = await fetchStockTechnicals({ symbol, indicatorParams: indicator_params });
+      return formatToolResult(method, '📈 **TECHNICAL ANALYSIS**', results);
+    }
+
+    case 'stock_history': {
+      results = await fetchStockHistory({ symbol, range, interval, adjusted });
+      return formatToolResult(method, '📉 **PRICE HISTORY**', results);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    //                    ADVANCED ANALYTICS
+    // ═══════════════════════════════════════════════════════════════
+
+    case 'stock_news': {
+      results = await fetchStockNews({ symbol: query, search_type });
+      return formatToolResult(method, '📰 **NEWS & SENTIMENT ANALYSIS**', results);
+    }
+
+    case 'stock_peers': {
+      results = await fetchStockPeers({ symbol, count });
+      return formatToolResult(method, '🏭 **PEER COMPARISON ANALYSIS**', results);
+    }
+
+    case 'stock_screener': {
+      results = await fetchStockScreener({
+        criteria: criteria || {},
+        universe,
+        symbols,
+        universeLimit: universe_limit,
+        mode,
+        factorWeights: factor_weights,
+        onProgress: onProgress && ((screened, total, symbol) => onProgress(screened, total, `Screened ${symbol} (${screened}/${total})`))
+      });
+      return formatToolResult(method, '🔍 **STOCK SCREENING RESULTS**', results);
+    }
+
+    case 'stock_correlation': {
+      results = await fetchStockCorrelation({
+        symbols: symbols.map(s => s.trim().toUpperCase()),
+        range,
+        interval,
+        correlationMethod: correlation_method
+      });
+      return formatToolResult(method, '📊 **CORRELATION ANALYSIS**', results);
+    }
+
+    case 'portfolio_analytics': {
+      results = await fetchPortfolioAnalytics({
+        holdings,
+        range,
+        interval,
+        benchmark,
+        riskFreeRate: risk_free_rate,
+        confidence
+      });
+      return formatToolResult(method, '💼 **PORTFOLIO ANALYTICS**', results);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    //                ECONOMIC & MARKET INTELLIGENCE
+    // ═══════════════════════════════════════════════════════════════
+
+    case 'economic_indicators': {
+      results = await fetchEconomicIndicators();
+      return formatToolResult(method, '🌍 **ECONOMIC INDICATORS DASHBOARD**', results);
+    }
+
+    case 'market_indices': {
+      results = await fetchMarketIndices();
+      return formatToolResult(method, '📈 **MARKET INDICES & SECTORS**', results);
+    }
+
+    case 'yield_curve': {
+      results = await fetchYieldCurve({ date, includeReal: include_real, inversionSpread: inversion_spread });
+      return formatToolResult(method, '📈 **TREASURY YIELD CURVE**', results);
+    }
+
+    case 'recession_signals': {
+      results = await fetchRecessionSignals();
+      return formatToolResult(method, '🚨 **RECESSION SIGNALS**', results);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    //                      FRED ECONOMIC DATA
+    // ═══════════════════════════════════════════════════════════════
+
+    case 'fred_series_search': {
+      results = await fetchFredSeriesSearch({ searchTerms: search_text, limit });
+      return formatToolResult(method, '🔍 **FRED SERIES SEARCH RESULTS**', results);
+    }
+
+    case 'fred_series_data': {
+      results = await fetchFredSeriesData({
+        seriesId: series_id,
+        limit,
+        observationStart: observation_start,
+        observationEnd: observation_end,
+        units,
+        frequency,
+        aggregationMethod: aggregation_method
+      });
+      return formatToolResult(method, '📊 **FRED SERIES DATA**', results);
+    }
+
+    case 'fred_series_compare': {
+      results = await fetchFredSeriesCompare({
+        seriesIds: series_ids,
+        observationStart: observation_start,
+        observationEnd: observation_end,
+        units,
+        frequency,
+        aggregationMethod: aggregation_method,
+        fill,
+        limit
+      });
+      return formatToolResult(method, '📊 **FRED SERIES COMPARISON**', results);
+    }
+
+    case 'fred_expression': {
+      results = await fetchFredExpression({
+        expression,
+        observationStart: observation_start,
+        observationEnd: observation_end,
+        frequency,
+        aggregationMethod: aggregation_method,
+        fill,
+        limit
+      });
+      return formatToolResult(method, '🧮 **FRED DERIVED SERIES**', results);
+    }
+
+    case 'fred_categories': {
+      results = await fetchFredCategories({ categoryId: category_id ?? null, limit });
+      return formatToolResult(method, '📁 **FRED ECONOMIC CATEGORIES**', results);
+    }
+
+    case 'fred_releases': {
+      results = await fetchFredReleases({ limit });
+      return formatToolResult(method, '📅 **FRED ECONOMIC CALENDAR**', results);
+    }
+
+    case 'fred_release_calendar': {
+      results = await fetchFredReleaseCalendar({ startDate: start_date, endDate: end_date, days, releases });
+      return formatToolResult(method, '🗓️ **ECONOMIC RELEASE CALENDAR**', results);
+    }
+
+    case 'fred_vintage_data': {
+      results = await fetchFredVintageData({
+        seriesId: series_id,
+        observationStart: observation_start,
+        observationEnd: observation_end,
+        afterMonths: after_months,
+        units
+      });
+      return formatToolResult(method, '📊 **FRED VINTAGE DATA ANALYSIS**', results);
+    }
+
+    case 'fred_tags': {
+      results = await fetchFredTags({ searchText: search_text || '', tagNames: tag_names || '', limit });
+      return formatToolResult(method, '🏷️ **FRED ECONOMIC TAGS**', results);
+    }
+
+    case 'fred_regional_data': {
+      results = await fetchFredRegionalData({ tagNames: tag_names, limit });
+      return formatToolResult(method, '🗺️ **FRED REGIONAL ECONOMIC DATA**', results);
+    }
+
+    case 'fred_sources': {
+      results = await fetchFredSources({ sourceId: source_id ?? null, limit });
+      return formatToolResult(method, '🏛️ **FRED DATA SOURCES**', results);
+    }
+
+    case 'fred_series_updates': {
+      results = await fetchFredSeriesUpdates({ limit });
+      return formatToolResult(method, '⚡ **FRED SERIES UPDATES**', results);
+    }
+
+    case 'fred_series_relationships': {
+      results = await fetchFredSeriesRelationships({ seriesId: series_id });
+      return formatToolResult(method, '🔗 **FRED SERIES RELATIONSHIPS**', results);
+    }
+
+    case 'fred_maps_data': {
+      results = await fetchFredMapsData({ seriesId: series_id, region, date, exportFormat: export_format });
+      return formatToolResult(method, '🗺️ **GEOFRED CROSS-SECTION**', results);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    //                           SERVER
+    // ═══════════════════════════════════════════════════════════════
+
+    case 'cache_stats': {
+      results = fetchCacheStats(cache);
+      return formatToolResult(method, '♻️ **CACHE STATISTICS**', results);
     }
-  } catch (error) {
-    // Error logged internally - MCP servers avoid console to prevent Claude errors
-    const errorMessage = error instanceof Error ? error.message : String(error);
     
+    // ═══════════════════════════════════════════════════════════════
+    //                        ERROR HANDLING
+    // ═══════════════════════════════════════════════════════════════
+    
+    default:
+      return formatToolError(new InvalidInputError(`❌ UNKNOWN METHOD: "${method}". Available methods: ${ALL_METHODS.join(', ')}`));
+  }
+}
+
+/**
+ * Run a method through the on-disk cache. Errors are never cached.
+ * @param {string} method - Method name
+ * @param {Object} args - Arguments in the per-method tool shape
+ * @param {boolean} bypassCache - Fetch fresh data even if a cached result is fresh
+ * @param {Object} context - Call context passed to runMethod
+ * @returns {Promise<Object>} MCP tool result
+ */
+async function runCachedMethod(method, args, bypassCache = false, context = {}) {
+  if (CACHE_TTLS[method] === undefined) {
+    return runMethod(method, args, context);
+  }
+
+  const cached = bypassCache ? null : cache.get(method, args);
+  if (cached) {
+    const storedAt = new Date(cached.storedAt).toISOString();
+    const expiresAt = new Date(cached.expiresAt).toISOString();
+    const [first, ...rest] = cached.value.content;
     return {
+      ...cached.value,
       content: [
-        {
-          type: 'text',
-          text: `❌ **YAHOO FINANCE MCP ERROR**
-
-**Error Details:**
-${errorMessage}
-
-**Troubleshooting Tips:**
-🔧 Verify your method and symbol parameters
-🔑 Ensure FRED_API_KEY is set for FRED methods
-📊 Check symbol format (e.g., "AAPL" for stocks, JSON for screener)
-🌐 Verify internet connectivity
-
-**Need Help?**
-📖 Check README.md for examples
-💬 Review method descriptions in tool definition
-🔍 Try a different symbol or method
-
-**Example Usage:**
-• method: "stock_profile", symbol: "AAPL"
-• method: "fred_series_search", symbol: "unemployment"
-• method: "economic_indicators", symbol: ""
-• method: "stock_screener", symbol: '{"maxPE":20}'`
-        }
-      ]
+        { ...first, text: `${first.text}\n\n♻️ _Cached result from ${storedAt} (fresh until ${expiresAt}) - pass bypass_cache: true to refetch_` },
+        ...rest
+      ],
+      structuredContent: { ...cached.value.structuredContent, cache: { hit: true, stored_at: storedAt, expires_at: expiresAt } }
     };
   }
+
+  const result = await runMethod(method, args, context);
+  // The expiry can cost FRED requests, so skip it when nothing will be stored
+  if (!result.isError && cache.enabled) {
+    cache.set(method, args, result, await cacheExpiry(method, args));
+  }
+  return result;
+}
+
+/**
+ * Enhanced Tool Call Handler with Professional Error Handling
+ */
+server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+  const { name, arguments: args } = request.params;
+
+  // Clients that send a progress token get notifications/progress from long-running methods
+  const progressToken = request.params._meta?.progressToken;
+  const context = progressToken === undefined ? {} : {
+    onProgress: (progress, total, message) => extra.sendNotification({
+      method: 'notifications/progress',
+      params: { progressToken, progress, total, message }
+    }).catch(() => {})
+  };
+
+  // Validate tool name
+  if (name !== LEGACY_TOOL_NAME && !METHOD_TOOLS[name]) {
+    return {
+      content: [{
+        type: 'text',
+        text: `❌ UNKNOWN TOOL: "${name}"\n\n🔧 Available tools: ${ALL_METHODS.join(', ')} (or legacy "${LEGACY_TOOL_NAME}")\n\n📋 Each method is its own tool with typed parameters.`
+      }],
+      structuredContent: { error: { code: 'INVALID_INPUT', message: `Unknown tool "${name}"` } },
+      isError: true
+    };
+  }
+
+  try {
+    if (name === LEGACY_TOOL_NAME) {
+      // Validate and process legacy input parameters
+      const input = validateAndProcessInput(args);
+      // Mapped arguments meet the same schema as the per-method tools before anything is fetched
+      // (the legacy bypass_cache flag was already checked, so drop the schema default)
+      const methodArgs = validateToolArguments(input.method, legacyToMethodArgs(input));
+      delete methodArgs.bypass_cache;
+      return await runCachedMethod(input.method, methodArgs, input.bypass_cache, context);
+    }
+
+    // Processing request - MCP servers avoid console.log to prevent Claude errors
+    const { bypass_cache: bypassCache, ...methodArgs } = validateToolArguments(name, args);
+    return await runCachedMethod(name, methodArgs, bypassCache, context);
+  } catch (error) {
+    // Error logged internally - MCP servers avoid console to prevent Claude errors
+    const method = name === LEGACY_TOOL_NAME ? args?.method : name;
+    return formatToolError(error, ALL_METHODS.includes(method) ? method : null);
+  }
 });
 
 /**
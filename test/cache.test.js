@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createCache, cacheKey, fetchCacheStats } = require('../src/cache.js');
+
+const tempDirs = [];
+
+function tempCache(options = {}) {
+  let clock = 1_000_000;
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'financial-mcp-cache-'));
+  tempDirs.push(dir);
+  const cache = createCache({
+    dir,
+    enabled: true,
+    now: () => clock,
+    ...options
+  });
+  return { cache, advance: ms => { clock += ms; }, now: () => clock };
+}
+
+test.after(() => {
+  tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+test('equivalent parameters share a cache key', () => {
+  assert.equal(
+    cacheKey('stock_history', { symbol: ' aapl ', range: '1y', interval: '1d', adjusted: undefined }),
+    cacheKey('stock_history', { interval: '1d', range: '1y', symbol: 'AAPL' })
+  );
+  assert.notEqual(cacheKey('stock_history', { symbol: 'AAPL' }), cacheKey('stock_profile', { symbol: 'AAPL' }));
+  assert.notEqual(cacheKey('fred_series_data', { series_id: 'UNRATE', limit: 10 }), cacheKey('fred_series_data', { series_id: 'UNRATE', limit: 20 }));
+});
+
+test('entries are served until they expire', () => {
+  const { cache, advance, now } = tempCache();
+  cache.set('stock_pricing', { symbol: 'AAPL' }, { price: 190 }, now() + 15000);
+
+  assert.deepEqual(cache.get('stock_pricing', { symbol: 'aapl' }).value, { price: 190 });
+  advance(15000);
+  assert.equal(cache.get('stock_pricing', { symbol: 'AAPL' }), null);
+});
+
+test('entries persist across cache instances', () => {
+  const { cache, now } = tempCache();
+  cache.set('stock_profile', { symbol: 'AAPL' }, { sector: 'Technology' }, now() + 60000);
+
+  const reopened = createCache({ dir: cache.dir, enabled: true, now });
+  assert.deepEqual(reopened.get('stock_profile', { symbol: 'AAPL' }).value, { sector: 'Technology' });
+});
+
+test('a disabled cache never stores or serves entries', () => {
+  const { cache, now } = tempCache({ enabled: false });
+  cache.set('stock_profile', { symbol: 'AAPL' }, { sector: 'Technology' }, now() + 60000);
+  assert.equal(cache.get('stock_profile', { symbol: 'AAPL' }), null);
+  assert.deepEqual(fs.readdirSync(cache.dir), []);
+});
+
+test('stats report entries, freshness and hit rate per method', () => {
+  const { cache, advance, now } = tempCache();
+  cache.set('stock_pricing', { symbol: 'AAPL' }, { price: 190 }, now() + 15000);
+  cache.set('stock_profile', { symbol: 'AAPL' }, { sector: 'Technology' }, now() + 60000);
+  cache.get('stock_profile', { symbol: 'AAPL' });
+  cache.get('stock_profile', { symbol: 'MSFT' });
+  advance(20000);
+
+  const { rows, summary, markdown } = fetchCacheStats(cache);
+  const profile = rows.find(row => row.method === 'stock_profile');
+  const pricing = rows.find(row => row.method === 'stock_pricing');
+
+  assert.equal(summary.total_entries, 2);
+  assert.equal(summary.fresh_entries, 1);
+  assert.deepEqual([pricing.fresh_entries, pricing.expired_entries], [0, 1]);
+  assert.deepEqual([profile.hits, profile.misses, profile.hit_rate], [1, 1, 0.5]);
+  assert.match(markdown, /Cache Statistics/);
+});
+
+test('storing an entry sweeps expired entries and caps entries per method', () => {
+  const { cache, advance, now } = tempCache({ maxEntries: 2 });
+  const files = () => fs.readdirSync(path.join(cache.dir, 'stock_pricing')).sort();
+  cache.set('stock_pricing', { symbol: 'AAPL' }, { price: 190 }, now() + 15000);
+  advance(20 * 60 * 1000);
+
+  cache.set('stock_pricing', { symbol: 'MSFT' }, { price: 420 }, now() + 60 * 60 * 1000);
+  assert.deepEqual(files(), [`${cacheKey('stock_pricing', { symbol: 'MSFT' })}.json`]);
+
+  advance(20 * 60 * 1000);
+  cache.set('stock_pricing', { symbol: 'GOOGL' }, { price: 170 }, now() + 60 * 60 * 1000);
+  advance(20 * 60 * 1000);
+  cache.set('stock_pricing', { symbol: 'NVDA' }, { price: 120 }, now() + 60 * 60 * 1000);
+  assert.equal(files().length, 2);
+  assert.equal(cache.get('stock_pricing', { symbol: 'MSFT' }), null);
+  assert.deepEqual(cache.get('stock_pricing', { symbol: 'NVDA' }).value, { price: 120 });
+});
+
+test('stats skip a method directory that cannot be listed', t => {
+  const { cache, now } = tempCache();
+  cache.set('stock_profile', { symbol: 'AAPL' }, { sector: 'Technology' }, now() + 60000);
+  cache.set('stock_pricing', { symbol: 'AAPL' }, { price: 190 }, now() + 15000);
+
+  // As if stock_pricing were removed between listing the methods and reading it
+  const readdirSync = fs.readdirSync;
+  t.mock.method(fs, 'readdirSync', (target, ...rest) => {
+    if (target === path.join(cache.dir, 'stock_pricing')) throw Object.assign(new Error('ENOENT'), { code: 'ENOENT' });
+    return readdirSync(target, ...rest);
+  });
+
+  const { rows } = fetchCacheStats(cache);
+  assert.deepEqual(rows.map(row => [row.method, row.entries]), [['stock_profile', 1]]);
+});
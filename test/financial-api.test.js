@@ -0,0 +1,416 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+// Replay ignores the key (fixtures are stored with it redacted), but FRED methods refuse to run without one
+if (!process.env.FRED_API_KEY) {
+  process.env.FRED_API_KEY = 'replay';
+}
+
+const api = require('../src/financial-api.js');
+const { createHttpClient } = require('../src/http-client.js');
+
+// FINANCIAL_MCP_HTTP_MODE=record re-captures the fixtures from the live services
+const httpClient = createHttpClient({
+  mode: process.env.FINANCIAL_MCP_HTTP_MODE || 'replay',
+  fixturesDir: path.join(__dirname, 'fixtures', 'http')
+});
+api.setHttpClient(httpClient);
+
+/**
+ * One case per method: how to call it, and known values from the recorded fixtures for the first row.
+ * A value going null usually means the upstream page layout changed; re-recording updates the rest.
+ */
+const METHOD_CASES = [
+  { method: 'stock_profile', call: () => api.fetchYahooProfile({ symbol: 'AAPL' }), expect: { symbol: 'AAPL', sector: 'Technology', industry: 'Consumer Electronics' } },
+  { method: 'stock_summary', call: () => api.fetchYahooSummary({ symbol: 'AAPL' }), expect: { symbol: 'AAPL', market_cap: 3400000000000 } },
+  { method: 'stock_estimates', call: () => api.fetchYahooEstimates({ symbol: 'AAPL' }), expect: { symbol: 'AAPL', price_target_mean: 250.8 } },
+  { method: 'stock_pricing', call: () => api.fetchYahooPricing({ symbol: 'AAPL' }), expect: { symbol: 'AAPL', current_price: 228 } },
+  { method: 'stock_financials', call: () => api.fetchYahooFinancials({ symbol: 'AAPL' }), expect: { symbol: 'AAPL', total_cash: 68000000000 } },
+  { method: 'stock_revenue_breakdown', call: () => api.fetchRevenueBreakdown({ symbol: 'AAPL' }), expect: { symbol: 'AAPL', item_value: 201180000000 } },
+  { method: 'stock_earnings_history', call: () => api.fetchYahooEarningsHistory({ symbol: 'AAPL', limit: 8 }), expect: { report_date: '2024-10-31', eps_actual: 1.64, eps_estimate: 1.6 } },
+  { method: 'stock_recommendations', call: () => api.fetchYahooRecommendations({ symbol: 'AAPL' }), expect: { symbol: 'AAPL', strong_buy: 8 } },
+  { method: 'stock_esg', call: () => api.fetchYahooESG({ symbol: 'AAPL' }), expect: { symbol: 'AAPL', total_esg_score: 26.34 } },
+  { method: 'stock_dividends', call: () => api.fetchStockDividends({ symbol: 'AAPL' }), expect: { symbol: 'AAPL', dividend_rate: 5.1 } },
+  { method: 'stock_technicals', call: () => api.fetchStockTechnicals({ symbol: 'AAPL' }), expect: { symbol: 'AAPL', rsi: 50.68 } },
+  { method: 'stock_history', call: () => api.fetchStockHistory({ symbol: 'AAPL', range: '6mo', interval: '1d' }), expect: { date: '2024-06-15', close: 180.41 } },
+  { method: 'stock_news', call: () => api.fetchStockNews({ symbol: 'AAPL', search_type: 'stock' }), expect: { title: 'Apple Inc. shares rise after strong quarterly results beat expectations' } },
+  { method: 'stock_news (general)', call: () => api.fetchStockNews({ symbol: 'federal reserve', search_type: 'general' }), expect: { title: 'Fed signals patience on rate cuts as inflation cools' } },
+  { method: 'stock_peers', call: () => api.fetchStockPeers({ symbol: 'AAPL' }), expect: { symbol: 'AAPL', market_cap: 3400000000000 } },
+  { method: 'stock_screener', call: () => api.fetchStockScreener({ criteria: { minMarketCap: 100000000000, maxResults: 10 }, universe: 'dow30', universeLimit: 10 }), expect: { symbol: 'AAPL', market_cap: 3400000000000 } },
+  { method: 'stock_correlation', call: () => api.fetchStockCorrelation({ symbols: ['AAPL', 'MSFT', 'GOOGL'], range: '1y', interval: '1d' }), expect: { symbol_1: 'AAPL', symbol_2: 'MSFT', correlation: 0.469 } },
+  { method: 'portfolio_analytics', call: () => api.fetchPortfolioAnalytics({ holdings: [{ symbol: 'AAPL', weight: 0.6 }, { symbol: 'MSFT', weight: 0.4 }], range: '1y' }), expect: { symbol: 'AAPL', risk_contribution: 0.0719 } },
+  { method: 'economic_indicators', call: () => api.fetchEconomicIndicators(), expect: { series_id: 'GDP', date: '2024-07-01', value: 28711.1 } },
+  { method: 'market_indices', call: () => api.fetchMarketIndices(), expect: { symbol: '^GSPC', price: 5600 } },
+  { method: 'fred_series_search', call: () => api.fetchFredSeriesSearch({ searchTerms: 'unemployment', limit: 5 }), expect: { series_id: 'UNRATE' } },
+  { method: 'fred_series_data', call: () => api.fetchFredSeriesData({ seriesId: 'UNRATE', limit: 12 }), expect: { series_id: 'UNRATE', date: '2024-09-01', value: 4.03 } },
+  { method: 'fred_categories', call: () => api.fetchFredCategories({ categoryId: null, limit: 5 }), expect: { category_name: 'Money, Banking, & Finance' } },
+  { method: 'fred_releases', call: () => api.fetchFredReleases({ limit: 5 }), expect: { release_name: 'Consumer Price Index' } },
+  { method: 'fred_vintage_data', call: () => api.fetchFredVintageData({ seriesId: 'GDP', observationStart: '2018-01-01' }), expect: { series_id: 'GDP', value: 26279.7 } },
+  { method: 'fred_tags', call: () => api.fetchFredTags({ searchText: '', tagNames: '', limit: 5 }), expect: { tag_name: 'usa' } },
+  { method: 'fred_regional_data', call: () => api.fetchFredRegionalData({ tagNames: 'regional', limit: 5 }), expect: { series_id: 'CAUR' } },
+  { method: 'fred_sources', call: () => api.fetchFredSources({ sourceId: null, limit: 5 }), expect: { source_name: 'Board of Governors of the Federal Reserve System (US)' } },
+  { method: 'fred_series_updates', call: () => api.fetchFredSeriesUpdates({ limit: 5 }), expect: { series_id: 'UNRATE' } },
+  { method: 'fred_series_relationships', call: () => api.fetchFredSeriesRelationships({ seriesId: 'UNRATE' }), expect: { series_id: 'UNRATE', series_title: 'Unemployment Rate' } },
+  { method: 'fred_maps_data', call: () => api.fetchFredMapsData({ seriesId: 'CAUR', date: '2024-09-01' }), expect: { region: 'Pennsylvania', fips: '42', value: 5.5, rank: 1 } }
+];
+
+for (const { method, call, expect } of METHOD_CASES) {
+  test(`${method} parses its fixtures`, async () => {
+    const results = await call();
+
+    assert.equal(typeof results.markdown, 'string');
+    assert.match(results.markdown, /^#/m);
+
+    const rows = results.rows || [results.row];
+    assert.ok(rows.length > 0, 'expected at least one row');
+    for (const [field, value] of Object.entries(expect)) {
+      assert.equal(rows[0][field], value, `${field} should be ${value}, got ${rows[0][field]}`);
+    }
+  });
+}
+
+test('unknown ticker redirected to lookup is SYMBOL_NOT_FOUND', async () => {
+  await assert.rejects(api.fetchYahooSummary({ symbol: 'NOSUCHTICKER' }), error => {
+    assert.ok(error instanceof api.SymbolNotFoundError);
+    assert.equal(error.code, 'SYMBOL_NOT_FOUND');
+    return true;
+  });
+});
+
+test('unknown ticker in the chart API is SYMBOL_NOT_FOUND', async () => {
+  await assert.rejects(api.fetchStockHistory({ symbol: 'NOSUCHTICKER', range: '1y', interval: '1d' }), { code: 'SYMBOL_NOT_FOUND' });
+});
+
+test('unknown FRED series is SYMBOL_NOT_FOUND', async () => {
+  await assert.rejects(api.fetchFredSeriesData({ seriesId: 'NOSUCHSERIES', limit: 12 }), { code: 'SYMBOL_NOT_FOUND' });
+});
+
+test('stock_earnings_history merges the calendar with the quote page and labels quarters by position', async () => {
+  const { rows, summary } = await api.fetchYahooEarningsHistory({ symbol: 'AAPL', limit: 12 });
+
+  assert.ok(rows.length >= 8, `expected at least 8 quarters, got ${rows.length}`);
+  assert.equal(summary.partial, false);
+  assert.deepEqual(rows.slice(0, 4).map(row => [row.report_date, row.quarter_end, row.fiscal_quarter]), [
+    ['2024-10-31', '2024-09-30', '3Q2024'],
+    ['2024-08-01', '2024-06-30', '2Q2024'],
+    ['2024-05-02', '2024-03-31', '1Q2024'],
+    ['2024-02-01', '2023-12-31', '4Q2023']
+  ]);
+  assert.ok(rows.slice(0, 4).every(row => typeof row.revenue === 'number'));
+  assert.deepEqual(rows[7], {
+    ...rows[7], report_date: '2023-02-02', eps_actual: 1.88, eps_estimate: 1.94, result: 'miss', fiscal_quarter: null, revenue: null
+  });
+});
+
+test('stock_earnings_history flags a failed calendar as partial and rethrows rate limiting', async () => {
+  const failCalendar = status => ({
+    ...httpClient,
+    get: (url, options) => {
+      if (!url.includes('/calendar/earnings')) return httpClient.get(url, options);
+      const error = new Error(`Request failed with status code ${status}`);
+      error.response = { status, headers: {}, data: '' };
+      return Promise.reject(error);
+    }
+  });
+
+  try {
+    api.setHttpClient(failCalendar(500));
+    const { rows, summary, markdown } = await api.fetchYahooEarningsHistory({ symbol: 'AAPL', limit: 12 });
+    assert.equal(rows.length, 4);
+    assert.equal(summary.partial, true);
+    assert.equal(summary.calendar_error.code, 'UPSTREAM_HTTP_ERROR');
+    assert.match(markdown, /Partial History/);
+
+    api.setHttpClient(failCalendar(429));
+    await assert.rejects(api.fetchYahooEarningsHistory({ symbol: 'AAPL', limit: 12 }), { code: 'RATE_LIMITED' });
+  } finally {
+    api.setHttpClient(httpClient);
+  }
+});
+
+test('fred_series_data returns a transformed series over a date range', async () => {
+  const { rows } = await api.fetchFredSeriesData({ seriesId: 'CPIAUCSL', observationStart: '2000-01-01', units: 'pc1', frequency: 'q' });
+
+  assert.ok(rows.length > 90, `expected quarterly history since 2000, got ${rows.length} rows`);
+  assert.ok(rows.every(row => row.date >= '2000-01-01'));
+  assert.ok(rows[0].date > rows[rows.length - 1].date, 'rows should be newest first');
+  assert.equal(rows[0].units_transform, 'pc1');
+  assert.equal(rows[0].frequency, 'Quarterly');
+  assert.match(rows[0].units, /^Percent Change from Year Ago/);
+});
+
+test('fred_series_compare aligns monthly and quarterly series on one index', async () => {
+  const compare = fill => api.fetchFredSeriesCompare({ seriesIds: ['UNRATE', 'FEDFUNDS', 'GDP'], frequency: 'm', fill, limit: 12 });
+
+  const filled = await compare('ffill');
+  assert.equal(filled.rows.length, 12);
+  assert.deepEqual(Object.keys(filled.rows[0]), ['date', 'UNRATE', 'FEDFUNDS', 'GDP']);
+  assert.ok(filled.rows.every(row => typeof row.GDP === 'number'), 'quarterly GDP should be carried forward');
+  assert.equal(filled.summary.series.find(entry => entry.series_id === 'GDP').alignment, 'native');
+
+  const unfilled = await compare('none');
+  assert.ok(unfilled.rows.some(row => row.GDP === null), 'without fill, months between GDP dates are null');
+  assert.ok(unfilled.rows.filter(row => row.GDP !== null).every(row => /-(01|04|07|10)-01$/.test(row.date)));
+});
+
+test('fred_expression evaluates spreads over aligned inputs', async () => {
+  const [spread, long, short] = await Promise.all([
+    api.fetchFredExpression({ expression: 'DGS10 - DGS2', limit: 12 }),
+    api.fetchFredSeriesData({ seriesId: 'DGS10', limit: 12 }),
+    api.fetchFredSeriesData({ seriesId: 'DGS2', limit: 12 })
+  ]);
+
+  const { date, value } = spread.rows[0];
+  const valueOn = rows => rows.find(row => row.date === date).value;
+  assert.ok(Math.abs(value - (valueOn(long.rows) - valueOn(short.rows))) < 1e-9);
+  assert.equal(spread.summary.expression, 'DGS10 - DGS2');
+  assert.equal(typeof spread.summary.std_dev, 'number');
+});
+
+test('fred_expression fetches enough history for lags and rolling windows', async () => {
+  const { rows } = await api.fetchFredExpression({ expression: 'rolling_mean(diff(UNRATE), 3)', limit: 12 });
+  assert.equal(rows.length, 12);
+  assert.ok(rows.every(row => typeof row.value === 'number'));
+});
+
+test('fred_expression rejects syntax errors and unknown functions', async () => {
+  await assert.rejects(api.fetchFredExpression({ expression: 'DGS10 -' }), { code: 'INVALID_INPUT' });
+  await assert.rejects(api.fetchFredExpression({ expression: 'eval(DGS10)' }), /Unknown function "eval"/);
+});
+
+test('yield_curve compares the curve with earlier dates and lists inversions', async () => {
+  const { rows, summary } = await api.fetchYieldCurve({ date: '2024-06-15', includeReal: true });
+
+  assert.equal(rows.length, 11);
+  assert.ok(rows.every(row => typeof row.yield === 'number' && row.curve_date <= '2024-06-15'));
+  assert.ok(rows.filter(row => row.real_series_id).every(row => typeof row.breakeven_inflation === 'number'));
+  assert.deepEqual(Object.keys(summary.spreads), ['3m10y', '2s10s', '5s30s']);
+  assert.equal(summary.inversion_series, 'T10Y2Y');
+  assert.ok(summary.inversion_episodes.every(episode => episode.deepest < 0 && episode.duration_days >= 0));
+});
+
+test('recession_signals reports each signal and its record before past recessions', async () => {
+  const { rows, summary } = await api.fetchRecessionSignals();
+  const sahm = rows.find(row => row.indicator === 'sahm_rule');
+
+  assert.deepEqual(rows.filter(row => row.category === 'signal').map(row => row.indicator), ['sahm_rule', 'yield_curve_probit', 'lei_breadth']);
+  assert.equal(sahm.triggered, sahm.value >= 0.5);
+  assert.ok(summary.yield_curve_probit.probability > 0 && summary.yield_curve_probit.probability < 1);
+  assert.ok(['low', 'elevated', 'high'].includes(summary.composite.level));
+  assert.ok(summary.recessions.length > 0);
+  assert.ok(summary.recessions.every(recession => recession.start <= recession.end && 'sahm_lead_months' in recession));
+});
+
+// The Sahm rule is coincident: on today's UNRATE vintage it fires a month or two into each recession
+test('recession_signals: the Sahm rule fired early in the 2008 and 2020 recessions', async () => {
+  const { summary } = await api.fetchRecessionSignals();
+  const recession = start => summary.recessions.find(entry => entry.start === start);
+
+  for (const start of ['2008-01-01', '2020-03-01']) {
+    const { sahm_trigger_date: triggerDate, sahm_lead_months: lead } = recession(start) || {};
+    assert.ok(triggerDate, `no Sahm trigger around the recession starting ${start}`);
+    assert.ok(lead <= 0 && lead >= -3, `Sahm rule lead of ${lead} months for the recession starting ${start}`);
+  }
+  assert.equal(recession('2020-03-01').sahm_trigger_date, '2020-04-01');
+});
+
+test('fred_vintage_data builds a revision triangle from ALFRED', async () => {
+  const { rows, summary } = await api.fetchFredVintageData({ seriesId: 'GDP', observationStart: '2018-01-01', afterMonths: 12 });
+  const revised = rows.find(row => row.revision_after !== null);
+
+  assert.ok(rows.every(row => row.first_release_date === null || row.first_release_date > row.observation_date));
+  assert.equal(revised.value_after_date, revised.first_release_date.replace(/^\d{4}/, year => String(Number(year) + 1)));
+  assert.ok(Math.abs(revised.revision_after - (revised.value_after - revised.first_release)) < 1e-9);
+  assert.equal(summary.revision_total.count, rows.filter(row => row.revision_total !== null).length);
+  assert.equal(typeof summary.revision_total.p_value, 'number');
+  assert.ok(summary.triangle.vintages.length > 1);
+});
+
+test('fred_release_calendar groups key releases by day with last values', async () => {
+  const { rows, summary } = await api.fetchFredReleaseCalendar({ startDate: '2024-10-28', days: 7 });
+
+  assert.ok(rows.length > 0);
+  assert.ok(rows.every(row => row.date >= '2024-10-28' && row.date <= '2024-11-03'));
+  assert.ok(!rows.some(row => row.release_name === 'H.15 Selected Interest Rates'), 'daily rate releases are not key releases');
+  assert.ok(rows.filter(row => row.series_id).every(row => typeof row.last_value === 'number'));
+  assert.deepEqual(summary.days.map(day => day.date), [...new Set(rows.map(row => row.date))]);
+  await assert.rejects(api.fetchFredReleaseCalendar({ days: 365 }), { code: 'INVALID_INPUT' });
+});
+
+test('fred_maps_data ranks every state and exports GeoJSON joined to shapes by FIPS', async () => {
+  const { rows, summary } = await api.fetchFredMapsData({ seriesId: 'CAUR', date: '2024-09-01', exportFormat: 'geojson' });
+  const ranked = rows.filter(row => row.value !== null);
+  const geojson = JSON.parse(summary.export.content);
+
+  assert.equal(summary.region_type, 'state');
+  // The full cross-section: 50 states and DC, each in one value quintile (51 = 11 + 4 x 10)
+  assert.equal(rows.length, 51);
+  assert.equal(new Set(rows.map(row => row.fips)).size, 51);
+  assert.ok(rows.some(row => row.fips === '11' && row.region === 'District of Columbia'));
+  assert.deepEqual([1, 2, 3, 4, 5].map(quintile => rows.filter(row => row.quintile === quintile).length), [11, 10, 10, 10, 10]);
+  assert.ok(rows.every(row => /^\d{2}$/.test(row.fips)));
+  assert.equal(ranked[0].rank, 1);
+  assert.ok(ranked.every((row, i) => i === 0 || row.value <= ranked[i - 1].value));
+  assert.deepEqual([ranked[0].quintile, ranked[ranked.length - 1].quintile], [5, 1]);
+  assert.equal(geojson.features.length, rows.length);
+  assert.equal(geojson.features.filter(feature => feature.geometry !== null).length, summary.export.shapes_matched);
+  assert.equal(geojson.features.find(feature => feature.id === '06').geometry.type, 'Polygon');
+  await assert.rejects(api.fetchFredMapsData({ region: 'county' }), { code: 'INVALID_INPUT' });
+});
+
+test('stock_peers finds same-industry peers and explains each choice', async () => {
+  const { rows, summary } = await api.fetchStockPeers({ symbol: 'VRTX', count: 4 });
+  const peers = rows.filter(row => row.company_type === 'peer');
+
+  assert.equal(peers.length, 4);
+  assert.ok(!peers.some(row => ['AAPL', 'MSFT', 'AMZN', 'GOOGL'].includes(row.symbol)));
+  assert.ok(peers.every(row => row.industry === 'Biotechnology' && row.peer_basis.includes('same_industry')));
+  assert.ok(peers.every(row => row.peer_reason.length > 0));
+  assert.ok(summary.sources.industry_constituents >= 4);
+  await assert.rejects(api.fetchStockPeers({ symbol: 'VRTX', count: 50 }), { code: 'INVALID_INPUT' });
+});
+
+test('stock_screener screens every stock in the universe and caps only the results', async () => {
+  const progress = [];
+  const { rows, summary } = await api.fetchStockScreener({
+    criteria: { minMarketCap: 1e9, maxPE: 1000, maxResults: 3 },
+    symbols: ['AAPL', 'MSFT', 'JPM', 'KO', 'XOM', 'NOSUCHTICKER'],
+    onProgress: (screened, total) => progress.push([screened, total])
+  });
+
+  assert.equal(summary.screened, 6);
+  assert.deepEqual(summary.failed_symbols, ['NOSUCHTICKER']);
+  assert.equal(summary.matched, 5);
+  assert.equal(rows.length, 3);
+  assert.deepEqual(progress, [1, 2, 3, 4, 5, 6].map(screened => [screened, 6]));
+  await assert.rejects(api.fetchStockScreener({ universe: 'ftse100' }), { code: 'INVALID_INPUT' });
+});
+
+test('stock_screener filter expressions, sorting and percentile ranks', async () => {
+  const { rows, summary } = await api.fetchStockScreener({
+    criteria: { filter: 'marketCap > 100B and sector not in ["Energy"] and (beta < 5 or beta is null)', sortBy: 'market_cap', order: 'asc' },
+    symbols: ['AAPL', 'MSFT', 'JPM', 'KO', 'XOM']
+  });
+
+  assert.ok(!rows.some(row => row.symbol === 'XOM'));
+  assert.equal(summary.sort_by, 'market_cap');
+  assert.deepEqual(rows.map(row => row.market_cap), rows.map(row => row.market_cap).sort((a, b) => a - b));
+  assert.ok(rows.every(row => row.market_cap_pct_rank >= 0 && row.market_cap_pct_rank <= 100));
+  assert.equal(rows[rows.length - 1].market_cap_pct_rank, 100);
+  await assert.rejects(api.fetchStockScreener({ criteria: { filter: 'sector > "Energy"' }, symbols: ['AAPL'] }), { code: 'INVALID_INPUT', message: /position 8/ });
+});
+
+test('stock_screener factor mode ranks by weighted factor contributions', async () => {
+  const { rows, summary } = await api.fetchStockScreener({
+    criteria: { maxPE: 1000 },
+    symbols: ['AAPL', 'MSFT', 'JPM', 'KO', 'XOM'],
+    mode: 'factor',
+    factorWeights: { value: 3, growth: 0 }
+  });
+
+  assert.deepEqual(summary.factor_weights, { value: 0.6, quality: 0.2, growth: 0, momentum: 0.2 });
+  assert.deepEqual(rows.map(row => row.factor_rank), [1, 2, 3, 4, 5]);
+  assert.deepEqual(rows.map(row => row.composite_score), rows.map(row => row.composite_score).sort((a, b) => b - a));
+  rows.forEach(row => {
+    const total = row.value_contribution + row.quality_contribution + row.growth_contribution + row.momentum_contribution;
+    assert.ok(Math.abs(total - row.composite_score) < 0.005);
+    assert.equal(row.growth_contribution, 0);
+  });
+  await assert.rejects(api.fetchStockScreener({ symbols: ['AAPL'], mode: 'factor', factorWeights: { size: 1 } }), { code: 'INVALID_INPUT' });
+});
+
+test('stock_correlation drops a date with a bad price for both symbols instead of shifting the returns', async () => {
+  // MSFT moves exactly like AAPL; AAPL has a zero adjusted close on one day
+  const closes = Array.from({ length: 30 }, (_, i) => 100 * Math.exp(0.02 * Math.sin(i * 1.7) + 0.001 * i));
+  const chart = (symbol, adjclose) => ({
+    data: {
+      chart: {
+        result: [{
+          meta: { symbol, currency: 'USD' },
+          timestamp: closes.map((_, i) => Date.UTC(2024, 0, 2 + i) / 1000),
+          indicators: { quote: [{ close: adjclose }], adjclose: [{ adjclose }] }
+        }]
+      }
+    }
+  });
+  const stubClient = {
+    ...httpClient,
+    pause: () => Promise.resolve(),
+    get: url => Promise.resolve(url.includes('/AAPL') ?
+      chart('AAPL', closes.map((close, i) => (i === 10 ? 0 : close))) :
+      chart('MSFT', closes.map(close => close * 2)))
+  };
+
+  try {
+    api.setHttpClient(stubClient);
+    const { rows } = await api.fetchStockCorrelation({ symbols: ['AAPL', 'MSFT'], range: '1mo', interval: '1d' });
+    assert.equal(rows[0].correlation, 1);
+    // The two returns touching the bad close are dropped from both series
+    assert.equal(rows[0].observations, 27);
+  } finally {
+    api.setHttpClient(httpClient);
+  }
+});
+
+test('portfolio_analytics sizes share counts at the latest close and attributes all of the risk', async () => {
+  const { rows, summary } = await api.fetchPortfolioAnalytics({
+    holdings: [{ symbol: 'AAPL', shares: 100 }, { symbol: 'MSFT', shares: 50 }, { symbol: 'JPM', shares: 80 }],
+    range: '1y',
+    riskFreeRate: 0.04
+  });
+
+  assert.equal(summary.basis, 'shares');
+  assert.ok(Math.abs(rows.reduce((sum, row) => sum + row.weight, 0) - 1) < 0.001);
+  assert.ok(Math.abs(rows.reduce((sum, row) => sum + row.market_value, 0) - summary.total_value) < 0.01);
+  assert.ok(Math.abs(rows.reduce((sum, row) => sum + row.risk_contribution, 0) - summary.annualized_volatility) < 0.001);
+  assert.ok(Math.abs(rows.reduce((sum, row) => sum + row.risk_contribution_pct, 0) - 100) < 0.1);
+  assert.ok(summary.cvar_historical >= summary.var_historical && summary.cvar_parametric >= summary.var_parametric);
+  assert.ok(summary.max_drawdown > 0 && summary.max_drawdown_peak < summary.max_drawdown_trough);
+  assert.equal(typeof summary.beta, 'number');
+  await assert.rejects(api.fetchPortfolioAnalytics({ holdings: [{ symbol: 'AAPL', weight: 0.5 }, { symbol: 'MSFT', shares: 10 }] }), { code: 'INVALID_INPUT' });
+});
+
+test('technical indicators match hand-computed values on a fixed series', () => {
+  const toBars = closes => closes.map((close, i) => ({ date: `2024-01-${String(i + 1).padStart(2, '0')}`, close, adjClose: close, high: close + 1, low: close - 1 }));
+  const params = {
+    ...api.DEFAULT_TECHNICAL_PARAMS,
+    rsiPeriod: 3, macdFast: 2, macdSlow: 4, macdSignal: 2, bollingerPeriod: 3, bollingerStdDev: 2,
+    atrPeriod: 3, stochasticPeriod: 3, stochasticSmoothing: 2, volatilityWindow: 3, shortMovingAverage: 2, longMovingAverage: 3
+  };
+  const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected}, got ${actual}`);
+
+  const indicators = api.computeTechnicalIndicators(toBars([10, 11, 12, 11, 13, 14, 13, 15]), params);
+  close(indicators.shortMovingAverage, 14);
+  close(indicators.longMovingAverage, 14);
+  close(indicators.rsi, 79.88505747126437);
+  close(indicators.macd, 0.6999736625514412);
+  close(indicators.macdSignal, 0.6155983539094658);
+  close(indicators.macdHistogram, 0.0843753086419754);
+  close(indicators.bollinger.upper, 15.632993161855453);
+  close(indicators.bollinger.middle, 14);
+  close(indicators.bollinger.lower, 12.367006838144547);
+  close(indicators.bollinger.percentB, 0.8061862178478971);
+  close(indicators.bollinger.bandwidth, 0.2332847374079218);
+  close(indicators.atr, 2.432098765432099);
+  close(indicators.stochasticK, 75);
+  close(indicators.stochasticD, 54.166666666666664);
+
+  // SMA(2) crosses SMA(3) on the sixth bar of each series
+  assert.deepEqual(api.computeTechnicalIndicators(toBars([10, 9, 8, 7, 8, 10, 12]), params).movingAverageCross,
+    { type: 'golden_cross', date: '2024-01-06', barsAgo: 1 });
+  assert.deepEqual(api.computeTechnicalIndicators(toBars([10, 11, 12, 13, 12, 10, 8]), params).movingAverageCross,
+    { type: 'death_cross', date: '2024-01-06', barsAgo: 1 });
+});
+
+test('FRED rejecting a parameter is INVALID_INPUT', async () => {
+  await assert.rejects(api.fetchFredSeriesData({ seriesId: 'UNRATE', frequency: 'd' }), { code: 'INVALID_INPUT' });
+});
+
+test('invalid parameters are INVALID_INPUT without a request', async () => {
+  await assert.rejects(api.fetchStockHistory({ symbol: 'AAPL', range: '7y', interval: '1d' }), { code: 'INVALID_INPUT' });
+  await assert.rejects(api.fetchStockCorrelation({ symbols: ['AAPL'] }), { code: 'INVALID_INPUT' });
+  await assert.rejects(api.fetchFredSeriesData({ seriesId: 'UNRATE', observationStart: '01/01/2000' }), { code: 'INVALID_INPUT' });
+  await assert.rejects(api.fetchFredSeriesData({ seriesId: 'UNRATE', units: 'yoy' }), { code: 'INVALID_INPUT' });
+  await assert.rejects(api.fetchYieldCurve({ inversionSpread: '10s30s' }), { code: 'INVALID_INPUT' });
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.FRED_API_KEY = 'test-key';
+
+const api = require('../src/financial-api.js');
+const { createHttpClient } = require('../src/http-client.js');
+
+const observations = [
+  { date: '2024-09-01', value: '4.1', realtime_start: '2024-10-04', realtime_end: '2024-10-04' },
+  { date: '2024-08-01', value: '.', realtime_start: '2024-10-04', realtime_end: '2024-10-04' },
+  { date: '2024-07-01', value: '4.3', realtime_start: '2024-10-04', realtime_end: '2024-10-04' }
+];
+
+/**
+ * Live-mode client over a scripted transport; `respond(url, attempt)` returns a body or throws
+ */
+function scriptedClient(respond) {
+  const calls = [];
+  const client = createHttpClient({
+    mode: 'live',
+    transport: async (url) => {
+      calls.push(url);
+      const attempt = calls.filter(previous => previous === url).length;
+      return { status: 200, headers: {}, data: await respond(url, attempt) };
+    }
+  });
+  return { client, calls };
+}
+
+function httpError(status, { headers = {}, data = {} } = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers, data };
+  return error;
+}
+
+test('missing "." observations are dropped, not parsed as NaN', async () => {
+  const { client } = scriptedClient(url => url.includes('/series/observations') ? { observations } : { seriess: [] });
+  api.setHttpClient(client);
+
+  const { rows } = await api.fetchFredSeriesData({ seriesId: 'UNRATE', limit: 3 });
+  assert.deepEqual(rows.map(row => row.value), [4.1, 4.3]);
+});
+
+test('429 responses are retried after Retry-After', async () => {
+  const { client, calls } = scriptedClient((url, attempt) => {
+    if (url.includes('/series/observations') && attempt === 1) throw httpError(429, { headers: { 'retry-after': '1' } });
+    return url.includes('/series/observations') ? { observations } : { seriess: [] };
+  });
+  api.setHttpClient(client);
+
+  const { rows } = await api.fetchFredSeriesData({ seriesId: 'UNRATE', limit: 3 });
+  assert.equal(rows.length, 2);
+  assert.equal(calls.filter(url => url.includes('/series/observations')).length, 2);
+});
+
+test('client errors are not retried', async () => {
+  const { client, calls } = scriptedClient(() => {
+    throw httpError(400, { data: { error_message: 'Bad Request.  The series does not exist.' } });
+  });
+  api.setHttpClient(client);
+
+  await assert.rejects(api.fetchFredSeriesData({ seriesId: 'NOSUCHSERIES', limit: 3 }), { code: 'SYMBOL_NOT_FOUND' });
+  assert.equal(calls.length, 1);
+});
+
+test('identical concurrent requests share one upstream call', async () => {
+  const { client, calls } = scriptedClient(url => url.includes('/series/observations') ? { observations } : { seriess: [] });
+  api.setHttpClient(client);
+
+  await Promise.all([
+    api.fetchFredSeriesData({ seriesId: 'UNRATE', limit: 3 }),
+    api.fetchFredSeriesData({ seriesId: 'UNRATE', limit: 3 })
+  ]);
+  assert.equal(calls.filter(url => url.includes('/series/observations')).length, 1);
+});
+
+test('date ranges page through more than 100,000 observations', async () => {
+  const total = 100005;
+  const { client, calls } = scriptedClient(url => {
+    if (!url.includes('/series/observations')) return { seriess: [] };
+    const params = new URL(url).searchParams;
+    const offset = Number(params.get('offset') || 0);
+    const count = Math.min(Number(params.get('limit')), total - offset);
+    return {
+      count: total,
+      observations: Array.from({ length: count }, (_, i) => ({ date: `obs-${offset + i}`, value: '1.5' }))
+    };
+  });
+  api.setHttpClient(client);
+
+  const { rows } = await api.fetchFredSeriesData({ seriesId: 'DGS10', observationStart: '1962-01-02' });
+  assert.equal(rows.length, total);
+  assert.equal(rows[total - 1].date, `obs-${total - 1}`);
+
+  const pages = calls.filter(url => url.includes('/series/observations'));
+  assert.equal(pages.length, 2);
+  assert.match(pages[1], /offset=100000/);
+});
+
+test('a missing replay fixture surfaces as FIXTURE_MISSING without local paths', async t => {
+  const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'financial-mcp-fixtures-'));
+  t.after(() => fs.rmSync(fixturesDir, { recursive: true, force: true }));
+  api.setHttpClient(createHttpClient({ mode: 'replay', fixturesDir }));
+
+  await assert.rejects(api.fetchFredSeriesData({ seriesId: 'UNRATE', limit: 3 }), error => {
+    assert.equal(error.code, 'FIXTURE_MISSING');
+    assert.ok(!error.message.includes(fixturesDir));
+    assert.match(error.message, /api\.stlouisfed\.org\/fred-series/);
+    return true;
+  });
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createHttpClient, fixturePath, redactUrl } = require('../src/http-client.js');
+
+const SERIES_URL = 'https://api.stlouisfed.org/fred/series?series_id=UNRATE&api_key=secret123&file_type=json';
+
+const tempDirs = [];
+
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'financial-mcp-fixtures-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+test.after(() => {
+  tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+test('redactUrl strips the FRED api_key', () => {
+  assert.equal(redactUrl(SERIES_URL), 'https://api.stlouisfed.org/fred/series?series_id=UNRATE&api_key=REDACTED&file_type=json');
+});
+
+test('fixture paths ignore the api_key and group by host', () => {
+  const dir = tempDir();
+  const file = fixturePath(dir, SERIES_URL);
+  assert.equal(file, fixturePath(dir, SERIES_URL.replace('secret123', 'other')));
+  assert.match(path.relative(dir, file), /^api\.stlouisfed\.org[/\\]fred-series-[0-9a-f]{10}\.json$/);
+});
+
+test('record then replay returns the same response without calling the transport', async () => {
+  const dir = tempDir();
+  const transport = async () => ({ status: 200, headers: { 'content-type': 'application/json' }, data: { seriess: [{ id: 'UNRATE' }] } });
+
+  const recorder = createHttpClient({ mode: 'record', fixturesDir: dir, transport });
+  await recorder.get(SERIES_URL);
+
+  const saved = fs.readFileSync(fixturePath(dir, SERIES_URL), 'utf8');
+  assert.ok(!saved.includes('secret123'), 'fixture must not contain the API key');
+
+  const replayer = createHttpClient({
+    mode: 'replay',
+    fixturesDir: dir,
+    transport: async () => assert.fail('replay must not touch the network')
+  });
+  const response = await replayer.get(SERIES_URL);
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.data, { seriess: [{ id: 'UNRATE' }] });
+});
+
+test('recorded HTTP errors replay as axios-style errors', async () => {
+  const dir = tempDir();
+  const transport = async () => {
+    const error = new Error('Request failed with status code 429');
+    error.response = { status: 429, headers: { 'retry-after': '30' }, data: 'Too Many Requests' };
+    throw error;
+  };
+
+  const recorder = createHttpClient({ mode: 'record', fixturesDir: dir, transport });
+  await assert.rejects(recorder.get(SERIES_URL), /429/);
+
+  const replayer = createHttpClient({ mode: 'replay', fixturesDir: dir });
+  await assert.rejects(replayer.get(SERIES_URL), error => {
+    assert.equal(error.response.status, 429);
+    assert.equal(error.response.headers['retry-after'], '30');
+    return true;
+  });
+});
+
+test('replay fails clearly when a fixture is missing', async () => {
+  const client = createHttpClient({ mode: 'replay', fixturesDir: tempDir() });
+  await assert.rejects(client.get(SERIES_URL), { code: 'FIXTURE_MISSING' });
+});
+
+test('unknown modes are rejected', () => {
+  assert.throws(() => createHttpClient({ mode: 'offline' }), /Unknown HTTP mode/);
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StdioClientTransport } = require('@modelcontextprotocol/sdk/client/stdio.js');
+
+/**
+ * One call per method tool, with arguments that hit the recorded fixtures
+ */
+const TOOL_CALLS = {
+  stock_profile: { symbol: 'AAPL' },
+  stock_summary: { symbol: 'AAPL' },
+  stock_estimates: { symbol: 'AAPL' },
+  stock_pricing: { symbol: 'AAPL' },
+  stock_financials: { symbol: 'AAPL' },
+  stock_revenue_breakdown: { symbol: 'AAPL' },
+  stock_earnings_history: { symbol: 'AAPL', limit: 8 },
+  stock_recommendations: { symbol: 'AAPL' },
+  stock_esg: { symbol: 'AAPL' },
+  stock_dividends: { symbol: 'AAPL' },
+  stock_technicals: { symbol: 'AAPL' },
+  stock_history: { symbol: 'AAPL', range: '6mo' },
+  stock_news: { query: 'AAPL' },
+  stock_peers: { symbol: 'AAPL' },
+  stock_screener: { universe: 'dow30', universe_limit: 10, criteria: { minMarketCap: 100000000000, maxResults: 10 } },
+  stock_correlation: { symbols: ['AAPL', 'MSFT', 'GOOGL'] },
+  portfolio_analytics: { holdings: [{ symbol: 'AAPL', weight: 0.6 }, { symbol: 'MSFT', weight: 0.4 }] },
+  economic_indicators: {},
+  market_indices: {},
+  yield_curve: { date: '2024-06-15', include_real: true },
+  recession_signals: {},
+  fred_series_search: { search_text: 'unemployment', limit: 5 },
+  fred_series_data: { series_id: 'UNRATE', limit: 12 },
+  fred_series_compare: { series_ids: ['UNRATE', 'FEDFUNDS', 'GDP'], limit: 12 },
+  fred_expression: { expression: 'DGS10 - DGS2', limit: 12 },
+  fred_categories: { limit: 5 },
+  fred_releases: { limit: 5 },
+  fred_release_calendar: { start_date: '2024-10-28' },
+  fred_vintage_data: { series_id: 'GDP', observation_start: '2018-01-01' },
+  fred_tags: { limit: 5 },
+  fred_regional_data: { limit: 5 },
+  fred_sources: { limit: 5 },
+  fred_series_updates: { limit: 5 },
+  fred_series_relationships: { series_id: 'UNRATE' },
+  fred_maps_data: { series_id: 'CAUR', date: '2024-09-01' },
+  cache_stats: {}
+};
+
+let client;
+
+// The server runs as a child process over stdio, replaying the same fixtures as the API tests
+test.before(async () => {
+  client = new Client({ name: 'financial-mcp-server-test', version: '1.0.0' });
+  await client.connect(new StdioClientTransport({
+    command: process.execPath,
+    args: [path.join(__dirname, '..', 'src', 'index.js')],
+    env: {
+      ...process.env,
+      FINANCIAL_MCP_HTTP_MODE: process.env.FINANCIAL_MCP_HTTP_MODE || 'replay',
+      FINANCIAL_MCP_CACHE: 'off',
+      FRED_API_KEY: process.env.FRED_API_KEY || 'replay'
+    },
+    stderr: 'ignore'
+  }));
+
+  // Listing the tools makes the client check every structuredContent against the tool's outputSchema
+  const { tools } = await client.listTools();
+  assert.deepEqual(tools.map(tool => tool.name).sort(), ['financial-intelligence', ...Object.keys(TOOL_CALLS)].sort());
+});
+
+test.after(async () => {
+  await client.close();
+});
+
+for (const [name, args] of Object.entries(TOOL_CALLS)) {
+  test(`${name} tool returns structured content matching its outputSchema`, async () => {
+    const result = await client.callTool({ name, arguments: args });
+
+    assert.equal(result.isError, undefined, result.content[0].text);
+    assert.equal(result.structuredContent.method, name);
+    assert.ok(Array.isArray(result.structuredContent.rows) || typeof result.structuredContent.row === 'object');
+    assert.match(result.content[0].text, /^#/m);
+  });
+}
+
+test('the legacy tool maps the overloaded symbol onto the per-method arguments', async () => {
+  const legacy = await client.callTool({ name: 'financial-intelligence', arguments: { method: 'stock_correlation', symbol: 'aapl, msft,GOOGL' } });
+  const typed = await client.callTool({ name: 'stock_correlation', arguments: { symbols: ['AAPL', 'MSFT', 'GOOGL'] } });
+  assert.deepEqual(legacy.structuredContent.rows, typed.structuredContent.rows);
+
+  const portfolio = await client.callTool({ name: 'financial-intelligence', arguments: { method: 'portfolio_analytics', symbol: 'AAPL:0.6,MSFT:0.4' } });
+  assert.deepEqual(portfolio.structuredContent.rows.map(row => [row.symbol, row.weight]), [['AAPL', 0.6], ['MSFT', 0.4]]);
+
+  const screener = await client.callTool({
+    name: 'financial-intelligence',
+    arguments: { method: 'stock_screener', symbol: '{"minMarketCap":100000000000,"maxResults":10,"universe":"dow30","universeLimit":10}' }
+  });
+  assert.equal(screener.isError, undefined, screener.content[0].text);
+  assert.ok(screener.structuredContent.rows.every(row => row.market_cap >= 100000000000));
+});
+
+test('legacy arguments are validated against the method schema before any request', async () => {
+  // A request would fail as FIXTURE_MISSING; INVALID_INPUT shows nothing was fetched
+  const category = await client.callTool({ name: 'financial-intelligence', arguments: { method: 'fred_categories', symbol: 'abc' } });
+  assert.equal(category.isError, true);
+  assert.equal(category.structuredContent.error.code, 'INVALID_INPUT');
+  assert.match(category.structuredContent.error.message, /category_id/);
+
+  const portfolio = await client.callTool({ name: 'financial-intelligence', arguments: { method: 'portfolio_analytics', symbol: 'AAPL:x,MSFT' } });
+  assert.equal(portfolio.structuredContent.error.code, 'INVALID_INPUT');
+});
+
+test('errors come back as tool results with a code, hint and details', async () => {
+  const notFound = await client.callTool({ name: 'stock_summary', arguments: { symbol: 'NOSUCHTICKER' } });
+  assert.equal(notFound.isError, true);
+  assert.equal(notFound.structuredContent.method, 'stock_summary');
+  assert.equal(notFound.structuredContent.error.code, 'SYMBOL_NOT_FOUND');
+  assert.equal(notFound.structuredContent.error.symbol, 'NOSUCHTICKER');
+  assert.match(notFound.content[0].text, /SYMBOL_NOT_FOUND/);
+  assert.match(notFound.content[0].text, /\*\*Symbol:\*\* NOSUCHTICKER/);
+  assert.match(notFound.content[0].text, /use fred_series_search to look up series IDs/);
+
+  const unknownParameter = await client.callTool({ name: 'stock_profile', arguments: { symbol: 'AAPL', ticker: 'AAPL' } });
+  assert.equal(unknownParameter.structuredContent.error.code, 'INVALID_INPUT');
+  assert.match(unknownParameter.structuredContent.error.message, /UNKNOWN PARAMETER: "ticker"/);
+
+  const unknownTool = await client.callTool({ name: 'stock_quote', arguments: { symbol: 'AAPL' } });
+  assert.equal(unknownTool.isError, true);
+  assert.equal(unknownTool.structuredContent.error.code, 'INVALID_INPUT');
+});